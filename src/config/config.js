@@ -1,8 +1,19 @@
 require('dotenv').config();
+const path = require('path');
 
 const config = {
   port: parseInt(process.env.PORT, 10) || 3000,
   nodeEnv: process.env.NODE_ENV || 'development',
+
+  // How long a shutdown waits for uploads, downloads and a running cleanup to finish
+  shutdownTimeoutSeconds: parseInt(process.env.SHUTDOWN_TIMEOUT_SECONDS, 10) || 30,
+  shutdownTimeoutMs: (parseInt(process.env.SHUTDOWN_TIMEOUT_SECONDS, 10) || 30) * 1000,
+
+  // Logging: 'json' writes one JSON object per line, 'pretty' is for reading in a terminal
+  logging: {
+    level: (process.env.LOG_LEVEL || 'info').toLowerCase(),
+    format: (process.env.LOG_FORMAT || 'json').toLowerCase()
+  },
   
   // File upload settings
   maxFileSizeMB: parseInt(process.env.MAX_FILE_SIZE_MB, 10) || 10,
@@ -11,11 +22,167 @@ const config = {
   maxStorageMB: parseInt(process.env.MAX_STORAGE_MB, 10) || 1000,
   maxStorageBytes: (parseInt(process.env.MAX_STORAGE_MB, 10) || 1000) * 1024 * 1024,
   
+  // What happens as storage fills up: 'reject' refuses uploads over MAX_STORAGE_MB (507);
+  // 'soonest-expiring' and 'lru' delete unpinned files - those closest to expiry, or
+  // least recently downloaded - once usage passes the high watermark, until it is
+  // below the low watermark (percentages of MAX_STORAGE_MB)
+  eviction: {
+    policy: (process.env.EVICTION_POLICY || 'reject').toLowerCase(),
+    highWatermarkPercent: parseInt(process.env.EVICTION_HIGH_WATERMARK_PERCENT, 10) || 90,
+    lowWatermarkPercent: parseInt(process.env.EVICTION_LOW_WATERMARK_PERCENT, 10) || 80
+  },
+  
+  // Batch upload settings
+  maxBatchFiles: parseInt(process.env.MAX_BATCH_FILES, 10) || 20,
+  // 'partial' stores every valid file; 'all-or-nothing' rejects the batch if any file fails
+  batchUploadMode: (process.env.BATCH_UPLOAD_MODE || 'partial').toLowerCase(),
+  
+  // Storage backend settings
+  storageBackend: (process.env.STORAGE_BACKEND || 'local').toLowerCase(),
+  stagingDir: process.env.STAGING_DIR || path.join(process.env.UPLOAD_DIR || './uploads', '.staging'),
+  s3: {
+    bucket: process.env.S3_BUCKET,
+    prefix: process.env.S3_PREFIX || '',
+    region: process.env.S3_REGION || 'us-east-1',
+    endpoint: process.env.S3_ENDPOINT,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+  },
+  
+  // Metadata database
+  databasePath: process.env.DATABASE_PATH || path.join(__dirname, '../../metadata/files.db'),
+  
   // File lifecycle settings
   fileRetentionHours: parseInt(process.env.FILE_RETENTION_HOURS, 10) || 24,
   fileRetentionMs: (parseInt(process.env.FILE_RETENTION_HOURS, 10) || 24) * 60 * 60 * 1000,
+  maxFileRetentionHours: parseInt(process.env.MAX_FILE_RETENTION_HOURS, 10) || 720,
   cleanupIntervalHours: parseInt(process.env.CLEANUP_INTERVAL_HOURS, 10) || 1,
   cleanupIntervalMs: (parseInt(process.env.CLEANUP_INTERVAL_HOURS, 10) || 1) * 60 * 60 * 1000,
+
+  // Versions kept per file, the current one included (1 = no history)
+  maxFileVersions: parseInt(process.env.MAX_FILE_VERSIONS, 10) || 10,
+  
+  // Resumable upload settings
+  uploadSessionDir: process.env.UPLOAD_SESSION_DIR || path.join(process.env.UPLOAD_DIR || './uploads', '.sessions'),
+  uploadSessionTtlHours: parseInt(process.env.UPLOAD_SESSION_TTL_HOURS, 10) || 24,
+  uploadSessionTtlMs: (parseInt(process.env.UPLOAD_SESSION_TTL_HOURS, 10) || 24) * 60 * 60 * 1000,
+  
+  // Authentication settings
+  authEnabled: process.env.AUTH_ENABLED !== 'false',
+  adminApiKey: process.env.ADMIN_API_KEY,
+  
+  // Share link settings
+  shareLinkSecret: process.env.SHARE_LINK_SECRET,
+  shareLinkDefaultTtlHours: parseInt(process.env.SHARE_LINK_DEFAULT_TTL_HOURS, 10) || 24,
+  shareLinkMaxTtlHours: parseInt(process.env.SHARE_LINK_MAX_TTL_HOURS, 10) || 168,
+  publicBaseUrl: (process.env.PUBLIC_BASE_URL || '').replace(/\/+$/, ''),
+  
+  // Per-identity quotas (0 = unlimited); an API key can override them
+  quota: {
+    storageBytes: (parseInt(process.env.QUOTA_STORAGE_MB, 10) || 0) * 1024 * 1024,
+    files: parseInt(process.env.QUOTA_MAX_FILES, 10) || 0,
+    uploadsPerHour: parseInt(process.env.QUOTA_UPLOADS_PER_HOUR, 10) || 0
+  },
+  
+  // Token-bucket rate limits in requests per minute (0 = unlimited)
+  rateLimit: {
+    upload: {
+      perKey: parseInt(process.env.RATE_LIMIT_UPLOADS_PER_MINUTE, 10) || 0,
+      perIp: parseInt(process.env.RATE_LIMIT_IP_UPLOADS_PER_MINUTE, 10) || 0
+    },
+    download: {
+      perKey: parseInt(process.env.RATE_LIMIT_DOWNLOADS_PER_MINUTE, 10) || 0,
+      perIp: parseInt(process.env.RATE_LIMIT_IP_DOWNLOADS_PER_MINUTE, 10) || 0
+    }
+  },
+
+  // Prometheus metrics (GET /metrics); with a token, scrapers must send it as a bearer token
+  metrics: {
+    enabled: process.env.METRICS_ENABLED !== 'false',
+    token: process.env.METRICS_TOKEN || null
+  },
+
+  // Number of reverse proxies in front of the service whose
+  // X-Forwarded-For entries identify the client IP (0 = none)
+  trustProxy: parseInt(process.env.TRUST_PROXY, 10) || 0,
+  
+  // Limits for user-supplied descriptions, tags and custom metadata
+  maxDescriptionLength: parseInt(process.env.MAX_DESCRIPTION_LENGTH, 10) || 2000,
+  maxTagsPerFile: parseInt(process.env.MAX_TAGS_PER_FILE, 10) || 20,
+  maxMetadataKeys: parseInt(process.env.MAX_METADATA_KEYS, 10) || 20,
+  maxMetadataValueLength: parseInt(process.env.MAX_METADATA_VALUE_LENGTH, 10) || 1024,
+  
+  // Uploads fetched by the server from a URL (POST /api/upload/url); size is limited by MAX_FILE_SIZE_MB
+  urlUpload: {
+    timeoutMs: (parseInt(process.env.URL_UPLOAD_TIMEOUT_SECONDS, 10) || 60) * 1000,
+    maxRedirects: process.env.URL_UPLOAD_MAX_REDIRECTS !== undefined
+      ? parseInt(process.env.URL_UPLOAD_MAX_REDIRECTS, 10)
+      : 5,
+    // Private, loopback and other non-public addresses (e.g. "10.0.0.0/8,127.0.0.1")
+    // the server may fetch from; all of them are refused otherwise
+    allowedNetworks: (process.env.URL_UPLOAD_ALLOWED_NETWORKS || '')
+      .split(',')
+      .map(network => network.trim())
+      .filter(Boolean)
+  },
+  
+  // Archive download settings
+  maxArchiveFiles: parseInt(process.env.MAX_ARCHIVE_FILES, 10) || 500,
+  
+  // Thumbnail settings (longest edge in pixels)
+  thumbnailSizes: (process.env.THUMBNAIL_SIZES || '128,256,512')
+    .split(',')
+    .map(size => parseInt(size.trim(), 10))
+    .sort((a, b) => a - b),
+  // 'lazy' generates thumbnails on first request; 'upload' generates them after each upload
+  thumbnailMode: (process.env.THUMBNAIL_MODE || 'lazy').toLowerCase(),
+  
+  // Antivirus scanning settings (ClamAV daemon)
+  scan: {
+    enabled: process.env.SCAN_ENABLED === 'true',
+    // 'sync' scans before the upload response; 'background' scans afterwards
+    mode: (process.env.SCAN_MODE || 'sync').toLowerCase(),
+    clamdSocket: process.env.CLAMD_SOCKET,
+    clamdHost: process.env.CLAMD_HOST || '127.0.0.1',
+    clamdPort: parseInt(process.env.CLAMD_PORT, 10) || 3310,
+    timeoutMs: parseInt(process.env.CLAMD_TIMEOUT_MS, 10) || 60000,
+    quarantineDir: process.env.QUARANTINE_DIR || path.join(process.env.UPLOAD_DIR || './uploads', '.quarantine')
+  },
+  
+  // Integrity checksums. SHA-256 is always recorded; MD5 is added for clients that need it.
+  checksums: {
+    md5: process.env.CHECKSUM_MD5 === 'true',
+    // What a scrub does with content that no longer matches its checksum:
+    // 'flag' marks the files, 'quarantine' also moves the content to QUARANTINE_DIR
+    scrubAction: (process.env.SCRUB_ACTION || 'flag').toLowerCase(),
+    // How often the server scrubs stored content (0 = only via `npm run scrub`)
+    scrubIntervalHours: parseInt(process.env.SCRUB_INTERVAL_HOURS, 10) || 0,
+    scrubIntervalMs: (parseInt(process.env.SCRUB_INTERVAL_HOURS, 10) || 0) * 60 * 60 * 1000
+  },
+
+  // At-rest encryption (AES-256-GCM), enabled by setting a master key: a base64
+  // 32-byte key in ENCRYPTION_KEY, or a file of keys (one per line, current first)
+  encryption: {
+    enabled: Boolean(process.env.ENCRYPTION_KEY || process.env.ENCRYPTION_KEY_FILE),
+    key: process.env.ENCRYPTION_KEY || null,
+    keyFile: process.env.ENCRYPTION_KEY_FILE || null,
+    // Earlier master keys, still needed to read files until `npm run rotate-keys` has run
+    previousKeys: (process.env.ENCRYPTION_PREVIOUS_KEYS || '')
+      .split(',')
+      .map(key => key.trim())
+      .filter(Boolean)
+  },
+  
+  // Webhook delivery settings
+  webhooks: {
+    timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000,
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8,
+    // Delay before the first retry; doubles after each failed attempt
+    retryBaseSeconds: parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS, 10) || 30,
+    pollIntervalMs: (parseInt(process.env.WEBHOOK_POLL_INTERVAL_SECONDS, 10) || 5) * 1000,
+    deliveryRetentionDays: parseInt(process.env.WEBHOOK_DELIVERY_RETENTION_DAYS, 10) || 7
+  },
   
   // Security settings
   allowedMimeTypes: process.env.ALLOWED_MIME_TYPES
@@ -46,4 +213,92 @@ if (config.fileRetentionHours <= 0) {
   throw new Error('FILE_RETENTION_HOURS must be greater than 0');
 }
 
+if (config.maxFileRetentionHours < config.fileRetentionHours) {
+  throw new Error('MAX_FILE_RETENTION_HOURS must be at least FILE_RETENTION_HOURS');
+}
+
+if (!['local', 's3'].includes(config.storageBackend)) {
+  throw new Error('STORAGE_BACKEND must be "local" or "s3"');
+}
+
+if (config.storageBackend === 's3' && !config.s3.bucket) {
+  throw new Error('S3_BUCKET is required when STORAGE_BACKEND is "s3"');
+}
+
+if (!['reject', 'soonest-expiring', 'lru'].includes(config.eviction.policy)) {
+  throw new Error('EVICTION_POLICY must be "reject", "soonest-expiring" or "lru"');
+}
+
+if (!(config.eviction.lowWatermarkPercent > 0
+  && config.eviction.lowWatermarkPercent < config.eviction.highWatermarkPercent
+  && config.eviction.highWatermarkPercent <= 100)) {
+  throw new Error('EVICTION_LOW_WATERMARK_PERCENT must be greater than 0 and below EVICTION_HIGH_WATERMARK_PERCENT, which must be at most 100');
+}
+
+if (config.maxBatchFiles <= 0) {
+  throw new Error('MAX_BATCH_FILES must be greater than 0');
+}
+
+if (!['partial', 'all-or-nothing'].includes(config.batchUploadMode)) {
+  throw new Error('BATCH_UPLOAD_MODE must be "partial" or "all-or-nothing"');
+}
+
+if ([config.maxDescriptionLength, config.maxTagsPerFile, config.maxMetadataKeys, config.maxMetadataValueLength]
+  .some(limit => limit <= 0)) {
+  throw new Error('MAX_DESCRIPTION_LENGTH, MAX_TAGS_PER_FILE, MAX_METADATA_KEYS and MAX_METADATA_VALUE_LENGTH must be greater than 0');
+}
+
+if (config.thumbnailSizes.length === 0 || config.thumbnailSizes.some(size => !(size > 0 && size <= 4096))) {
+  throw new Error('THUMBNAIL_SIZES must be a comma-separated list of sizes between 1 and 4096');
+}
+
+if (!['lazy', 'upload'].includes(config.thumbnailMode)) {
+  throw new Error('THUMBNAIL_MODE must be "lazy" or "upload"');
+}
+
+if (!['sync', 'background'].includes(config.scan.mode)) {
+  throw new Error('SCAN_MODE must be "sync" or "background"');
+}
+
+if (!['flag', 'quarantine'].includes(config.checksums.scrubAction)) {
+  throw new Error('SCRUB_ACTION must be "flag" or "quarantine"');
+}
+
+if (config.checksums.scrubIntervalHours < 0) {
+  throw new Error('SCRUB_INTERVAL_HOURS must not be negative');
+}
+
+if (config.encryption.key && config.encryption.keyFile) {
+  throw new Error('Set either ENCRYPTION_KEY or ENCRYPTION_KEY_FILE, not both');
+}
+
+if (!(config.urlUpload.maxRedirects >= 0)) {
+  throw new Error('URL_UPLOAD_MAX_REDIRECTS must be 0 or more');
+}
+
+if (config.maxFileVersions < 1) {
+  throw new Error('MAX_FILE_VERSIONS must be at least 1');
+}
+
+if (!['error', 'warn', 'info', 'debug'].includes(config.logging.level)) {
+  throw new Error('LOG_LEVEL must be "error", "warn", "info" or "debug"');
+}
+
+if (!['json', 'pretty'].includes(config.logging.format)) {
+  throw new Error('LOG_FORMAT must be "json" or "pretty"');
+}
+
+if ([config.quota.storageBytes, config.quota.files, config.quota.uploadsPerHour].some(limit => limit < 0)) {
+  throw new Error('QUOTA_STORAGE_MB, QUOTA_MAX_FILES and QUOTA_UPLOADS_PER_HOUR must not be negative');
+}
+
+if (Object.values(config.rateLimit).some(({ perKey, perIp }) => perKey < 0 || perIp < 0)) {
+  throw new Error('RATE_LIMIT_* settings must not be negative');
+}
+
+if ([config.webhooks.timeoutMs, config.webhooks.maxAttempts, config.webhooks.retryBaseSeconds,
+  config.webhooks.pollIntervalMs, config.webhooks.deliveryRetentionDays].some(value => value <= 0)) {
+  throw new Error('WEBHOOK_TIMEOUT_MS, WEBHOOK_MAX_ATTEMPTS, WEBHOOK_RETRY_BASE_SECONDS, WEBHOOK_POLL_INTERVAL_SECONDS and WEBHOOK_DELIVERY_RETENTION_DAYS must be greater than 0');
+}
+
 module.exports = config;
@@ -1,15 +1,22 @@
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs').promises;
+const { createWriteStream } = require('fs');
+const { pipeline } = require('stream/promises');
 const crypto = require('crypto');
 const config = require('../config/config');
+const { createHashingStream } = require('../utils/hash');
+const { wantsMd5 } = require('../utils/checksum');
+const { validateFileAttributes } = require('../middleware/security');
+const metricsService = require('../services/metricsService');
 
-// Ensure upload directory exists
-const ensureUploadDir = async () => {
+// Ensure staging directory exists. Uploads are written here first and
+// moved into the storage backend once they pass validation.
+const ensureStagingDir = async () => {
   try {
-    await fs.access(config.uploadDir);
+    await fs.access(config.stagingDir);
   } catch {
-    await fs.mkdir(config.uploadDir, { recursive: true });
+    await fs.mkdir(config.stagingDir, { recursive: true });
   }
 };
 
@@ -28,44 +35,53 @@ const generateUniqueFilename = (originalname) => {
   return `${sanitizedBasename}_${timestamp}_${randomString}${ext}`;
 };
 
-// Configure Multer storage
-const storage = multer.diskStorage({
-  destination: async (req, file, cb) => {
-    try {
-      await ensureUploadDir();
-      cb(null, config.uploadDir);
-    } catch (error) {
-      cb(error);
-    }
-  },
-  filename: (req, file, cb) => {
-    try {
-      const uniqueFilename = generateUniqueFilename(file.originalname);
-      cb(null, uniqueFilename);
-    } catch (error) {
-      cb(error);
-    }
+// Multer storage engine that writes uploads to the staging directory and
+// computes their SHA-256 (and MD5 when recorded or sent by the client to be
+// verified) while the bytes are being written
+class HashingStagingStorage {
+  _handleFile(req, file, cb) {
+    ensureStagingDir()
+      .then(async () => {
+        const filename = generateUniqueFilename(file.originalname);
+        const destination = path.join(config.stagingDir, filename);
+        const hasher = createHashingStream({ md5: config.checksums.md5 || wantsMd5(req) });
+
+        try {
+          await pipeline(file.stream, hasher, createWriteStream(destination));
+        } catch (error) {
+          await fs.unlink(destination).catch(() => {});
+          throw error;
+        }
+
+        cb(null, {
+          destination: config.stagingDir,
+          filename,
+          path: destination,
+          size: hasher.size,
+          sha256: hasher.digest(),
+          md5: hasher.digest('md5')
+        });
+      })
+      .catch(cb);
   }
-});
+
+  _removeFile(req, file, cb) {
+    fs.unlink(file.path)
+      .then(() => cb(null))
+      .catch((error) => cb(error.code === 'ENOENT' ? null : error));
+  }
+}
+
+const storage = new HashingStagingStorage();
 
 // File filter for basic validation
 const fileFilter = (req, file, cb) => {
-  // Check file extension against blocked list
-  const ext = path.extname(file.originalname).toLowerCase();
-  
-  if (config.blockedExtensions.includes(ext)) {
-    return cb(
-      new Error(`File type ${ext} is not allowed for security reasons`),
-      false
-    );
-  }
-  
-  // Check MIME type against allowed list
-  if (!config.allowedMimeTypes.includes(file.mimetype)) {
-    return cb(
-      new Error(`MIME type ${file.mimetype} is not allowed`),
-      false
-    );
+  // Check file extension and MIME type against configured lists
+  const rejection = validateFileAttributes(file.originalname, file.mimetype);
+
+  if (rejection) {
+    metricsService.recordRejection(rejection.reason);
+    return cb(new Error(rejection.error), false);
   }
   
   cb(null, true);
@@ -81,8 +97,39 @@ const upload = multer({
   fileFilter: fileFilter
 });
 
+// Batch uploads note rejected files instead of failing the whole request,
+// so each file can be reported on individually
+const batchFileFilter = (req, file, cb) => {
+  req.batchRejections = req.batchRejections || [];
+  req.batchFileCount = (req.batchFileCount || 0) + 1;
+
+  // Position in the request, used to report results in submission order
+  file.index = req.batchFileCount - 1;
+
+  const rejection = validateFileAttributes(file.originalname, file.mimetype);
+
+  if (rejection) {
+    metricsService.recordRejection(rejection.reason);
+    req.batchRejections.push({ index: file.index, originalname: file.originalname, error: rejection.error });
+    return cb(null, false);
+  }
+
+  cb(null, true);
+};
+
+// Configure Multer for batch uploads
+const batchUpload = multer({
+  storage: storage,
+  limits: {
+    fileSize: config.maxFileSizeBytes,
+    files: config.maxBatchFiles
+  },
+  fileFilter: batchFileFilter
+});
+
 module.exports = {
   upload,
+  batchUpload,
   generateUniqueFilename,
-  ensureUploadDir
+  ensureStagingDir
 };
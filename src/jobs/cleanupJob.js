@@ -2,38 +2,81 @@
 
 /**
  * Manual cleanup job
- * Run this script to manually trigger file cleanup
- * Usage: node src/jobs/cleanupJob.js
+ * Run this script to manually trigger file cleanup, or with --scrub to check
+ * every stored file against its checksum (SCRUB_ACTION decides what happens
+ * to mismatches)
+ * Usage: node src/jobs/cleanupJob.js [--scrub]
  */
 
 const lifecycleService = require('../services/lifecycleService');
+const webhookService = require('../services/webhookService');
+// Records the files this run expires in the audit log
+const auditService = require('../services/auditService');
+
+const scrub = process.argv.includes('--scrub');
 
 console.log('='.repeat(60));
-console.log('File Upload Service - Manual Cleanup Job');
+console.log(`File Upload Service - Manual ${scrub ? 'Scrub' : 'Cleanup'} Job`);
 console.log('='.repeat(60));
 console.log(`Started at: ${new Date().toISOString()}\n`);
 
-lifecycleService.runCleanup()
-  .then((result) => {
-    console.log('\n' + '='.repeat(60));
-    console.log('Cleanup Results:');
-    console.log('='.repeat(60));
-    
-    if (result.success) {
-      console.log(`✓ Expired files deleted: ${result.expiredFiles}`);
-      console.log(`✓ Orphaned metadata cleaned: ${result.orphanedMetadata}`);
-      console.log(`✓ Orphaned files removed: ${result.orphanedFiles}`);
-      console.log('\nCleanup completed successfully!');
-      process.exit(0);
-    } else {
-      console.error(`✗ Cleanup failed: ${result.error}`);
-      process.exit(1);
-    }
-  })
-  .catch((error) => {
-    console.error('\n' + '='.repeat(60));
-    console.error('Fatal Error:');
-    console.error('='.repeat(60));
-    console.error(error);
+const reportCleanup = async (result) => {
+  await Promise.all([webhookService.flush(), auditService.flush()]);
+
+  console.log('\n' + '='.repeat(60));
+  console.log('Cleanup Results:');
+  console.log('='.repeat(60));
+  
+  if (result.success) {
+    console.log(`✓ Expired files deleted: ${result.expiredFiles}`);
+    console.log(`✓ Files evicted under storage pressure: ${result.evictedFiles}`);
+    console.log(`✓ Orphaned metadata cleaned: ${result.orphanedMetadata}`);
+    console.log(`✓ Orphaned files removed: ${result.orphanedFiles}`);
+    console.log(`✓ Abandoned uploads removed: ${result.abandonedUploads}`);
+    console.log(`✓ Unreferenced blobs removed: ${result.unusedBlobs}`);
+    console.log(`✓ Old webhook deliveries removed: ${result.webhookDeliveries}`);
+    console.log('\nCleanup completed successfully!');
+    process.exit(0);
+  } else {
+    console.error(`✗ Cleanup failed: ${result.error}`);
+    process.exit(1);
+  }
+};
+
+const reportScrub = (result) => {
+  console.log('\n' + '='.repeat(60));
+  console.log('Scrub Results:');
+  console.log('='.repeat(60));
+
+  if (!result.success) {
+    console.error(`✗ Scrub failed: ${result.error}`);
     process.exit(1);
-  });
+  }
+
+  console.log(`✓ Files verified: ${result.verified}`);
+  console.log(`${result.corrupt > 0 ? '✗' : '✓'} Corrupt files found: ${result.corrupt}`);
+  console.log(`${result.missing > 0 ? '✗' : '✓'} Files missing from storage: ${result.missing}`);
+  if (result.errors > 0) {
+    console.log(`✗ Files that could not be checked: ${result.errors}`);
+  }
+
+  // A distinct exit code lets schedulers alert on damaged content
+  process.exit(result.corrupt > 0 || result.errors > 0 ? 2 : 0);
+};
+
+let run;
+if (scrub) {
+  run = lifecycleService.runScrub().then(reportScrub);
+} else {
+  // Queue webhook deliveries for files this run expires; the server sends them
+  webhookService.listen();
+  run = lifecycleService.runCleanup().then(reportCleanup);
+}
+
+run.catch((error) => {
+  console.error('\n' + '='.repeat(60));
+  console.error('Fatal Error:');
+  console.error('='.repeat(60));
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,38 @@
+#!/usr/bin/env node
+
+/**
+ * Create an API key
+ * Usage: node src/jobs/createApiKey.js <name> <scope,scope,...> [ownerId]
+ * Scopes: upload, read, delete, admin
+ */
+
+const apiKeyStore = require('../models/ApiKey');
+const { SCOPES } = require('../models/ApiKey');
+const { closeDatabase } = require('../models/database');
+
+const [name, scopeList, ownerId] = process.argv.slice(2);
+
+if (!name || !scopeList) {
+  console.error('Usage: node src/jobs/createApiKey.js <name> <scope,scope,...> [ownerId]');
+  console.error(`Available scopes: ${SCOPES.join(', ')}`);
+  process.exit(1);
+}
+
+const scopes = scopeList.split(',').map(scope => scope.trim()).filter(Boolean);
+
+apiKeyStore.createKey({ name, scopes, ownerId })
+  .then(({ key, record }) => {
+    console.log('API key created');
+    console.log(`  Key ID:  ${record.id}`);
+    console.log(`  Name:    ${record.name}`);
+    console.log(`  Owner:   ${record.ownerId}`);
+    console.log(`  Scopes:  ${record.scopes.join(', ')}`);
+    console.log(`\n  ${key}\n`);
+    console.log('Store this key now - it cannot be retrieved again.');
+    closeDatabase();
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error(`Failed to create API key: ${error.message}`);
+    process.exit(1);
+  });
@@ -0,0 +1,30 @@
+#!/usr/bin/env node
+
+/**
+ * Re-wrap data keys with the current master key
+ * Run after putting a new master key first in ENCRYPTION_KEY or
+ * ENCRYPTION_KEY_FILE, with the old one still listed as a previous key.
+ * Stored content is not re-encrypted. Once every key was re-wrapped, the old
+ * master key can be removed.
+ * Usage: node src/jobs/rotateKeys.js
+ */
+
+const encryptionService = require('../services/encryptionService');
+const { closeDatabase } = require('../models/database');
+
+encryptionService.rotateDataKeys()
+  .then(({ rewrapped, failed }) => {
+    console.log(`Data keys re-wrapped with master key ${encryptionService.currentKeyId}: ${rewrapped}`);
+    closeDatabase();
+
+    if (failed > 0) {
+      console.error(`${failed} data keys could not be unwrapped - keep the previous master keys configured until they can`);
+      process.exit(2);
+    }
+    console.log('Previous master keys are no longer needed.');
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error(`Failed to rotate keys: ${error.message}`);
+    process.exit(1);
+  });
@@ -0,0 +1,120 @@
+const apiKeyStore = require('../models/ApiKey');
+const config = require('../config/config');
+
+// Identity used for every request when authentication is disabled
+const ANONYMOUS_ADMIN = Object.freeze({
+  id: 'anonymous',
+  name: 'anonymous',
+  ownerId: null,
+  scopes: ['admin']
+});
+
+/**
+ * Extract an API key from the Authorization (Bearer) or X-API-Key header
+ */
+const getRequestKey = (req) => {
+  const authorization = req.get('Authorization');
+  if (authorization) {
+    const match = /^Bearer\s+(.+)$/i.exec(authorization.trim());
+    return match ? match[1] : null;
+  }
+
+  return req.get('X-API-Key') || null;
+};
+
+/**
+ * Authenticates the request by API key and attaches it as req.apiKey
+ */
+const authenticate = async (req, res, next) => {
+  if (!config.authEnabled) {
+    req.apiKey = ANONYMOUS_ADMIN;
+    return next();
+  }
+
+  const key = getRequestKey(req);
+
+  if (!key) {
+    res.setHeader('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required',
+      details: 'Provide an API key in the Authorization: Bearer or X-API-Key header'
+    });
+  }
+
+  try {
+    const apiKey = await apiKeyStore.findByKey(key);
+
+    if (!apiKey) {
+      res.setHeader('WWW-Authenticate', 'Bearer error="invalid_token"');
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or revoked API key'
+      });
+    }
+
+    req.apiKey = apiKey;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Check whether an API key has a scope. The admin scope grants all scopes.
+ */
+const hasScope = (apiKey, scope) => {
+  return Boolean(apiKey) && (apiKey.scopes.includes(scope) || apiKey.scopes.includes('admin'));
+};
+
+/**
+ * Requires the authenticated key to have the given scope, or one of the
+ * given scopes
+ */
+const requireScope = (...scopes) => {
+  return (req, res, next) => {
+    if (!scopes.some(scope => hasScope(req.apiKey, scope))) {
+      const names = scopes.map(scope => `"${scope}"`).join(' or ');
+      return res.status(403).json({
+        success: false,
+        error: 'Insufficient permissions',
+        details: `This operation requires the ${names} scope`
+      });
+    }
+
+    next();
+  };
+};
+
+/**
+ * Check whether the authenticated key may access a file record.
+ * Admins can access every file; everyone else only their own.
+ */
+const canAccessFile = (apiKey, file) => {
+  if (!file) {
+    return false;
+  }
+
+  return hasScope(apiKey, 'admin') || (Boolean(file.ownerId) && file.ownerId === apiKey.ownerId);
+};
+
+/**
+ * Check whether the authenticated key may access a collection.
+ * Same rules as files: admins see every collection, everyone else their own.
+ */
+const canAccessCollection = (apiKey, collection) => {
+  if (!collection) {
+    return false;
+  }
+
+  return hasScope(apiKey, 'admin') ||
+    (Boolean(collection.ownerId) && collection.ownerId === apiKey.ownerId);
+};
+
+module.exports = {
+  authenticate,
+  requireScope,
+  hasScope,
+  canAccessFile,
+  canAccessCollection
+};
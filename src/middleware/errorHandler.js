@@ -1,18 +1,29 @@
+const config = require('../config/config');
+const logger = require('../utils/logger').child({ component: 'http' });
+const metricsService = require('../services/metricsService');
+const { REJECTION_REASONS } = metricsService;
+
 /**
  * Centralized error handling middleware
  */
 const errorHandler = (err, req, res, next) => {
   // Log error for debugging
-  console.error('[Error]', {
-    message: err.message,
-    stack: process.env.NODE_ENV === 'development' ? err.stack : undefined,
-    url: req.url,
+  logger.error('Request error', {
+    requestId: req.id,
     method: req.method,
-    timestamp: new Date().toISOString()
+    url: req.originalUrl,
+    error: err,
+    stack: process.env.NODE_ENV === 'development' ? err.stack : undefined
   });
 
+  // Response already started (e.g. a client aborted a download) - let Express close it
+  if (res.headersSent) {
+    return next(err);
+  }
+
   // Multer-specific errors
   if (err.code === 'LIMIT_FILE_SIZE') {
+    metricsService.recordRejection(REJECTION_REASONS.SIZE);
     return res.status(413).json({
       success: false,
       error: 'File size exceeds the maximum allowed limit',
@@ -26,7 +37,7 @@ const errorHandler = (err, req, res, next) => {
     return res.status(400).json({
       success: false,
       error: 'Too many files uploaded at once',
-      details: 'Only one file per upload is allowed'
+      details: `POST /api/upload accepts one file; POST /api/upload/batch accepts up to ${config.maxBatchFiles}`
     });
   }
 
@@ -34,7 +45,7 @@ const errorHandler = (err, req, res, next) => {
     return res.status(400).json({
       success: false,
       error: 'Unexpected field name in upload',
-      details: 'Use "file" as the field name for uploads'
+      details: 'Use "file" as the field name for single uploads and "files" for batch uploads'
     });
   }
 
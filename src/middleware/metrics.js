@@ -0,0 +1,44 @@
+const metricsService = require('../services/metricsService');
+
+/**
+ * Records every request's latency by method, route and status code
+ */
+const requestMetrics = (req, res, next) => {
+  const startedAt = process.hrtime.bigint();
+
+  // Note the route pattern (e.g. /api/download/:fileId) when Express matches
+  // it: req.baseUrl is reset when an error leaves the router, so it cannot
+  // be read reliably once the response is done
+  let route;
+  let routePattern = null;
+  Object.defineProperty(req, 'route', {
+    configurable: true,
+    enumerable: true,
+    get: () => route,
+    set: (value) => {
+      route = value;
+      routePattern = value ? `${req.baseUrl}${value.path}` : routePattern;
+    }
+  });
+
+  let recorded = false;
+  const record = () => {
+    if (recorded) {
+      return;
+    }
+    recorded = true;
+    metricsService.observeRequest({
+      method: req.method,
+      route: routePattern,
+      statusCode: res.statusCode
+    }, Number(process.hrtime.bigint() - startedAt) / 1e9);
+  };
+
+  res.on('finish', record);
+  res.on('close', record);
+  next();
+};
+
+module.exports = {
+  requestMetrics
+};
@@ -0,0 +1,94 @@
+const { TokenBucketLimiter } = require('../utils/tokenBucket');
+const metricsService = require('../services/metricsService');
+const config = require('../config/config');
+
+// One limiter per route kind ('upload', 'download') and per identity type
+const limiters = Object.fromEntries(
+  Object.entries(config.rateLimit).map(([kind, { perKey, perIp }]) => [kind, {
+    perKey: perKey > 0 ? new TokenBucketLimiter(perKey) : null,
+    perIp: perIp > 0 ? new TokenBucketLimiter(perIp) : null
+  }])
+);
+
+/**
+ * The buckets a request draws from: its API key's (when authenticated)
+ * and its client IP's
+ */
+const getBuckets = (kind, req) => {
+  const { perKey, perIp } = limiters[kind];
+
+  return [
+    perKey && req.apiKey && { limiter: perKey, key: req.apiKey.id },
+    perIp && { limiter: perIp, key: req.ip }
+  ].filter(Boolean);
+};
+
+/**
+ * Pick the state with the fewest requests left
+ */
+const tightest = (states) => states.reduce((a, b) => (b.remaining < a.remaining ? b : a));
+
+const setRateLimitHeaders = (res, state) => {
+  res.setHeader('RateLimit-Limit', state.limit);
+  res.setHeader('RateLimit-Remaining', state.remaining);
+  res.setHeader('RateLimit-Reset', state.resetSeconds);
+};
+
+/**
+ * Token-bucket rate limiting per API key and per client IP. A request
+ * needs a token from every bucket that applies; refused requests take none.
+ * Place after authenticate so the key is known (unauthenticated routes
+ * such as share links are limited by IP only).
+ * @param {'upload'|'download'} kind - Which configured limits apply
+ */
+const rateLimit = (kind) => {
+  return (req, res, next) => {
+    const buckets = getBuckets(kind, req);
+    if (buckets.length === 0) {
+      return next();
+    }
+
+    const now = Date.now();
+    const states = buckets.map(({ limiter, key }) => limiter.peek(key, now));
+    const blocked = states.filter(state => state.retryAfterSeconds > 0);
+
+    if (blocked.length > 0) {
+      const state = blocked.reduce((a, b) => (b.retryAfterSeconds > a.retryAfterSeconds ? b : a));
+      setRateLimitHeaders(res, state);
+      res.setHeader('Retry-After', state.retryAfterSeconds);
+      metricsService.recordRateLimited(kind);
+
+      return res.status(429).json({
+        success: false,
+        error: 'Too many requests',
+        details: `Rate limit of ${state.limit} ${kind} requests per minute reached, retry in ${state.retryAfterSeconds} second(s)`
+      });
+    }
+
+    setRateLimitHeaders(res, tightest(buckets.map(({ limiter, key }) => limiter.take(key, now))));
+    next();
+  };
+};
+
+/**
+ * Current rate limit state for a request, per kind (null when unlimited)
+ * @returns {Object<string, { limit: number, remaining: number, resetSeconds: number }|null>}
+ */
+const getRateLimitStatus = (req) => {
+  const now = Date.now();
+
+  return Object.fromEntries(Object.keys(limiters).map((kind) => {
+    const buckets = getBuckets(kind, req);
+    if (buckets.length === 0) {
+      return [kind, null];
+    }
+
+    const { limit, remaining, resetSeconds } = tightest(buckets.map(({ limiter, key }) => limiter.peek(key, now)));
+    return [kind, { limit, remaining, resetSeconds }];
+  }));
+};
+
+module.exports = {
+  rateLimit,
+  getRateLimitStatus
+};
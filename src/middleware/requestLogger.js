@@ -0,0 +1,58 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger').child({ component: 'http' });
+const { runWithContext } = require('../utils/requestContext');
+
+// Caller-supplied request IDs are kept if they look like IDs
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/**
+ * Gives every request an ID (the caller's X-Request-Id, or a new UUID),
+ * echoes it in the X-Request-Id response header and makes it available to
+ * everything the request runs (see utils/requestContext). Logs each
+ * request when its response finishes, or when the client goes away first.
+ */
+const requestLogger = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  const startedAt = process.hrtime.bigint();
+  // Read now: it is gone once the client disconnects
+  const ip = req.ip;
+
+  req.id = requestId;
+  res.setHeader('X-Request-Id', requestId);
+
+  let logged = false;
+  const logRequest = () => {
+    if (logged) {
+      return;
+    }
+    logged = true;
+
+    const fields = {
+      requestId,
+      method: req.method,
+      url: req.originalUrl,
+      status: res.statusCode,
+      durationMs: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e4) / 100,
+      ip,
+      keyId: req.apiKey ? req.apiKey.id : undefined,
+      // The client closed the connection before the response was complete
+      clientClosed: res.writableFinished ? undefined : true
+    };
+
+    if (res.statusCode >= 500) {
+      logger.error('Request failed', fields);
+    } else {
+      logger.info('Request completed', fields);
+    }
+  };
+
+  res.on('finish', logRequest);
+  res.on('close', logRequest);
+
+  runWithContext({ requestId, ip, req }, next);
+};
+
+module.exports = {
+  requestLogger
+};
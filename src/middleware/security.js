@@ -2,6 +2,50 @@ const path = require('path');
 const FileType = require('file-type');
 const fs = require('fs').promises;
 const config = require('../config/config');
+const blobStore = require('../models/Blob');
+const collectionStore = require('../models/Collection');
+const quotaService = require('../services/quotaService');
+const evictionService = require('../services/evictionService');
+const metricsService = require('../services/metricsService');
+const { REJECTION_REASONS } = metricsService;
+const { canAccessCollection } = require('./auth');
+const { parseAnnotations, mergeMetadata } = require('../utils/annotations');
+const { parseChecksumHeaders, findChecksumMismatches } = require('../utils/checksum');
+
+/**
+ * Checks a staged file's actual content (magic bytes) against its claimed
+ * MIME type and the allowed list.
+ * Returns { reason, error, details } describing the problem (reason is one
+ * of REJECTION_REASONS, not meant for responses), or null if the file is acceptable.
+ */
+const checkFileContent = async (file) => {
+  // Read file buffer to detect actual MIME type
+  const fileBuffer = await fs.readFile(file.path);
+  const detectedType = await FileType.fromBuffer(fileBuffer);
+
+  // Content without a recognisable signature (e.g. text) is left to the MIME whitelist
+  if (!detectedType) {
+    return null;
+  }
+
+  if (detectedType.mime !== file.mimetype) {
+    return {
+      reason: REJECTION_REASONS.MIME_MISMATCH,
+      error: 'File MIME type mismatch detected. Possible file spoofing attempt.',
+      details: {
+        claimed: file.mimetype,
+        actual: detectedType.mime
+      }
+    };
+  }
+
+  // Verify detected MIME type is in allowed list
+  if (!config.allowedMimeTypes.includes(detectedType.mime)) {
+    return { reason: REJECTION_REASONS.MIME_NOT_ALLOWED, error: `Actual file type ${detectedType.mime} is not allowed` };
+  }
+
+  return null;
+};
 
 /**
  * Validates file MIME type by checking actual file content
@@ -13,35 +57,19 @@ const validateFileMimeType = async (req, res, next) => {
   }
 
   try {
-    // Read file buffer to detect actual MIME type
-    const fileBuffer = await fs.readFile(req.file.path);
-    const detectedType = await FileType.fromBuffer(fileBuffer);
+    const problem = await checkFileContent(req.file);
 
-    // If file type is detected and doesn't match claimed MIME type
-    if (detectedType) {
-      if (detectedType.mime !== req.file.mimetype) {
-        // Delete the uploaded file
-        await fs.unlink(req.file.path);
-        
-        return res.status(400).json({
-          success: false,
-          error: 'File MIME type mismatch detected. Possible file spoofing attempt.',
-          details: {
-            claimed: req.file.mimetype,
-            actual: detectedType.mime
-          }
-        });
-      }
+    if (problem) {
+      // Delete the uploaded file
+      await fs.unlink(req.file.path);
 
-      // Verify detected MIME type is in allowed list
-      if (!config.allowedMimeTypes.includes(detectedType.mime)) {
-        await fs.unlink(req.file.path);
-        
-        return res.status(400).json({
-          success: false,
-          error: `Actual file type ${detectedType.mime} is not allowed`
-        });
-      }
+      const { reason, ...body } = problem;
+      metricsService.recordRejection(reason);
+
+      return res.status(400).json({
+        success: false,
+        ...body
+      });
     }
 
     next();
@@ -59,6 +87,201 @@ const validateFileMimeType = async (req, res, next) => {
   }
 };
 
+/**
+ * Checks a file's declared name and MIME type against the configured
+ * blocked extensions and allowed MIME types.
+ * Returns { reason, error } (reason is one of REJECTION_REASONS), or null
+ * if the file is acceptable.
+ */
+const validateFileAttributes = (originalname, mimetype) => {
+  const ext = path.extname(originalname).toLowerCase();
+
+  if (config.blockedExtensions.includes(ext)) {
+    return {
+      reason: REJECTION_REASONS.BLOCKED_EXTENSION,
+      error: `File type ${ext} is not allowed for security reasons`
+    };
+  }
+
+  if (!config.allowedMimeTypes.includes(mimetype)) {
+    return { reason: REJECTION_REASONS.MIME_NOT_ALLOWED, error: `MIME type ${mimetype} is not allowed` };
+  }
+
+  return null;
+};
+
+/**
+ * Validates a requested retention period in hours.
+ * Returns an error message, or null if the value is acceptable.
+ */
+const validateTtlHours = (ttlHours) => {
+  if (typeof ttlHours !== 'number' || !Number.isFinite(ttlHours) || ttlHours <= 0) {
+    return 'ttlHours must be a positive number';
+  }
+
+  if (ttlHours > config.maxFileRetentionHours) {
+    return `ttlHours cannot exceed the maximum retention of ${config.maxFileRetentionHours} hours`;
+  }
+
+  return null;
+};
+
+/**
+ * Remove the staged files of a rejected upload.
+ * Single uploads set req.file, batch uploads req.files.
+ */
+const discardStagedUploads = async (req) => {
+  const staged = req.file ? [req.file] : (req.files || []);
+  for (const file of staged) {
+    try {
+      await fs.unlink(file.path);
+    } catch {}
+  }
+};
+
+/**
+ * Verifies the staged upload against the Content-MD5 and Digest headers the
+ * client sent, if any. Checksums describe a single file, so batch uploads
+ * may not carry them.
+ */
+const verifyUploadChecksum = async (req, res, next) => {
+  const { expected, error } = parseChecksumHeaders(req);
+
+  if (error) {
+    await discardStagedUploads(req);
+
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid checksum header',
+      details: error
+    });
+  }
+
+  if (Object.keys(expected).length === 0 || !(req.file || req.files)) {
+    return next();
+  }
+
+  if (!req.file) {
+    await discardStagedUploads(req);
+
+    return res.status(400).json({
+      success: false,
+      error: 'Checksum headers are not supported for batch uploads',
+      details: 'Content-MD5 and Digest describe a single file; upload files individually to have them verified'
+    });
+  }
+
+  const mismatches = findChecksumMismatches(expected, req.file);
+  if (mismatches) {
+    await discardStagedUploads(req);
+    metricsService.recordRejection(REJECTION_REASONS.CHECKSUM_MISMATCH);
+
+    return res.status(400).json({
+      success: false,
+      error: 'Checksum mismatch',
+      details: mismatches
+    });
+  }
+
+  next();
+};
+
+/**
+ * Validates the optional ttlHours upload field and exposes it as req.ttlHours
+ */
+const validateUploadRetention = async (req, res, next) => {
+  if (!req.body || req.body.ttlHours === undefined || req.body.ttlHours === '') {
+    return next();
+  }
+
+  const ttlHours = Number(req.body.ttlHours);
+  const ttlError = validateTtlHours(ttlHours);
+
+  if (ttlError) {
+    await discardStagedUploads(req);
+
+    return res.status(400).json({
+      success: false,
+      error: ttlError
+    });
+  }
+
+  req.ttlHours = ttlHours;
+  next();
+};
+
+/**
+ * Validates the optional description, tags and metadata upload fields and
+ * exposes them as req.annotations
+ */
+const validateUploadAnnotations = async (req, res, next) => {
+  const { annotations, error } = parseAnnotations(req.body);
+  const metadata = annotations && annotations.metadata ? mergeMetadata({}, annotations.metadata) : null;
+  const message = error || (metadata && metadata.error);
+
+  if (message) {
+    await discardStagedUploads(req);
+
+    return res.status(400).json({
+      success: false,
+      error: message
+    });
+  }
+
+  req.annotations = { ...annotations, ...(metadata && { metadata: metadata.value }) };
+  next();
+};
+
+/**
+ * Check that a collection exists, is visible to the key and can hold files
+ * of the given owner. Returns an error response body with its status, or null.
+ */
+const checkCollectionTarget = (apiKey, collection, ownerId) => {
+  if (!canAccessCollection(apiKey, collection)) {
+    return { status: 404, error: 'Collection not found' };
+  }
+
+  if ((collection.ownerId || null) !== (ownerId || null)) {
+    return {
+      status: 400,
+      error: 'Collection belongs to a different owner',
+      details: 'Files can only be placed in collections of the same owner'
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Validates the optional collectionId upload field and exposes the
+ * collection as req.collection
+ */
+const validateUploadCollection = async (req, res, next) => {
+  if (!req.body || req.body.collectionId === undefined || req.body.collectionId === '') {
+    return next();
+  }
+
+  try {
+    const collection = typeof req.body.collectionId === 'string'
+      ? await collectionStore.getCollection(req.body.collectionId)
+      : null;
+    const rejection = checkCollectionTarget(req.apiKey, collection, req.apiKey.ownerId);
+
+    if (rejection) {
+      await discardStagedUploads(req);
+
+      const { status, ...body } = rejection;
+      return res.status(status).json({ success: false, ...body });
+    }
+
+    req.collection = collection;
+    next();
+  } catch (error) {
+    await discardStagedUploads(req);
+    next(error);
+  }
+};
+
 /**
  * Validates filename to prevent directory traversal attacks
  */
@@ -76,20 +299,35 @@ const sanitizeFilename = (filename) => {
 };
 
 /**
- * Checks if storage limit would be exceeded
+ * Bytes a staged upload would add to storage. Content that is already
+ * stored is deduplicated and takes no extra space.
  */
-const checkStorageLimit = (metadataStore) => {
+const getIncomingSize = async (file) => {
+  const alreadyStored = file.sha256 && await blobStore.getBlob(file.sha256);
+  return alreadyStored ? 0 : file.size;
+};
+
+/**
+ * Checks if storage limit would be exceeded. Under an eviction policy,
+ * files are evicted first to make room (see EvictionService), so this must
+ * come after every other check of the upload: a request refused later would
+ * have deleted other files for nothing.
+ */
+const checkStorageLimit = () => {
   return async (req, res, next) => {
+    if (!req.file) {
+      return next();
+    }
+
     try {
-      const currentUsage = await metadataStore.getTotalStorageUsed();
-      const incomingSize = req.file ? req.file.size : 0;
+      const incomingSize = await getIncomingSize(req.file);
+      const currentUsage = await evictionService.makeRoom(incomingSize);
 
       if (currentUsage + incomingSize > config.maxStorageBytes) {
         // Delete the uploaded file
-        if (req.file) {
-          await fs.unlink(req.file.path);
-        }
+        await fs.unlink(req.file.path);
 
+        metricsService.recordRejection(REJECTION_REASONS.STORAGE_LIMIT);
         return res.status(507).json({
           success: false,
           error: 'Storage limit exceeded',
@@ -112,6 +350,50 @@ const checkStorageLimit = (metadataStore) => {
   };
 };
 
+/**
+ * Send a quota refusal from quotaService.checkUpload
+ */
+const sendQuotaRejection = (res, { status, error, details, retryAfterSeconds }) => {
+  metricsService.recordRejection(REJECTION_REASONS.QUOTA);
+
+  if (retryAfterSeconds) {
+    res.setHeader('Retry-After', retryAfterSeconds);
+  }
+
+  return res.status(status).json({
+    success: false,
+    error,
+    details
+  });
+};
+
+/**
+ * Checks the uploading key's quotas (stored bytes, file count, uploads per
+ * hour) for the staged file. A new version of an existing file
+ * (req.targetFile) adds no file.
+ */
+const checkUploadQuota = async (req, res, next) => {
+  try {
+    const rejection = req.file
+      ? await quotaService.checkUpload(req.apiKey, {
+        bytes: req.file.size,
+        files: req.targetFile ? 0 : 1,
+        uploads: 1
+      })
+      : null;
+
+    if (rejection) {
+      await fs.unlink(req.file.path).catch(() => {});
+      return sendQuotaRejection(res, rejection);
+    }
+
+    next();
+  } catch (error) {
+    await discardStagedUploads(req);
+    next(error);
+  }
+};
+
 /**
  * Validates file ID parameter to prevent path traversal
  */
@@ -139,8 +421,19 @@ const validateFileId = (req, res, next) => {
 };
 
 module.exports = {
+  checkFileContent,
   validateFileMimeType,
+  validateFileAttributes,
+  validateTtlHours,
+  verifyUploadChecksum,
+  validateUploadRetention,
+  validateUploadAnnotations,
+  checkCollectionTarget,
+  validateUploadCollection,
   sanitizeFilename,
+  getIncomingSize,
   checkStorageLimit,
+  sendQuotaRejection,
+  checkUploadQuota,
   validateFileId
 };
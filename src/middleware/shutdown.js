@@ -0,0 +1,26 @@
+const shutdownService = require('../services/shutdownService');
+
+/**
+ * Tracks the request for a graceful shutdown. While draining, new requests
+ * are refused (except health checks, which report "draining") and their
+ * connection is closed.
+ */
+const trackInFlight = (req, res, next) => {
+  if (shutdownService.isDraining()) {
+    res.setHeader('Connection', 'close');
+
+    if (req.path !== '/api/health') {
+      return res.status(503).json({
+        success: false,
+        error: 'Server is shutting down'
+      });
+    }
+  }
+
+  shutdownService.trackRequest(req, res);
+  next();
+};
+
+module.exports = {
+  trackInFlight
+};
@@ -0,0 +1,176 @@
+const crypto = require('crypto');
+const { getDatabase } = require('./database');
+
+const SCOPES = ['upload', 'read', 'delete', 'admin'];
+const KEY_PREFIX = 'fz_';
+
+/**
+ * Hash an API key for storage and lookup. Keys are long random strings,
+ * so a fast unsalted hash is sufficient and allows indexed lookups.
+ */
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+class ApiKeyStore {
+  constructor() {
+    this.db = null;
+    this.statements = null;
+    this.initialized = false;
+  }
+
+  async initialize() {
+    if (this.initialized) return;
+
+    try {
+      this.db = getDatabase();
+      this.statements = {
+        insert: this.db.prepare(`
+          INSERT INTO api_keys (id, name, owner_id, key_hash, scopes, quota, created_at)
+          VALUES (@id, @name, @ownerId, @keyHash, @scopes, @quota, @createdAt)
+        `),
+        get: this.db.prepare('SELECT * FROM api_keys WHERE id = ?'),
+        byHash: this.db.prepare('SELECT * FROM api_keys WHERE key_hash = ? AND revoked_at IS NULL'),
+        byHashWithRevoked: this.db.prepare('SELECT * FROM api_keys WHERE key_hash = ?'),
+        all: this.db.prepare('SELECT * FROM api_keys ORDER BY created_at DESC'),
+        touch: this.db.prepare('UPDATE api_keys SET last_used_at = ? WHERE id = ?'),
+        setQuota: this.db.prepare('UPDATE api_keys SET quota = ? WHERE id = ?'),
+        revoke: this.db.prepare('UPDATE api_keys SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL')
+      };
+
+      this.initialized = true;
+    } catch (error) {
+      throw new Error(`Failed to initialize API key store: ${error.message}`);
+    }
+  }
+
+  fromRow(row) {
+    if (!row) {
+      return undefined;
+    }
+
+    return {
+      id: row.id,
+      name: row.name,
+      ownerId: row.owner_id,
+      scopes: JSON.parse(row.scopes),
+      // Overrides of the default quotas, or null
+      quota: row.quota ? JSON.parse(row.quota) : null,
+      createdAt: row.created_at,
+      lastUsedAt: row.last_used_at,
+      revokedAt: row.revoked_at
+    };
+  }
+
+  /**
+   * Create a key. The plaintext key is only returned here - it is stored hashed.
+   * Keys sharing an ownerId see the same files; by default each key is its own owner.
+   * A quota ({ storageBytes?, files?, uploadsPerHour? }) overrides the defaults.
+   */
+  async createKey({ name, scopes, ownerId, key, quota = null }) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const invalidScopes = scopes.filter(scope => !SCOPES.includes(scope));
+    if (invalidScopes.length > 0) {
+      throw new Error(`Unknown scope(s): ${invalidScopes.join(', ')}`);
+    }
+
+    const id = crypto.randomBytes(8).toString('hex');
+    const plaintext = key || `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+
+    this.statements.insert.run({
+      id,
+      name,
+      ownerId: ownerId || id,
+      keyHash: hashKey(plaintext),
+      scopes: JSON.stringify([...new Set(scopes)]),
+      quota: quota ? JSON.stringify(quota) : null,
+      createdAt: new Date().toISOString()
+    });
+
+    return { key: plaintext, record: this.fromRow(this.statements.get.get(id)) };
+  }
+
+  /**
+   * Find an active key by its plaintext value and record its use
+   */
+  async findByKey(plaintext) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const record = this.fromRow(this.statements.byHash.get(hashKey(plaintext)));
+    if (record) {
+      this.statements.touch.run(new Date().toISOString(), record.id);
+    }
+
+    return record;
+  }
+
+  async getKey(keyId) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    return this.fromRow(this.statements.get.get(keyId));
+  }
+
+  async getAllKeys() {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    return this.statements.all.all().map(row => this.fromRow(row));
+  }
+
+  /**
+   * Replace a key's quota overrides (null restores the defaults).
+   * Returns the updated key, or null if it does not exist.
+   */
+  async setQuota(keyId, quota) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    if (this.statements.setQuota.run(quota ? JSON.stringify(quota) : null, keyId).changes === 0) {
+      return null;
+    }
+
+    return this.fromRow(this.statements.get.get(keyId));
+  }
+
+  /**
+   * Revoke a key. Returns false if it does not exist or is already revoked.
+   */
+  async revokeKey(keyId) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    return this.statements.revoke.run(new Date().toISOString(), keyId).changes > 0;
+  }
+
+  /**
+   * Make sure a given plaintext key exists (used to bootstrap an admin key).
+   * A key that was revoked stays revoked and is returned as it is.
+   */
+  async ensureKey({ name, scopes, key }) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const existing = this.fromRow(this.statements.byHashWithRevoked.get(hashKey(key)));
+    if (existing) {
+      return existing;
+    }
+
+    const { record } = await this.createKey({ name, scopes, key });
+    return record;
+  }
+}
+
+// Singleton instance
+const apiKeyStore = new ApiKeyStore();
+
+module.exports = apiKeyStore;
+module.exports.SCOPES = SCOPES;
@@ -0,0 +1,107 @@
+const { getDatabase } = require('./database');
+
+/**
+ * Append-only record of file operations. The table refuses updates and
+ * deletes, so this store only appends and queries.
+ */
+class AuditLogStore {
+  constructor() {
+    this.db = null;
+    this.statements = null;
+    this.initialized = false;
+  }
+
+  async initialize() {
+    if (this.initialized) return;
+
+    try {
+      this.db = getDatabase();
+      this.statements = {
+        insert: this.db.prepare(`
+          INSERT INTO audit_log (
+            occurred_at, action, file_id, file_name, owner_id, actor_key_id, actor_ip, request_id, details
+          )
+          VALUES (@occurredAt, @action, @fileId, @fileName, @ownerId, @actorKeyId, @actorIp, @requestId, @details)
+        `),
+        // Newest first; "before" continues after the last entry of a page
+        query: this.db.prepare(`
+          SELECT * FROM audit_log
+          WHERE (@fileId IS NULL OR file_id = @fileId)
+            AND (@action IS NULL OR action = @action)
+            AND (@actorKeyId IS NULL OR actor_key_id = @actorKeyId)
+            AND (@ownerId IS NULL OR owner_id = @ownerId)
+            AND (@from IS NULL OR occurred_at >= @from)
+            AND (@to IS NULL OR occurred_at < @to)
+            AND (@before IS NULL OR id < @before)
+          ORDER BY id DESC
+          LIMIT @limit
+        `)
+      };
+
+      this.initialized = true;
+    } catch (error) {
+      throw new Error(`Failed to initialize audit log: ${error.message}`);
+    }
+  }
+
+  fromRow(row) {
+    return {
+      id: row.id,
+      occurredAt: row.occurred_at,
+      action: row.action,
+      fileId: row.file_id,
+      fileName: row.file_name,
+      ownerId: row.owner_id,
+      actorKeyId: row.actor_key_id,
+      actorIp: row.actor_ip,
+      requestId: row.request_id,
+      details: JSON.parse(row.details)
+    };
+  }
+
+  /**
+   * Append an entry
+   * @param {Object} entry - { occurredAt, action, fileId, fileName, ownerId,
+   *   actorKeyId, actorIp, requestId, details }
+   */
+  async append(entry) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    this.statements.insert.run({ ...entry, details: JSON.stringify(entry.details || {}) });
+  }
+
+  /**
+   * Entries matching the filters, newest first
+   * @param {Object} filters - fileId, action, actorKeyId, ownerId, from and
+   *   to (Date), before (entry id) and limit; unset filters match everything
+   * @returns {Promise<{ entries: Object[], hasMore: boolean }>}
+   */
+  async query({ fileId = null, action = null, actorKeyId = null, ownerId = null, from = null, to = null, before = null, limit }) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const rows = this.statements.query.all({
+      fileId,
+      action,
+      actorKeyId,
+      ownerId,
+      from: from ? from.toISOString() : null,
+      to: to ? to.toISOString() : null,
+      before,
+      limit: limit + 1
+    });
+
+    return {
+      entries: rows.slice(0, limit).map(row => this.fromRow(row)),
+      hasMore: rows.length > limit
+    };
+  }
+}
+
+// Singleton instance
+const auditLogStore = new AuditLogStore();
+
+module.exports = auditLogStore;
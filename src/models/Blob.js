@@ -0,0 +1,156 @@
+const { getDatabase } = require('./database');
+
+/**
+ * Content-addressed blobs. Identical uploads share one stored object;
+ * each file record and prior version referencing a blob counts towards its
+ * ref_count.
+ * References are added and dropped by FileMetadataStore in the same
+ * transaction as the file record itself.
+ */
+class BlobStore {
+  constructor() {
+    this.db = null;
+    this.statements = null;
+    this.initialized = false;
+  }
+
+  async initialize() {
+    if (this.initialized) return;
+
+    try {
+      this.db = getDatabase();
+      this.statements = {
+        insert: this.db.prepare(`
+          INSERT INTO blobs (hash, storage_key, size, ref_count, created_at, updated_at)
+          VALUES (@hash, @storageKey, @size, 0, @now, @now)
+        `),
+        get: this.db.prepare('SELECT * FROM blobs WHERE hash = ?'),
+        // Does not touch updated_at, which dates the last reference change
+        setIntegrity: this.db.prepare(`
+          UPDATE blobs SET integrity_status = @integrityStatus, verified_at = @verifiedAt WHERE hash = @hash
+        `),
+        all: this.db.prepare('SELECT * FROM blobs'),
+        // Only removes blobs nothing references any more
+        delete: this.db.prepare('DELETE FROM blobs WHERE hash = ? AND ref_count = 0'),
+        unreferenced: this.db.prepare('SELECT * FROM blobs WHERE ref_count = 0 AND updated_at <= ?'),
+        // Recount references from files and their prior versions, fixing
+        // drift after crashes
+        reconcile: this.db.prepare(`
+          WITH refs AS (
+            SELECT hash,
+              (SELECT COUNT(*) FROM files WHERE files.blob_hash = blobs.hash) +
+              (SELECT COUNT(*) FROM file_versions WHERE file_versions.blob_hash = blobs.hash) AS count
+            FROM blobs
+          )
+          UPDATE blobs
+          SET ref_count = (SELECT count FROM refs WHERE refs.hash = blobs.hash), updated_at = ?
+          WHERE ref_count != (SELECT count FROM refs WHERE refs.hash = blobs.hash)
+        `)
+      };
+
+      this.initialized = true;
+    } catch (error) {
+      throw new Error(`Failed to initialize blob store: ${error.message}`);
+    }
+  }
+
+  fromRow(row) {
+    if (!row) {
+      return undefined;
+    }
+
+    return {
+      hash: row.hash,
+      storageKey: row.storage_key,
+      size: row.size,
+      refCount: row.ref_count,
+      // Set when a scrub found the stored object no longer matches the hash
+      integrityStatus: row.integrity_status || null,
+      verifiedAt: row.verified_at || null,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  async getBlob(hash) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    return this.fromRow(this.statements.get.get(hash));
+  }
+
+  async getAllBlobs() {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    return this.statements.all.all().map(row => this.fromRow(row));
+  }
+
+  /**
+   * Record a newly stored blob. It starts without references; the file
+   * record that uses it adds the first one.
+   */
+  async addBlob({ hash, storageKey, size }) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    this.statements.insert.run({ hash, storageKey, size, now: new Date().toISOString() });
+    return this.getBlob(hash);
+  }
+
+  /**
+   * Record the outcome of checking a blob's stored object against its hash
+   * @param {{ integrityStatus: string|null, verifiedAt: string }} result -
+   *   integrityStatus is null when the object matched
+   */
+  async setIntegrity(hash, { integrityStatus, verifiedAt }) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    this.statements.setIntegrity.run({ hash, integrityStatus, verifiedAt });
+    return this.getBlob(hash);
+  }
+
+  /**
+   * Remove a blob record. Refuses while anything still references it.
+   */
+  async deleteBlob(hash) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    return this.statements.delete.run(hash).changes > 0;
+  }
+
+  /**
+   * Blobs with no references that have not changed since the given time
+   */
+  async getUnreferencedBlobs(olderThan) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    return this.statements.unreferenced.all(olderThan.toISOString()).map(row => this.fromRow(row));
+  }
+
+  /**
+   * Recompute every blob's ref_count from the files and file_versions tables.
+   * Returns the number of blobs whose count was corrected.
+   */
+  async reconcileReferences() {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    return this.statements.reconcile.run(new Date().toISOString()).changes;
+  }
+}
+
+// Singleton instance
+const blobStore = new BlobStore();
+
+module.exports = blobStore;
@@ -0,0 +1,162 @@
+const crypto = require('crypto');
+const { getDatabase } = require('./database');
+
+// Collection columns plus the number and total size of the files inside
+const SELECT_WITH_USAGE = `
+  SELECT collections.*, COUNT(files.id) AS file_count, COALESCE(SUM(files.size), 0) AS total_size
+  FROM collections
+  LEFT JOIN files ON files.collection_id = collections.id
+`;
+
+class CollectionStore {
+  constructor() {
+    this.db = null;
+    this.statements = null;
+    this.initialized = false;
+  }
+
+  async initialize() {
+    if (this.initialized) return;
+
+    try {
+      this.db = getDatabase();
+      this.statements = {
+        insert: this.db.prepare(`
+          INSERT INTO collections (id, owner_id, name, retention_hours, created_at, updated_at)
+          VALUES (@id, @ownerId, @name, @retentionHours, @createdAt, @updatedAt)
+        `),
+        update: this.db.prepare(`
+          UPDATE collections
+          SET name = @name, retention_hours = @retentionHours, updated_at = @updatedAt
+          WHERE id = @id
+        `),
+        get: this.db.prepare(`${SELECT_WITH_USAGE} WHERE collections.id = ? GROUP BY collections.id`),
+        byName: this.db.prepare(`
+          SELECT id FROM collections WHERE COALESCE(owner_id, '') = COALESCE(?, '') AND name = ?
+        `),
+        all: this.db.prepare(`${SELECT_WITH_USAGE} GROUP BY collections.id ORDER BY collections.name`),
+        byOwner: this.db.prepare(`
+          ${SELECT_WITH_USAGE} WHERE collections.owner_id = ? GROUP BY collections.id ORDER BY collections.name
+        `),
+        delete: this.db.prepare('DELETE FROM collections WHERE id = ?')
+      };
+
+      this.initialized = true;
+    } catch (error) {
+      throw new Error(`Failed to initialize collection store: ${error.message}`);
+    }
+  }
+
+  fromRow(row) {
+    if (!row) {
+      return undefined;
+    }
+
+    return {
+      id: row.id,
+      ownerId: row.owner_id,
+      name: row.name,
+      retentionHours: row.retention_hours,
+      fileCount: row.file_count,
+      totalSize: row.total_size,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  async createCollection({ name, ownerId = null, retentionHours = null }) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const now = new Date().toISOString();
+    const id = crypto.randomBytes(16).toString('hex');
+
+    this.statements.insert.run({
+      id,
+      ownerId,
+      name,
+      retentionHours,
+      createdAt: now,
+      updatedAt: now
+    });
+
+    return this.fromRow(this.statements.get.get(id));
+  }
+
+  async getCollection(collectionId) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    return this.fromRow(this.statements.get.get(collectionId));
+  }
+
+  /**
+   * Whether an owner already has a collection with this name (case-insensitive)
+   */
+  async nameExists(ownerId, name, exceptId = null) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const row = this.statements.byName.get(ownerId, name);
+    return Boolean(row) && row.id !== exceptId;
+  }
+
+  async getAllCollections() {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    return this.statements.all.all().map(row => this.fromRow(row));
+  }
+
+  async getCollectionsByOwner(ownerId) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    return this.statements.byOwner.all(ownerId).map(row => this.fromRow(row));
+  }
+
+  /**
+   * Rename a collection or change its retention
+   * @param {{ name?: string, retentionHours?: number|null }} changes
+   */
+  async updateCollection(collectionId, changes) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const collection = this.fromRow(this.statements.get.get(collectionId));
+    if (!collection) {
+      return null;
+    }
+
+    this.statements.update.run({
+      id: collectionId,
+      name: changes.name !== undefined ? changes.name : collection.name,
+      retentionHours: changes.retentionHours !== undefined ? changes.retentionHours : collection.retentionHours,
+      updatedAt: new Date().toISOString()
+    });
+
+    return this.fromRow(this.statements.get.get(collectionId));
+  }
+
+  /**
+   * Delete a collection. The database refuses while files still reference it.
+   */
+  async deleteCollection(collectionId) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    return this.statements.delete.run(collectionId).changes > 0;
+  }
+}
+
+// Singleton instance
+const collectionStore = new CollectionStore();
+
+module.exports = collectionStore;
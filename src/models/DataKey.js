@@ -0,0 +1,188 @@
+const { getDatabase } = require('./database');
+
+/**
+ * Data keys of encrypted stored objects, wrapped (encrypted) with a master
+ * key. Each object has its own data key; its ID is in the object's header.
+ * An object being replaced briefly has two: the new key is added before the
+ * new content is written, and the old one removed afterwards.
+ */
+class DataKeyStore {
+  constructor() {
+    this.db = null;
+    this.statements = null;
+    this.initialized = false;
+  }
+
+  async initialize() {
+    if (this.initialized) return;
+
+    try {
+      this.db = getDatabase();
+      this.statements = {
+        insert: this.db.prepare(`
+          INSERT INTO data_keys (id, storage_key, wrapped_key, master_key_id, created_at)
+          VALUES (@id, @storageKey, @wrappedKey, @masterKeyId, @createdAt)
+        `),
+        get: this.db.prepare('SELECT * FROM data_keys WHERE id = ?'),
+        hasKey: this.db.prepare('SELECT 1 FROM data_keys WHERE storage_key = ? LIMIT 1'),
+        delete: this.db.prepare('DELETE FROM data_keys WHERE id = ?'),
+        deleteForObject: this.db.prepare('DELETE FROM data_keys WHERE storage_key = ?'),
+        deleteOthers: this.db.prepare('DELETE FROM data_keys WHERE storage_key = ? AND id != ?'),
+        move: this.db.prepare('UPDATE data_keys SET storage_key = ? WHERE storage_key = ?'),
+        // Keyset pagination, so keys that cannot be re-wrapped are not returned again
+        wrappedWithOther: this.db.prepare(`
+          SELECT * FROM data_keys WHERE master_key_id != ? AND id > ? ORDER BY id LIMIT ?
+        `),
+        // Only re-wraps a key still wrapped with the master key it was read with
+        rewrap: this.db.prepare(`
+          UPDATE data_keys SET wrapped_key = @wrappedKey, master_key_id = @masterKeyId, rotated_at = @rotatedAt
+          WHERE id = @id AND master_key_id = @previousMasterKeyId
+        `),
+        countByMasterKey: this.db.prepare(`
+          SELECT master_key_id, COUNT(*) AS count FROM data_keys GROUP BY master_key_id
+        `)
+      };
+
+      this.initialized = true;
+    } catch (error) {
+      throw new Error(`Failed to initialize data key store: ${error.message}`);
+    }
+  }
+
+  fromRow(row) {
+    if (!row) {
+      return undefined;
+    }
+
+    return {
+      id: row.id,
+      storageKey: row.storage_key,
+      wrappedKey: row.wrapped_key,
+      masterKeyId: row.master_key_id,
+      createdAt: row.created_at,
+      rotatedAt: row.rotated_at
+    };
+  }
+
+  async addKey({ id, storageKey, wrappedKey, masterKeyId }) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    this.statements.insert.run({ id, storageKey, wrappedKey, masterKeyId, createdAt: new Date().toISOString() });
+    return this.getKey(id);
+  }
+
+  async getKey(id) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    return this.fromRow(this.statements.get.get(id));
+  }
+
+  /**
+   * Whether the object stored under a storage key is encrypted. Objects
+   * stored before encryption was enabled have no data key.
+   */
+  async hasKey(storageKey) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    return Boolean(this.statements.hasKey.get(storageKey));
+  }
+
+  async deleteKey(id) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    return this.statements.delete.run(id).changes > 0;
+  }
+
+  /**
+   * Remove the data keys of a deleted object
+   */
+  async deleteKeysForObject(storageKey) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    return this.statements.deleteForObject.run(storageKey).changes;
+  }
+
+  /**
+   * Remove the keys of an object's previous content once it was replaced
+   */
+  async deleteOtherKeys(storageKey, keepId) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    return this.statements.deleteOthers.run(storageKey, keepId).changes;
+  }
+
+  /**
+   * Hand an object's keys over to another storage key, replacing any keys
+   * it had
+   * @returns {Promise<number>} Number of keys moved
+   */
+  async moveKeys(fromStorageKey, toStorageKey) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    return this.db.transaction(() => {
+      this.statements.deleteForObject.run(toStorageKey);
+      return this.statements.move.run(toStorageKey, fromStorageKey).changes;
+    })();
+  }
+
+  /**
+   * A page of data keys wrapped with a master key other than the given one
+   * @param {string} afterId - Last ID of the previous page ('' for the first)
+   */
+  async getKeysWrappedWithOther(masterKeyId, afterId = '', limit = 500) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    return this.statements.wrappedWithOther.all(masterKeyId, afterId, limit).map(row => this.fromRow(row));
+  }
+
+  /**
+   * Replace a data key's wrapping. Returns false if the key was removed or
+   * re-wrapped concurrently.
+   */
+  async rewrapKey(id, { wrappedKey, masterKeyId, previousMasterKeyId }) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    return this.statements.rewrap.run({
+      id,
+      wrappedKey,
+      masterKeyId,
+      previousMasterKeyId,
+      rotatedAt: new Date().toISOString()
+    }).changes > 0;
+  }
+
+  /**
+   * Number of data keys wrapped with each master key
+   * @returns {Promise<Object<string, number>>} master key ID -> count
+   */
+  async countByMasterKey() {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    return Object.fromEntries(this.statements.countByMasterKey.all().map(row => [row.master_key_id, row.count]));
+  }
+}
+
+// Singleton instance
+const dataKeyStore = new DataKeyStore();
+
+module.exports = dataKeyStore;
@@ -1,13 +1,54 @@
 const fs = require('fs').promises;
 const path = require('path');
 const config = require('../config/config');
-
-const METADATA_DIR = path.join(__dirname, '../../metadata');
-const METADATA_FILE = path.join(METADATA_DIR, 'files.json');
+const { getDatabase } = require('./database');
+const logger = require('../utils/logger').child({ component: 'metadata' });
+
+// Metadata was stored in a single JSON file before the database was introduced
+const LEGACY_METADATA_FILE = path.join(path.dirname(config.databasePath), 'files.json');
+
+// Sortable record fields and their columns
+const SORT_COLUMNS = {
+  uploadedAt: 'uploaded_at',
+  expiresAt: 'expires_at',
+  size: 'size',
+  originalName: 'original_name'
+};
+
+// Order in which each eviction policy deletes files, first evicted first.
+// Files never downloaded count as last accessed when they were uploaded.
+const EVICTION_ORDER = {
+  'soonest-expiring': 'expires_at',
+  lru: 'COALESCE(last_accessed_at, uploaded_at)'
+};
+
+// Fields describing a file's content, kept for each version of it
+const VERSION_FIELDS = [
+  'originalName',
+  'mimeType',
+  'size',
+  'storageKey',
+  'blobHash',
+  'sha256',
+  'md5',
+  'scanStatus',
+  'scanSignature',
+  'scanError',
+  'scannedAt',
+  'integrityStatus',
+  'integrityCheckedAt',
+  'uploadedAt'
+];
+
+/**
+ * Escape LIKE wildcards so user input matches literally
+ */
+const escapeLike = (value) => value.replace(/[\\%_]/g, (char) => `\\${char}`);
 
 class FileMetadataStore {
   constructor() {
-    this.metadata = new Map();
+    this.db = null;
+    this.statements = null;
     this.initialized = false;
   }
 
@@ -15,24 +56,123 @@ class FileMetadataStore {
     if (this.initialized) return;
 
     try {
-      // Ensure metadata directory exists
-      await fs.mkdir(METADATA_DIR, { recursive: true });
-
-      // Load existing metadata
-      try {
-        const data = await fs.readFile(METADATA_FILE, 'utf8');
-        const records = JSON.parse(data);
-        
-        // Convert array to Map
-        records.forEach(record => {
-          this.metadata.set(record.id, record);
-        });
-      } catch (error) {
-        // File doesn't exist yet - start with empty metadata
-        if (error.code !== 'ENOENT') {
-          throw error;
-        }
-      }
+      this.db = getDatabase();
+      this.statements = {
+        insert: this.db.prepare(`
+          INSERT INTO files (
+            id, storage_key, size, uploaded_at, expires_at, owner_id, pinned, blob_hash,
+            original_name, mime_type, collection_id, data
+          )
+          VALUES (
+            @id, @storageKey, @size, @uploadedAt, @expiresAt, @ownerId, @pinned, @blobHash,
+            @originalName, @mimeType, @collectionId, @data
+          )
+        `),
+        update: this.db.prepare(`
+          UPDATE files
+          SET storage_key = @storageKey, size = @size, uploaded_at = @uploadedAt,
+              expires_at = @expiresAt, owner_id = @ownerId, pinned = @pinned,
+              blob_hash = @blobHash, original_name = @originalName, mime_type = @mimeType,
+              collection_id = @collectionId, data = @data
+          WHERE id = @id
+        `),
+        get: this.db.prepare('SELECT data FROM files WHERE id = ?'),
+        all: this.db.prepare('SELECT data FROM files'),
+        byOwner: this.db.prepare('SELECT data FROM files WHERE owner_id = ?'),
+        byBlob: this.db.prepare('SELECT data FROM files WHERE blob_hash = ?'),
+        byCollection: this.db.prepare('SELECT data FROM files WHERE collection_id = ? ORDER BY uploaded_at'),
+        uploadedBetween: this.db.prepare(`
+          SELECT data FROM files
+          WHERE (@ownerId IS NULL OR owner_id = @ownerId)
+            AND (@collectionId IS NULL OR collection_id = @collectionId)
+            AND uploaded_at >= @from AND uploaded_at <= @to
+          ORDER BY uploaded_at
+          LIMIT @limit
+        `),
+        byScanStatus: this.db.prepare(`
+          SELECT data FROM files WHERE json_extract(data, '$.scanStatus') = ? ORDER BY uploaded_at
+        `),
+        delete: this.db.prepare('DELETE FROM files WHERE id = ?'),
+        // Pinned files never expire
+        expired: this.db.prepare('SELECT data FROM files WHERE pinned = 0 AND expires_at <= ?'),
+        recordAccess: this.db.prepare('UPDATE files SET last_accessed_at = ? WHERE id = ?'),
+        // Physical bytes that deleting every unpinned file would free: content
+        // no pinned file or version shares, and objects stored before
+        // deduplication
+        evictableStorage: this.db.prepare(`
+          WITH
+            unpinned_blobs AS (
+              SELECT blob_hash FROM files WHERE pinned = 0
+              UNION SELECT v.blob_hash FROM file_versions v JOIN files f ON f.id = v.file_id WHERE f.pinned = 0
+            ),
+            pinned_blobs AS (
+              SELECT blob_hash FROM files WHERE pinned = 1
+              UNION SELECT v.blob_hash FROM file_versions v JOIN files f ON f.id = v.file_id WHERE f.pinned = 1
+            )
+          SELECT
+            (SELECT COALESCE(SUM(size), 0) FROM blobs
+              WHERE hash IN unpinned_blobs AND hash NOT IN (SELECT blob_hash FROM pinned_blobs WHERE blob_hash IS NOT NULL)) +
+            (SELECT COALESCE(SUM(size), 0) FROM files WHERE pinned = 0 AND blob_hash IS NULL) +
+            (SELECT COALESCE(SUM(v.size), 0) FROM file_versions v
+              JOIN files f ON f.id = v.file_id WHERE f.pinned = 0 AND v.blob_hash IS NULL) AS bytes
+        `),
+        // Pinned files are never evicted either
+        evictionCandidates: Object.fromEntries(Object.entries(EVICTION_ORDER).map(([policy, order]) => [
+          policy,
+          this.db.prepare(`
+            SELECT id, data, last_accessed_at, ${order} AS sort_value FROM files
+            WHERE pinned = 0 AND (${order} > @afterValue OR (${order} = @afterValue AND id > @afterId))
+            ORDER BY ${order}, id
+            LIMIT @limit
+          `)
+        ])),
+        // Sizes include prior versions, which count toward storage like files
+        summaryAll: this.db.prepare(`
+          SELECT
+            (SELECT COUNT(*) FROM files) AS count,
+            (SELECT COALESCE(SUM(size), 0) FROM files) +
+            (SELECT COALESCE(SUM(size), 0) FROM file_versions) AS size
+        `),
+        summaryByOwner: this.db.prepare(`
+          SELECT
+            (SELECT COUNT(*) FROM files WHERE owner_id = @ownerId) AS count,
+            (SELECT COALESCE(SUM(size), 0) FROM files WHERE owner_id = @ownerId) +
+            (SELECT COALESCE(SUM(v.size), 0) FROM file_versions v
+              JOIN files f ON f.id = v.file_id WHERE f.owner_id = @ownerId) AS size
+        `),
+        // Logical usage counts every record and prior version; physical usage
+        // counts each blob once, plus content stored before deduplication was
+        // introduced
+        storageUsed: this.db.prepare(`
+          SELECT
+            (SELECT COALESCE(SUM(size), 0) FROM files) +
+            (SELECT COALESCE(SUM(size), 0) FROM file_versions) AS logical,
+            (SELECT COALESCE(SUM(size), 0) FROM blobs) +
+            (SELECT COALESCE(SUM(size), 0) FROM files WHERE blob_hash IS NULL) +
+            (SELECT COALESCE(SUM(size), 0) FROM file_versions WHERE blob_hash IS NULL) AS physical
+        `),
+        insertVersion: this.db.prepare(`
+          INSERT INTO file_versions (file_id, version, storage_key, blob_hash, size, uploaded_at, data)
+          VALUES (@fileId, @version, @storageKey, @blobHash, @size, @uploadedAt, @data)
+        `),
+        updateVersion: this.db.prepare(`
+          UPDATE file_versions SET data = @data WHERE file_id = @fileId AND version = @version
+        `),
+        getVersion: this.db.prepare('SELECT file_id, data FROM file_versions WHERE file_id = ? AND version = ?'),
+        versionsOf: this.db.prepare('SELECT file_id, data FROM file_versions WHERE file_id = ? ORDER BY version DESC'),
+        versionsByBlob: this.db.prepare('SELECT file_id, data FROM file_versions WHERE blob_hash = ?'),
+        allVersions: this.db.prepare('SELECT file_id, data FROM file_versions'),
+        deleteVersion: this.db.prepare('DELETE FROM file_versions WHERE file_id = ? AND version = ?'),
+        overVersionLimit: this.db.prepare(`
+          SELECT file_id FROM file_versions GROUP BY file_id HAVING COUNT(*) > ?
+        `),
+        addBlobRef: this.db.prepare('UPDATE blobs SET ref_count = ref_count + 1, updated_at = ? WHERE hash = ?'),
+        releaseBlobRef: this.db.prepare(`
+          UPDATE blobs SET ref_count = MAX(ref_count - 1, 0), updated_at = ? WHERE hash = ?
+        `)
+      };
+
+      await this.importLegacyMetadata();
 
       this.initialized = true;
     } catch (error) {
@@ -40,17 +180,123 @@ class FileMetadataStore {
     }
   }
 
-  async persist() {
+  /**
+   * One-time import of metadata/files.json into the database.
+   * The JSON file is renamed afterwards so the import never runs twice.
+   */
+  async importLegacyMetadata() {
+    let records;
     try {
-      const records = Array.from(this.metadata.values());
-      await fs.writeFile(
-        METADATA_FILE,
-        JSON.stringify(records, null, 2),
-        'utf8'
-      );
+      const data = await fs.readFile(LEGACY_METADATA_FILE, 'utf8');
+      records = JSON.parse(data);
     } catch (error) {
-      throw new Error(`Failed to persist metadata: ${error.message}`);
+      // Nothing to import
+      if (error.code === 'ENOENT') {
+        return 0;
+      }
+      throw new Error(`Failed to read legacy metadata: ${error.message}`);
     }
+
+    const insertOrIgnore = this.db.prepare(`
+      INSERT OR IGNORE INTO files (
+        id, storage_key, size, uploaded_at, expires_at, owner_id, pinned, blob_hash,
+        original_name, mime_type, collection_id, data
+      )
+      VALUES (
+        @id, @storageKey, @size, @uploadedAt, @expiresAt, @ownerId, @pinned, @blobHash,
+        @originalName, @mimeType, @collectionId, @data
+      )
+    `);
+
+    const importAll = this.db.transaction((items) => {
+      let imported = 0;
+      for (const item of items) {
+        imported += insertOrIgnore.run(this.toRow(this.normalizeRecord(item))).changes;
+      }
+      return imported;
+    });
+
+    const imported = importAll(records);
+    await fs.rename(LEGACY_METADATA_FILE, `${LEGACY_METADATA_FILE}.imported`);
+
+    logger.info(`Imported ${imported} record(s) from ${LEGACY_METADATA_FILE}`, { count: imported });
+    return imported;
+  }
+
+  /**
+   * Upgrade records written before storage adapters were introduced.
+   * Those stored a local disk path; the storage key is the filename.
+   */
+  normalizeRecord(record) {
+    if (record.storageKey) {
+      return record;
+    }
+
+    const { path: legacyPath, ...rest } = record;
+    return { ...rest, storageKey: record.filename };
+  }
+
+  /**
+   * Map a record to statement parameters. Indexed fields get their own
+   * columns; the full record is kept as JSON.
+   */
+  toRow(record) {
+    return {
+      id: record.id,
+      storageKey: record.storageKey,
+      size: record.size,
+      uploadedAt: record.uploadedAt,
+      expiresAt: record.expiresAt,
+      ownerId: record.ownerId || null,
+      pinned: record.pinned ? 1 : 0,
+      blobHash: record.blobHash || null,
+      originalName: record.originalName || null,
+      mimeType: record.mimeType || null,
+      collectionId: record.collectionId || null,
+      data: JSON.stringify(record)
+    };
+  }
+
+  fromRow(row) {
+    return row ? JSON.parse(row.data) : undefined;
+  }
+
+  /**
+   * The content fields of a record, as kept for a prior version
+   */
+  toVersion(record) {
+    const version = { version: record.version || 1 };
+    for (const field of VERSION_FIELDS) {
+      if (record[field] !== undefined) {
+        version[field] = record[field];
+      }
+    }
+    return version;
+  }
+
+  /**
+   * Map a prior version to statement parameters
+   */
+  toVersionRow(fileId, version) {
+    const { id, ...data } = version;
+
+    return {
+      fileId,
+      version: version.version,
+      storageKey: version.storageKey,
+      blobHash: version.blobHash || null,
+      size: version.size,
+      uploadedAt: version.uploadedAt,
+      data: JSON.stringify(data)
+    };
+  }
+
+  /**
+   * Prior versions carry their file's ID, so they can be served and
+   * scanned like file records
+   */
+  fromVersionRow(row) {
+    return row ? { id: row.file_id, ...JSON.parse(row.data) } : undefined;
   }
 
   async addFile(fileData) {
@@ -58,19 +304,40 @@ class FileMetadataStore {
       await this.initialize();
     }
 
+    // Per-file retention (validated by the caller) overrides the collection's,
+    // which overrides the global default
+    const ttlHours = fileData.ttlHours || fileData.collectionRetentionHours;
+    const retentionMs = ttlHours ? ttlHours * 60 * 60 * 1000 : config.fileRetentionMs;
+
     const record = {
       id: fileData.filename, // Use unique filename as ID
       originalName: fileData.originalname,
       filename: fileData.filename,
       mimeType: fileData.mimetype,
       size: fileData.size,
-      path: fileData.path,
+      storageKey: fileData.storageKey || fileData.filename,
+      ...(fileData.blobHash && { blobHash: fileData.blobHash }),
+      ...(fileData.sha256 && { sha256: fileData.sha256 }),
+      ...(fileData.md5 && { md5: fileData.md5 }),
+      ...(fileData.scanStatus && { scanStatus: fileData.scanStatus }),
+      ...(fileData.description && { description: fileData.description }),
+      ...(fileData.tags && fileData.tags.length > 0 && { tags: fileData.tags }),
+      ...(fileData.metadata && Object.keys(fileData.metadata).length > 0 && { metadata: fileData.metadata }),
+      ownerId: fileData.ownerId || null,
+      collectionId: fileData.collectionId || null,
       uploadedAt: new Date().toISOString(),
-      expiresAt: new Date(Date.now() + config.fileRetentionMs).toISOString()
+      expiresAt: new Date(Date.now() + retentionMs).toISOString(),
+      // An explicitly chosen expiry is kept when the file changes collection
+      ...(fileData.ttlHours && { customExpiry: true }),
+      pinned: false
     };
 
-    this.metadata.set(record.id, record);
-    await this.persist();
+    this.db.transaction(() => {
+      this.statements.insert.run(this.toRow(record));
+      if (record.blobHash) {
+        this.statements.addBlobRef.run(record.uploadedAt, record.blobHash);
+      }
+    })();
 
     return record;
   }
@@ -80,7 +347,30 @@ class FileMetadataStore {
       await this.initialize();
     }
 
-    return this.metadata.get(fileId);
+    return this.fromRow(this.statements.get.get(fileId));
+  }
+
+  /**
+   * Merge changes into a record. Pass a function of the current record to
+   * derive changes from it without racing other updates.
+   */
+  async updateFile(fileId, changes) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    return this.db.transaction(() => {
+      const record = this.fromRow(this.statements.get.get(fileId));
+      if (!record) {
+        return null;
+      }
+
+      const resolved = typeof changes === 'function' ? changes(record) : changes;
+      const updated = { ...record, ...resolved, id: record.id };
+      this.statements.update.run(this.toRow(updated));
+
+      return updated;
+    })();
   }
 
   async getAllFiles() {
@@ -88,7 +378,343 @@ class FileMetadataStore {
       await this.initialize();
     }
 
-    return Array.from(this.metadata.values());
+    return this.statements.all.all().map(row => this.fromRow(row));
+  }
+
+  async getFilesByOwner(ownerId) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    return this.statements.byOwner.all(ownerId).map(row => this.fromRow(row));
+  }
+
+  /**
+   * Find files matching filters, one page at a time. Pages are keyed on the
+   * sort value and ID of the previous page's last row, so they stay stable
+   * while files are added or removed.
+   * @param {Object} query
+   * @param {string|null} query.ownerId - Only this owner's files (null for every owner)
+   * @param {string} [query.collectionId] - Only files in this collection
+   * @param {string[]} [query.tags] - Only files with all of these tags
+   * @param {string} [query.metadataKey] - Only files with this custom metadata key...
+   * @param {string} [query.metadataValue] - ...set to this value
+   * @param {string[]} [query.mimeTypes] - Exact MIME types or "type/*" wildcards
+   * @param {number} [query.minSize] - Minimum size in bytes (inclusive)
+   * @param {number} [query.maxSize] - Maximum size in bytes (inclusive)
+   * @param {Date} [query.uploadedAfter] - Upload time range (inclusive)
+   * @param {Date} [query.uploadedBefore]
+   * @param {Date} [query.expiresAfter] - Expiry time range (inclusive)
+   * @param {Date} [query.expiresBefore]
+   * @param {string} [query.name] - Case-insensitive substring of originalName
+   * @param {string} query.sortBy - uploadedAt, expiresAt, size or originalName
+   * @param {'asc'|'desc'} query.order
+   * @param {number} query.limit - Page size
+   * @param {{ value: *, id: string }} [query.after] - Last row of the previous page
+   * @returns {Promise<{ files: Object[], total: number, hasMore: boolean, last: Object|null }>}
+   */
+  async queryFiles(query) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const conditions = [];
+    const params = {};
+
+    if (query.ownerId) {
+      conditions.push('owner_id = @ownerId');
+      params.ownerId = query.ownerId;
+    }
+
+    if (query.collectionId) {
+      conditions.push('collection_id = @collectionId');
+      params.collectionId = query.collectionId;
+    }
+
+    if (query.mimeTypes && query.mimeTypes.length > 0) {
+      const alternatives = query.mimeTypes.map((type, i) => {
+        if (type.endsWith('/*')) {
+          params[`mime${i}`] = `${escapeLike(type.slice(0, -1))}%`;
+          return `mime_type LIKE @mime${i} ESCAPE '\\'`;
+        }
+        params[`mime${i}`] = type;
+        return `mime_type = @mime${i}`;
+      });
+      conditions.push(`(${alternatives.join(' OR ')})`);
+    }
+
+    const ranges = [
+      ['size', '>=', 'minSize', query.minSize],
+      ['size', '<=', 'maxSize', query.maxSize],
+      // ISO 8601 timestamps in UTC compare correctly as strings
+      ['uploaded_at', '>=', 'uploadedAfter', query.uploadedAfter && query.uploadedAfter.toISOString()],
+      ['uploaded_at', '<=', 'uploadedBefore', query.uploadedBefore && query.uploadedBefore.toISOString()],
+      ['expires_at', '>=', 'expiresAfter', query.expiresAfter && query.expiresAfter.toISOString()],
+      ['expires_at', '<=', 'expiresBefore', query.expiresBefore && query.expiresBefore.toISOString()]
+    ];
+
+    for (const [column, operator, name, value] of ranges) {
+      if (value !== undefined && value !== null) {
+        conditions.push(`${column} ${operator} @${name}`);
+        params[name] = value;
+      }
+    }
+
+    (query.tags || []).forEach((tag, i) => {
+      conditions.push(`EXISTS (SELECT 1 FROM json_each(files.data, '$.tags') WHERE value = @tag${i})`);
+      params[`tag${i}`] = tag;
+    });
+
+    if (query.metadataKey) {
+      const valueCondition = query.metadataValue !== undefined ? ' AND value = @metadataValue' : '';
+      conditions.push(
+        `EXISTS (SELECT 1 FROM json_each(files.data, '$.metadata') WHERE key = @metadataKey${valueCondition})`
+      );
+      params.metadataKey = query.metadataKey;
+      if (query.metadataValue !== undefined) {
+        params.metadataValue = query.metadataValue;
+      }
+    }
+
+    if (query.name) {
+      // LIKE is case-insensitive for ASCII in SQLite
+      conditions.push(`original_name LIKE @name ESCAPE '\\'`);
+      params.name = `%${escapeLike(query.name)}%`;
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const { total } = this.db.prepare(`SELECT COUNT(*) AS total FROM files ${where}`).get(params);
+
+    const column = SORT_COLUMNS[query.sortBy];
+    const direction = query.order === 'asc' ? 'ASC' : 'DESC';
+    const pageConditions = [...conditions];
+
+    if (query.after) {
+      const operator = direction === 'ASC' ? '>' : '<';
+      pageConditions.push(
+        `(${column} ${operator} @afterValue OR (${column} = @afterValue AND id ${operator} @afterId))`
+      );
+      params.afterValue = query.after.value;
+      params.afterId = query.after.id;
+    }
+
+    const pageWhere = pageConditions.length > 0 ? `WHERE ${pageConditions.join(' AND ')}` : '';
+    const rows = this.db.prepare(`
+      SELECT data FROM files ${pageWhere}
+      ORDER BY ${column} ${direction}, id ${direction}
+      LIMIT @limit
+    `).all({ ...params, limit: query.limit + 1 });
+
+    const hasMore = rows.length > query.limit;
+    const files = rows.slice(0, query.limit).map(row => this.fromRow(row));
+    const lastFile = files[files.length - 1];
+
+    return {
+      files,
+      total,
+      hasMore,
+      last: hasMore ? { value: lastFile[query.sortBy], id: lastFile.id } : null
+    };
+  }
+
+  /**
+   * File count and total size (prior versions included), for one owner or
+   * (with null) every owner
+   */
+  async getSummary(ownerId) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    return ownerId
+      ? this.statements.summaryByOwner.get({ ownerId })
+      : this.statements.summaryAll.get();
+  }
+
+  /**
+   * Make new content the current version of a file. The current content is
+   * kept as a prior version, together with its blob reference.
+   * @param {string} fileId
+   * @param {Object|Function} changes - The new content (see VERSION_FIELDS)
+   *   and any other record changes, or a function of the current record
+   *   returning them. Content fields not given are cleared.
+   * @returns {Promise<Object|null>} The updated record, or null if the file does not exist
+   */
+  async addVersion(fileId, changes) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    return this.db.transaction(() => {
+      const record = this.fromRow(this.statements.get.get(fileId));
+      if (!record) {
+        return null;
+      }
+
+      const previous = this.toVersion(record);
+      this.statements.insertVersion.run(this.toVersionRow(record.id, previous));
+
+      const resolved = typeof changes === 'function' ? changes(record) : changes;
+      const cleared = Object.fromEntries(VERSION_FIELDS.map(field => [field, undefined]));
+      const updated = { ...record, ...cleared, ...resolved, id: record.id, version: previous.version + 1 };
+      this.statements.update.run(this.toRow(updated));
+      if (updated.blobHash) {
+        this.statements.addBlobRef.run(updated.uploadedAt, updated.blobHash);
+      }
+
+      return updated;
+    })();
+  }
+
+  /**
+   * Prior versions of a file, newest first (the current version is the
+   * file record itself)
+   */
+  async getVersions(fileId) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    return this.statements.versionsOf.all(fileId).map(row => this.fromVersionRow(row));
+  }
+
+  async getVersion(fileId, version) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    return this.fromVersionRow(this.statements.getVersion.get(fileId, version));
+  }
+
+  /**
+   * Prior versions of every file
+   */
+  async getAllVersions() {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    return this.statements.allVersions.all().map(row => this.fromVersionRow(row));
+  }
+
+  /**
+   * IDs of files with more than the given number of prior versions
+   */
+  async getFilesOverVersionLimit(limit) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    return this.statements.overVersionLimit.all(limit).map(row => row.file_id);
+  }
+
+  /**
+   * Delete a prior version and drop its blob reference
+   * @returns {Promise<Object|null>} The deleted version, or null if it did not exist
+   */
+  async deleteVersion(fileId, version) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    return this.db.transaction(() => {
+      const deleted = this.fromVersionRow(this.statements.getVersion.get(fileId, version));
+      if (!deleted) {
+        return null;
+      }
+
+      this.statements.deleteVersion.run(fileId, version);
+      if (deleted.blobHash) {
+        this.statements.releaseBlobRef.run(new Date().toISOString(), deleted.blobHash);
+      }
+
+      return deleted;
+    })();
+  }
+
+  /**
+   * Records sharing the same stored content
+   */
+  async getFilesByBlob(blobHash) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    return this.statements.byBlob.all(blobHash).map(row => this.fromRow(row));
+  }
+
+  /**
+   * Prior versions sharing the same stored content
+   */
+  async getVersionsByBlob(blobHash) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    return this.statements.versionsByBlob.all(blobHash).map(row => this.fromVersionRow(row));
+  }
+
+  /**
+   * Apply the same changes to every record and prior version sharing the
+   * same stored content (e.g. a scan result)
+   * @returns {Promise<number>} Number of records updated
+   */
+  async updateFilesByBlob(blobHash, changes) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    return this.db.transaction(() => {
+      const records = this.statements.byBlob.all(blobHash).map(row => this.fromRow(row));
+      for (const record of records) {
+        this.statements.update.run(this.toRow({ ...record, ...changes, id: record.id }));
+      }
+
+      for (const version of this.statements.versionsByBlob.all(blobHash).map(row => this.fromVersionRow(row))) {
+        this.statements.updateVersion.run(this.toVersionRow(version.id, { ...version, ...changes }));
+      }
+
+      return records.length;
+    })();
+  }
+
+  /**
+   * Records in a collection, oldest first
+   */
+  async getFilesByCollection(collectionId) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    return this.statements.byCollection.all(collectionId).map(row => this.fromRow(row));
+  }
+
+  /**
+   * Records uploaded within a time range (inclusive), oldest first.
+   * Without an ownerId, every owner's files are included; with a
+   * collectionId, only files in that collection.
+   */
+  async getFilesUploadedBetween({ ownerId = null, collectionId = null, from, to, limit }) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    return this.statements.uploadedBetween.all({
+      ownerId,
+      collectionId,
+      // ISO 8601 timestamps in UTC compare correctly as strings
+      from: from ? from.toISOString() : '',
+      to: to ? to.toISOString() : '9999-12-31T23:59:59.999Z',
+      limit
+    }).map(row => this.fromRow(row));
+  }
+
+  async getFilesByScanStatus(scanStatus) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    return this.statements.byScanStatus.all(scanStatus).map(row => this.fromRow(row));
   }
 
   async deleteFile(fileId) {
@@ -96,13 +722,29 @@ class FileMetadataStore {
       await this.initialize();
     }
 
-    const record = this.metadata.get(fileId);
+    return this.db.transaction(() => this.deleteRecord(fileId))();
+  }
+
+  /**
+   * Delete a record with its prior versions and drop their blob references.
+   * Must run inside a transaction.
+   */
+  deleteRecord(fileId) {
+    const record = this.fromRow(this.statements.get.get(fileId));
     if (!record) {
       return null;
     }
 
-    this.metadata.delete(fileId);
-    await this.persist();
+    const now = new Date().toISOString();
+    const versions = this.statements.versionsOf.all(fileId).map(row => this.fromVersionRow(row));
+
+    // Prior versions are removed with the record (ON DELETE CASCADE)
+    this.statements.delete.run(fileId);
+    for (const hash of [record.blobHash, ...versions.map(version => version.blobHash)]) {
+      if (hash) {
+        this.statements.releaseBlobRef.run(now, hash);
+      }
+    }
 
     return record;
   }
@@ -112,56 +754,98 @@ class FileMetadataStore {
       await this.initialize();
     }
 
-    const now = new Date();
-    const expired = [];
+    // ISO 8601 timestamps in UTC compare correctly as strings
+    const now = new Date().toISOString();
+    return this.statements.expired.all(now).map(row => this.fromRow(row));
+  }
 
-    for (const record of this.metadata.values()) {
-      const expirationDate = new Date(record.expiresAt);
-      if (expirationDate <= now) {
-        expired.push(record);
-      }
+  /**
+   * Record that a file's content was downloaded, for least-recently-used
+   * eviction. Kept in its own column, outside the record.
+   */
+  async recordAccess(fileId, accessedAt = new Date()) {
+    if (!this.initialized) {
+      await this.initialize();
     }
 
-    return expired;
+    return this.statements.recordAccess.run(accessedAt.toISOString(), fileId).changes > 0;
   }
 
-  async getTotalStorageUsed() {
+  /**
+   * Physical bytes evicting every unpinned file would free
+   */
+  async getEvictableStorage() {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    return this.statements.evictableStorage.get().bytes;
+  }
+
+  /**
+   * Unpinned files in the order an eviction policy deletes them, one page at
+   * a time. Pages are keyed on the previous page's last row, like queryFiles.
+   * @param {string} policy - soonest-expiring or lru
+   * @param {{ value: string, id: string }} [after] - Last row of the previous page
+   * @returns {Promise<{ files: Object[], last: Object|null }>} Records with
+   *   lastAccessedAt (null if never downloaded)
+   */
+  async getEvictionCandidates(policy, after = { value: '', id: '' }, limit = 100) {
     if (!this.initialized) {
       await this.initialize();
     }
 
-    let total = 0;
-    for (const record of this.metadata.values()) {
-      total += record.size;
+    const rows = this.statements.evictionCandidates[policy].all({
+      afterValue: after.value,
+      afterId: after.id,
+      limit
+    });
+    const lastRow = rows[rows.length - 1];
+
+    return {
+      files: rows.map(row => ({ ...this.fromRow(row), lastAccessedAt: row.last_accessed_at })),
+      last: lastRow ? { value: lastRow.sort_value, id: lastRow.id } : null
+    };
+  }
+
+  /**
+   * Storage used in bytes: logical (sum of all file sizes) and physical
+   * (bytes actually stored, with deduplicated content counted once)
+   */
+  async getTotalStorageUsed() {
+    if (!this.initialized) {
+      await this.initialize();
     }
 
-    return total;
+    const { logical, physical } = this.statements.storageUsed.get();
+    return { logical, physical };
   }
 
-  async cleanOrphanedMetadata() {
+  async cleanOrphanedMetadata(storage) {
     if (!this.initialized) {
       await this.initialize();
     }
 
     const orphaned = [];
 
-    for (const record of this.metadata.values()) {
-      try {
-        await fs.access(record.path);
-      } catch {
-        // File doesn't exist - metadata is orphaned
+    for (const record of await this.getAllFiles()) {
+      // Infected or corrupt content was moved to quarantine on purpose
+      if (record.scanStatus === 'infected' || record.integrityStatus === 'quarantined') {
+        continue;
+      }
+
+      // Object doesn't exist in storage - metadata is orphaned
+      if (!(await storage.stat(record.storageKey))) {
         orphaned.push(record.id);
       }
     }
 
     // Remove orphaned metadata
-    for (const id of orphaned) {
-      this.metadata.delete(id);
-    }
-
-    if (orphaned.length > 0) {
-      await this.persist();
-    }
+    this.db.transaction(() => {
+      for (const id of orphaned) {
+        this.deleteRecord(id);
+      }
+    })();
 
     return orphaned.length;
   }
@@ -171,3 +855,4 @@ class FileMetadataStore {
 const metadataStore = new FileMetadataStore();
 
 module.exports = metadataStore;
+module.exports.SORT_COLUMNS = SORT_COLUMNS;
@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+const { getDatabase } = require('./database');
+
+class ShareLinkStore {
+  constructor() {
+    this.db = null;
+    this.statements = null;
+    this.initialized = false;
+  }
+
+  async initialize() {
+    if (this.initialized) return;
+
+    try {
+      this.db = getDatabase();
+      this.statements = {
+        insert: this.db.prepare(`
+          INSERT INTO share_links (id, file_id, created_by, expires_at, max_downloads, password_hash, created_at)
+          VALUES (@id, @fileId, @createdBy, @expiresAt, @maxDownloads, @passwordHash, @createdAt)
+        `),
+        get: this.db.prepare('SELECT * FROM share_links WHERE id = ?'),
+        byFile: this.db.prepare('SELECT * FROM share_links WHERE file_id = ? ORDER BY created_at DESC'),
+        revoke: this.db.prepare('UPDATE share_links SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL'),
+        // Only counts the download if the limit has not been reached
+        reserve: this.db.prepare(`
+          UPDATE share_links
+          SET download_count = download_count + 1
+          WHERE id = ? AND (max_downloads IS NULL OR download_count < max_downloads)
+        `),
+        release: this.db.prepare(`
+          UPDATE share_links SET download_count = download_count - 1 WHERE id = ? AND download_count > 0
+        `)
+      };
+
+      this.initialized = true;
+    } catch (error) {
+      throw new Error(`Failed to initialize share link store: ${error.message}`);
+    }
+  }
+
+  fromRow(row) {
+    if (!row) {
+      return undefined;
+    }
+
+    return {
+      id: row.id,
+      fileId: row.file_id,
+      createdBy: row.created_by,
+      expiresAt: row.expires_at,
+      maxDownloads: row.max_downloads,
+      downloadCount: row.download_count,
+      passwordHash: row.password_hash,
+      createdAt: row.created_at,
+      revokedAt: row.revoked_at
+    };
+  }
+
+  async createLink({ fileId, createdBy, expiresAt, maxDownloads = null, passwordHash = null }) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const id = crypto.randomBytes(16).toString('hex');
+
+    this.statements.insert.run({
+      id,
+      fileId,
+      createdBy,
+      expiresAt,
+      maxDownloads,
+      passwordHash,
+      createdAt: new Date().toISOString()
+    });
+
+    return this.fromRow(this.statements.get.get(id));
+  }
+
+  async getLink(linkId) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    return this.fromRow(this.statements.get.get(linkId));
+  }
+
+  async getLinksForFile(fileId) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    return this.statements.byFile.all(fileId).map(row => this.fromRow(row));
+  }
+
+  /**
+   * Revoke a link. Returns false if it does not exist or is already revoked.
+   */
+  async revokeLink(linkId) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    return this.statements.revoke.run(new Date().toISOString(), linkId).changes > 0;
+  }
+
+  /**
+   * Atomically count a download before it is sent, so concurrent requests
+   * cannot exceed the limit. Returns false when the limit is exhausted.
+   */
+  async reserveDownload(linkId) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    return this.statements.reserve.run(linkId).changes > 0;
+  }
+
+  /**
+   * Give back a reserved download that sent no content
+   */
+  async releaseDownload(linkId) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    return this.statements.release.run(linkId).changes > 0;
+  }
+}
+
+// Singleton instance
+const shareLinkStore = new ShareLinkStore();
+
+module.exports = shareLinkStore;
@@ -0,0 +1,329 @@
+const crypto = require('crypto');
+const { getDatabase } = require('./database');
+
+const DELIVERY_STATUS = Object.freeze({
+  PENDING: 'pending',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed'
+});
+
+/**
+ * Webhook subscriptions and their persistent delivery queue
+ */
+class WebhookStore {
+  constructor() {
+    this.db = null;
+    this.statements = null;
+    this.initialized = false;
+  }
+
+  async initialize() {
+    if (this.initialized) return;
+
+    try {
+      this.db = getDatabase();
+      this.statements = {
+        insert: this.db.prepare(`
+          INSERT INTO webhooks (id, url, events, owner_id, secret, description, active, created_by, created_at, updated_at)
+          VALUES (@id, @url, @events, @ownerId, @secret, @description, @active, @createdBy, @createdAt, @updatedAt)
+        `),
+        update: this.db.prepare(`
+          UPDATE webhooks
+          SET url = @url, events = @events, description = @description, active = @active, updated_at = @updatedAt
+          WHERE id = @id
+        `),
+        get: this.db.prepare('SELECT * FROM webhooks WHERE id = ?'),
+        all: this.db.prepare('SELECT * FROM webhooks ORDER BY created_at DESC'),
+        // Subscriptions without an owner receive every owner's events
+        activeForOwner: this.db.prepare(`
+          SELECT * FROM webhooks WHERE active = 1 AND (owner_id IS NULL OR owner_id = ?)
+        `),
+        delete: this.db.prepare('DELETE FROM webhooks WHERE id = ?'),
+        insertDelivery: this.db.prepare(`
+          INSERT INTO webhook_deliveries (
+            id, webhook_id, event_id, event_type, payload, status, next_attempt_at, created_at
+          )
+          VALUES (@id, @webhookId, @eventId, @eventType, @payload, @status, @nextAttemptAt, @createdAt)
+        `),
+        getDelivery: this.db.prepare('SELECT * FROM webhook_deliveries WHERE id = ?'),
+        // Deliveries of disabled subscriptions wait until they are re-enabled
+        dueDeliveries: this.db.prepare(`
+          SELECT d.* FROM webhook_deliveries d
+          JOIN webhooks w ON w.id = d.webhook_id
+          WHERE d.status = '${DELIVERY_STATUS.PENDING}' AND d.next_attempt_at <= ? AND w.active = 1
+          ORDER BY d.next_attempt_at
+          LIMIT ?
+        `),
+        deliveriesForWebhook: this.db.prepare(`
+          SELECT * FROM webhook_deliveries
+          WHERE webhook_id = @webhookId AND (@status IS NULL OR status = @status)
+          ORDER BY created_at DESC
+          LIMIT @limit
+        `),
+        recordAttempt: this.db.prepare(`
+          UPDATE webhook_deliveries
+          SET status = @status, attempts = attempts + 1, next_attempt_at = @nextAttemptAt,
+              last_attempt_at = @lastAttemptAt, response_status = @responseStatus, last_error = @lastError
+          WHERE id = @id
+        `),
+        requeue: this.db.prepare(`
+          UPDATE webhook_deliveries
+          SET status = '${DELIVERY_STATUS.PENDING}', attempts = 0, next_attempt_at = ?
+          WHERE id = ? AND status = '${DELIVERY_STATUS.FAILED}'
+        `),
+        // Pending deliveries are kept however old they are
+        prune: this.db.prepare(`
+          DELETE FROM webhook_deliveries WHERE status != '${DELIVERY_STATUS.PENDING}' AND created_at < ?
+        `)
+      };
+
+      this.initialized = true;
+    } catch (error) {
+      throw new Error(`Failed to initialize webhook store: ${error.message}`);
+    }
+  }
+
+  fromRow(row) {
+    if (!row) {
+      return undefined;
+    }
+
+    return {
+      id: row.id,
+      url: row.url,
+      events: JSON.parse(row.events),
+      ownerId: row.owner_id,
+      secret: row.secret,
+      description: row.description,
+      active: Boolean(row.active),
+      createdBy: row.created_by,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  deliveryFromRow(row) {
+    if (!row) {
+      return undefined;
+    }
+
+    return {
+      id: row.id,
+      webhookId: row.webhook_id,
+      eventId: row.event_id,
+      eventType: row.event_type,
+      payload: row.payload,
+      status: row.status,
+      attempts: row.attempts,
+      nextAttemptAt: row.next_attempt_at,
+      lastAttemptAt: row.last_attempt_at,
+      responseStatus: row.response_status,
+      lastError: row.last_error,
+      createdAt: row.created_at
+    };
+  }
+
+  /**
+   * Create a subscription with a new signing secret
+   */
+  async createWebhook({ url, events, ownerId = null, description = null, createdBy }) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const now = new Date().toISOString();
+    const id = crypto.randomBytes(16).toString('hex');
+
+    this.statements.insert.run({
+      id,
+      url,
+      events: JSON.stringify(events),
+      ownerId,
+      secret: `whsec_${crypto.randomBytes(32).toString('base64url')}`,
+      description,
+      active: 1,
+      createdBy,
+      createdAt: now,
+      updatedAt: now
+    });
+
+    return this.fromRow(this.statements.get.get(id));
+  }
+
+  async getWebhook(webhookId) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    return this.fromRow(this.statements.get.get(webhookId));
+  }
+
+  async getAllWebhooks() {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    return this.statements.all.all().map(row => this.fromRow(row));
+  }
+
+  /**
+   * Active subscriptions for an event about a file of the given owner
+   */
+  async getSubscribers(eventType, ownerId) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    return this.statements.activeForOwner.all(ownerId)
+      .map(row => this.fromRow(row))
+      .filter(webhook => webhook.events.includes('*') || webhook.events.includes(eventType));
+  }
+
+  /**
+   * Change a subscription's url, events, description or active flag
+   */
+  async updateWebhook(webhookId, changes) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const webhook = this.fromRow(this.statements.get.get(webhookId));
+    if (!webhook) {
+      return null;
+    }
+
+    const updated = { ...webhook, ...changes };
+    this.statements.update.run({
+      id: webhookId,
+      url: updated.url,
+      events: JSON.stringify(updated.events),
+      description: updated.description,
+      active: updated.active ? 1 : 0,
+      updatedAt: new Date().toISOString()
+    });
+
+    return this.fromRow(this.statements.get.get(webhookId));
+  }
+
+  /**
+   * Delete a subscription and its deliveries
+   */
+  async deleteWebhook(webhookId) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    return this.statements.delete.run(webhookId).changes > 0;
+  }
+
+  /**
+   * Queue one delivery of an event per subscription, in a single transaction
+   * @param {Object[]} webhooks - Subscriptions to deliver to
+   * @param {{ id: string, type: string }} event - The event; stored as the payload
+   */
+  async enqueueDeliveries(webhooks, event) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const now = new Date().toISOString();
+    const payload = JSON.stringify(event);
+
+    return this.db.transaction(() => webhooks.map((webhook) => {
+      const id = crypto.randomBytes(16).toString('hex');
+      this.statements.insertDelivery.run({
+        id,
+        webhookId: webhook.id,
+        eventId: event.id,
+        eventType: event.type,
+        payload,
+        status: DELIVERY_STATUS.PENDING,
+        nextAttemptAt: now,
+        createdAt: now
+      });
+      return id;
+    }))();
+  }
+
+  async getDelivery(deliveryId) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    return this.deliveryFromRow(this.statements.getDelivery.get(deliveryId));
+  }
+
+  /**
+   * Pending deliveries whose next attempt is due, oldest first
+   */
+  async getDueDeliveries(now, limit) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    return this.statements.dueDeliveries.all(now.toISOString(), limit)
+      .map(row => this.deliveryFromRow(row));
+  }
+
+  /**
+   * Recent deliveries of a subscription, newest first
+   */
+  async getDeliveries(webhookId, { status = null, limit = 50 } = {}) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    return this.statements.deliveriesForWebhook.all({ webhookId, status, limit })
+      .map(row => this.deliveryFromRow(row));
+  }
+
+  /**
+   * Record the outcome of a delivery attempt
+   * @param {string} deliveryId
+   * @param {{ status: string, nextAttemptAt: string|null, responseStatus: number|null, lastError: string|null }} result
+   */
+  async recordAttempt(deliveryId, result) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    this.statements.recordAttempt.run({
+      id: deliveryId,
+      status: result.status,
+      nextAttemptAt: result.nextAttemptAt,
+      lastAttemptAt: new Date().toISOString(),
+      responseStatus: result.responseStatus,
+      lastError: result.lastError
+    });
+  }
+
+  /**
+   * Queue a failed delivery again with a fresh set of attempts.
+   * Returns false if it is not failed (pending or already delivered).
+   */
+  async requeueDelivery(deliveryId) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    return this.statements.requeue.run(new Date().toISOString(), deliveryId).changes > 0;
+  }
+
+  /**
+   * Delete finished deliveries created before the given time
+   * @returns {Promise<number>} Number of deliveries removed
+   */
+  async pruneDeliveries(before) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    return this.statements.prune.run(before.toISOString()).changes;
+  }
+}
+
+// Singleton instance
+const webhookStore = new WebhookStore();
+
+module.exports = webhookStore;
+module.exports.DELIVERY_STATUS = DELIVERY_STATUS;
@@ -0,0 +1,330 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const config = require('../config/config');
+
+/**
+ * Schema migrations, applied in order. The applied version is tracked in
+ * SQLite's user_version pragma, so never edit or reorder existing entries -
+ * append a new one instead.
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Create files table',
+    up: (db) => {
+      db.exec(`
+        CREATE TABLE files (
+          id TEXT PRIMARY KEY,
+          storage_key TEXT NOT NULL,
+          size INTEGER NOT NULL,
+          uploaded_at TEXT NOT NULL,
+          expires_at TEXT NOT NULL,
+          data TEXT NOT NULL
+        );
+        CREATE INDEX idx_files_expires_at ON files (expires_at);
+        CREATE INDEX idx_files_uploaded_at ON files (uploaded_at);
+        CREATE INDEX idx_files_storage_key ON files (storage_key);
+      `);
+    }
+  },
+  {
+    version: 2,
+    description: 'Add API keys and file ownership',
+    up: (db) => {
+      db.exec(`
+        CREATE TABLE api_keys (
+          id TEXT PRIMARY KEY,
+          name TEXT NOT NULL,
+          owner_id TEXT NOT NULL,
+          key_hash TEXT NOT NULL UNIQUE,
+          scopes TEXT NOT NULL,
+          created_at TEXT NOT NULL,
+          last_used_at TEXT,
+          revoked_at TEXT
+        );
+        ALTER TABLE files ADD COLUMN owner_id TEXT;
+        UPDATE files SET owner_id = json_extract(data, '$.ownerId');
+        CREATE INDEX idx_files_owner_id ON files (owner_id, uploaded_at);
+      `);
+    }
+  },
+  {
+    version: 3,
+    description: 'Add share links',
+    up: (db) => {
+      db.exec(`
+        CREATE TABLE share_links (
+          id TEXT PRIMARY KEY,
+          file_id TEXT NOT NULL REFERENCES files (id) ON DELETE CASCADE,
+          created_by TEXT NOT NULL,
+          expires_at TEXT NOT NULL,
+          max_downloads INTEGER,
+          download_count INTEGER NOT NULL DEFAULT 0,
+          password_hash TEXT,
+          created_at TEXT NOT NULL,
+          revoked_at TEXT
+        );
+        CREATE INDEX idx_share_links_file_id ON share_links (file_id);
+      `);
+    }
+  },
+  {
+    version: 4,
+    description: 'Add file pinning',
+    up: (db) => {
+      db.exec(`
+        ALTER TABLE files ADD COLUMN pinned INTEGER NOT NULL DEFAULT 0;
+        UPDATE files SET pinned = COALESCE(json_extract(data, '$.pinned'), 0);
+        DROP INDEX idx_files_expires_at;
+        CREATE INDEX idx_files_expires_at ON files (pinned, expires_at);
+      `);
+    }
+  },
+  {
+    version: 5,
+    description: 'Add content-addressed blobs',
+    up: (db) => {
+      db.exec(`
+        CREATE TABLE blobs (
+          hash TEXT PRIMARY KEY,
+          storage_key TEXT NOT NULL,
+          size INTEGER NOT NULL,
+          ref_count INTEGER NOT NULL,
+          created_at TEXT NOT NULL,
+          updated_at TEXT NOT NULL
+        );
+        ALTER TABLE files ADD COLUMN blob_hash TEXT;
+        UPDATE files SET blob_hash = json_extract(data, '$.blobHash');
+        CREATE INDEX idx_files_blob_hash ON files (blob_hash);
+      `);
+    }
+  },
+  {
+    version: 6,
+    description: 'Add searchable file name and MIME type columns',
+    up: (db) => {
+      db.exec(`
+        ALTER TABLE files ADD COLUMN original_name TEXT COLLATE NOCASE;
+        ALTER TABLE files ADD COLUMN mime_type TEXT;
+        UPDATE files
+        SET original_name = json_extract(data, '$.originalName'),
+            mime_type = json_extract(data, '$.mimeType');
+        CREATE INDEX idx_files_original_name ON files (original_name);
+        CREATE INDEX idx_files_mime_type ON files (mime_type);
+        CREATE INDEX idx_files_size ON files (size);
+      `);
+    }
+  },
+  {
+    version: 7,
+    description: 'Add collections',
+    up: (db) => {
+      db.exec(`
+        CREATE TABLE collections (
+          id TEXT PRIMARY KEY,
+          owner_id TEXT,
+          name TEXT NOT NULL COLLATE NOCASE,
+          retention_hours REAL,
+          created_at TEXT NOT NULL,
+          updated_at TEXT NOT NULL
+        );
+        CREATE UNIQUE INDEX idx_collections_owner_name ON collections (COALESCE(owner_id, ''), name);
+        ALTER TABLE files ADD COLUMN collection_id TEXT REFERENCES collections (id);
+        CREATE INDEX idx_files_collection_id ON files (collection_id, uploaded_at);
+      `);
+    }
+  },
+  {
+    version: 8,
+    description: 'Add webhooks and their delivery queue',
+    up: (db) => {
+      db.exec(`
+        CREATE TABLE webhooks (
+          id TEXT PRIMARY KEY,
+          url TEXT NOT NULL,
+          events TEXT NOT NULL,
+          owner_id TEXT,
+          secret TEXT NOT NULL,
+          description TEXT,
+          active INTEGER NOT NULL DEFAULT 1,
+          created_by TEXT NOT NULL,
+          created_at TEXT NOT NULL,
+          updated_at TEXT NOT NULL
+        );
+        CREATE TABLE webhook_deliveries (
+          id TEXT PRIMARY KEY,
+          webhook_id TEXT NOT NULL REFERENCES webhooks (id) ON DELETE CASCADE,
+          event_id TEXT NOT NULL,
+          event_type TEXT NOT NULL,
+          payload TEXT NOT NULL,
+          status TEXT NOT NULL,
+          attempts INTEGER NOT NULL DEFAULT 0,
+          next_attempt_at TEXT,
+          last_attempt_at TEXT,
+          response_status INTEGER,
+          last_error TEXT,
+          created_at TEXT NOT NULL
+        );
+        CREATE INDEX idx_webhook_deliveries_due ON webhook_deliveries (status, next_attempt_at);
+        CREATE INDEX idx_webhook_deliveries_webhook ON webhook_deliveries (webhook_id, created_at);
+      `);
+    }
+  },
+  {
+    version: 9,
+    description: 'Add per-key quota overrides',
+    up: (db) => {
+      db.exec(`
+        ALTER TABLE api_keys ADD COLUMN quota TEXT;
+      `);
+    }
+  },
+  {
+    version: 10,
+    description: 'Create audit log',
+    up: (db) => {
+      db.exec(`
+        CREATE TABLE audit_log (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          occurred_at TEXT NOT NULL,
+          action TEXT NOT NULL,
+          file_id TEXT NOT NULL,
+          file_name TEXT,
+          owner_id TEXT,
+          actor_key_id TEXT,
+          actor_ip TEXT,
+          request_id TEXT,
+          details TEXT NOT NULL
+        );
+        CREATE INDEX idx_audit_log_occurred_at ON audit_log (occurred_at);
+        CREATE INDEX idx_audit_log_file_id ON audit_log (file_id);
+
+        CREATE TRIGGER audit_log_no_update BEFORE UPDATE ON audit_log
+        BEGIN
+          SELECT RAISE(ABORT, 'audit_log is append-only');
+        END;
+        CREATE TRIGGER audit_log_no_delete BEFORE DELETE ON audit_log
+        BEGIN
+          SELECT RAISE(ABORT, 'audit_log is append-only');
+        END;
+      `);
+    }
+  },
+  {
+    version: 11,
+    description: 'Add file version history',
+    up: (db) => {
+      db.exec(`
+        CREATE TABLE file_versions (
+          file_id TEXT NOT NULL REFERENCES files (id) ON DELETE CASCADE,
+          version INTEGER NOT NULL,
+          storage_key TEXT NOT NULL,
+          blob_hash TEXT,
+          size INTEGER NOT NULL,
+          uploaded_at TEXT NOT NULL,
+          data TEXT NOT NULL,
+          PRIMARY KEY (file_id, version)
+        );
+        CREATE INDEX idx_file_versions_blob_hash ON file_versions (blob_hash);
+      `);
+    }
+  },
+  {
+    version: 12,
+    description: 'Add blob integrity status',
+    up: (db) => {
+      db.exec(`
+        ALTER TABLE blobs ADD COLUMN integrity_status TEXT;
+        ALTER TABLE blobs ADD COLUMN verified_at TEXT;
+      `);
+    }
+  },
+  {
+    version: 13,
+    description: 'Add data keys for at-rest encryption',
+    up: (db) => {
+      db.exec(`
+        CREATE TABLE data_keys (
+          id TEXT PRIMARY KEY,
+          storage_key TEXT NOT NULL,
+          wrapped_key TEXT NOT NULL,
+          master_key_id TEXT NOT NULL,
+          created_at TEXT NOT NULL,
+          rotated_at TEXT
+        );
+        CREATE INDEX idx_data_keys_storage_key ON data_keys (storage_key);
+        CREATE INDEX idx_data_keys_master_key_id ON data_keys (master_key_id);
+      `);
+    }
+  },
+  {
+    version: 14,
+    description: 'Add last access time for eviction',
+    up: (db) => {
+      db.exec(`
+        ALTER TABLE files ADD COLUMN last_accessed_at TEXT;
+        CREATE INDEX idx_files_last_accessed_at ON files (pinned, COALESCE(last_accessed_at, uploaded_at));
+      `);
+    }
+  }
+];
+
+let db = null;
+
+/**
+ * Apply any migrations newer than the database's current version
+ */
+const migrate = (database) => {
+  const currentVersion = database.pragma('user_version', { simple: true });
+
+  for (const migration of MIGRATIONS) {
+    if (migration.version <= currentVersion) {
+      continue;
+    }
+
+    database.transaction(() => {
+      migration.up(database);
+      database.pragma(`user_version = ${migration.version}`);
+    })();
+  }
+};
+
+/**
+ * Get the shared database connection, opening and migrating it on first use
+ */
+const getDatabase = () => {
+  if (db) {
+    return db;
+  }
+
+  fs.mkdirSync(path.dirname(config.databasePath), { recursive: true });
+
+  db = new Database(config.databasePath);
+
+  // WAL keeps readers unblocked during writes and survives crashes mid-write
+  db.pragma('journal_mode = WAL');
+  db.pragma('synchronous = NORMAL');
+  db.pragma('foreign_keys = ON');
+
+  migrate(db);
+
+  return db;
+};
+
+/**
+ * Close the shared connection (flushes the WAL)
+ */
+const closeDatabase = () => {
+  if (db) {
+    // Move committed writes from the WAL into the database file
+    db.pragma('wal_checkpoint(TRUNCATE)');
+    db.close();
+    db = null;
+  }
+};
+
+module.exports = {
+  getDatabase,
+  closeDatabase
+};
@@ -0,0 +1,201 @@
+const express = require('express');
+const router = express.Router();
+const apiKeyStore = require('../models/ApiKey');
+const { SCOPES } = require('../models/ApiKey');
+const { authenticate, requireScope } = require('../middleware/auth');
+
+const QUOTA_NAMES = ['storageBytes', 'files', 'uploadsPerHour'];
+
+/**
+ * Shape an API key record for responses (never includes the key or its hash)
+ */
+const formatKey = (key) => ({
+  keyId: key.id,
+  name: key.name,
+  ownerId: key.ownerId,
+  scopes: key.scopes,
+  // Overrides of the configured quotas (0 = unlimited), or null
+  quota: key.quota,
+  createdAt: key.createdAt,
+  lastUsedAt: key.lastUsedAt,
+  revokedAt: key.revokedAt
+});
+
+/**
+ * Validates quota overrides: null, or an object of non-negative integers
+ * (0 = unlimited) for any of storageBytes, files and uploadsPerHour.
+ * Returns an error message, or null.
+ */
+const validateQuota = (quota) => {
+  if (quota === null) {
+    return null;
+  }
+
+  if (typeof quota !== 'object' || Array.isArray(quota)) {
+    return 'quota must be an object or null';
+  }
+
+  const unknown = Object.keys(quota).filter(name => !QUOTA_NAMES.includes(name));
+  if (unknown.length > 0) {
+    return `Unknown quota(s): ${unknown.join(', ')}`;
+  }
+
+  const invalid = QUOTA_NAMES.filter(name => quota[name] !== undefined && (!Number.isInteger(quota[name]) || quota[name] < 0));
+  if (invalid.length > 0) {
+    return `Quotas must be non-negative integers (0 = unlimited): ${invalid.join(', ')}`;
+  }
+
+  return null;
+};
+
+/**
+ * Empty overrides are stored as no overrides
+ */
+const normalizeQuota = (quota) => (quota && Object.keys(quota).length > 0 ? quota : null);
+
+/**
+ * @route   POST /api/keys
+ * @desc    Create an API key. Optional "quota" ({ storageBytes?, files?,
+ *          uploadsPerHour? }) overrides the configured quotas.
+ *          The key itself is only returned in this response.
+ * @access  Private (admin scope)
+ */
+router.post('/keys', authenticate, requireScope('admin'), async (req, res, next) => {
+  try {
+    const { name, scopes, ownerId, quota = null } = req.body || {};
+
+    if (!name || typeof name !== 'string' || !Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid API key request',
+        details: 'Provide a "name" and a non-empty "scopes" array in the JSON body'
+      });
+    }
+
+    const invalidScopes = scopes.filter(scope => !SCOPES.includes(scope));
+    if (invalidScopes.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown scope(s): ${invalidScopes.join(', ')}`,
+        details: { allowedScopes: SCOPES }
+      });
+    }
+
+    if (ownerId !== undefined && (typeof ownerId !== 'string' || !ownerId.trim())) {
+      return res.status(400).json({
+        success: false,
+        error: 'ownerId must be a non-empty string'
+      });
+    }
+
+    const quotaError = validateQuota(quota);
+    if (quotaError) {
+      return res.status(400).json({
+        success: false,
+        error: quotaError
+      });
+    }
+
+    const { key, record } = await apiKeyStore.createKey({
+      name: name.trim(),
+      scopes,
+      ownerId: ownerId && ownerId.trim(),
+      quota: normalizeQuota(quota)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Store it now - it cannot be retrieved again.',
+      data: {
+        ...formatKey(record),
+        apiKey: key
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/keys
+ * @desc    List API keys
+ * @access  Private (admin scope)
+ */
+router.get('/keys', authenticate, requireScope('admin'), async (req, res, next) => {
+  try {
+    const keys = await apiKeyStore.getAllKeys();
+
+    res.json({
+      success: true,
+      data: {
+        keys: keys.map(formatKey)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   PUT /api/keys/:keyId/quota
+ * @desc    Replace a key's quota overrides. Body: { "storageBytes"?, "files"?,
+ *          "uploadsPerHour"? }; omitted quotas use the configured defaults.
+ * @access  Private (admin scope)
+ */
+router.put('/keys/:keyId/quota', authenticate, requireScope('admin'), async (req, res, next) => {
+  try {
+    const quota = req.body || {};
+
+    const quotaError = validateQuota(quota);
+    if (quotaError) {
+      return res.status(400).json({
+        success: false,
+        error: quotaError
+      });
+    }
+
+    const updated = await apiKeyStore.setQuota(req.params.keyId, normalizeQuota(quota));
+    if (!updated) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Quota updated',
+      data: formatKey(updated)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   DELETE /api/keys/:keyId
+ * @desc    Revoke an API key
+ * @access  Private (admin scope)
+ */
+router.delete('/keys/:keyId', authenticate, requireScope('admin'), async (req, res, next) => {
+  try {
+    const revoked = await apiKeyStore.revokeKey(req.params.keyId);
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found or already revoked'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'API key revoked',
+      data: formatKey(await apiKeyStore.getKey(req.params.keyId))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
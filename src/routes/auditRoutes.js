@@ -0,0 +1,134 @@
+const express = require('express');
+const router = express.Router();
+const auditService = require('../services/auditService');
+const { AUDIT_ACTIONS } = auditService;
+const { authenticate, requireScope } = require('../middleware/auth');
+
+const ACTIONS = Object.values(AUDIT_ACTIONS);
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 1000;
+
+/**
+ * Shape an audit log entry for responses
+ */
+const formatEntry = (entry) => ({
+  id: entry.id,
+  occurredAt: entry.occurredAt,
+  action: entry.action,
+  fileId: entry.fileId,
+  fileName: entry.fileName,
+  ownerId: entry.ownerId,
+  // null when the service acted on its own (e.g. expiry) or via a share link
+  actorKeyId: entry.actorKeyId,
+  actorIp: entry.actorIp,
+  requestId: entry.requestId,
+  details: entry.details
+});
+
+const encodeCursor = (id) => Buffer.from(JSON.stringify({ id })).toString('base64url');
+
+const decodeCursor = (value) => {
+  try {
+    const cursor = JSON.parse(Buffer.from(value, 'base64url').toString('utf8'));
+    return cursor && Number.isInteger(cursor.id) ? cursor.id : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Parse a date filter. Returns undefined for an invalid value.
+ */
+const parseDate = (value) => {
+  if (typeof value !== 'string') {
+    return undefined;
+  }
+
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+/**
+ * @route   GET /api/audit
+ * @desc    Query the audit log, newest first. Filters: fileId, action,
+ *          actorKeyId, ownerId, from and to (ISO 8601, "to" exclusive).
+ *          Paginated with limit and cursor.
+ * @access  Private (admin scope)
+ */
+router.get('/audit', authenticate, requireScope('admin'), async (req, res, next) => {
+  try {
+    const { fileId, action, actorKeyId, ownerId, cursor } = req.query;
+    const filters = {};
+
+    for (const [name, value] of Object.entries({ fileId, actorKeyId, ownerId })) {
+      if (value !== undefined) {
+        if (typeof value !== 'string' || !value) {
+          return res.status(400).json({
+            success: false,
+            error: `${name} must be a non-empty string`
+          });
+        }
+        filters[name] = value;
+      }
+    }
+
+    if (action !== undefined) {
+      if (!ACTIONS.includes(action)) {
+        return res.status(400).json({
+          success: false,
+          error: `action must be one of: ${ACTIONS.join(', ')}`
+        });
+      }
+      filters.action = action;
+    }
+
+    for (const name of ['from', 'to']) {
+      if (req.query[name] !== undefined) {
+        const date = parseDate(req.query[name]);
+        if (!date) {
+          return res.status(400).json({
+            success: false,
+            error: `${name} must be an ISO 8601 date`
+          });
+        }
+        filters[name] = date;
+      }
+    }
+
+    const limit = req.query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      return res.status(400).json({
+        success: false,
+        error: `limit must be an integer between 1 and ${MAX_PAGE_SIZE}`
+      });
+    }
+
+    if (cursor !== undefined) {
+      filters.before = typeof cursor === 'string' ? decodeCursor(cursor) : null;
+      if (filters.before === null) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid cursor'
+        });
+      }
+    }
+
+    const { entries, hasMore } = await auditService.query({ ...filters, limit });
+
+    res.json({
+      success: true,
+      data: {
+        entries: entries.map(formatEntry),
+        pagination: {
+          limit,
+          hasMore,
+          nextCursor: hasMore ? encodeCursor(entries[entries.length - 1].id) : null
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
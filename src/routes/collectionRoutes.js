@@ -0,0 +1,290 @@
+const express = require('express');
+const router = express.Router();
+const collectionStore = require('../models/Collection');
+const collectionService = require('../services/collectionService');
+const { authenticate, requireScope, hasScope, canAccessCollection } = require('../middleware/auth');
+const config = require('../config/config');
+
+const COLLECTION_ID_PATTERN = /^[a-f0-9]{32}$/;
+const MAX_NAME_LENGTH = 100;
+
+/**
+ * Shape a collection for responses
+ */
+const formatCollection = (collection) => ({
+  collectionId: collection.id,
+  name: collection.name,
+  ownerId: collection.ownerId,
+  // null means the global FILE_RETENTION_HOURS applies
+  retentionHours: collection.retentionHours,
+  fileCount: collection.fileCount,
+  totalSize: collection.totalSize,
+  createdAt: collection.createdAt,
+  updatedAt: collection.updatedAt
+});
+
+/**
+ * Validates a collection name. Returns an error message, or null.
+ */
+const validateName = (name) => {
+  if (typeof name !== 'string' || !name.trim()) {
+    return 'name must be a non-empty string';
+  }
+
+  if (name.trim().length > MAX_NAME_LENGTH) {
+    return `name must be at most ${MAX_NAME_LENGTH} characters`;
+  }
+
+  if (/[\x00-\x1f\x7f]/.test(name)) {
+    return 'name must not contain control characters';
+  }
+
+  return null;
+};
+
+/**
+ * Validates a collection retention (null to use the global default).
+ * Returns an error message, or null.
+ */
+const validateRetentionHours = (retentionHours) => {
+  if (retentionHours === null) {
+    return null;
+  }
+
+  if (typeof retentionHours !== 'number' || !Number.isFinite(retentionHours) || retentionHours <= 0) {
+    return 'retentionHours must be a positive number or null';
+  }
+
+  if (retentionHours > config.maxFileRetentionHours) {
+    return `retentionHours cannot exceed the maximum retention of ${config.maxFileRetentionHours} hours`;
+  }
+
+  return null;
+};
+
+/**
+ * Loads the collection into req.collection. Collections belonging to
+ * another owner are reported as missing unless the caller is an admin.
+ */
+const loadCollection = async (req, res, next) => {
+  try {
+    const collection = COLLECTION_ID_PATTERN.test(req.params.collectionId)
+      ? await collectionStore.getCollection(req.params.collectionId)
+      : null;
+
+    if (!canAccessCollection(req.apiKey, collection)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Collection not found'
+      });
+    }
+
+    req.collection = collection;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+const nameTaken = (res) => res.status(409).json({
+  success: false,
+  error: 'A collection with this name already exists'
+});
+
+/**
+ * @route   POST /api/collections
+ * @desc    Create a collection. Body: { "name", "retentionHours"? }
+ * @access  Private (upload scope)
+ */
+router.post('/collections', authenticate, requireScope('upload'), async (req, res, next) => {
+  try {
+    const { name, retentionHours = null } = req.body || {};
+
+    const validationError = validateName(name) || validateRetentionHours(retentionHours);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    if (await collectionStore.nameExists(req.apiKey.ownerId, name.trim())) {
+      return nameTaken(res);
+    }
+
+    const collection = await collectionStore.createCollection({
+      name: name.trim(),
+      ownerId: req.apiKey.ownerId,
+      retentionHours
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Collection created',
+      data: formatCollection(collection)
+    });
+  } catch (error) {
+    if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+      return nameTaken(res);
+    }
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/collections
+ * @desc    List the caller's collections (admins may pass ?all=true to list every collection)
+ * @access  Private (read scope)
+ */
+router.get('/collections', authenticate, requireScope('read'), async (req, res, next) => {
+  try {
+    const listAll = req.apiKey.ownerId === null ||
+      (hasScope(req.apiKey, 'admin') && req.query.all === 'true');
+
+    const collections = listAll
+      ? await collectionStore.getAllCollections()
+      : await collectionStore.getCollectionsByOwner(req.apiKey.ownerId);
+
+    res.json({
+      success: true,
+      data: {
+        collections: collections.map(formatCollection)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/collections/:collectionId
+ * @desc    Get a collection. Its files are listed by GET /api/files?collectionId=...
+ * @access  Private (read scope, owner or admin)
+ */
+router.get('/collections/:collectionId',
+  authenticate,
+  requireScope('read'),
+  loadCollection,
+  (req, res) => {
+    res.json({
+      success: true,
+      data: formatCollection(req.collection)
+    });
+  }
+);
+
+/**
+ * @route   PATCH /api/collections/:collectionId
+ * @desc    Rename a collection or change its retention. Body: { "name"?, "retentionHours"? }.
+ *          A new retention is applied to the files already in the collection.
+ * @access  Private (upload scope, owner or admin)
+ */
+router.patch('/collections/:collectionId',
+  authenticate,
+  requireScope('upload'),
+  loadCollection,
+  async (req, res, next) => {
+    try {
+      const { name, retentionHours } = req.body || {};
+
+      if (name === undefined && retentionHours === undefined) {
+        return res.status(400).json({
+          success: false,
+          error: 'Nothing to update',
+          details: 'Provide name or retentionHours'
+        });
+      }
+
+      const validationError = (name !== undefined && validateName(name)) ||
+        (retentionHours !== undefined && validateRetentionHours(retentionHours));
+      if (validationError) {
+        return res.status(400).json({
+          success: false,
+          error: validationError
+        });
+      }
+
+      if (name !== undefined &&
+        await collectionStore.nameExists(req.collection.ownerId, name.trim(), req.collection.id)) {
+        return nameTaken(res);
+      }
+
+      const updated = await collectionStore.updateCollection(req.collection.id, {
+        name: name !== undefined ? name.trim() : undefined,
+        retentionHours
+      });
+
+      if (!updated) {
+        return res.status(404).json({
+          success: false,
+          error: 'Collection not found'
+        });
+      }
+
+      const retentionChanged = retentionHours !== undefined &&
+        retentionHours !== req.collection.retentionHours;
+      const filesUpdated = retentionChanged ? await collectionService.applyRetention(updated) : 0;
+
+      res.json({
+        success: true,
+        message: 'Collection updated successfully',
+        data: {
+          ...formatCollection(updated),
+          filesUpdated
+        }
+      });
+    } catch (error) {
+      if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+        return nameTaken(res);
+      }
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/collections/:collectionId
+ * @desc    Delete a collection. Refused while it contains files unless
+ *          ?cascade=true, which deletes its files too.
+ * @access  Private (delete scope, owner or admin)
+ */
+router.delete('/collections/:collectionId',
+  authenticate,
+  requireScope('delete'),
+  loadCollection,
+  async (req, res, next) => {
+    try {
+      const cascade = req.query.cascade === 'true';
+
+      if (!cascade && req.collection.fileCount > 0) {
+        return res.status(409).json({
+          success: false,
+          error: 'Collection is not empty',
+          details: `It contains ${req.collection.fileCount} file(s). Move or delete them first, or pass ?cascade=true to delete them with the collection`
+        });
+      }
+
+      const { filesDeleted } = await collectionService.deleteCollection(req.collection, { cascade });
+
+      res.json({
+        success: true,
+        message: 'Collection deleted successfully',
+        data: {
+          collectionId: req.collection.id,
+          name: req.collection.name,
+          filesDeleted
+        }
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({
+          success: false,
+          error: error.message
+        });
+      }
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
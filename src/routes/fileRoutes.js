@@ -1,25 +1,108 @@
 const express = require('express');
 const router = express.Router();
 const fs = require('fs').promises;
-const path = require('path');
-const { upload } = require('../config/multer');
+const { upload, batchUpload } = require('../config/multer');
 const metadataStore = require('../models/FileMetadata');
+const collectionStore = require('../models/Collection');
+const { SORT_COLUMNS } = metadataStore;
+const fileService = require('../services/fileService');
+const collectionService = require('../services/collectionService');
+const scanService = require('../services/scanService');
+const integrityService = require('../services/integrityService');
+const thumbnailService = require('../services/thumbnailService');
+const urlUploadService = require('../services/urlUploadService');
+const { SCAN_STATUS } = scanService;
+const { sendFile, announceDownload } = require('../services/downloadService');
+const { streamArchive } = require('../services/archiveService');
+const quotaService = require('../services/quotaService');
+const metricsService = require('../services/metricsService');
+const evictionService = require('../services/evictionService');
+const { REJECTION_REASONS } = metricsService;
+const shutdownService = require('../services/shutdownService');
 const {
+  checkFileContent,
+  getIncomingSize,
   validateFileMimeType,
+  validateTtlHours,
+  verifyUploadChecksum,
+  validateUploadRetention,
+  validateUploadCollection,
+  validateUploadAnnotations,
+  checkCollectionTarget,
   checkStorageLimit,
+  checkUploadQuota,
+  sendQuotaRejection,
+  sanitizeFilename,
   validateFileId
 } = require('../middleware/security');
+const { rateLimit } = require('../middleware/rateLimit');
+const {
+  authenticate,
+  requireScope,
+  hasScope,
+  canAccessFile,
+  canAccessCollection
+} = require('../middleware/auth');
 const config = require('../config/config');
+const { formatFile } = require('../utils/formatters');
+const { parseAnnotations, parseTags, mergeMetadata } = require('../utils/annotations');
+
+/**
+ * Store a validated single upload (req.file) and send the response
+ */
+const storeSingleUpload = async (req, res) => {
+  // Move the file into storage and record its metadata
+  const { rejection, result: metadata } = await quotaService.commitUpload(req.apiKey,
+    { bytes: req.file.size, files: 1 },
+    () => fileService.storeUpload(req.file, {
+      ownerId: req.apiKey.ownerId,
+      ttlHours: req.ttlHours,
+      collectionId: req.collection && req.collection.id,
+      ...req.annotations
+    }));
+
+  if (rejection) {
+    await fs.unlink(req.file.path).catch(() => {});
+    return sendQuotaRejection(res, rejection);
+  }
+
+  // Synchronous scanning found malware; the content was quarantined
+  if (metadata.scanStatus === SCAN_STATUS.INFECTED) {
+    return res.status(422).json({
+      success: false,
+      error: 'Malware detected',
+      details: scanService.getDownloadRefusal(metadata).details,
+      data: formatFile(metadata)
+    });
+  }
+
+  res.status(201).json({
+    success: true,
+    message: 'File uploaded successfully',
+    data: formatFile(metadata)
+  });
+};
 
 /**
  * @route   POST /api/upload
- * @desc    Upload a file
- * @access  Public (assumed internal use)
+ * @desc    Upload a file. Optional fields: "ttlHours" sets a custom retention,
+ *          "collectionId" places the file in a collection, and "description",
+ *          "tags" and "metadata" annotate it.
+ * @access  Private (upload scope)
  */
 router.post('/upload',
+  authenticate,
+  requireScope('upload'),
+  rateLimit('upload'),
   upload.single('file'),
-  checkStorageLimit(metadataStore),
+  verifyUploadChecksum,
+  validateUploadRetention,
+  validateUploadCollection,
+  validateUploadAnnotations,
+  checkUploadQuota,
   validateFileMimeType,
+  // Last, as it may evict files to make room
+  checkStorageLimit(),
   async (req, res, next) => {
     try {
       if (!req.file) {
@@ -30,61 +113,554 @@ router.post('/upload',
         });
       }
 
-      // Store metadata
-      const metadata = await metadataStore.addFile(req.file);
+      await storeSingleUpload(req, res);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Fetches the file named by the "url" field into staging as req.file, so
+ * the upload checks that follow treat it like a multipart upload. An
+ * optional "filename" replaces the name taken from the response.
+ */
+const fetchUploadFromUrl = async (req, res, next) => {
+  const { url, filename } = req.body || {};
+
+  if (filename !== undefined && (typeof filename !== 'string' || !filename.trim() || filename.length > 255)) {
+    return res.status(400).json({
+      success: false,
+      error: 'filename must be a non-empty string of at most 255 characters'
+    });
+  }
+
+  try {
+    req.file = await urlUploadService.fetchToStaging(url, {
+      filename: filename && filename.trim(),
+      md5: config.checksums.md5
+    });
+    next();
+  } catch (error) {
+    // Oversized files are reported by the error handler, as for multipart uploads
+    if (!error.status) {
+      return next(error);
+    }
+
+    if (error.reason) {
+      metricsService.recordRejection(error.reason);
+    }
+
+    res.status(error.status).json({
+      success: false,
+      error: error.message,
+      details: error.details
+    });
+  }
+};
+
+/**
+ * @route   POST /api/upload/url
+ * @desc    Upload a file the server fetches from an http(s) URL (JSON body:
+ *          "url", optional "filename"). Redirects, size (MAX_FILE_SIZE_MB)
+ *          and time are limited, and private or reserved addresses are
+ *          refused unless allow-listed. Same optional fields and checks as
+ *          POST /api/upload; the MIME type is the response's Content-Type.
+ * @access  Private (upload scope)
+ */
+router.post('/upload/url',
+  authenticate,
+  requireScope('upload'),
+  rateLimit('upload'),
+  // Checked first, so invalid requests fetch nothing
+  validateUploadRetention,
+  validateUploadCollection,
+  validateUploadAnnotations,
+  fetchUploadFromUrl,
+  checkUploadQuota,
+  validateFileMimeType,
+  // Last, as it may evict files to make room
+  checkStorageLimit(),
+  async (req, res, next) => {
+    try {
+      await storeSingleUpload(req, res);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Remove staged batch files that were not committed to storage
+ */
+const discardStaged = async (files) => {
+  for (const file of files) {
+    await fs.unlink(file.path).catch(() => {});
+  }
+};
+
+/**
+ * Run the single-upload content and quota checks on each file of a batch.
+ * Quotas account for the files of the batch accepted so far.
+ * @returns {Promise<{ accepted: Object[], failures: Object[] }>}
+ */
+const checkBatchFiles = async (files, apiKey) => {
+  const accepted = [];
+  const failures = [];
+  // Quotas count every file at its full size, duplicates included
+  const batchTotals = { bytes: 0, files: 0 };
+
+  for (const file of files) {
+    let problem;
+    try {
+      problem = await checkFileContent(file);
+    } catch (error) {
+      problem = { error: 'Failed to validate file type', details: error.message };
+    }
+
+    if (problem && problem.reason) {
+      metricsService.recordRejection(problem.reason);
+    }
+
+    if (!problem) {
+      const rejection = await quotaService.checkUpload(apiKey, {
+        bytes: batchTotals.bytes + file.size,
+        files: batchTotals.files + 1
+      });
+
+      if (rejection) {
+        metricsService.recordRejection(REJECTION_REASONS.QUOTA);
+        problem = { error: rejection.error, details: rejection.details };
+      } else {
+        batchTotals.bytes += file.size;
+        batchTotals.files++;
+      }
+    }
+
+    if (problem) {
+      await fs.unlink(file.path).catch(() => {});
+      const { reason, ...body } = problem;
+      failures.push({ index: file.index, originalName: file.originalname, success: false, ...body });
+    } else {
+      accepted.push(file);
+    }
+  }
+
+  return { accepted, failures };
+};
+
+/**
+ * Run the storage limit check on the files of a batch that passed every
+ * other check, in order. Under an eviction policy, room is made once for
+ * all of them first, so files are only evicted for a batch that is stored.
+ * @returns {Promise<{ accepted: Object[], failures: Object[] }>}
+ */
+const checkBatchStorage = async (files) => {
+  const accepted = [];
+  const failures = [];
+  const incomingSizes = new Map();
+
+  // Identical files within the batch are only stored once
+  for (const file of files) {
+    if (!incomingSizes.has(file.sha256)) {
+      incomingSizes.set(file.sha256, await getIncomingSize(file));
+    }
+  }
+
+  const totalIncoming = [...incomingSizes.values()].reduce((sum, size) => sum + size, 0);
+  let usage = await evictionService.makeRoom(totalIncoming);
+  const counted = new Set();
+
+  for (const file of files) {
+    const incomingSize = counted.has(file.sha256) ? 0 : incomingSizes.get(file.sha256);
+
+    if (usage + incomingSize > config.maxStorageBytes) {
+      await fs.unlink(file.path).catch(() => {});
+      metricsService.recordRejection(REJECTION_REASONS.STORAGE_LIMIT);
+      failures.push({
+        index: file.index,
+        originalName: file.originalname,
+        success: false,
+        error: 'Storage limit exceeded',
+        details: {
+          currentUsage: `${(usage / 1024 / 1024).toFixed(2)} MB`,
+          maxStorage: `${config.maxStorageMB} MB`,
+          incomingSize: `${(incomingSize / 1024 / 1024).toFixed(2)} MB`
+        }
+      });
+      continue;
+    }
+
+    usage += incomingSize;
+    counted.add(file.sha256);
+    accepted.push(file);
+  }
+
+  return { accepted, failures };
+};
+
+/**
+ * @route   POST /api/upload/batch
+ * @desc    Upload several files (field "files") in one request. Each file gets
+ *          the same checks as POST /api/upload and its own result. In
+ *          all-or-nothing mode (BATCH_UPLOAD_MODE) one failure rejects the batch.
+ * @access  Private (upload scope)
+ */
+router.post('/upload/batch',
+  authenticate,
+  requireScope('upload'),
+  rateLimit('upload'),
+  batchUpload.array('files'),
+  verifyUploadChecksum,
+  validateUploadRetention,
+  validateUploadCollection,
+  validateUploadAnnotations,
+  async (req, res, next) => {
+    const staged = req.files || [];
+    const rejections = req.batchRejections || [];
+    let pending = staged;
+
+    try {
+      if (staged.length === 0 && rejections.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'No files uploaded',
+          details: 'Use "files" as the field name in your multipart/form-data request'
+        });
+      }
+
+      const allOrNothing = config.batchUploadMode === 'all-or-nothing';
+      const { accepted, failures } = await checkBatchFiles(staged, req.apiKey);
+      const results = [
+        ...rejections.map(({ index, originalname, error }) => ({
+          index, originalName: originalname, success: false, error
+        })),
+        ...failures
+      ];
+      pending = accepted;
+
+      const notStored = (file, details) => ({
+        index: file.index,
+        originalName: file.originalname,
+        success: false,
+        error: 'Not stored',
+        details
+      });
+
+      if (allOrNothing && results.length > 0) {
+        await discardStaged(accepted);
+        results.push(...accepted.map(file => notStored(file, 'Another file in the batch was rejected')));
+        pending = [];
+      }
+
+      // Last, as it may evict files to make room
+      if (pending.length > 0) {
+        const storageCheck = await checkBatchStorage(pending);
+        results.push(...storageCheck.failures);
+        pending = storageCheck.accepted;
+
+        if (allOrNothing && storageCheck.failures.length > 0) {
+          await discardStaged(pending);
+          results.push(...pending.map(file => notStored(file, 'Another file in the batch was rejected')));
+          pending = [];
+        }
+      }
+
+      // Commit the accepted files one by one
+      const stored = [];
+      while (pending.length > 0) {
+        const file = pending.shift();
+        let failure = null;
+
+        try {
+          const { rejection, result: metadata } = await quotaService.commitUpload(req.apiKey,
+            { bytes: file.size, files: 1 },
+            () => fileService.storeUpload(file, {
+              ownerId: req.apiKey.ownerId,
+              ttlHours: req.ttlHours,
+              collectionId: req.collection && req.collection.id,
+              ...req.annotations
+            }));
+
+          if (rejection) {
+            // Another upload used the quota since the batch was checked
+            await fs.unlink(file.path).catch(() => {});
+            metricsService.recordRejection(REJECTION_REASONS.QUOTA);
+            failure = { error: rejection.error, details: rejection.details };
+          } else {
+            stored.push({ file, metadata });
+          }
+
+          // Synchronous scanning found malware; the content was quarantined
+          if (metadata && metadata.scanStatus === SCAN_STATUS.INFECTED) {
+            failure = {
+              error: 'Malware detected',
+              details: scanService.getDownloadRefusal(metadata).details,
+              data: formatFile(metadata)
+            };
+          }
+        } catch (error) {
+          failure = { error: 'Failed to store file', details: error.message };
+        }
+
+        if (!failure) {
+          continue;
+        }
+
+        results.push({ index: file.index, originalName: file.originalname, success: false, ...failure });
+
+        if (allOrNothing) {
+          // Undo what this batch already stored and skip the rest
+          for (const entry of stored) {
+            if (entry.file !== file) {
+              await fileService.deleteFile(entry.metadata, { details: { reason: 'batch_rolled_back' } });
+              results.push(notStored(entry.file, 'Rolled back because another file in the batch failed'));
+            }
+          }
+          stored.length = 0;
+
+          await discardStaged(pending);
+          results.push(...pending.map(entry => notStored(entry, 'Another file in the batch failed')));
+          pending = [];
+        }
+      }
+
+      for (const { file, metadata } of stored) {
+        if (metadata.scanStatus !== SCAN_STATUS.INFECTED) {
+          results.push({ index: file.index, originalName: file.originalname, success: true, data: formatFile(metadata) });
+        }
+      }
+
+      results.sort((a, b) => a.index - b.index);
+      const uploaded = results.filter(result => result.success).length;
+      const failed = results.length - uploaded;
+
+      let status = 201;
+      if (failed > 0) {
+        status = uploaded > 0 ? 207 : 400;
+      }
 
-      res.status(201).json({
-        success: true,
-        message: 'File uploaded successfully',
+      res.status(status).json({
+        success: failed === 0,
+        message: `${uploaded} of ${results.length} files uploaded`,
         data: {
-          fileId: metadata.id,
-          originalName: metadata.originalName,
-          filename: metadata.filename,
-          size: metadata.size,
-          sizeFormatted: `${(metadata.size / 1024).toFixed(2)} KB`,
-          mimeType: metadata.mimeType,
-          uploadedAt: metadata.uploadedAt,
-          expiresAt: metadata.expiresAt
+          mode: config.batchUploadMode,
+          uploaded,
+          failed,
+          results
         }
       });
     } catch (error) {
+      await discardStaged(pending);
       next(error);
     }
   }
 );
 
+/**
+ * Parse an optional ISO 8601 date from the request body or query string
+ * @returns {Date|null|undefined} Date, null if absent, undefined if invalid
+ */
+const parseOptionalDate = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+const encodeCursor = (cursor) => Buffer.from(JSON.stringify(cursor)).toString('base64url');
+
+const decodeCursor = (value) => {
+  try {
+    const cursor = JSON.parse(Buffer.from(value, 'base64url').toString('utf8'));
+    return cursor && typeof cursor === 'object' && typeof cursor.id === 'string' ? cursor : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Parse an optional non-negative integer from the query string
+ * @returns {number|null|undefined} Number, null if absent, undefined if invalid
+ */
+const parseOptionalInteger = (value) => {
+  if (value === undefined || value === '') {
+    return null;
+  }
+
+  return /^\d+$/.test(value) ? parseInt(value, 10) : undefined;
+};
+
+/**
+ * Turn GET /api/files query parameters into a metadataStore.queryFiles query
+ * @returns {{ query?: Object, error?: string, details?: string }}
+ */
+const parseListQuery = (params) => {
+  for (const [name, value] of Object.entries(params)) {
+    if (typeof value !== 'string') {
+      return { error: `Query parameter "${name}" may only be given once` };
+    }
+  }
+
+  const query = {};
+
+  if (params.mimeType) {
+    query.mimeTypes = params.mimeType.split(',').map(type => type.trim().toLowerCase()).filter(Boolean);
+    if (!query.mimeTypes.every(type => /^[\w.+-]+\/([\w.+-]+|\*)$/.test(type))) {
+      return {
+        error: 'Invalid mimeType filter',
+        details: 'Use comma-separated MIME types such as "application/pdf" or "image/*"'
+      };
+    }
+  }
+
+  for (const name of ['minSize', 'maxSize']) {
+    const value = parseOptionalInteger(params[name]);
+    if (value === undefined) {
+      return { error: `${name} must be a non-negative integer (bytes)` };
+    }
+    query[name] = value;
+  }
+
+  if (query.minSize !== null && query.maxSize !== null && query.minSize > query.maxSize) {
+    return { error: 'minSize must not be greater than maxSize' };
+  }
+
+  for (const name of ['uploadedAfter', 'uploadedBefore', 'expiresAfter', 'expiresBefore']) {
+    const value = parseOptionalDate(params[name]);
+    if (value === undefined) {
+      return { error: `${name} must be an ISO 8601 date` };
+    }
+    query[name] = value;
+  }
+
+  if (params.collectionId) {
+    query.collectionId = params.collectionId;
+  }
+
+  if (params.tag) {
+    const { value, error } = parseTags(params.tag);
+    if (error) {
+      return { error: 'Invalid tag filter', details: error };
+    }
+    query.tags = value;
+  }
+
+  if (params.metadataValue !== undefined && !params.metadataKey) {
+    return { error: 'metadataValue requires metadataKey' };
+  }
+
+  if (params.metadataKey) {
+    query.metadataKey = params.metadataKey;
+    query.metadataValue = params.metadataValue;
+  }
+
+  if (params.name !== undefined) {
+    query.name = params.name.trim();
+    if (query.name.length > 255) {
+      return { error: 'name filter must be at most 255 characters' };
+    }
+  }
+
+  query.sortBy = params.sort || 'uploadedAt';
+  if (!Object.prototype.hasOwnProperty.call(SORT_COLUMNS, query.sortBy)) {
+    return {
+      error: 'Invalid sort field',
+      details: `Sort by one of: ${Object.keys(SORT_COLUMNS).join(', ')}`
+    };
+  }
+
+  query.order = params.order || 'desc';
+  if (query.order !== 'asc' && query.order !== 'desc') {
+    return { error: 'order must be "asc" or "desc"' };
+  }
+
+  const limit = parseOptionalInteger(params.limit);
+  if (limit === undefined || limit === 0 || limit > MAX_PAGE_SIZE) {
+    return { error: `limit must be between 1 and ${MAX_PAGE_SIZE}` };
+  }
+  query.limit = limit || DEFAULT_PAGE_SIZE;
+
+  if (params.cursor) {
+    const cursor = decodeCursor(params.cursor);
+    if (!cursor) {
+      return { error: 'Invalid cursor' };
+    }
+    if (cursor.sortBy !== query.sortBy || cursor.order !== query.order) {
+      return {
+        error: 'Cursor does not match the requested sort',
+        details: 'Pass the same sort and order used for the previous page'
+      };
+    }
+    query.after = { value: cursor.value, id: cursor.id };
+  }
+
+  return { query };
+};
+
 /**
  * @route   GET /api/files
- * @desc    List all uploaded files
- * @access  Public (assumed internal use)
+ * @desc    List the caller's files (admins may pass ?all=true to list every file).
+ *          Supports filters (mimeType, minSize, maxSize, uploadedAfter/Before,
+ *          expiresAfter/Before, name, collectionId, tag, metadataKey and
+ *          metadataValue), sorting (sort, order) and cursor
+ *          pagination (limit, cursor).
+ * @access  Private (read scope)
  */
-router.get('/files', async (req, res, next) => {
+router.get('/files', authenticate, requireScope('read'), async (req, res, next) => {
   try {
-    const files = await metadataStore.getAllFiles();
-    const totalStorage = await metadataStore.getTotalStorageUsed();
+    const listAll = req.apiKey.ownerId === null ||
+      (hasScope(req.apiKey, 'admin') && req.query.all === 'true');
+
+    const { all, ...params } = req.query;
+    const { query, error, details } = parseListQuery(params);
+    if (error) {
+      return res.status(400).json({ success: false, error, details });
+    }
+
+    const ownerId = listAll ? null : req.apiKey.ownerId;
+
+    if (query.collectionId) {
+      const collection = await collectionStore.getCollection(query.collectionId);
+      if (!canAccessCollection(req.apiKey, collection)) {
+        return res.status(404).json({
+          success: false,
+          error: 'Collection not found'
+        });
+      }
+    }
+
+    // A collection's files all belong to its owner
+    query.ownerId = query.collectionId ? null : ownerId;
 
-    // Sort by upload date (newest first)
-    files.sort((a, b) => new Date(b.uploadedAt) - new Date(a.uploadedAt));
+    const [page, summary] = await Promise.all([
+      metadataStore.queryFiles(query),
+      metadataStore.getSummary(ownerId)
+    ]);
 
     res.json({
       success: true,
       data: {
-        files: files.map(file => ({
-          fileId: file.id,
-          originalName: file.originalName,
-          filename: file.filename,
-          size: file.size,
-          sizeFormatted: `${(file.size / 1024).toFixed(2)} KB`,
-          mimeType: file.mimeType,
-          uploadedAt: file.uploadedAt,
-          expiresAt: file.expiresAt
-        })),
+        files: page.files.map(formatFile),
+        pagination: {
+          limit: query.limit,
+          total: page.total,
+          hasMore: page.hasMore,
+          nextCursor: page.last
+            ? encodeCursor({ sortBy: query.sortBy, order: query.order, ...page.last })
+            : null
+        },
         summary: {
-          totalFiles: files.length,
-          totalStorage: totalStorage,
-          totalStorageFormatted: `${(totalStorage / 1024 / 1024).toFixed(2)} MB`,
+          totalFiles: summary.count,
+          totalStorage: summary.size,
+          totalStorageFormatted: `${(summary.size / 1024 / 1024).toFixed(2)} MB`,
           maxStorage: `${config.maxStorageMB} MB`,
-          usagePercentage: `${((totalStorage / config.maxStorageBytes) * 100).toFixed(2)}%`
+          usagePercentage: `${((summary.size / config.maxStorageBytes) * 100).toFixed(2)}%`
         }
       }
     });
@@ -96,46 +672,188 @@ router.get('/files', async (req, res, next) => {
 /**
  * @route   GET /api/files/:fileId
  * @desc    Get file metadata
- * @access  Public (assumed internal use)
+ * @access  Private (read scope, owner or admin)
  */
-router.get('/files/:fileId', validateFileId, async (req, res, next) => {
+router.get('/files/:fileId', authenticate, requireScope('read'), validateFileId, async (req, res, next) => {
   try {
     const { fileId } = req.params;
     const file = await metadataStore.getFile(fileId);
 
-    if (!file) {
+    // Files owned by someone else are reported as missing
+    if (!canAccessFile(req.apiKey, file)) {
       return res.status(404).json({
         success: false,
         error: 'File not found'
       });
     }
 
-    // Check if file still exists on disk
-    try {
-      await fs.access(file.path);
-    } catch {
-      // File exists in metadata but not on disk - clean up metadata
+    // Check if file still exists in storage (quarantined files are kept as metadata)
+    if (file.scanStatus !== SCAN_STATUS.INFECTED && !(await fileService.exists(file))) {
+      // File exists in metadata but not in storage - clean up metadata
       await metadataStore.deleteFile(fileId);
       
       return res.status(404).json({
         success: false,
-        error: 'File not found on disk',
+        error: 'File not found in storage',
         details: 'Metadata has been cleaned up'
       });
     }
 
     res.json({
       success: true,
-      data: {
-        fileId: file.id,
-        originalName: file.originalName,
-        filename: file.filename,
-        size: file.size,
-        sizeFormatted: `${(file.size / 1024).toFixed(2)} KB`,
-        mimeType: file.mimeType,
-        uploadedAt: file.uploadedAt,
-        expiresAt: file.expiresAt
+      data: formatFile(file)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   PATCH /api/files/:fileId
+ * @desc    Change a file's expiry, pin it, move it or edit its annotations.
+ *          Accepts "expiresAt" (ISO date) or "ttlHours" (from now), "pinned"
+ *          (boolean), "collectionId" (null to remove it from its collection),
+ *          "description", "tags" (replaces the list) and "metadata" (merged;
+ *          a null value removes a key, null removes all).
+ * @access  Private (upload scope, owner or admin)
+ */
+router.patch('/files/:fileId', authenticate, requireScope('upload'), validateFileId, async (req, res, next) => {
+  try {
+    const { fileId } = req.params;
+    const file = await metadataStore.getFile(fileId);
+
+    if (!canAccessFile(req.apiKey, file)) {
+      return res.status(404).json({
+        success: false,
+        error: 'File not found'
+      });
+    }
+
+    const { expiresAt, ttlHours, pinned, collectionId } = req.body || {};
+    const changes = {};
+    let targetCollection;
+
+    if (expiresAt !== undefined && ttlHours !== undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'Provide either expiresAt or ttlHours, not both'
+      });
+    }
+
+    if (ttlHours !== undefined) {
+      const ttlError = validateTtlHours(ttlHours);
+      if (ttlError) {
+        return res.status(400).json({
+          success: false,
+          error: ttlError
+        });
+      }
+
+      changes.expiresAt = new Date(Date.now() + ttlHours * 60 * 60 * 1000).toISOString();
+      changes.customExpiry = true;
+    }
+
+    if (expiresAt !== undefined) {
+      const expiry = new Date(expiresAt);
+      const maxExpiry = Date.now() + config.maxFileRetentionHours * 60 * 60 * 1000;
+
+      if (typeof expiresAt !== 'string' || Number.isNaN(expiry.getTime())) {
+        return res.status(400).json({
+          success: false,
+          error: 'expiresAt must be an ISO 8601 date'
+        });
+      }
+
+      if (expiry.getTime() <= Date.now() || expiry.getTime() > maxExpiry) {
+        return res.status(400).json({
+          success: false,
+          error: `expiresAt must be in the future and within ${config.maxFileRetentionHours} hours`
+        });
+      }
+
+      changes.expiresAt = expiry.toISOString();
+      changes.customExpiry = true;
+    }
+
+    if (pinned !== undefined) {
+      if (typeof pinned !== 'boolean') {
+        return res.status(400).json({
+          success: false,
+          error: 'pinned must be a boolean'
+        });
+      }
+
+      changes.pinned = pinned;
+    }
+
+    if (collectionId !== undefined) {
+      targetCollection = null;
+
+      if (collectionId !== null) {
+        const collection = typeof collectionId === 'string'
+          ? await collectionStore.getCollection(collectionId)
+          : null;
+        const rejection = checkCollectionTarget(req.apiKey, collection, file.ownerId);
+
+        if (rejection) {
+          const { status, ...body } = rejection;
+          return res.status(status).json({ success: false, ...body });
+        }
+
+        targetCollection = collection;
       }
+    }
+
+    const { annotations, error: annotationError } = parseAnnotations(req.body, { allowNull: true });
+    const mergedMetadata = annotations && annotations.metadata
+      ? mergeMetadata(file.metadata, annotations.metadata)
+      : null;
+
+    if (annotationError || (mergedMetadata && mergedMetadata.error)) {
+      return res.status(400).json({
+        success: false,
+        error: annotationError || mergedMetadata.error
+      });
+    }
+
+    // Empty values are dropped from the record rather than stored
+    if (annotations.description !== undefined) {
+      changes.description = annotations.description || undefined;
+    }
+
+    if (annotations.tags !== undefined) {
+      changes.tags = annotations.tags.length > 0 ? annotations.tags : undefined;
+    }
+
+    if (Object.keys(changes).length === 0 && targetCollection === undefined &&
+      annotations.metadata === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'Nothing to update',
+        details: 'Provide expiresAt, ttlHours, pinned, collectionId, description, tags or metadata'
+      });
+    }
+
+    // Metadata is merged inside the update so concurrent edits to other keys are kept
+    const resolveMetadata = (record) => {
+      const metadata = annotations.metadata === null
+        ? {}
+        : mergeMetadata(record.metadata, annotations.metadata).value;
+      return Object.keys(metadata).length > 0 ? metadata : undefined;
+    };
+
+    // Moving re-derives the expiry from the collection's retention unless
+    // one is given here (or was chosen explicitly before)
+    const updated = await metadataStore.updateFile(fileId, (record) => ({
+      ...(targetCollection !== undefined && collectionService.placementChanges(record, targetCollection)),
+      ...(annotations.metadata !== undefined && { metadata: resolveMetadata(record) }),
+      ...changes
+    }));
+
+    res.json({
+      success: true,
+      message: 'File updated successfully',
+      data: formatFile(updated)
     });
   } catch (error) {
     next(error);
@@ -144,80 +862,284 @@ router.get('/files/:fileId', validateFileId, async (req, res, next) => {
 
 /**
  * @route   GET /api/download/:fileId
- * @desc    Download a file
- * @access  Public (assumed internal use)
+ * @desc    Download a file (supports Range and conditional requests)
+ * @access  Private (read scope, owner or admin)
  */
-router.get('/download/:fileId', validateFileId, async (req, res, next) => {
+router.get('/download/:fileId', authenticate, requireScope('read'), rateLimit('download'), validateFileId, async (req, res, next) => {
   try {
     const { fileId } = req.params;
     const file = await metadataStore.getFile(fileId);
 
-    if (!file) {
+    if (!canAccessFile(req.apiKey, file)) {
       return res.status(404).json({
         success: false,
         error: 'File not found'
       });
     }
 
-    // Verify file exists on disk
-    try {
-      await fs.access(file.path);
-    } catch {
+    // Refuse files that are corrupt, unscanned, infected or failed scanning
+    const refusal = integrityService.getDownloadRefusal(file);
+    if (refusal) {
+      return res.status(refusal.status).json({
+        success: false,
+        error: refusal.error,
+        details: refusal.details
+      });
+    }
+
+    // Verify file exists in storage
+    if (!(await fileService.exists(file))) {
       // Clean up orphaned metadata
       await metadataStore.deleteFile(fileId);
       
       return res.status(404).json({
         success: false,
-        error: 'File not found on disk'
+        error: 'File not found in storage'
       });
     }
 
-    // Set appropriate headers for download
-    res.setHeader('Content-Type', file.mimeType);
-    res.setHeader('Content-Disposition', `attachment; filename="${file.originalName}"`);
-    res.setHeader('Content-Length', file.size);
-
-    // Stream the file
-    const fileStream = require('fs').createReadStream(file.path);
-    fileStream.pipe(res);
-
-    fileStream.on('error', (error) => {
-      next(error);
-    });
+    // Stream the file, honouring Range and conditional headers
+    if (await sendFile(req, res, file)) {
+      announceDownload(res, file, { via: 'api' });
+    }
   } catch (error) {
     next(error);
   }
 });
 
 /**
- * @route   DELETE /api/files/:fileId
- * @desc    Delete a file
- * @access  Public (assumed internal use)
+ * @route   GET /api/files/:fileId/thumbnail?size=256
+ * @desc    Get an image thumbnail (WebP, EXIF stripped). Generated on first
+ *          request unless THUMBNAIL_MODE=upload already created it.
+ * @access  Private (read scope, owner or admin)
  */
-router.delete('/files/:fileId', validateFileId, async (req, res, next) => {
+router.get('/files/:fileId/thumbnail', authenticate, requireScope('read'), rateLimit('download'), validateFileId, async (req, res, next) => {
   try {
-    const { fileId } = req.params;
-    const file = await metadataStore.getFile(fileId);
+    const size = req.query.size === undefined
+      ? config.thumbnailSizes[0]
+      : Number(req.query.size);
+
+    if (!thumbnailService.isValidSize(size)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid thumbnail size',
+        details: `Available sizes: ${config.thumbnailSizes.join(', ')}`
+      });
+    }
+
+    const file = await metadataStore.getFile(req.params.fileId);
 
-    if (!file) {
+    if (!canAccessFile(req.apiKey, file)) {
       return res.status(404).json({
         success: false,
         error: 'File not found'
       });
     }
 
-    // Delete physical file
+    if (!thumbnailService.isSupported(file)) {
+      return res.status(415).json({
+        success: false,
+        error: 'Thumbnails are only available for images',
+        details: `File type ${file.mimeType} has no thumbnail`
+      });
+    }
+
+    const refusal = integrityService.getDownloadRefusal(file);
+    if (refusal) {
+      return res.status(refusal.status).json({
+        success: false,
+        error: refusal.error,
+        details: refusal.details
+      });
+    }
+
+    if (!(await fileService.exists(file))) {
+      return res.status(404).json({
+        success: false,
+        error: 'File not found in storage'
+      });
+    }
+
+    let thumbnail;
     try {
-      await fs.unlink(file.path);
+      thumbnail = await thumbnailService.getThumbnail(file, size);
     } catch (error) {
-      // File doesn't exist on disk - continue to delete metadata
-      if (error.code !== 'ENOENT') {
+      if (error.code === 'ENOENT') {
         throw error;
       }
+
+      return res.status(422).json({
+        success: false,
+        error: 'Could not generate thumbnail',
+        details: error.message
+      });
+    }
+
+    await sendFile(req, res, thumbnailService.toDownload(file, thumbnail), { disposition: 'inline' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/download/archive
+ * @desc    Stream a ZIP of several files. Body: { "fileIds": [...] }, a
+ *          { "collectionId" } and/or an upload time range
+ *          { "uploadedAfter", "uploadedBefore" }.
+ *          Files that could not be included are listed in manifest.json.
+ * @access  Private (read scope, owner or admin)
+ */
+router.post('/download/archive', authenticate, requireScope('read'), rateLimit('download'), async (req, res, next) => {
+  try {
+    const { fileIds, collectionId, all } = req.body || {};
+    const uploadedAfter = parseOptionalDate(req.body && req.body.uploadedAfter);
+    const uploadedBefore = parseOptionalDate(req.body && req.body.uploadedBefore);
+
+    if (uploadedAfter === undefined || uploadedBefore === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'uploadedAfter and uploadedBefore must be ISO 8601 dates'
+      });
+    }
+
+    if (fileIds === undefined && collectionId === undefined && !uploadedAfter && !uploadedBefore) {
+      return res.status(400).json({
+        success: false,
+        error: 'Nothing to archive',
+        details: 'Provide "fileIds", a "collectionId" or an upload time range ("uploadedAfter" / "uploadedBefore")'
+      });
+    }
+
+    if (fileIds !== undefined && collectionId !== undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'Provide either fileIds or collectionId, not both'
+      });
+    }
+
+    if (fileIds !== undefined && (
+      !Array.isArray(fileIds) ||
+      fileIds.length === 0 ||
+      !fileIds.every(id => typeof id === 'string')
+    )) {
+      return res.status(400).json({
+        success: false,
+        error: 'fileIds must be a non-empty array of file IDs'
+      });
     }
 
-    // Delete metadata
-    await metadataStore.deleteFile(fileId);
+    let candidates = [];
+    const missing = [];
+
+    if (fileIds) {
+      const uniqueIds = [...new Set(fileIds)];
+
+      if (uniqueIds.length > config.maxArchiveFiles) {
+        return res.status(400).json({
+          success: false,
+          error: `An archive can contain at most ${config.maxArchiveFiles} files`
+        });
+      }
+
+      for (const fileId of uniqueIds) {
+        let file;
+        try {
+          file = await metadataStore.getFile(sanitizeFilename(fileId));
+        } catch {
+          file = undefined;
+        }
+
+        // Files owned by someone else are reported as missing
+        if (canAccessFile(req.apiKey, file)) {
+          candidates.push(file);
+        } else {
+          missing.push({ fileId, reason: 'File not found' });
+        }
+      }
+    } else {
+      const listAll = req.apiKey.ownerId === null || (hasScope(req.apiKey, 'admin') && all === true);
+
+      if (collectionId !== undefined) {
+        const collection = typeof collectionId === 'string'
+          ? await collectionStore.getCollection(collectionId)
+          : null;
+
+        if (!canAccessCollection(req.apiKey, collection)) {
+          return res.status(404).json({
+            success: false,
+            error: 'Collection not found'
+          });
+        }
+      }
+
+      candidates = await metadataStore.getFilesUploadedBetween({
+        // A collection's files all belong to its owner
+        ownerId: listAll || collectionId !== undefined ? null : req.apiKey.ownerId,
+        collectionId: collectionId === undefined ? null : collectionId,
+        from: uploadedAfter,
+        to: uploadedBefore,
+        limit: config.maxArchiveFiles + 1
+      });
+
+      if (candidates.length > config.maxArchiveFiles) {
+        return res.status(400).json({
+          success: false,
+          error: `More than ${config.maxArchiveFiles} files match`,
+          details: 'Narrow the upload time range'
+        });
+      }
+    }
+
+    // Files that may not be downloaded (scan pending, infected, corrupt, ...) are skipped
+    const files = [];
+    for (const file of candidates) {
+      const refusal = integrityService.getDownloadRefusal(file);
+      if (refusal) {
+        missing.push({ fileId: file.id, reason: refusal.error });
+      } else {
+        files.push(file);
+      }
+    }
+
+    if (files.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'No files to archive',
+        details: missing
+      });
+    }
+
+    const archive = await streamArchive(res, files, missing);
+
+    if (archive.completed) {
+      for (const file of archive.files) {
+        announceDownload(res, file, { via: 'archive' });
+      }
+    }
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   DELETE /api/files/:fileId
+ * @desc    Delete a file
+ * @access  Private (delete scope, owner or admin)
+ */
+router.delete('/files/:fileId', authenticate, requireScope('delete'), validateFileId, async (req, res, next) => {
+  try {
+    const { fileId } = req.params;
+    const file = await metadataStore.getFile(fileId);
+
+    if (!canAccessFile(req.apiKey, file)) {
+      return res.status(404).json({
+        success: false,
+        error: 'File not found'
+      });
+    }
+
+    // Delete stored object and metadata
+    await fileService.deleteFile(file, { details: { reason: 'request' } });
 
     res.json({
       success: true,
@@ -234,12 +1156,21 @@ router.delete('/files/:fileId', validateFileId, async (req, res, next) => {
 
 /**
  * @route   GET /api/health
- * @desc    Health check endpoint
+ * @desc    Health check endpoint. Answers 503 "draining" while the
+ *          server shuts down so that load balancers stop routing to it.
  * @access  Public
  */
 router.get('/health', async (req, res) => {
+  if (shutdownService.isDraining()) {
+    return res.status(503).json({
+      success: false,
+      status: 'draining',
+      timestamp: new Date().toISOString()
+    });
+  }
+
   try {
-    const totalStorage = await metadataStore.getTotalStorageUsed();
+    const { logical, physical } = await metadataStore.getTotalStorageUsed();
     const files = await metadataStore.getAllFiles();
 
     res.json({
@@ -247,9 +1178,11 @@ router.get('/health', async (req, res) => {
       status: 'healthy',
       timestamp: new Date().toISOString(),
       storage: {
-        used: `${(totalStorage / 1024 / 1024).toFixed(2)} MB`,
+        // Physical usage (deduplicated) is what counts against the limit
+        used: `${(physical / 1024 / 1024).toFixed(2)} MB`,
+        logical: `${(logical / 1024 / 1024).toFixed(2)} MB`,
         max: `${config.maxStorageMB} MB`,
-        usagePercentage: `${((totalStorage / config.maxStorageBytes) * 100).toFixed(2)}%`
+        usagePercentage: `${((physical / config.maxStorageBytes) * 100).toFixed(2)}%`
       },
       files: {
         count: files.length
@@ -257,7 +1190,8 @@ router.get('/health', async (req, res) => {
       config: {
         maxFileSize: `${config.maxFileSizeMB} MB`,
         fileRetention: `${config.fileRetentionHours} hours`,
-        allowedTypes: config.allowedMimeTypes.length
+        allowedTypes: config.allowedMimeTypes.length,
+        evictionPolicy: config.eviction.policy
       }
     });
   } catch (error) {
@@ -0,0 +1,47 @@
+const crypto = require('crypto');
+const express = require('express');
+const router = express.Router();
+const metricsService = require('../services/metricsService');
+const config = require('../config/config');
+
+/**
+ * Requires the METRICS_TOKEN bearer token, when one is configured
+ */
+const authenticateScraper = (req, res, next) => {
+  if (!config.metrics.token) {
+    return next();
+  }
+
+  const match = /^Bearer\s+(.+)$/i.exec(req.get('Authorization') || '');
+  const expected = Buffer.from(config.metrics.token);
+  const given = Buffer.from(match ? match[1].trim() : '');
+
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    res.setHeader('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required',
+      details: 'Provide the metrics token in the Authorization: Bearer header'
+    });
+  }
+
+  next();
+};
+
+/**
+ * @route   GET /metrics
+ * @desc    Metrics in the Prometheus text format
+ * @access  Public, or METRICS_TOKEN bearer token when set
+ */
+router.get('/metrics', authenticateScraper, async (req, res, next) => {
+  try {
+    const body = await metricsService.render();
+
+    res.setHeader('Content-Type', metricsService.contentType);
+    res.send(body);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,50 @@
+const express = require('express');
+const router = express.Router();
+const quotaService = require('../services/quotaService');
+const { authenticate, requireScope } = require('../middleware/auth');
+const { getRateLimitStatus } = require('../middleware/rateLimit');
+
+/**
+ * Usage against a limit (null limit = unlimited)
+ */
+const formatQuota = (used, limit) => ({
+  used,
+  limit,
+  remaining: limit === null ? null : Math.max(limit - used, 0)
+});
+
+/**
+ * @route   GET /api/quota
+ * @desc    Current usage of the caller's owner against its quotas, and the
+ *          caller's remaining rate limit per minute
+ * @access  Private (read scope)
+ */
+router.get('/quota', authenticate, requireScope('read'), async (req, res, next) => {
+  try {
+    const { ownerId } = req.apiKey;
+    const exempt = quotaService.isExempt(req.apiKey);
+    const limits = exempt
+      ? { storageBytes: null, files: null, uploadsPerHour: null }
+      : quotaService.getLimits(req.apiKey);
+    const usage = await quotaService.getUsage(ownerId);
+
+    res.json({
+      success: true,
+      data: {
+        ownerId,
+        exempt,
+        storageBytes: formatQuota(usage.storageBytes, limits.storageBytes),
+        files: formatQuota(usage.files, limits.files),
+        uploadsPerHour: {
+          ...formatQuota(usage.uploadsLastHour, limits.uploadsPerHour),
+          nextSlotAt: usage.uploadSlotFreesAt
+        },
+        rateLimits: getRateLimitStatus(req)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
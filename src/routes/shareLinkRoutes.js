@@ -0,0 +1,279 @@
+const express = require('express');
+const router = express.Router();
+const metadataStore = require('../models/FileMetadata');
+const shareLinkStore = require('../models/ShareLink');
+const shareLinkService = require('../services/shareLinkService');
+const fileService = require('../services/fileService');
+const integrityService = require('../services/integrityService');
+const { sendFile, announceDownload } = require('../services/downloadService');
+const { validateFileId } = require('../middleware/security');
+const { rateLimit } = require('../middleware/rateLimit');
+const { authenticate, requireScope, canAccessFile } = require('../middleware/auth');
+const config = require('../config/config');
+
+const LINK_ID_PATTERN = /^[a-f0-9]{32}$/;
+
+/**
+ * Base URL used when building share links
+ */
+const getBaseUrl = (req) => {
+  return config.publicBaseUrl || `${req.protocol}://${req.get('host')}`;
+};
+
+/**
+ * Shape a share link for responses (never includes the password hash)
+ */
+const formatLink = (link, url) => ({
+  linkId: link.id,
+  fileId: link.fileId,
+  ...(url && { url }),
+  expiresAt: link.expiresAt,
+  maxDownloads: link.maxDownloads,
+  downloadCount: link.downloadCount,
+  passwordProtected: Boolean(link.passwordHash),
+  createdBy: link.createdBy,
+  createdAt: link.createdAt,
+  revokedAt: link.revokedAt
+});
+
+/**
+ * @route   POST /api/files/:fileId/share-links
+ * @desc    Create a signed, expiring share link for a file
+ * @access  Private (read scope, owner or admin)
+ */
+router.post('/files/:fileId/share-links',
+  authenticate,
+  requireScope('read'),
+  validateFileId,
+  async (req, res, next) => {
+    try {
+      const file = await metadataStore.getFile(req.params.fileId);
+
+      if (!canAccessFile(req.apiKey, file)) {
+        return res.status(404).json({
+          success: false,
+          error: 'File not found'
+        });
+      }
+
+      const { password } = req.body || {};
+      const expiresInHours = req.body && req.body.expiresInHours !== undefined
+        ? Number(req.body.expiresInHours)
+        : config.shareLinkDefaultTtlHours;
+      const maxDownloads = req.body && req.body.maxDownloads !== undefined
+        ? Number(req.body.maxDownloads)
+        : null;
+
+      if (!(expiresInHours > 0) || expiresInHours > config.shareLinkMaxTtlHours) {
+        return res.status(400).json({
+          success: false,
+          error: `expiresInHours must be greater than 0 and at most ${config.shareLinkMaxTtlHours}`
+        });
+      }
+
+      if (maxDownloads !== null && (!Number.isInteger(maxDownloads) || maxDownloads <= 0)) {
+        return res.status(400).json({
+          success: false,
+          error: 'maxDownloads must be a positive integer'
+        });
+      }
+
+      if (password !== undefined && (typeof password !== 'string' || password.length === 0)) {
+        return res.status(400).json({
+          success: false,
+          error: 'password must be a non-empty string'
+        });
+      }
+
+      const link = await shareLinkService.createLink({
+        fileId: file.id,
+        createdBy: req.apiKey.id,
+        expiresInHours,
+        maxDownloads,
+        password
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Share link created',
+        data: formatLink(link, shareLinkService.buildUrl(getBaseUrl(req), link))
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   GET /api/files/:fileId/share-links
+ * @desc    List share links for a file
+ * @access  Private (read scope, owner or admin)
+ */
+router.get('/files/:fileId/share-links',
+  authenticate,
+  requireScope('read'),
+  validateFileId,
+  async (req, res, next) => {
+    try {
+      const file = await metadataStore.getFile(req.params.fileId);
+
+      if (!canAccessFile(req.apiKey, file)) {
+        return res.status(404).json({
+          success: false,
+          error: 'File not found'
+        });
+      }
+
+      const links = await shareLinkStore.getLinksForFile(file.id);
+      const baseUrl = getBaseUrl(req);
+
+      res.json({
+        success: true,
+        data: {
+          links: links.map(link => formatLink(link, shareLinkService.buildUrl(baseUrl, link)))
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/share-links/:linkId
+ * @desc    Revoke a share link
+ * @access  Private (upload or delete scope and file owner, or admin)
+ */
+router.delete('/share-links/:linkId',
+  authenticate,
+  requireScope('upload', 'delete'),
+  async (req, res, next) => {
+    try {
+      const link = LINK_ID_PATTERN.test(req.params.linkId)
+        ? await shareLinkStore.getLink(req.params.linkId)
+        : null;
+      const file = link && await metadataStore.getFile(link.fileId);
+
+      if (!link || !canAccessFile(req.apiKey, file)) {
+        return res.status(404).json({
+          success: false,
+          error: 'Share link not found'
+        });
+      }
+
+      if (!(await shareLinkStore.revokeLink(link.id))) {
+        return res.status(409).json({
+          success: false,
+          error: 'Share link is already revoked'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Share link revoked',
+        data: formatLink(await shareLinkStore.getLink(link.id))
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   GET /api/share/:linkId?expires=...&signature=...
+ * @desc    Download a file through a share link. Password-protected links
+ *          take the password in the X-Share-Password header.
+ * @access  Public (signed link)
+ */
+router.get('/share/:linkId', rateLimit('download'), async (req, res, next) => {
+  try {
+    const { linkId } = req.params;
+    const { expires, signature } = req.query;
+
+    if (!LINK_ID_PATTERN.test(linkId) || !shareLinkService.verifySignature(linkId, expires, signature)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Invalid share link signature'
+      });
+    }
+
+    const link = await shareLinkStore.getLink(linkId);
+
+    if (!link || link.revokedAt) {
+      return res.status(404).json({
+        success: false,
+        error: 'Share link not found or revoked'
+      });
+    }
+
+    if (new Date(link.expiresAt) <= new Date()) {
+      return res.status(410).json({
+        success: false,
+        error: 'Share link has expired'
+      });
+    }
+
+    if (link.passwordHash) {
+      const password = req.get('X-Share-Password');
+
+      if (!(await shareLinkService.verifyPassword(password, link.passwordHash))) {
+        return res.status(401).json({
+          success: false,
+          error: 'Password required',
+          details: 'Send the share link password in the X-Share-Password header'
+        });
+      }
+    }
+
+    const file = await metadataStore.getFile(link.fileId);
+
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        error: 'File not found'
+      });
+    }
+
+    const refusal = integrityService.getDownloadRefusal(file);
+    if (refusal) {
+      return res.status(refusal.status).json({
+        success: false,
+        error: refusal.error,
+        details: refusal.details
+      });
+    }
+
+    if (!(await fileService.exists(file))) {
+      return res.status(404).json({
+        success: false,
+        error: 'File not found'
+      });
+    }
+
+    if (!(await shareLinkStore.reserveDownload(link.id))) {
+      return res.status(410).json({
+        success: false,
+        error: 'Share link download limit reached'
+      });
+    }
+
+    // A limited link is always sent whole, so that it cannot be read in
+    // pieces; the download is given back if no content was sent
+    let sent = false;
+    try {
+      sent = await sendFile(req, res, file, { allowRanges: link.maxDownloads === null });
+    } finally {
+      if (!sent) {
+        await shareLinkStore.releaseDownload(link.id);
+      }
+    }
+
+    if (sent) {
+      announceDownload(res, file, { via: 'share_link', shareLinkId: link.id });
+    }
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,396 @@
+const express = require('express');
+const router = express.Router();
+const fs = require('fs').promises;
+const collectionStore = require('../models/Collection');
+const uploadSessionService = require('../services/uploadSessionService');
+const fileService = require('../services/fileService');
+const scanService = require('../services/scanService');
+const quotaService = require('../services/quotaService');
+const metricsService = require('../services/metricsService');
+const { REJECTION_REASONS } = metricsService;
+const { SCAN_STATUS } = scanService;
+const {
+  validateFileMimeType,
+  validateFileAttributes,
+  validateTtlHours,
+  checkCollectionTarget,
+  checkStorageLimit,
+  checkUploadQuota,
+  sendQuotaRejection,
+  sanitizeFilename
+} = require('../middleware/security');
+const { rateLimit } = require('../middleware/rateLimit');
+const { authenticate, requireScope, hasScope } = require('../middleware/auth');
+const config = require('../config/config');
+const { formatFile } = require('../utils/formatters');
+const { parseAnnotations, mergeMetadata } = require('../utils/annotations');
+const { parseChecksumHeaders } = require('../utils/checksum');
+
+const CHUNK_CONTENT_TYPE = 'application/offset+octet-stream';
+
+/**
+ * Validates the upload session ID parameter
+ */
+const validateUploadId = (req, res, next) => {
+  if (!uploadSessionService.isValidSessionId(req.params.uploadId)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid upload ID'
+    });
+  }
+
+  next();
+};
+
+/**
+ * Loads the upload session into req.uploadSession. Sessions belonging
+ * to another owner are reported as missing unless the caller is an admin.
+ */
+const loadUploadSession = async (req, res, next) => {
+  try {
+    const session = await uploadSessionService.getSession(req.params.uploadId);
+    const accessible = session &&
+      (hasScope(req.apiKey, 'admin') || session.ownerId === req.apiKey.ownerId);
+
+    if (!accessible) {
+      if (req.method === 'HEAD') {
+        return res.status(404).end();
+      }
+      return res.status(404).json({
+        success: false,
+        error: 'Upload session not found'
+      });
+    }
+
+    req.uploadSession = session;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Sets the tus-style headers describing a session's progress
+ */
+const setSessionHeaders = (res, session) => {
+  res.setHeader('Upload-Offset', session.offset);
+  res.setHeader('Upload-Length', session.size);
+  res.setHeader('Upload-Expires', new Date(session.expiresAt).toUTCString());
+  res.setHeader('Cache-Control', 'no-store');
+};
+
+/**
+ * @route   POST /api/uploads
+ * @desc    Create a resumable upload session. Optional "ttlHours",
+ *          "collectionId", "description", "tags" and "metadata" apply to
+ *          the stored file.
+ * @access  Private (upload scope)
+ */
+router.post('/uploads', authenticate, requireScope('upload'), rateLimit('upload'), async (req, res, next) => {
+  try {
+    const { filename, mimeType, ttlHours, collectionId } = req.body || {};
+    const size = Number(req.body && req.body.size);
+
+    if (!filename || !mimeType || !Number.isInteger(size) || size <= 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid upload session request',
+        details: 'Provide "filename", "mimeType" and a positive integer "size" in the JSON body'
+      });
+    }
+
+    let originalName;
+    try {
+      originalName = sanitizeFilename(filename);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid filename',
+        details: error.message
+      });
+    }
+
+    const rejection = validateFileAttributes(originalName, mimeType);
+    if (rejection) {
+      metricsService.recordRejection(rejection.reason);
+      return res.status(400).json({
+        success: false,
+        error: rejection.error
+      });
+    }
+
+    if (ttlHours !== undefined) {
+      const ttlError = validateTtlHours(ttlHours);
+      if (ttlError) {
+        return res.status(400).json({
+          success: false,
+          error: ttlError
+        });
+      }
+    }
+
+    const { annotations, error: annotationError } = parseAnnotations(req.body);
+    const metadata = annotations && annotations.metadata ? mergeMetadata({}, annotations.metadata) : null;
+    if (annotationError || (metadata && metadata.error)) {
+      return res.status(400).json({
+        success: false,
+        error: annotationError || metadata.error
+      });
+    }
+
+    if (collectionId !== undefined && collectionId !== null) {
+      const collection = typeof collectionId === 'string'
+        ? await collectionStore.getCollection(collectionId)
+        : null;
+      const rejection = checkCollectionTarget(req.apiKey, collection, req.apiKey.ownerId);
+
+      if (rejection) {
+        const { status, ...body } = rejection;
+        return res.status(status).json({ success: false, ...body });
+      }
+    }
+
+    if (size > config.maxFileSizeBytes) {
+      metricsService.recordRejection(REJECTION_REASONS.SIZE);
+      return res.status(413).json({
+        success: false,
+        error: 'File size exceeds the maximum allowed limit',
+        details: {
+          maxSize: `${config.maxFileSizeMB} MB`
+        }
+      });
+    }
+
+    // Checked again when the upload completes
+    const quotaRejection = await quotaService.checkUpload(req.apiKey, { bytes: size, files: 1 });
+    if (quotaRejection) {
+      return sendQuotaRejection(res, quotaRejection);
+    }
+
+    const session = await uploadSessionService.createSession({
+      originalName,
+      mimeType,
+      size,
+      ownerId: req.apiKey.ownerId,
+      ttlHours,
+      collectionId,
+      annotations: { ...annotations, ...(metadata && { metadata: metadata.value }) }
+    });
+
+    setSessionHeaders(res, session);
+    res.setHeader('Location', `${req.baseUrl}/uploads/${session.id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Upload session created',
+      data: {
+        uploadId: session.id,
+        originalName: session.originalName,
+        mimeType: session.mimeType,
+        size: session.size,
+        offset: session.offset,
+        expiresAt: session.expiresAt
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   HEAD /api/uploads/:uploadId
+ * @desc    Get the current offset of an upload session
+ * @access  Private (upload scope, session owner)
+ */
+router.head('/uploads/:uploadId',
+  authenticate,
+  requireScope('upload'),
+  validateUploadId,
+  loadUploadSession,
+  (req, res) => {
+    setSessionHeaders(res, req.uploadSession);
+    res.status(200).end();
+  }
+);
+
+/**
+ * @route   GET /api/uploads/:uploadId
+ * @desc    Get upload session status
+ * @access  Private (upload scope, session owner)
+ */
+router.get('/uploads/:uploadId',
+  authenticate,
+  requireScope('upload'),
+  validateUploadId,
+  loadUploadSession,
+  (req, res) => {
+    const session = req.uploadSession;
+
+    setSessionHeaders(res, session);
+    res.json({
+      success: true,
+      data: {
+        uploadId: session.id,
+        originalName: session.originalName,
+        mimeType: session.mimeType,
+        size: session.size,
+        offset: session.offset,
+        createdAt: session.createdAt,
+        expiresAt: session.expiresAt
+      }
+    });
+  }
+);
+
+/**
+ * @route   PATCH /api/uploads/:uploadId
+ * @desc    Append a chunk to an upload session. Content-MD5 and Digest
+ *          headers are verified against the chunk. The final chunk assembles
+ *          the file and runs the same validation as POST /api/upload.
+ * @access  Private (upload scope, session owner)
+ */
+router.patch('/uploads/:uploadId',
+  authenticate,
+  requireScope('upload'),
+  validateUploadId,
+  loadUploadSession,
+  async (req, res, next) => {
+    try {
+      if (!req.is(CHUNK_CONTENT_TYPE)) {
+        return res.status(415).json({
+          success: false,
+          error: `Chunks must be sent with Content-Type: ${CHUNK_CONTENT_TYPE}`
+        });
+      }
+
+      const offset = Number(req.get('Upload-Offset'));
+      if (!Number.isInteger(offset) || offset < 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Missing or invalid Upload-Offset header'
+        });
+      }
+
+      const { expected, error: checksumError } = parseChecksumHeaders(req);
+      if (checksumError) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid checksum header',
+          details: checksumError
+        });
+      }
+
+      let session;
+      try {
+        session = await uploadSessionService.appendChunk(req.params.uploadId, offset, req, expected);
+      } catch (error) {
+        if (!error.status) {
+          throw error;
+        }
+
+        if (error.currentOffset !== undefined) {
+          res.setHeader('Upload-Offset', error.currentOffset);
+        }
+
+        if (error.mismatches) {
+          metricsService.recordRejection(REJECTION_REASONS.CHECKSUM_MISMATCH);
+          res.setHeader('Upload-Offset', offset);
+        }
+
+        return res.status(error.status).json({
+          success: false,
+          error: error.message,
+          ...(error.mismatches && { details: error.mismatches })
+        });
+      }
+
+      if (session.offset < session.size) {
+        setSessionHeaders(res, session);
+        return res.status(204).end();
+      }
+
+      // Upload complete - hand the assembled file to the regular checks
+      req.file = await uploadSessionService.assemble(session);
+      res.setHeader('Upload-Offset', session.offset);
+      next();
+    } catch (error) {
+      next(error);
+    }
+  },
+  checkUploadQuota,
+  validateFileMimeType,
+  // Last, as it may evict files to make room
+  checkStorageLimit(),
+  async (req, res, next) => {
+    try {
+      const { rejection, result: metadata } = await quotaService.commitUpload(req.apiKey,
+        { bytes: req.file.size, files: 1 },
+        () => fileService.storeUpload(req.file, {
+          ownerId: req.uploadSession.ownerId,
+          ttlHours: req.uploadSession.ttlHours,
+          collectionId: req.uploadSession.collectionId,
+          ...req.uploadSession.annotations
+        }));
+
+      if (rejection) {
+        await fs.unlink(req.file.path).catch(() => {});
+        return sendQuotaRejection(res, rejection);
+      }
+
+      // Synchronous scanning found malware; the content was quarantined
+      if (metadata.scanStatus === SCAN_STATUS.INFECTED) {
+        return res.status(422).json({
+          success: false,
+          error: 'Malware detected',
+          details: scanService.getDownloadRefusal(metadata).details,
+          data: formatFile(metadata)
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        message: 'File uploaded successfully',
+        data: formatFile(metadata)
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/uploads/:uploadId
+ * @desc    Abort an upload session and discard received data
+ * @access  Private (upload scope, session owner)
+ */
+router.delete('/uploads/:uploadId',
+  authenticate,
+  requireScope('upload'),
+  validateUploadId,
+  loadUploadSession,
+  async (req, res, next) => {
+    try {
+      if (uploadSessionService.isActive(req.params.uploadId)) {
+        return res.status(409).json({
+          success: false,
+          error: 'Upload session is busy receiving a chunk'
+        });
+      }
+
+      const removed = await uploadSessionService.deleteSession(req.params.uploadId);
+
+      if (!removed) {
+        return res.status(404).json({
+          success: false,
+          error: 'Upload session not found'
+        });
+      }
+
+      res.status(204).end();
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
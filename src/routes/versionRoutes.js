@@ -0,0 +1,325 @@
+const express = require('express');
+const router = express.Router();
+const fs = require('fs').promises;
+const { upload } = require('../config/multer');
+const metadataStore = require('../models/FileMetadata');
+const fileService = require('../services/fileService');
+const lifecycleService = require('../services/lifecycleService');
+const quotaService = require('../services/quotaService');
+const scanService = require('../services/scanService');
+const integrityService = require('../services/integrityService');
+const { SCAN_STATUS } = scanService;
+const { sendFile, announceDownload } = require('../services/downloadService');
+const {
+  validateFileId,
+  verifyUploadChecksum,
+  validateUploadRetention,
+  validateFileMimeType,
+  checkStorageLimit,
+  checkUploadQuota,
+  sendQuotaRejection
+} = require('../middleware/security');
+const { rateLimit } = require('../middleware/rateLimit');
+const { authenticate, requireScope, canAccessFile } = require('../middleware/auth');
+const { formatFile } = require('../utils/formatters');
+
+/**
+ * Shape a version for responses. The current version is the file record.
+ */
+const formatVersion = (version, current = false) => ({
+  version: version.version || 1,
+  current,
+  originalName: version.originalName,
+  size: version.size,
+  sizeFormatted: `${(version.size / 1024).toFixed(2)} KB`,
+  mimeType: version.mimeType,
+  sha256: version.sha256 || null,
+  md5: version.md5 || null,
+  uploadedAt: version.uploadedAt,
+  scanStatus: version.scanStatus || null,
+  integrityStatus: version.integrityStatus || null
+});
+
+/**
+ * Parse a version number route parameter. Returns null if invalid.
+ */
+const parseVersion = (value) => {
+  return /^[1-9]\d{0,8}$/.test(value) ? Number(value) : null;
+};
+
+/**
+ * Loads the file into req.targetFile (req.file is the upload) if the key
+ * may access it
+ */
+const loadFile = async (req, res, next) => {
+  try {
+    const file = await metadataStore.getFile(req.params.fileId);
+
+    // Files owned by someone else are reported as missing
+    if (!canAccessFile(req.apiKey, file)) {
+      return res.status(404).json({
+        success: false,
+        error: 'File not found'
+      });
+    }
+
+    req.targetFile = file;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Look up the version named in the route: the file record for the current
+ * version, otherwise the prior version. Sends 400/404 and returns null if
+ * there is none.
+ */
+const findVersion = async (req, res) => {
+  const number = parseVersion(req.params.version);
+  if (number === null) {
+    res.status(400).json({
+      success: false,
+      error: 'Invalid version',
+      details: 'Versions are numbered from 1'
+    });
+    return null;
+  }
+
+  const file = req.targetFile;
+  const version = number === (file.version || 1)
+    ? file
+    : await metadataStore.getVersion(file.id, number);
+
+  if (!version) {
+    res.status(404).json({
+      success: false,
+      error: 'Version not found'
+    });
+    return null;
+  }
+
+  return version;
+};
+
+/**
+ * @route   PUT /api/files/:fileId
+ * @desc    Upload a new version of a file (field "file"). The file keeps its
+ *          ID, share links and annotations; the previous content is kept as
+ *          a prior version. Optional "ttlHours" sets a new retention from now,
+ *          otherwise the file's retention period restarts. Same checks as
+ *          POST /api/upload.
+ * @access  Private (upload scope, owner or admin)
+ */
+router.put('/files/:fileId',
+  authenticate,
+  requireScope('upload'),
+  rateLimit('upload'),
+  validateFileId,
+  loadFile,
+  upload.single('file'),
+  verifyUploadChecksum,
+  validateUploadRetention,
+  checkUploadQuota,
+  validateFileMimeType,
+  // Last, as it may evict files to make room
+  checkStorageLimit(),
+  async (req, res, next) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          error: 'No file uploaded',
+          details: 'Use "file" as the field name in your multipart/form-data request'
+        });
+      }
+
+      const { rejection, result: metadata } = await quotaService.commitUpload(req.apiKey,
+        { bytes: req.file.size, files: 0, uploads: 1 },
+        () => fileService.storeVersion(req.file, req.targetFile, { ttlHours: req.ttlHours }));
+
+      if (rejection) {
+        await fs.unlink(req.file.path).catch(() => {});
+        return sendQuotaRejection(res, rejection);
+      }
+
+      // Deleted while the new version was being uploaded
+      if (!metadata) {
+        return res.status(404).json({
+          success: false,
+          error: 'File not found'
+        });
+      }
+
+      await lifecycleService.enforceVersionLimit(metadata.id);
+
+      // Synchronous scanning found malware; the content was quarantined
+      if (metadata.scanStatus === SCAN_STATUS.INFECTED) {
+        return res.status(422).json({
+          success: false,
+          error: 'Malware detected',
+          details: scanService.getDownloadRefusal(metadata).details,
+          data: formatFile(metadata)
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        message: `Version ${metadata.version} uploaded successfully`,
+        data: formatFile(metadata)
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   GET /api/files/:fileId/versions
+ * @desc    List a file's versions, newest (current) first
+ * @access  Private (read scope, owner or admin)
+ */
+router.get('/files/:fileId/versions',
+  authenticate,
+  requireScope('read'),
+  validateFileId,
+  loadFile,
+  async (req, res, next) => {
+    try {
+      const file = req.targetFile;
+      const versions = await metadataStore.getVersions(file.id);
+
+      res.json({
+        success: true,
+        data: {
+          fileId: file.id,
+          currentVersion: file.version || 1,
+          versions: [
+            formatVersion(file, true),
+            ...versions.map(version => formatVersion(version))
+          ]
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   GET /api/files/:fileId/versions/:version/download
+ * @desc    Download a specific version of a file (supports Range and
+ *          conditional requests)
+ * @access  Private (read scope, owner or admin)
+ */
+router.get('/files/:fileId/versions/:version/download',
+  authenticate,
+  requireScope('read'),
+  rateLimit('download'),
+  validateFileId,
+  loadFile,
+  async (req, res, next) => {
+    try {
+      const version = await findVersion(req, res);
+      if (!version) {
+        return;
+      }
+
+      // Refuse versions that are corrupt, unscanned, infected or failed scanning
+      const refusal = integrityService.getDownloadRefusal(version);
+      if (refusal) {
+        return res.status(refusal.status).json({
+          success: false,
+          error: refusal.error,
+          details: refusal.details
+        });
+      }
+
+      if (!(await fileService.exists(version))) {
+        return res.status(404).json({
+          success: false,
+          error: 'File not found in storage'
+        });
+      }
+
+      if (await sendFile(req, res, version)) {
+        announceDownload(res, req.targetFile, { via: 'api', version: version.version || 1 });
+      }
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   POST /api/files/:fileId/versions/:version/restore
+ * @desc    Roll a file back to a prior version. The version's content becomes
+ *          a new current version, so no history is lost.
+ * @access  Private (upload scope, owner or admin)
+ */
+router.post('/files/:fileId/versions/:version/restore',
+  authenticate,
+  requireScope('upload'),
+  validateFileId,
+  loadFile,
+  async (req, res, next) => {
+    try {
+      const version = await findVersion(req, res);
+      if (!version) {
+        return;
+      }
+
+      if (version === req.targetFile) {
+        return res.status(400).json({
+          success: false,
+          error: `Version ${version.version || 1} is already the current version`
+        });
+      }
+
+      if (!version.blobHash) {
+        return res.status(409).json({
+          success: false,
+          error: 'Version cannot be restored',
+          details: 'It was stored before content deduplication; download it and upload it as a new version instead'
+        });
+      }
+
+      // Content that may not be served is not made current again
+      const refusal = integrityService.getDownloadRefusal(version);
+      if (refusal) {
+        return res.status(refusal.status).json({
+          success: false,
+          error: refusal.error,
+          details: refusal.details
+        });
+      }
+
+      // The content is already stored, but counts again toward the quota
+      const { rejection, result: metadata } = await quotaService.commitUpload(req.apiKey,
+        { bytes: version.size, files: 0, uploads: 1 },
+        () => fileService.restoreVersion(req.targetFile, version));
+      if (rejection) {
+        return sendQuotaRejection(res, rejection);
+      }
+
+      if (!metadata) {
+        return res.status(404).json({
+          success: false,
+          error: 'Version not found'
+        });
+      }
+
+      await lifecycleService.enforceVersionLimit(metadata.id);
+
+      res.status(201).json({
+        success: true,
+        message: `Version ${version.version} restored as version ${metadata.version}`,
+        data: formatFile(metadata)
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,356 @@
+const express = require('express');
+const router = express.Router();
+const webhookStore = require('../models/Webhook');
+const { DELIVERY_STATUS } = webhookStore;
+const webhookService = require('../services/webhookService');
+const { FILE_EVENTS } = require('../services/eventBus');
+const { authenticate, requireScope } = require('../middleware/auth');
+
+const WEBHOOK_ID_PATTERN = /^[a-f0-9]{32}$/;
+const EVENT_TYPES = Object.values(FILE_EVENTS);
+const MAX_URL_LENGTH = 2048;
+const MAX_DESCRIPTION_LENGTH = 500;
+const DEFAULT_DELIVERY_LIMIT = 50;
+const MAX_DELIVERY_LIMIT = 200;
+
+/**
+ * Shape a subscription for responses. The signing secret is only
+ * included when the subscription is created.
+ */
+const formatWebhook = (webhook, { includeSecret = false } = {}) => ({
+  webhookId: webhook.id,
+  url: webhook.url,
+  events: webhook.events,
+  // null receives events for every owner's files
+  ownerId: webhook.ownerId,
+  description: webhook.description,
+  active: webhook.active,
+  createdAt: webhook.createdAt,
+  updatedAt: webhook.updatedAt,
+  ...(includeSecret ? { secret: webhook.secret } : {})
+});
+
+/**
+ * Shape a delivery for responses
+ */
+const formatDelivery = (delivery) => ({
+  deliveryId: delivery.id,
+  eventId: delivery.eventId,
+  eventType: delivery.eventType,
+  status: delivery.status,
+  attempts: delivery.attempts,
+  nextAttemptAt: delivery.nextAttemptAt,
+  lastAttemptAt: delivery.lastAttemptAt,
+  responseStatus: delivery.responseStatus,
+  lastError: delivery.lastError,
+  createdAt: delivery.createdAt
+});
+
+/**
+ * Validates a delivery URL. Returns an error message, or null.
+ */
+const validateUrl = (url) => {
+  if (typeof url !== 'string' || url.length > MAX_URL_LENGTH) {
+    return `url must be a string of at most ${MAX_URL_LENGTH} characters`;
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return 'url must be an absolute http or https URL';
+  }
+
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    return 'url must be an absolute http or https URL';
+  }
+
+  if (parsed.username || parsed.password) {
+    return 'url must not contain credentials';
+  }
+
+  return null;
+};
+
+/**
+ * Validates an events list ("*" for every event). Returns an error message, or null.
+ */
+const validateEvents = (events) => {
+  if (!Array.isArray(events) || events.length === 0 || !events.every(event => typeof event === 'string')) {
+    return 'events must be a non-empty array of event types';
+  }
+
+  const unknown = events.filter(event => event !== '*' && !EVENT_TYPES.includes(event));
+  if (unknown.length > 0) {
+    return `Unknown event type(s): ${unknown.join(', ')}`;
+  }
+
+  return null;
+};
+
+/**
+ * Validates a description (null clears it). Returns an error message, or null.
+ */
+const validateDescription = (description) => {
+  if (description === null) {
+    return null;
+  }
+
+  if (typeof description !== 'string' || description.length > MAX_DESCRIPTION_LENGTH) {
+    return `description must be a string of at most ${MAX_DESCRIPTION_LENGTH} characters`;
+  }
+
+  return null;
+};
+
+/**
+ * Loads the subscription into req.webhook
+ */
+const loadWebhook = async (req, res, next) => {
+  try {
+    const webhook = WEBHOOK_ID_PATTERN.test(req.params.webhookId)
+      ? await webhookStore.getWebhook(req.params.webhookId)
+      : null;
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook not found'
+      });
+    }
+
+    req.webhook = webhook;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route   POST /api/webhooks
+ * @desc    Subscribe a URL to file events. Body: { "url", "events", "ownerId"?, "description"? }.
+ *          The signing secret is only returned in this response.
+ * @access  Private (admin scope)
+ */
+router.post('/webhooks', authenticate, requireScope('admin'), async (req, res, next) => {
+  try {
+    const { url, events, ownerId, description = null } = req.body || {};
+
+    const validationError = validateUrl(url) || validateEvents(events) || validateDescription(description);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError,
+        details: { eventTypes: EVENT_TYPES }
+      });
+    }
+
+    if (ownerId !== undefined && ownerId !== null && (typeof ownerId !== 'string' || !ownerId.trim())) {
+      return res.status(400).json({
+        success: false,
+        error: 'ownerId must be a non-empty string or null'
+      });
+    }
+
+    const webhook = await webhookStore.createWebhook({
+      url,
+      events: [...new Set(events)],
+      ownerId: ownerId ? ownerId.trim() : null,
+      description,
+      createdBy: req.apiKey.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Webhook created. Store the secret now - it cannot be retrieved again.',
+      data: formatWebhook(webhook, { includeSecret: true })
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/webhooks
+ * @desc    List webhook subscriptions
+ * @access  Private (admin scope)
+ */
+router.get('/webhooks', authenticate, requireScope('admin'), async (req, res, next) => {
+  try {
+    const webhooks = await webhookStore.getAllWebhooks();
+
+    res.json({
+      success: true,
+      data: {
+        webhooks: webhooks.map(webhook => formatWebhook(webhook))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/webhooks/:webhookId
+ * @desc    Get a webhook subscription
+ * @access  Private (admin scope)
+ */
+router.get('/webhooks/:webhookId', authenticate, requireScope('admin'), loadWebhook, (req, res) => {
+  res.json({
+    success: true,
+    data: formatWebhook(req.webhook)
+  });
+});
+
+/**
+ * @route   PATCH /api/webhooks/:webhookId
+ * @desc    Change a subscription. Body: { "url"?, "events"?, "description"?, "active"? }.
+ *          An inactive subscription receives no new events; deliveries already
+ *          queued for it wait until it is reactivated.
+ * @access  Private (admin scope)
+ */
+router.patch('/webhooks/:webhookId', authenticate, requireScope('admin'), loadWebhook, async (req, res, next) => {
+  try {
+    const { url, events, description, active } = req.body || {};
+
+    if ([url, events, description, active].every(value => value === undefined)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Nothing to update',
+        details: 'Provide url, events, description or active'
+      });
+    }
+
+    const validationError = (url !== undefined && validateUrl(url)) ||
+      (events !== undefined && validateEvents(events)) ||
+      (description !== undefined && validateDescription(description)) ||
+      (active !== undefined && typeof active !== 'boolean' && 'active must be a boolean');
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    const changes = {};
+    if (url !== undefined) changes.url = url;
+    if (events !== undefined) changes.events = [...new Set(events)];
+    if (description !== undefined) changes.description = description;
+    if (active !== undefined) changes.active = active;
+
+    const updated = await webhookStore.updateWebhook(req.webhook.id, changes);
+    if (!updated) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Webhook updated successfully',
+      data: formatWebhook(updated)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   DELETE /api/webhooks/:webhookId
+ * @desc    Delete a subscription and its delivery log
+ * @access  Private (admin scope)
+ */
+router.delete('/webhooks/:webhookId', authenticate, requireScope('admin'), loadWebhook, async (req, res, next) => {
+  try {
+    await webhookStore.deleteWebhook(req.webhook.id);
+
+    res.json({
+      success: true,
+      message: 'Webhook deleted successfully',
+      data: {
+        webhookId: req.webhook.id
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/webhooks/:webhookId/deliveries?status=failed&limit=50
+ * @desc    Recent deliveries of a subscription, newest first
+ * @access  Private (admin scope)
+ */
+router.get('/webhooks/:webhookId/deliveries', authenticate, requireScope('admin'), loadWebhook, async (req, res, next) => {
+  try {
+    const { status } = req.query;
+    const limit = req.query.limit === undefined ? DEFAULT_DELIVERY_LIMIT : Number(req.query.limit);
+
+    if (status !== undefined && !Object.values(DELIVERY_STATUS).includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `status must be one of: ${Object.values(DELIVERY_STATUS).join(', ')}`
+      });
+    }
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_DELIVERY_LIMIT) {
+      return res.status(400).json({
+        success: false,
+        error: `limit must be an integer between 1 and ${MAX_DELIVERY_LIMIT}`
+      });
+    }
+
+    const deliveries = await webhookStore.getDeliveries(req.webhook.id, { status: status || null, limit });
+
+    res.json({
+      success: true,
+      data: {
+        deliveries: deliveries.map(formatDelivery)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/webhooks/:webhookId/deliveries/:deliveryId/resend
+ * @desc    Send a failed delivery again (with a fresh set of retries)
+ * @access  Private (admin scope)
+ */
+router.post('/webhooks/:webhookId/deliveries/:deliveryId/resend',
+  authenticate,
+  requireScope('admin'),
+  loadWebhook,
+  async (req, res, next) => {
+    try {
+      const delivery = await webhookStore.getDelivery(req.params.deliveryId);
+
+      if (!delivery || delivery.webhookId !== req.webhook.id) {
+        return res.status(404).json({
+          success: false,
+          error: 'Delivery not found'
+        });
+      }
+
+      if (!(await webhookService.resend(delivery.id))) {
+        return res.status(409).json({
+          success: false,
+          error: 'Only failed deliveries can be resent',
+          details: `The delivery is ${delivery.status}`
+        });
+      }
+
+      res.status(202).json({
+        success: true,
+        message: 'Delivery queued',
+        data: formatDelivery(await webhookStore.getDelivery(delivery.id))
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
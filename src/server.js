@@ -1,25 +1,62 @@
 const express = require('express');
 const config = require('./config/config');
 const fileRoutes = require('./routes/fileRoutes');
+const uploadSessionRoutes = require('./routes/uploadSessionRoutes');
+const apiKeyRoutes = require('./routes/apiKeyRoutes');
+const shareLinkRoutes = require('./routes/shareLinkRoutes');
+const collectionRoutes = require('./routes/collectionRoutes');
+const webhookRoutes = require('./routes/webhookRoutes');
+const quotaRoutes = require('./routes/quotaRoutes');
+const auditRoutes = require('./routes/auditRoutes');
+const metricsRoutes = require('./routes/metricsRoutes');
+const versionRoutes = require('./routes/versionRoutes');
 const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
+const { requestLogger } = require('./middleware/requestLogger');
+const { requestMetrics } = require('./middleware/metrics');
+const { trackInFlight } = require('./middleware/shutdown');
 const metadataStore = require('./models/FileMetadata');
+const apiKeyStore = require('./models/ApiKey');
 const lifecycleService = require('./services/lifecycleService');
-const { ensureUploadDir } = require('./config/multer');
+const webhookService = require('./services/webhookService');
+const auditService = require('./services/auditService');
+const shutdownService = require('./services/shutdownService');
+const encryptionService = require('./services/encryptionService');
+const { closeDatabase } = require('./models/database');
+const storage = require('./storage');
+const { ensureStagingDir } = require('./config/multer');
+const logger = require('./utils/logger').child({ component: 'server' });
 
 const app = express();
 
+// HTTP server, set once listening
+let server = null;
+
+if (config.trustProxy > 0) {
+  app.set('trust proxy', config.trustProxy);
+}
+
 // Middleware
+app.use(requestLogger);
+app.use(trackInFlight);
+if (config.metrics.enabled) {
+  app.use(requestMetrics);
+}
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Request logging middleware
-app.use((req, res, next) => {
-  console.log(`[${new Date().toISOString()}] ${req.method} ${req.url}`);
-  next();
-});
-
 // Routes
 app.use('/api', fileRoutes);
+app.use('/api', versionRoutes);
+app.use('/api', uploadSessionRoutes);
+app.use('/api', apiKeyRoutes);
+app.use('/api', shareLinkRoutes);
+app.use('/api', collectionRoutes);
+app.use('/api', webhookRoutes);
+app.use('/api', quotaRoutes);
+app.use('/api', auditRoutes);
+if (config.metrics.enabled) {
+  app.use(metricsRoutes);
+}
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -29,11 +66,45 @@ app.get('/', (req, res) => {
     status: 'operational',
     endpoints: {
       upload: 'POST /api/upload',
+      batchUpload: 'POST /api/upload/batch',
+      createUploadSession: 'POST /api/uploads',
+      uploadOffset: 'HEAD /api/uploads/:uploadId',
+      uploadChunk: 'PATCH /api/uploads/:uploadId',
+      abortUpload: 'DELETE /api/uploads/:uploadId',
       listFiles: 'GET /api/files',
       getFile: 'GET /api/files/:fileId',
       downloadFile: 'GET /api/download/:fileId',
+      downloadArchive: 'POST /api/download/archive',
+      thumbnail: 'GET /api/files/:fileId/thumbnail',
       deleteFile: 'DELETE /api/files/:fileId',
-      health: 'GET /api/health'
+      uploadVersion: 'PUT /api/files/:fileId',
+      listVersions: 'GET /api/files/:fileId/versions',
+      downloadVersion: 'GET /api/files/:fileId/versions/:version/download',
+      restoreVersion: 'POST /api/files/:fileId/versions/:version/restore',
+      createShareLink: 'POST /api/files/:fileId/share-links',
+      listShareLinks: 'GET /api/files/:fileId/share-links',
+      revokeShareLink: 'DELETE /api/share-links/:linkId',
+      sharedDownload: 'GET /api/share/:linkId',
+      createCollection: 'POST /api/collections',
+      listCollections: 'GET /api/collections',
+      getCollection: 'GET /api/collections/:collectionId',
+      updateCollection: 'PATCH /api/collections/:collectionId',
+      deleteCollection: 'DELETE /api/collections/:collectionId',
+      createWebhook: 'POST /api/webhooks',
+      listWebhooks: 'GET /api/webhooks',
+      getWebhook: 'GET /api/webhooks/:webhookId',
+      updateWebhook: 'PATCH /api/webhooks/:webhookId',
+      deleteWebhook: 'DELETE /api/webhooks/:webhookId',
+      listWebhookDeliveries: 'GET /api/webhooks/:webhookId/deliveries',
+      resendWebhookDelivery: 'POST /api/webhooks/:webhookId/deliveries/:deliveryId/resend',
+      createApiKey: 'POST /api/keys',
+      listApiKeys: 'GET /api/keys',
+      setApiKeyQuota: 'PUT /api/keys/:keyId/quota',
+      revokeApiKey: 'DELETE /api/keys/:keyId',
+      quota: 'GET /api/quota',
+      auditLog: 'GET /api/audit',
+      health: 'GET /api/health',
+      ...(config.metrics.enabled && { metrics: 'GET /metrics' })
     },
     documentation: 'See README.md for detailed API documentation'
   });
@@ -46,52 +117,134 @@ app.use(errorHandler);
 // Initialize and start server
 const startServer = async () => {
   try {
-    console.log('='.repeat(60));
-    console.log('File Upload Service');
-    console.log('='.repeat(60));
+    logger.info('Starting File Upload Service', { environment: config.nodeEnv });
 
-    // Ensure upload directory exists
-    console.log('Initializing upload directory...');
-    await ensureUploadDir();
+    // Prepare storage backend and local staging area
+    logger.info('Initializing storage', { backend: storage.name });
+    await storage.initialize();
+    await ensureStagingDir();
 
     // Initialize metadata store
-    console.log('Initializing metadata store...');
+    logger.info('Initializing metadata store');
     await metadataStore.initialize();
+    await encryptionService.checkKeys();
+
+    // Initialize API keys
+    logger.info('Initializing API keys');
+    await apiKeyStore.initialize();
+    if (config.adminApiKey) {
+      const adminKey = await apiKeyStore.ensureKey({ name: 'admin (ADMIN_API_KEY)', scopes: ['admin'], key: config.adminApiKey });
+      if (adminKey.revokedAt) {
+        logger.warn('ADMIN_API_KEY has been revoked and will not be accepted - set a new key to restore admin access', {
+          keyId: adminKey.id,
+          revokedAt: adminKey.revokedAt
+        });
+      }
+    }
+    if (!config.shareLinkSecret) {
+      logger.warn('SHARE_LINK_SECRET is not set - share links will stop working after a restart');
+    }
+    if (!config.authEnabled) {
+      logger.warn('Authentication is disabled (AUTH_ENABLED=false) - every request has admin access');
+    }
+
+    // Start sending webhook deliveries (including any queued before a restart)
+    logger.info('Starting webhook delivery');
+    webhookService.start();
 
     // Start lifecycle service
-    console.log('Starting file lifecycle service...');
+    logger.info('Starting file lifecycle service');
     lifecycleService.start();
 
     // Start Express server
-    app.listen(config.port, () => {
-      console.log('='.repeat(60));
-      console.log(`Server running on port ${config.port}`);
-      console.log(`Environment: ${config.nodeEnv}`);
-      console.log(`Max file size: ${config.maxFileSizeMB} MB`);
-      console.log(`Max storage: ${config.maxStorageMB} MB`);
-      console.log(`File retention: ${config.fileRetentionHours} hours`);
-      console.log(`Cleanup interval: ${config.cleanupIntervalHours} hours`);
-      console.log('='.repeat(60));
-      console.log(`API available at: http://localhost:${config.port}/api`);
-      console.log(`Health check: http://localhost:${config.port}/api/health`);
-      console.log('='.repeat(60));
+    server = app.listen(config.port, () => {
+      logger.info(`Server running on port ${config.port}`, {
+        port: config.port,
+        environment: config.nodeEnv,
+        maxFileSizeMB: config.maxFileSizeMB,
+        maxStorageMB: config.maxStorageMB,
+        storageBackend: storage.name,
+        authentication: config.authEnabled ? 'api_key' : 'disabled',
+        antivirusScanning: config.scan.enabled ? config.scan.mode : 'disabled',
+        encryption: config.encryption.enabled ? 'aes-256-gcm' : 'disabled',
+        evictionPolicy: config.eviction.policy,
+        fileRetentionHours: config.fileRetentionHours,
+        cleanupIntervalHours: config.cleanupIntervalHours,
+        api: `http://localhost:${config.port}/api`
+      });
     });
 
   } catch (error) {
-    console.error('Failed to start server:', error);
+    logger.error('Failed to start server', { error });
     process.exit(1);
   }
 };
 
-// Graceful shutdown
-const shutdown = async () => {
-  console.log('\nShutting down gracefully...');
-  
-  // Stop lifecycle service
-  lifecycleService.stop();
-  
-  console.log('Server stopped');
-  process.exit(0);
+// Graceful shutdown: stop accepting connections and refuse new requests,
+// let uploads, downloads and a running cleanup finish (up to
+// SHUTDOWN_TIMEOUT_SECONDS), then flush pending writes and close the
+// database. A second signal exits at once.
+let shuttingDown = false;
+
+const shutdown = async (signal) => {
+  if (shuttingDown) {
+    logger.warn('Received a second shutdown signal, exiting immediately', { signal });
+    process.exit(1);
+  }
+  shuttingDown = true;
+
+  let drained = false;
+
+  try {
+    logger.info('Shutting down gracefully', { signal, timeoutSeconds: config.shutdownTimeoutSeconds });
+
+    // New requests are refused and health checks report "draining" from now
+    // on, so load balancers take the instance out of rotation
+    shutdownService.beginDraining();
+
+    // Stop accepting connections and close idle keep-alive ones; connections
+    // with a request in flight close once it finishes
+    if (server) {
+      server.close();
+      server.closeIdleConnections();
+    }
+
+    // Stop scheduling cleanups; a run in progress is awaited below
+    lifecycleService.stop();
+
+    drained = await shutdownService.drain(
+      [lifecycleService.waitForCleanup()],
+      config.shutdownTimeoutMs
+    );
+
+    // Close the connections left idle by finished requests; after a timeout,
+    // also cut off the transfers still running
+    if (server) {
+      if (drained) {
+        server.closeIdleConnections();
+      } else {
+        server.closeAllConnections();
+      }
+    }
+
+    // Let in-progress webhook deliveries finish; queued ones are sent after restart
+    await webhookService.stop();
+    await auditService.flush();
+  } catch (error) {
+    drained = false;
+    logger.error('Graceful shutdown failed', { error });
+  } finally {
+    try {
+      // Close the metadata database
+      closeDatabase();
+    } catch (error) {
+      drained = false;
+      logger.error('Failed to close the database', { error });
+    }
+
+    logger.info('Server stopped', { drained });
+    process.exit(drained ? 0 : 1);
+  }
 };
 
 process.on('SIGINT', shutdown);
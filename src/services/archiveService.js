@@ -0,0 +1,110 @@
+const path = require('path');
+const { once } = require('events');
+const archiver = require('archiver');
+const storage = require('../storage');
+
+const MANIFEST_NAME = 'manifest.json';
+
+/**
+ * Make an entry name safe for a ZIP (no directories) and unique within it,
+ * e.g. "report.pdf", "report (1).pdf", "report (2).pdf"
+ */
+const uniqueEntryName = (originalName, usedNames) => {
+  const safeName = path.basename(String(originalName || 'file').replace(/\\/g, '/')) || 'file';
+  const ext = path.extname(safeName);
+  const base = safeName.slice(0, safeName.length - ext.length);
+
+  let name = safeName;
+  for (let n = 1; usedNames.has(name.toLowerCase()); n++) {
+    name = `${base} (${n})${ext}`;
+  }
+
+  usedNames.add(name.toLowerCase());
+  return name;
+};
+
+/**
+ * Stream a ZIP of stored files to the response, built on the fly.
+ * Files are added one at a time so only one object is open at once.
+ * A manifest.json entry lists what was included and what was not.
+ * @param {Response} res - Express response
+ * @param {Object[]} files - Records to include
+ * @param {{ fileId: string, reason: string }[]} missing - Requested IDs that could not be included
+ * @returns {Promise<{ included: number, missing: number, files: Object[], completed: boolean }>}
+ */
+const streamArchive = async (res, files, missing) => {
+  const archive = archiver('zip', { zlib: { level: 6 } });
+  const usedNames = new Set([MANIFEST_NAME]);
+  const included = [];
+  const includedFiles = [];
+  const skipped = [...missing];
+  let aborted = false;
+
+  // Stop reading objects if the client goes away
+  res.once('close', () => {
+    if (!res.writableEnded) {
+      aborted = true;
+      archive.abort();
+    }
+  });
+
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Disposition', `attachment; filename="files-${Date.now()}.zip"`);
+
+  const finished = new Promise((resolve, reject) => {
+    archive.once('error', reject);
+    res.once('finish', resolve);
+    res.once('close', resolve);
+  });
+  // Awaited below; this only keeps an early failure from going unhandled
+  finished.catch(() => {});
+
+  archive.pipe(res);
+
+  for (const file of files) {
+    if (aborted) break;
+
+    let stream;
+    try {
+      stream = await storage.getStream(file.storageKey);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      skipped.push({ fileId: file.id, reason: 'File not found in storage' });
+      continue;
+    }
+
+    const name = uniqueEntryName(file.originalName, usedNames);
+    const entryAdded = once(archive, 'entry');
+    archive.append(stream, { name, date: new Date(file.uploadedAt) });
+    await entryAdded;
+
+    included.push({ fileId: file.id, name, size: file.size, sha256: file.sha256 || null });
+    includedFiles.push(file);
+  }
+
+  if (!aborted) {
+    const manifest = {
+      createdAt: new Date().toISOString(),
+      files: included,
+      missing: skipped
+    };
+
+    archive.append(JSON.stringify(manifest, null, 2), { name: MANIFEST_NAME });
+    await archive.finalize();
+  }
+
+  await finished;
+  return {
+    included: included.length,
+    missing: skipped.length,
+    // Records that went into the archive, and whether the client received all of it
+    files: includedFiles,
+    completed: !aborted && res.writableEnded
+  };
+};
+
+module.exports = {
+  streamArchive
+};
@@ -0,0 +1,78 @@
+const auditLogStore = require('../models/AuditLog');
+const eventBus = require('./eventBus');
+const { FILE_EVENTS } = eventBus;
+const { getContext } = require('../utils/requestContext');
+const logger = require('../utils/logger').child({ component: 'audit' });
+
+// File events recorded in the audit log, and the action each is stored as
+const AUDIT_ACTIONS = Object.freeze({
+  [FILE_EVENTS.UPLOADED]: 'upload',
+  [FILE_EVENTS.DOWNLOADED]: 'download',
+  [FILE_EVENTS.DELETED]: 'delete',
+  [FILE_EVENTS.EXPIRED]: 'expire'
+});
+
+/**
+ * Records who uploaded, downloaded, deleted or expired which file.
+ *
+ * The actor is taken from the request the event happened in: its API key,
+ * client IP and request ID. Events outside a request (expiry by the cleanup
+ * process) have no actor. Share link downloads have an IP but no key.
+ */
+class AuditService {
+  constructor() {
+    // Entries still being written
+    this.pending = new Set();
+
+    for (const type of Object.keys(AUDIT_ACTIONS)) {
+      eventBus.on(type, (event) => this.track(this.record(event)));
+    }
+  }
+
+  track(promise) {
+    this.pending.add(promise);
+    promise.finally(() => this.pending.delete(promise));
+  }
+
+  /**
+   * Wait until every event received so far has been written
+   */
+  async flush() {
+    await Promise.all([...this.pending]);
+  }
+
+  async record({ type, file, details, occurredAt }) {
+    // Read before the first await, while still in the request's context
+    const context = getContext();
+    const req = context && context.req;
+
+    try {
+      await auditLogStore.append({
+        occurredAt,
+        action: AUDIT_ACTIONS[type],
+        fileId: file.id,
+        fileName: file.originalName,
+        ownerId: file.ownerId || null,
+        actorKeyId: req && req.apiKey ? req.apiKey.id : null,
+        actorIp: context ? context.ip : null,
+        requestId: context ? context.requestId : null,
+        details
+      });
+    } catch (error) {
+      logger.error('Failed to write audit log entry', { action: AUDIT_ACTIONS[type], fileId: file.id, error });
+    }
+  }
+
+  /**
+   * Query the audit log (see AuditLogStore.query)
+   */
+  async query(filters) {
+    return auditLogStore.query(filters);
+  }
+}
+
+// Singleton instance
+const auditService = new AuditService();
+
+module.exports = auditService;
+module.exports.AUDIT_ACTIONS = AUDIT_ACTIONS;
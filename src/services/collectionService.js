@@ -0,0 +1,114 @@
+const metadataStore = require('../models/FileMetadata');
+const collectionStore = require('../models/Collection');
+const fileService = require('./fileService');
+const config = require('../config/config');
+const logger = require('../utils/logger').child({ component: 'collections' });
+
+/**
+ * Create an error carrying the HTTP status the route should respond with
+ */
+const collectionError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Moves files between collections and applies collection retention.
+ *
+ * A collection's retentionHours replaces the global FILE_RETENTION_HOURS for
+ * its files: their expiry is uploadedAt plus that retention. Files given an
+ * explicit expiry (ttlHours at upload, or a PATCH) keep it.
+ */
+class CollectionService {
+  /**
+   * Retention in milliseconds for files in a collection (or none)
+   */
+  getRetentionMs(collection) {
+    return collection && collection.retentionHours
+      ? collection.retentionHours * 60 * 60 * 1000
+      : config.fileRetentionMs;
+  }
+
+  /**
+   * Changes that put a record into a collection (null for none)
+   */
+  placementChanges(record, collection) {
+    const changes = { collectionId: collection ? collection.id : null };
+
+    if (!record.customExpiry) {
+      const uploadedAt = new Date(record.uploadedAt).getTime();
+      changes.expiresAt = new Date(uploadedAt + this.getRetentionMs(collection)).toISOString();
+    }
+
+    return changes;
+  }
+
+  /**
+   * Move a file into a collection, or out of any with null
+   * @returns {Promise<Object|null>} The updated record, or null if it was deleted meanwhile
+   */
+  async moveFile(file, collection) {
+    return metadataStore.updateFile(file.id, (record) => this.placementChanges(record, collection));
+  }
+
+  /**
+   * Re-derive the expiry of a collection's files after its retention changed
+   * @returns {Promise<number>} Number of files updated
+   */
+  async applyRetention(collection) {
+    let updated = 0;
+
+    for (const file of await metadataStore.getFilesByCollection(collection.id)) {
+      if (file.customExpiry) {
+        continue;
+      }
+
+      const record = await metadataStore.updateFile(file.id, (current) =>
+        current.collectionId === collection.id ? this.placementChanges(current, collection) : {}
+      );
+      if (record) {
+        updated++;
+      }
+    }
+
+    return updated;
+  }
+
+  /**
+   * Delete a collection. Without cascade a non-empty collection is refused;
+   * with cascade its files are deleted first.
+   * @returns {Promise<{ filesDeleted: number }>}
+   */
+  async deleteCollection(collection, { cascade = false } = {}) {
+    let filesDeleted = 0;
+
+    if (cascade) {
+      for (const file of await metadataStore.getFilesByCollection(collection.id)) {
+        await fileService.deleteFile(file, { details: { reason: 'collection_deleted' } });
+        filesDeleted++;
+      }
+    }
+
+    try {
+      await collectionStore.deleteCollection(collection.id);
+    } catch (error) {
+      // Files still reference it (or were uploaded into it during a cascade)
+      if (error.code === 'SQLITE_CONSTRAINT_FOREIGNKEY') {
+        throw collectionError(409, 'Collection is not empty');
+      }
+      throw error;
+    }
+
+    if (filesDeleted > 0) {
+      logger.info(`Deleted collection and ${filesDeleted} file(s)`, { collectionId: collection.id, filesDeleted });
+    }
+
+    return { filesDeleted };
+  }
+}
+
+// Singleton instance
+const collectionService = new CollectionService();
+
+module.exports = collectionService;
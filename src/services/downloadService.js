@@ -0,0 +1,348 @@
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const metadataStore = require('../models/FileMetadata');
+const storage = require('../storage');
+const eventBus = require('./eventBus');
+const { FILE_EVENTS } = eventBus;
+const { hashStream } = require('../utils/hash');
+const { formatDigestHeader } = require('../utils/checksum');
+
+// Requests asking for more ranges than this are served in full
+const MAX_RANGES = 32;
+
+/**
+ * Get the content hash for a record. Uploads are hashed when written;
+ * older records are hashed on first download and cached.
+ */
+const getContentHash = async (file) => {
+  if (file.sha256) {
+    return file.sha256;
+  }
+
+  const sha256 = await hashStream(await storage.getStream(file.storageKey));
+  await metadataStore.updateFile(file.id, { sha256 });
+  return sha256;
+};
+
+/**
+ * Parse an entity-tag list header value (If-Match / If-None-Match)
+ */
+const parseETagList = (value) => {
+  return value.split(',').map(tag => tag.trim()).filter(Boolean);
+};
+
+/**
+ * Compare an entity tag list against the current tag.
+ * Weak comparison ignores the W/ prefix; strong comparison rejects weak tags.
+ */
+const etagMatches = (headerValue, etag, { weak }) => {
+  return parseETagList(headerValue).some(tag => {
+    if (tag === '*') {
+      return true;
+    }
+    if (tag.startsWith('W/')) {
+      return weak && tag.slice(2) === etag;
+    }
+    return tag === etag;
+  });
+};
+
+/**
+ * Parse an HTTP date header, returning milliseconds or null if invalid
+ */
+const parseHttpDate = (value) => {
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : time;
+};
+
+/**
+ * Evaluate conditional request headers in the order defined by RFC 9110.
+ * Returns 304, 412 or null when the request should proceed.
+ */
+const evaluatePreconditions = (req, etag, lastModified) => {
+  const ifMatch = req.get('If-Match');
+  const ifUnmodifiedSince = req.get('If-Unmodified-Since');
+  const ifNoneMatch = req.get('If-None-Match');
+  const ifModifiedSince = req.get('If-Modified-Since');
+
+  if (ifMatch) {
+    if (!etagMatches(ifMatch, etag, { weak: false })) {
+      return 412;
+    }
+  } else if (ifUnmodifiedSince) {
+    const since = parseHttpDate(ifUnmodifiedSince);
+    if (since !== null && lastModified > since) {
+      return 412;
+    }
+  }
+
+  if (ifNoneMatch) {
+    if (etagMatches(ifNoneMatch, etag, { weak: true })) {
+      return 304;
+    }
+  } else if (ifModifiedSince) {
+    const since = parseHttpDate(ifModifiedSince);
+    if (since !== null && lastModified <= since) {
+      return 304;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Decide whether a Range header may be honoured given If-Range
+ */
+const isRangeApplicable = (req, etag, lastModified) => {
+  const ifRange = req.get('If-Range');
+  if (!ifRange) {
+    return true;
+  }
+
+  if (ifRange.startsWith('"') || ifRange.startsWith('W/')) {
+    return ifRange === etag;
+  }
+
+  return parseHttpDate(ifRange) === lastModified;
+};
+
+/**
+ * Parse a Range header against the file size.
+ * Returns null when the header is absent or malformed (serve the full file),
+ * an empty array when no range is satisfiable, or a sorted list of
+ * non-overlapping { start, end } ranges (inclusive).
+ */
+const parseRange = (header, size) => {
+  if (!header) {
+    return null;
+  }
+
+  const match = /^bytes=(.+)$/.exec(header.trim());
+  if (!match) {
+    return null;
+  }
+
+  const specs = match[1].split(',').map(spec => spec.trim());
+  if (specs.length > MAX_RANGES) {
+    return null;
+  }
+
+  const ranges = [];
+
+  for (const spec of specs) {
+    const parts = /^(\d*)-(\d*)$/.exec(spec);
+    if (!parts || (parts[1] === '' && parts[2] === '')) {
+      return null;
+    }
+
+    let start;
+    let end;
+
+    if (parts[1] === '') {
+      // Suffix range: the last N bytes
+      const suffixLength = parseInt(parts[2], 10);
+      if (suffixLength === 0) {
+        continue;
+      }
+      start = Math.max(size - suffixLength, 0);
+      end = size - 1;
+    } else {
+      start = parseInt(parts[1], 10);
+      end = parts[2] === '' ? size - 1 : Math.min(parseInt(parts[2], 10), size - 1);
+      if (parts[2] !== '' && parseInt(parts[2], 10) < start) {
+        return null;
+      }
+    }
+
+    if (start < size && start <= end) {
+      ranges.push({ start, end });
+    }
+  }
+
+  // Merge overlapping or adjacent ranges
+  ranges.sort((a, b) => a.start - b.start);
+  const merged = [];
+  for (const range of ranges) {
+    const last = merged[merged.length - 1];
+    if (last && range.start <= last.end + 1) {
+      last.end = Math.max(last.end, range.end);
+    } else {
+      merged.push({ ...range });
+    }
+  }
+
+  return merged;
+};
+
+/**
+ * Stream one byte range of a stored object into the response without ending it
+ */
+const streamRange = async (storageKey, res, range) => {
+  const stream = await storage.getStream(storageKey, range);
+
+  return new Promise((resolve, reject) => {
+    const onClose = () => {
+      stream.destroy();
+      resolve();
+    };
+
+    res.once('close', onClose);
+    stream.on('error', reject);
+    stream.on('end', () => {
+      res.off('close', onClose);
+      resolve();
+    });
+    stream.pipe(res, { end: false });
+  });
+};
+
+/**
+ * Send a multipart/byteranges response
+ * @returns {Promise<boolean>} Whether every part was sent
+ */
+const sendMultipartRanges = async (req, res, file, size, ranges) => {
+  const boundary = crypto.randomBytes(12).toString('hex');
+  const partHeaders = ranges.map(({ start, end }) => Buffer.from(
+    `\r\n--${boundary}\r\n` +
+    `Content-Type: ${file.mimeType}\r\n` +
+    `Content-Range: bytes ${start}-${end}/${size}\r\n\r\n`
+  ));
+  const closing = Buffer.from(`\r\n--${boundary}--\r\n`);
+
+  const contentLength = ranges.reduce(
+    (total, { start, end }, index) => total + partHeaders[index].length + (end - start + 1),
+    closing.length
+  );
+
+  res.status(206);
+  res.setHeader('Content-Type', `multipart/byteranges; boundary=${boundary}`);
+  res.setHeader('Content-Length', contentLength);
+
+  if (req.method === 'HEAD') {
+    res.end();
+    return false;
+  }
+
+  for (let i = 0; i < ranges.length; i++) {
+    if (res.destroyed) {
+      return false;
+    }
+    res.write(partHeaders[i]);
+    await streamRange(file.storageKey, res, ranges[i]);
+  }
+
+  res.end(closing);
+  return !res.destroyed;
+};
+
+/**
+ * Send a stored file honouring Range and conditional request headers,
+ * with its checksums in a Digest header.
+ * Supports single ranges (206), multiple ranges (multipart/byteranges),
+ * 304 Not Modified, 412 Precondition Failed and 416 Range Not Satisfiable.
+ * @param {{ disposition?: 'attachment'|'inline', allowRanges?: boolean }} options -
+ *   allowRanges false ignores Range and always sends the whole file
+ * @returns {Promise<boolean>} Whether file content (all of it, or the
+ *   requested ranges) was sent - false for HEAD, 304, 412 and 416
+ */
+const sendFile = async (req, res, file, { disposition = 'attachment', allowRanges = true } = {}) => {
+  const stats = await storage.stat(file.storageKey);
+  if (!stats) {
+    const error = new Error(`Stored object missing for file ${file.id}`);
+    error.code = 'ENOENT';
+    throw error;
+  }
+
+  // The stored object's size, not the recorded one
+  const size = stats.size;
+  const sha256 = await getContentHash(file);
+  const etag = `"${sha256}"`;
+
+  // HTTP dates have one-second resolution
+  const lastModified = Math.floor(new Date(file.uploadedAt).getTime() / 1000) * 1000;
+
+  res.setHeader('Accept-Ranges', allowRanges ? 'bytes' : 'none');
+  res.setHeader('ETag', etag);
+  // Checksums of the whole file (RFC 3230), also for range responses
+  res.setHeader('Digest', formatDigestHeader({ sha256, md5: file.md5 }));
+  res.setHeader('Last-Modified', new Date(lastModified).toUTCString());
+
+  const precondition = evaluatePreconditions(req, etag, lastModified);
+  if (precondition) {
+    res.status(precondition).end();
+    return false;
+  }
+
+  res.setHeader('Content-Disposition', `${disposition}; filename="${file.originalName}"`);
+
+  const ranges = allowRanges && isRangeApplicable(req, etag, lastModified)
+    ? parseRange(req.get('Range'), size)
+    : null;
+
+  if (ranges && ranges.length === 0) {
+    res.setHeader('Content-Range', `bytes */${size}`);
+    res.status(416).json({
+      success: false,
+      error: 'Requested range not satisfiable'
+    });
+    return false;
+  }
+
+  if (ranges && ranges.length > 1) {
+    return sendMultipartRanges(req, res, file, size, ranges);
+  }
+
+  res.setHeader('Content-Type', file.mimeType);
+
+  let streamOptions = {};
+  let length = size;
+  if (ranges) {
+    const [{ start, end }] = ranges;
+    res.status(206);
+    res.setHeader('Content-Range', `bytes ${start}-${end}/${size}`);
+    streamOptions = { start, end };
+    length = end - start + 1;
+  }
+  res.setHeader('Content-Length', length);
+
+  if (req.method === 'HEAD') {
+    res.end();
+    return false;
+  }
+
+  const stream = await storage.getStream(file.storageKey, streamOptions);
+  let sent = 0;
+  stream.on('data', (chunk) => {
+    sent += chunk.length;
+  });
+
+  try {
+    await pipeline(stream, res);
+  } catch (error) {
+    // A client that has every byte may close the connection before the
+    // stored object reports its end; that is still a complete download
+    if (error.code !== 'ERR_STREAM_PREMATURE_CLOSE' || sent !== length) {
+      throw error;
+    }
+  }
+
+  return true;
+};
+
+/**
+ * Announce a download of a file's content
+ * @param {Object} details - Extra event fields, e.g. { via: 'share_link' }
+ */
+const announceDownload = (res, file, details = {}) => {
+  eventBus.emitFileEvent(FILE_EVENTS.DOWNLOADED, file, {
+    partial: res.statusCode === 206,
+    ...details
+  });
+};
+
+module.exports = {
+  sendFile,
+  announceDownload,
+  getContentHash,
+  parseRange
+};
@@ -0,0 +1,234 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const dataKeyStore = require('../models/DataKey');
+const config = require('../config/config');
+const logger = require('../utils/logger').child({ component: 'encryption' });
+
+const KEY_LENGTH = 32;
+
+/**
+ * Decode a base64 master key
+ */
+const decodeMasterKey = (value, source) => {
+  const key = Buffer.from(value, 'base64');
+  if (!/^[A-Za-z0-9+/]+={0,2}$/.test(value) || key.length !== KEY_LENGTH) {
+    throw new Error(`${source} must contain base64-encoded 32-byte keys (e.g. from \`openssl rand -base64 32\`)`);
+  }
+  return key;
+};
+
+/**
+ * Master keys from ENCRYPTION_KEY or ENCRYPTION_KEY_FILE, current key first,
+ * followed by ENCRYPTION_PREVIOUS_KEYS
+ */
+const loadMasterKeys = ({ key, keyFile, previousKeys }) => {
+  let values = key ? [key] : [];
+  let source = 'ENCRYPTION_KEY';
+
+  if (keyFile) {
+    source = 'ENCRYPTION_KEY_FILE';
+    try {
+      values = fs.readFileSync(keyFile, 'utf8')
+        .split('\n')
+        .map(line => line.trim())
+        .filter(line => line && !line.startsWith('#'));
+    } catch (error) {
+      throw new Error(`Failed to read ENCRYPTION_KEY_FILE: ${error.message}`);
+    }
+    if (values.length === 0) {
+      throw new Error('ENCRYPTION_KEY_FILE contains no keys');
+    }
+  }
+
+  return [
+    ...values.map(value => decodeMasterKey(value, source)),
+    ...previousKeys.map(value => decodeMasterKey(value, 'ENCRYPTION_PREVIOUS_KEYS'))
+  ];
+};
+
+/**
+ * Envelope encryption keys. Every stored object is encrypted with its own
+ * random data key; data keys are stored wrapped (AES-256-GCM) with the
+ * current master key, so rotating the master key only re-wraps data keys and
+ * never re-encrypts content.
+ *
+ * Master keys are identified by a fingerprint (the start of their SHA-256),
+ * so previous keys can be listed in any order.
+ *
+ * Deduplicated content is stored under an HMAC of its hash rather than the
+ * hash itself, so that whoever can list the storage cannot confirm that a
+ * known file is stored.
+ */
+class EncryptionService {
+  constructor() {
+    this.enabled = config.encryption.enabled;
+    // Master key ID -> key
+    this.masterKeys = new Map();
+    this.currentKeyId = null;
+    // Derived from the current master key; only keys new blobs, as each blob
+    // records its storage key
+    this.storageKeySecret = null;
+
+    if (this.enabled) {
+      for (const key of loadMasterKeys(config.encryption)) {
+        const id = crypto.createHash('sha256').update(key).digest('hex').slice(0, 16);
+        this.masterKeys.set(id, key);
+        this.currentKeyId = this.currentKeyId || id;
+      }
+      this.storageKeySecret = Buffer.from(
+        crypto.hkdfSync('sha256', this.masterKeys.get(this.currentKeyId), '', 'storage-keys', KEY_LENGTH)
+      );
+    }
+  }
+
+  /**
+   * Storage key for new content with the given SHA-256: the hash itself
+   * without encryption, otherwise its HMAC
+   */
+  contentStorageKey(hash) {
+    if (!this.enabled) {
+      return hash;
+    }
+    return crypto.createHmac('sha256', this.storageKeySecret).update(hash).digest('hex');
+  }
+
+  /**
+   * Wrap a data key with the current master key. The data key's ID is
+   * authenticated with it, so a wrapped key cannot be used for another object.
+   */
+  wrap(id, dataKey) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.masterKeys.get(this.currentKeyId), iv);
+    cipher.setAAD(Buffer.from(id));
+    const wrapped = Buffer.concat([iv, cipher.update(dataKey), cipher.final(), cipher.getAuthTag()]);
+    return wrapped.toString('base64');
+  }
+
+  unwrap(record) {
+    const masterKey = this.masterKeys.get(record.masterKeyId);
+    if (!masterKey) {
+      throw new Error(`Data key ${record.id} is wrapped with master key ${record.masterKeyId}, which is not configured`);
+    }
+
+    const wrapped = Buffer.from(record.wrappedKey, 'base64');
+    const decipher = crypto.createDecipheriv('aes-256-gcm', masterKey, wrapped.subarray(0, 12));
+    decipher.setAAD(Buffer.from(record.id));
+    decipher.setAuthTag(wrapped.subarray(wrapped.length - 16));
+    return Buffer.concat([decipher.update(wrapped.subarray(12, wrapped.length - 16)), decipher.final()]);
+  }
+
+  /**
+   * Create and record the data key for an object about to be stored
+   * @returns {Promise<{ id: string, key: Buffer }>}
+   */
+  async createDataKey(storageKey) {
+    const id = crypto.randomBytes(16).toString('hex');
+    const key = crypto.randomBytes(KEY_LENGTH);
+
+    await dataKeyStore.addKey({
+      id,
+      storageKey,
+      wrappedKey: this.wrap(id, key),
+      masterKeyId: this.currentKeyId
+    });
+
+    return { id, key };
+  }
+
+  /**
+   * Unwrapped data key by ID
+   */
+  async getDataKey(id) {
+    const record = await dataKeyStore.getKey(id);
+    if (!record) {
+      throw new Error(`Data key ${id} not found`);
+    }
+    return this.unwrap(record);
+  }
+
+  /**
+   * Check at startup that stored data keys can be unwrapped: refuses to
+   * start if files are encrypted but no master key is configured, and warns
+   * about keys wrapped with unknown or previous master keys
+   */
+  async checkKeys() {
+    const counts = await dataKeyStore.countByMasterKey();
+    const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+
+    if (!this.enabled) {
+      if (total > 0) {
+        throw new Error(`${total} stored objects are encrypted, but no ENCRYPTION_KEY or ENCRYPTION_KEY_FILE is set`);
+      }
+      return;
+    }
+
+    const unknown = Object.keys(counts).filter(id => !this.masterKeys.has(id));
+    const unknownCount = unknown.reduce((sum, id) => sum + counts[id], 0);
+    if (unknownCount > 0) {
+      logger.error('Some data keys are wrapped with master keys that are not configured - their files cannot be read', {
+        masterKeyIds: unknown,
+        dataKeys: unknownCount
+      });
+    }
+
+    const previous = total - (counts[this.currentKeyId] || 0) - unknownCount;
+    if (previous > 0) {
+      logger.warn('Some data keys are wrapped with a previous master key - run `npm run rotate-keys`', {
+        dataKeys: previous
+      });
+    }
+  }
+
+  /**
+   * Re-wrap every data key wrapped with a previous master key with the
+   * current one. Content is not touched.
+   * @returns {Promise<{ rewrapped: number, failed: number }>} failed counts
+   *   keys whose master key is not configured or that could not be unwrapped
+   */
+  async rotateDataKeys() {
+    if (!this.enabled) {
+      throw new Error('Encryption is not enabled (set ENCRYPTION_KEY or ENCRYPTION_KEY_FILE)');
+    }
+
+    let rewrapped = 0;
+    let failed = 0;
+    let afterId = '';
+
+    for (;;) {
+      const records = await dataKeyStore.getKeysWrappedWithOther(this.currentKeyId, afterId);
+      if (records.length === 0) {
+        break;
+      }
+
+      for (const record of records) {
+        let dataKey;
+        try {
+          dataKey = this.unwrap(record);
+        } catch (error) {
+          logger.error('Failed to unwrap data key', { dataKeyId: record.id, masterKeyId: record.masterKeyId, error });
+          failed++;
+          continue;
+        }
+
+        const updated = await dataKeyStore.rewrapKey(record.id, {
+          wrappedKey: this.wrap(record.id, dataKey),
+          masterKeyId: this.currentKeyId,
+          previousMasterKeyId: record.masterKeyId
+        });
+        if (updated) {
+          rewrapped++;
+        }
+      }
+
+      afterId = records[records.length - 1].id;
+    }
+
+    logger.info('Data key rotation finished', { masterKeyId: this.currentKeyId, rewrapped, failed });
+    return { rewrapped, failed };
+  }
+}
+
+// Singleton instance
+const encryptionService = new EncryptionService();
+
+module.exports = encryptionService;
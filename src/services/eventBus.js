@@ -0,0 +1,37 @@
+const { EventEmitter } = require('events');
+const logger = require('../utils/logger').child({ component: 'events' });
+
+const FILE_EVENTS = Object.freeze({
+  UPLOADED: 'file.uploaded',
+  DOWNLOADED: 'file.downloaded',
+  DELETED: 'file.deleted',
+  EXPIRED: 'file.expired',
+  QUARANTINED: 'file.quarantined'
+});
+
+/**
+ * In-process bus for file lifecycle events. Code that changes files emits
+ * here without knowing who listens (e.g. the webhook service).
+ */
+class EventBus extends EventEmitter {
+  /**
+   * Announce something that happened to a file
+   * @param {string} type - One of FILE_EVENTS
+   * @param {Object} file - The file's metadata record
+   * @param {Object} [details] - Extra event-specific fields
+   */
+  emitFileEvent(type, file, details = {}) {
+    try {
+      this.emit(type, { type, file, details, occurredAt: new Date().toISOString() });
+    } catch (error) {
+      // A failing listener must never break the operation that emitted
+      logger.error('Event listener failed', { event: type, error });
+    }
+  }
+}
+
+// Singleton instance
+const eventBus = new EventBus();
+
+module.exports = eventBus;
+module.exports.FILE_EVENTS = FILE_EVENTS;
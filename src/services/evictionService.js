@@ -0,0 +1,205 @@
+const metadataStore = require('../models/FileMetadata');
+const fileService = require('./fileService');
+const eventBus = require('./eventBus');
+const { FILE_EVENTS } = eventBus;
+const config = require('../config/config');
+const logger = require('../utils/logger').child({ component: 'eviction' });
+
+const EVICTION_POLICIES = Object.freeze({
+  REJECT: 'reject',
+  SOONEST_EXPIRING: 'soonest-expiring',
+  LRU: 'lru'
+});
+
+// What started an eviction
+const EVICTION_TRIGGERS = Object.freeze({
+  UPLOAD: 'upload',
+  CLEANUP: 'cleanup'
+});
+
+const formatMB = (bytes) => `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+
+/**
+ * Frees storage when it fills up by deleting unpinned files in the order
+ * of EVICTION_POLICY: closest to expiry first (soonest-expiring), or least
+ * recently downloaded first (lru). Pinned files are never evicted.
+ *
+ * Eviction starts once usage goes over the high watermark and deletes files
+ * until it is below the low one, so it does not run again on every upload.
+ * It is checked for each upload that passed every other check (counting the
+ * upload) and on each cleanup run. With the reject policy nothing is evicted
+ * and uploads that do not fit get 507.
+ *
+ * Usage is physical: evicting a file whose content another file shares
+ * frees nothing until that file is evicted too.
+ */
+class EvictionService {
+  constructor() {
+    this.policy = config.eviction.policy;
+    // Evictions run one at a time, so each sees the space the last one freed
+    this.queue = Promise.resolve();
+
+    eventBus.on(FILE_EVENTS.DOWNLOADED, ({ file }) => this.recordAccess(file));
+  }
+
+  isEnabled() {
+    return this.policy !== EVICTION_POLICIES.REJECT;
+  }
+
+  getWatermarks() {
+    return {
+      high: Math.floor(config.maxStorageBytes * config.eviction.highWatermarkPercent / 100),
+      low: Math.floor(config.maxStorageBytes * config.eviction.lowWatermarkPercent / 100)
+    };
+  }
+
+  /**
+   * Remember when a file was last downloaded, for the lru policy
+   */
+  recordAccess(file) {
+    metadataStore.recordAccess(file.id).catch((error) => {
+      logger.error('Failed to record file access', { fileId: file.id, error });
+    });
+  }
+
+  /**
+   * Evict files if storing incomingBytes more would take usage over the
+   * high watermark
+   * @returns {Promise<number>} Physical storage used afterwards, in bytes
+   */
+  async makeRoom(incomingBytes) {
+    if (!this.isEnabled()) {
+      const { physical } = await metadataStore.getTotalStorageUsed();
+      return physical;
+    }
+
+    const { usage } = await this.evict(incomingBytes, EVICTION_TRIGGERS.UPLOAD);
+    return usage;
+  }
+
+  /**
+   * Evict files if usage is over the high watermark (run by the cleanup
+   * process)
+   * @returns {Promise<number>} Number of files evicted
+   */
+  async relievePressure() {
+    if (!this.isEnabled()) {
+      return 0;
+    }
+
+    const { evicted } = await this.evict(0, EVICTION_TRIGGERS.CLEANUP);
+    return evicted;
+  }
+
+  evict(incomingBytes, trigger) {
+    const run = this.queue.then(() => this.performEviction(incomingBytes, trigger));
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  async performEviction(incomingBytes, trigger) {
+    const { high, low } = this.getWatermarks();
+    let { physical: usage } = await metadataStore.getTotalStorageUsed();
+
+    if (usage + incomingBytes <= high) {
+      return { evicted: 0, usage };
+    }
+
+    const context = { policy: this.policy, trigger };
+
+    // An upload that would not fit even with every unpinned file gone is
+    // refused without evicting anything
+    if (incomingBytes > 0) {
+      const evictable = await metadataStore.getEvictableStorage();
+      if (usage - evictable + incomingBytes > config.maxStorageBytes) {
+        logger.warn('Upload cannot fit even after evicting every unpinned file, nothing evicted', {
+          ...context,
+          usage: formatMB(usage),
+          evictable: formatMB(evictable),
+          incomingSize: formatMB(incomingBytes),
+          maxStorage: `${config.maxStorageMB} MB`
+        });
+        return { evicted: 0, usage };
+      }
+    }
+
+    logger.warn('Storage over high watermark, evicting files', {
+      ...context,
+      usage: formatMB(usage),
+      incomingSize: formatMB(incomingBytes),
+      highWatermark: formatMB(high),
+      lowWatermark: formatMB(low)
+    });
+
+    let evicted = 0;
+    let after;
+
+    while (usage + incomingBytes > low) {
+      const page = await metadataStore.getEvictionCandidates(this.policy, after);
+      if (page.files.length === 0) {
+        break;
+      }
+
+      for (const file of page.files) {
+        if (usage + incomingBytes <= low) {
+          break;
+        }
+
+        try {
+          await fileService.deleteFile(file, { details: { reason: 'evicted', ...context } });
+        } catch (error) {
+          logger.error('Failed to evict file', { fileId: file.id, ...context, error });
+          continue;
+        }
+
+        const { physical } = await metadataStore.getTotalStorageUsed();
+        logger.info('Evicted file', {
+          fileId: file.id,
+          ...context,
+          reason: this.describeReason(file, usage + incomingBytes, low),
+          size: file.size,
+          freedBytes: usage - physical
+        });
+        usage = physical;
+        evicted++;
+      }
+
+      after = page.last;
+    }
+
+    const done = usage + incomingBytes <= low;
+    logger[done ? 'info' : 'warn'](
+      done ? 'Eviction finished' : 'Eviction stopped above the low watermark: no more unpinned files to evict',
+      { ...context, evicted, usage: formatMB(usage) }
+    );
+
+    return { evicted, usage };
+  }
+
+  /**
+   * Why a file was chosen, for the log
+   */
+  describeReason(file, usage, low) {
+    const pressure = `storage at ${formatMB(usage)}, above the low watermark of ${formatMB(low)}`;
+
+    if (this.policy === EVICTION_POLICIES.SOONEST_EXPIRING) {
+      return `${pressure}; expires soonest (${file.expiresAt})`;
+    }
+    return `${pressure}; least recently downloaded (last at ${file.lastAccessedAt || 'never'})`;
+  }
+
+  getStatus() {
+    const { high, low } = this.getWatermarks();
+    return {
+      policy: this.policy,
+      ...(this.isEnabled() && { highWatermark: formatMB(high), lowWatermark: formatMB(low) })
+    };
+  }
+}
+
+// Singleton instance
+const evictionService = new EvictionService();
+
+module.exports = evictionService;
+module.exports.EVICTION_POLICIES = EVICTION_POLICIES;
+module.exports.EVICTION_TRIGGERS = EVICTION_TRIGGERS;
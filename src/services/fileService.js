@@ -0,0 +1,384 @@
+const fs = require('fs').promises;
+const metadataStore = require('../models/FileMetadata');
+const blobStore = require('../models/Blob');
+const collectionStore = require('../models/Collection');
+const storage = require('../storage');
+const scanService = require('./scanService');
+const encryptionService = require('./encryptionService');
+const thumbnailService = require('./thumbnailService');
+const { getContentHash } = require('./downloadService');
+const eventBus = require('./eventBus');
+const { FILE_EVENTS } = eventBus;
+const { hashFile } = require('../utils/hash');
+const config = require('../config/config');
+const logger = require('../utils/logger').child({ component: 'upload' });
+
+/**
+ * Moves validated uploads into the storage backend and removes stored files.
+ * Routes and the lifecycle service go through here rather than touching
+ * storage and metadata separately.
+ *
+ * Content is deduplicated: each distinct SHA-256 is stored once as a blob
+ * (keyed by its hash, or an HMAC of it with encryption at rest) and shared
+ * by every record with that content.
+ */
+class FileService {
+  constructor() {
+    // hash -> promise of the last queued operation on that blob
+    this.blobLocks = new Map();
+  }
+
+  /**
+   * Run fn while holding the lock for a blob hash, so an upload never
+   * reuses a blob that a concurrent delete is removing
+   */
+  async withBlobLock(hash, fn) {
+    const previous = this.blobLocks.get(hash) || Promise.resolve();
+    const current = previous.then(fn, fn);
+    const settled = current.catch(() => {});
+
+    this.blobLocks.set(hash, settled);
+    settled.then(() => {
+      if (this.blobLocks.get(hash) === settled) {
+        this.blobLocks.delete(hash);
+      }
+    });
+
+    return current;
+  }
+
+  /**
+   * Commit a validated, staged upload (a multer file object) to storage,
+   * record its metadata and scan it (see scanService for sync vs background)
+   * @param {Object} file - Multer file object
+   * @param {Object} attributes - Extra record attributes: ownerId, ttlHours,
+   *   collectionId, and the description, tags and metadata given by the client
+   */
+  async storeUpload(file, { ownerId, ttlHours, collectionId, description, tags, metadata } = {}) {
+    let hash;
+    let md5;
+    let collection = null;
+    try {
+      ({ sha256: hash, md5 } = await this.stagedChecksums(file));
+      collection = collectionId ? await collectionStore.getCollection(collectionId) : null;
+    } catch (error) {
+      await fs.unlink(file.path).catch(() => {});
+      throw error;
+    }
+
+    // A resumable upload's collection may have been deleted since the session started
+    if (collectionId && !collection) {
+      logger.warn('Collection no longer exists, storing the file outside it', { collectionId, filename: file.filename });
+    }
+
+    const record = await this.storeContent(file, hash, async (blob) => metadataStore.addFile({
+      ...file,
+      storageKey: blob.storageKey,
+      blobHash: hash,
+      sha256: hash,
+      md5,
+      scanStatus: await scanService.initialStatus(hash),
+      ownerId,
+      ttlHours,
+      collectionId: collection ? collection.id : null,
+      collectionRetentionHours: collection ? collection.retentionHours : null,
+      description,
+      tags,
+      metadata
+    }));
+
+    eventBus.emitFileEvent(FILE_EVENTS.UPLOADED, record);
+
+    const scanned = await scanService.handleUpload(record);
+    thumbnailService.handleUpload(scanned);
+    return scanned;
+  }
+
+  /**
+   * Commit a validated, staged upload (a multer file object) as the new
+   * current version of an existing file. The file keeps its ID, share links
+   * and annotations; its previous content is kept as a prior version.
+   * @param {Object} file - Multer file object
+   * @param {Object} record - The file's metadata record
+   * @param {{ ttlHours?: number }} options - New retention from now; by
+   *   default the file keeps its current retention period
+   * @returns {Promise<Object|null>} The updated record, or null if the file
+   *   was deleted meanwhile
+   */
+  async storeVersion(file, record, { ttlHours } = {}) {
+    let hash;
+    let md5;
+    try {
+      ({ sha256: hash, md5 } = await this.stagedChecksums(file));
+    } catch (error) {
+      await fs.unlink(file.path).catch(() => {});
+      throw error;
+    }
+
+    // Records stored before uploads were hashed get their hash on first
+    // download; hash the outgoing version now, while it is still current
+    if (!record.sha256) {
+      await getContentHash(record).catch(() => {});
+    }
+
+    const updated = await this.storeContent(file, hash, async (blob) => {
+      const scanStatus = await scanService.initialStatus(hash);
+      const uploadedAt = new Date();
+
+      return metadataStore.addVersion(record.id, (current) => ({
+        originalName: file.originalname,
+        mimeType: file.mimetype,
+        size: file.size,
+        storageKey: blob.storageKey,
+        blobHash: hash,
+        sha256: hash,
+        md5,
+        scanStatus,
+        uploadedAt: uploadedAt.toISOString(),
+        expiresAt: this.versionExpiry(current, uploadedAt, ttlHours),
+        ...(ttlHours && { customExpiry: true }),
+        // Generated from the previous content
+        thumbnails: undefined
+      }));
+    });
+
+    if (!updated) {
+      return null;
+    }
+
+    await thumbnailService.deleteThumbnails(record);
+    eventBus.emitFileEvent(FILE_EVENTS.UPLOADED, updated, { version: updated.version });
+
+    const scanned = await scanService.handleUpload(updated);
+    thumbnailService.handleUpload(scanned);
+    return scanned;
+  }
+
+  /**
+   * Roll a file back to a prior version: its content becomes a new current
+   * version, so the history is kept
+   * @param {Object} record - The file's metadata record
+   * @param {Object} version - The prior version to restore (must share a blob)
+   * @returns {Promise<Object|null>} The updated record, or null if the file
+   *   or version was deleted meanwhile
+   */
+  async restoreVersion(record, version) {
+    const updated = await this.withBlobLock(version.blobHash, async () => {
+      // The blob survives as long as the version references it
+      if (!(await metadataStore.getVersion(record.id, version.version))) {
+        return null;
+      }
+
+      const uploadedAt = new Date();
+      return metadataStore.addVersion(record.id, (current) => ({
+        ...metadataStore.toVersion(version),
+        uploadedAt: uploadedAt.toISOString(),
+        expiresAt: this.versionExpiry(current, uploadedAt),
+        thumbnails: undefined
+      }));
+    });
+
+    if (!updated) {
+      return null;
+    }
+
+    await thumbnailService.deleteThumbnails(record);
+    eventBus.emitFileEvent(FILE_EVENTS.UPLOADED, updated, {
+      version: updated.version,
+      restoredFrom: version.version
+    });
+
+    thumbnailService.handleUpload(updated);
+    return updated;
+  }
+
+  /**
+   * Checksums of a staged upload: computed while it was received, or read
+   * from disk for uploads assembled from chunks. MD5 only when CHECKSUM_MD5
+   * is on.
+   */
+  async stagedChecksums(file) {
+    return {
+      sha256: file.sha256 || await hashFile(file.path),
+      md5: config.checksums.md5 ? file.md5 || await hashFile(file.path, 'md5') : undefined
+    };
+  }
+
+  /**
+   * Expiry of a new version: ttlHours from now if given, otherwise the
+   * file's current retention period starting now
+   */
+  versionExpiry(record, uploadedAt, ttlHours) {
+    const retentionMs = ttlHours
+      ? ttlHours * 60 * 60 * 1000
+      : new Date(record.expiresAt).getTime() - new Date(record.uploadedAt).getTime();
+
+    return new Date(uploadedAt.getTime() + retentionMs).toISOString();
+  }
+
+  /**
+   * Store a staged file's content as a blob (unless identical content is
+   * already stored) and create the record pointing to it while holding the
+   * blob's lock. The staged file is always consumed.
+   * @param {Object} file - Multer file object
+   * @param {string} hash - SHA-256 of the content
+   * @param {Function} createRecord - Called with the blob; returns the record
+   */
+  async storeContent(file, hash, createRecord) {
+    return this.withBlobLock(hash, async () => {
+      let blob;
+      try {
+        blob = await blobStore.getBlob(hash);
+
+        if (blob && blob.integrityStatus) {
+          // The stored copy failed a scrub - replace it with this upload,
+          // which was hashed as it arrived
+          await storage.putFile(blob.storageKey, file.path, { contentType: file.mimetype });
+          const verifiedAt = new Date().toISOString();
+          blob = await blobStore.setIntegrity(hash, { integrityStatus: null, verifiedAt });
+          await metadataStore.updateFilesByBlob(hash, { integrityStatus: undefined, integrityCheckedAt: verifiedAt });
+          logger.info('Replaced corrupt stored content with a new upload', { blobHash: hash });
+        } else if (blob) {
+          // Identical content is already stored - keep the existing copy
+          await fs.unlink(file.path).catch(() => {});
+        } else {
+          const storageKey = encryptionService.contentStorageKey(hash);
+          await storage.putFile(storageKey, file.path, { contentType: file.mimetype });
+          blob = await blobStore.addBlob({ hash, storageKey, size: file.size });
+        }
+      } catch (error) {
+        await fs.unlink(file.path).catch(() => {});
+        throw error;
+      }
+
+      try {
+        const record = await createRecord(blob);
+        if (!record) {
+          await this.removeBlobIfUnused(hash);
+        }
+        return record;
+      } catch (error) {
+        // Don't leave an object behind that no record points to
+        await this.removeBlobIfUnused(hash).catch(() => {});
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Delete a file's metadata, its thumbnails and, once nothing else
+   * references its content, the stored object. A missing object is not an error.
+   * @param {Object} record - The file's metadata record
+   * @param {{ event?: string, details?: Object }} options - Event to announce
+   *   (file.deleted by default, file.expired for the lifecycle) and its details
+   */
+  async deleteFile(record, { event = FILE_EVENTS.DELETED, details = {} } = {}) {
+    // Prior versions are deleted with the record
+    const versions = await metadataStore.getVersions(record.id);
+
+    if (!record.blobHash) {
+      // Stored before deduplication - the object belongs to this record alone
+      await storage.delete(record.storageKey);
+      const deleted = await metadataStore.deleteFile(record.id);
+      await thumbnailService.deleteThumbnails(deleted || record);
+      await this.removeVersionContent(versions);
+      eventBus.emitFileEvent(event, deleted || record, details);
+      return record;
+    }
+
+    const deleted = await this.withBlobLock(record.blobHash, async () => {
+      // The deleted record lists thumbnails generated since the caller read it
+      const current = await metadataStore.deleteFile(record.id);
+      await thumbnailService.deleteThumbnails(current || record);
+      await this.removeBlobIfUnused(record.blobHash);
+      return current || record;
+    });
+
+    await this.removeVersionContent(versions.filter(version => version.blobHash !== record.blobHash));
+    eventBus.emitFileEvent(event, deleted, details);
+    return record;
+  }
+
+  /**
+   * Delete a prior version of a file, and its content once nothing else
+   * references it
+   * @returns {Promise<Object|null>} The deleted version, or null if it did not exist
+   */
+  async deleteVersion(fileId, versionNumber) {
+    const version = await metadataStore.getVersion(fileId, versionNumber);
+    if (!version) {
+      return null;
+    }
+
+    if (!version.blobHash) {
+      const deleted = await metadataStore.deleteVersion(fileId, versionNumber);
+      await this.removeVersionContent(deleted ? [deleted] : []);
+      return deleted;
+    }
+
+    return this.withBlobLock(version.blobHash, async () => {
+      const deleted = await metadataStore.deleteVersion(fileId, versionNumber);
+      await this.removeBlobIfUnused(version.blobHash);
+      return deleted;
+    });
+  }
+
+  /**
+   * Remove the content of deleted versions: blobs once unreferenced, and
+   * objects stored before deduplication (which belong to the version alone)
+   */
+  async removeVersionContent(versions) {
+    for (const version of versions) {
+      if (version.blobHash) {
+        await this.withBlobLock(version.blobHash, () => this.removeBlobIfUnused(version.blobHash));
+      } else {
+        await storage.delete(version.storageKey);
+      }
+    }
+  }
+
+  /**
+   * Delete a blob's object and record if it has no references left.
+   * Callers must hold the blob's lock.
+   * @returns {Promise<boolean>} Whether the blob was removed
+   */
+  async removeBlobIfUnused(hash) {
+    const blob = await blobStore.getBlob(hash);
+    if (!blob || blob.refCount > 0) {
+      return false;
+    }
+
+    await storage.delete(blob.storageKey);
+    await blobStore.deleteBlob(hash);
+    return true;
+  }
+
+  /**
+   * Remove unreferenced blobs that have not been touched since the given
+   * time (left behind by interrupted uploads or deletes)
+   * @returns {Promise<number>} Number of blobs removed
+   */
+  async collectUnusedBlobs(olderThan) {
+    let removed = 0;
+
+    for (const blob of await blobStore.getUnreferencedBlobs(olderThan)) {
+      if (await this.withBlobLock(blob.hash, () => this.removeBlobIfUnused(blob.hash))) {
+        removed++;
+      }
+    }
+
+    return removed;
+  }
+
+  /**
+   * Check whether a record's object is still present in storage
+   */
+  async exists(record) {
+    return (await storage.stat(record.storageKey)) !== null;
+  }
+}
+
+// Singleton instance
+const fileService = new FileService();
+
+module.exports = fileService;
@@ -0,0 +1,187 @@
+const metadataStore = require('../models/FileMetadata');
+const blobStore = require('../models/Blob');
+const storage = require('../storage');
+const scanService = require('./scanService');
+const { SCAN_STATUS } = scanService;
+const { hashStream } = require('../utils/hash');
+const { CONTENT_AUTHENTICATION_FAILED } = require('../utils/encryption');
+const config = require('../config/config');
+const logger = require('../utils/logger').child({ component: 'integrity' });
+
+// Set on records whose stored content failed a scrub
+const INTEGRITY_STATUS = Object.freeze({
+  // The object is still in storage, but does not match its SHA-256
+  CORRUPT: 'corrupt',
+  // The object was moved to the quarantine directory
+  QUARANTINED: 'quarantined'
+});
+
+// Outcome of checking one stored object
+const SCRUB_RESULTS = Object.freeze({
+  VERIFIED: 'verified',
+  CORRUPT: 'corrupt',
+  MISSING: 'missing'
+});
+
+// Stands in for the SHA-256 of encrypted content that fails authentication
+const UNREADABLE = 'unreadable';
+
+/**
+ * Checks stored content against the SHA-256 recorded at upload, so that
+ * silent disk corruption or truncated writes are found (a scrub), and
+ * keeps damaged content from being served.
+ *
+ * Blobs are checked against their hash; records stored before
+ * deduplication against their own sha256. What happens to a mismatch
+ * depends on SCRUB_ACTION: 'flag' marks the records, 'quarantine' also
+ * moves the object into the quarantine directory.
+ */
+class IntegrityService {
+  /**
+   * SHA-256 of a stored object, null if it is missing, or UNREADABLE if it
+   * is encrypted and was altered
+   */
+  async hashStoredObject(storageKey) {
+    if (!(await storage.stat(storageKey))) {
+      return null;
+    }
+
+    try {
+      return await hashStream(await storage.getStream(storageKey));
+    } catch (error) {
+      // Deleted between the stat and the read
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      if (error.code === CONTENT_AUTHENTICATION_FAILED) {
+        return UNREADABLE;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Check a blob's stored object against its hash and record the outcome on
+   * the blob and every record and prior version sharing it. Callers must
+   * hold the blob's lock.
+   * @returns {Promise<string|null>} One of SCRUB_RESULTS, or null if the blob
+   *   was removed or its content is in quarantine
+   */
+  async verifyBlob(hash) {
+    const blob = await blobStore.getBlob(hash);
+    if (!blob || blob.integrityStatus === INTEGRITY_STATUS.QUARANTINED) {
+      return null;
+    }
+
+    const actual = await this.hashStoredObject(blob.storageKey);
+    const checkedAt = new Date().toISOString();
+
+    if (actual === null) {
+      const records = [
+        ...await metadataStore.getFilesByBlob(hash),
+        ...await metadataStore.getVersionsByBlob(hash)
+      ];
+      // Infected content was moved to quarantine by the antivirus scan
+      return records.some(record => record.scanStatus === SCAN_STATUS.INFECTED) ? null : SCRUB_RESULTS.MISSING;
+    }
+
+    if (actual === hash) {
+      await blobStore.setIntegrity(hash, { integrityStatus: null, verifiedAt: checkedAt });
+      if (blob.integrityStatus) {
+        // The object was repaired since the last scrub
+        logger.info('Stored content matches its checksum again', { blobHash: hash });
+        await metadataStore.updateFilesByBlob(hash, { integrityStatus: undefined, integrityCheckedAt: checkedAt });
+      }
+      return SCRUB_RESULTS.VERIFIED;
+    }
+
+    const integrityStatus = await this.handleMismatch({ blobHash: hash, storageKey: blob.storageKey }, actual);
+    await blobStore.setIntegrity(hash, { integrityStatus, verifiedAt: checkedAt });
+    await metadataStore.updateFilesByBlob(hash, { integrityStatus, integrityCheckedAt: checkedAt });
+    return SCRUB_RESULTS.CORRUPT;
+  }
+
+  /**
+   * Check the object of a record stored before deduplication against the
+   * sha256 recorded for it
+   * @returns {Promise<string|null>} One of SCRUB_RESULTS, or null if there is
+   *   nothing to check
+   */
+  async verifyFile(record) {
+    if (record.blobHash || !record.sha256 || record.scanStatus === SCAN_STATUS.INFECTED ||
+      record.integrityStatus === INTEGRITY_STATUS.QUARANTINED) {
+      return null;
+    }
+
+    const actual = await this.hashStoredObject(record.storageKey);
+    const integrityCheckedAt = new Date().toISOString();
+
+    if (actual === null) {
+      return SCRUB_RESULTS.MISSING;
+    }
+
+    if (actual === record.sha256) {
+      if (record.integrityStatus) {
+        logger.info('Stored content matches its checksum again', { fileId: record.id });
+        await metadataStore.updateFile(record.id, { integrityStatus: undefined, integrityCheckedAt });
+      }
+      return SCRUB_RESULTS.VERIFIED;
+    }
+
+    const integrityStatus = await this.handleMismatch(record, actual);
+    await metadataStore.updateFile(record.id, { integrityStatus, integrityCheckedAt });
+    return SCRUB_RESULTS.CORRUPT;
+  }
+
+  /**
+   * Apply SCRUB_ACTION to content that does not match its checksum
+   * @param {{ id?: string, blobHash?: string, storageKey: string }} content
+   * @returns {Promise<string>} The integrity status to record
+   */
+  async handleMismatch(content, actual) {
+    logger.warn('Stored content does not match its checksum', {
+      blobHash: content.blobHash,
+      fileId: content.id,
+      actualSha256: actual,
+      action: config.checksums.scrubAction
+    });
+
+    if (config.checksums.scrubAction !== 'quarantine') {
+      return INTEGRITY_STATUS.CORRUPT;
+    }
+
+    try {
+      await scanService.quarantine(content);
+      return INTEGRITY_STATUS.QUARANTINED;
+    } catch (error) {
+      // Still flagged, so it is not served
+      logger.error('Failed to quarantine corrupt content', { blobHash: content.blobHash, fileId: content.id, error });
+      return INTEGRITY_STATUS.CORRUPT;
+    }
+  }
+
+  /**
+   * Why a file may not be downloaded - its content failed a scrub, or the
+   * antivirus scan refuses it (see ScanService.getDownloadRefusal) - or null
+   * if it may be served
+   * @returns {{ status: number, error: string, details: string }|null}
+   */
+  getDownloadRefusal(file) {
+    if (file.integrityStatus) {
+      return {
+        status: 500,
+        error: 'File content is corrupt',
+        details: 'The stored content no longer matches the checksum recorded at upload'
+      };
+    }
+
+    return scanService.getDownloadRefusal(file);
+  }
+}
+
+// Singleton instance
+const integrityService = new IntegrityService();
+
+module.exports = integrityService;
+module.exports.INTEGRITY_STATUS = INTEGRITY_STATUS;
+module.exports.SCRUB_RESULTS = SCRUB_RESULTS;
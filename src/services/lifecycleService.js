@@ -1,11 +1,38 @@
-const fs = require('fs').promises;
 const metadataStore = require('../models/FileMetadata');
+const blobStore = require('../models/Blob');
+const storage = require('../storage');
+const fileService = require('./fileService');
+const uploadSessionService = require('./uploadSessionService');
+const scanService = require('./scanService');
+const thumbnailService = require('./thumbnailService');
+const webhookService = require('./webhookService');
+const integrityService = require('./integrityService');
+const evictionService = require('./evictionService');
+const { SCRUB_RESULTS } = integrityService;
+const metricsService = require('./metricsService');
+const { FILE_EVENTS } = require('./eventBus');
 const config = require('../config/config');
+const logger = require('../utils/logger').child({ component: 'lifecycle' });
+
+// Unreferenced blobs are kept this long so an upload that is between
+// storing the blob and writing its record never loses its content
+const UNUSED_BLOB_GRACE_MS = 60 * 60 * 1000;
+
+// Objects without metadata are only deleted once they are this old, as an
+// object is written before the blob, record or thumbnail entry naming it
+const ORPHANED_OBJECT_GRACE_MS = 60 * 60 * 1000;
 
 class FileLifecycleService {
   constructor() {
     this.cleanupTimer = null;
     this.isRunning = false;
+    // Promise of the cleanup run in progress, if any
+    this.currentRun = null;
+    this.scrubTimer = null;
+    // Promise of the scrub in progress, if any
+    this.currentScrub = null;
+    // Set by stop() so a long scrub ends early
+    this.scrubCancelled = false;
   }
 
   /**
@@ -13,13 +40,14 @@ class FileLifecycleService {
    */
   start() {
     if (this.isRunning) {
-      console.log('[Lifecycle] Cleanup service is already running');
+      logger.info('Cleanup service is already running');
       return;
     }
 
-    console.log('[Lifecycle] Starting automatic cleanup service');
-    console.log(`[Lifecycle] Cleanup interval: ${config.cleanupIntervalHours} hours`);
-    console.log(`[Lifecycle] File retention: ${config.fileRetentionHours} hours`);
+    logger.info('Starting automatic cleanup service', {
+      cleanupIntervalHours: config.cleanupIntervalHours,
+      fileRetentionHours: config.fileRetentionHours
+    });
 
     // Run cleanup immediately on start
     this.runCleanup();
@@ -30,6 +58,12 @@ class FileLifecycleService {
       config.cleanupIntervalMs
     );
 
+    // Scrubs read every stored object, so they only run on their own schedule
+    if (config.checksums.scrubIntervalMs > 0) {
+      this.scrubTimer = setInterval(() => this.runScrub(), config.checksums.scrubIntervalMs);
+    }
+
+    this.scrubCancelled = false;
     this.isRunning = true;
   }
 
@@ -41,21 +75,47 @@ class FileLifecycleService {
       return;
     }
 
-    console.log('[Lifecycle] Stopping automatic cleanup service');
+    logger.info('Stopping automatic cleanup service');
     
     if (this.cleanupTimer) {
       clearInterval(this.cleanupTimer);
       this.cleanupTimer = null;
     }
 
+    if (this.scrubTimer) {
+      clearInterval(this.scrubTimer);
+      this.scrubTimer = null;
+    }
+
+    this.scrubCancelled = true;
     this.isRunning = false;
   }
 
   /**
-   * Run cleanup process
+   * Wait for the cleanup run and scrub in progress, if any, to finish
+   */
+  async waitForCleanup() {
+    await Promise.all([this.currentRun, this.currentScrub]);
+  }
+
+  /**
+   * Run cleanup process. A call made while a run is in progress waits for
+   * that run instead of starting another.
    */
-  async runCleanup() {
-    console.log(`[Lifecycle] Running cleanup at ${new Date().toISOString()}`);
+  runCleanup() {
+    if (!this.currentRun) {
+      this.currentRun = this.performCleanup().finally(() => {
+        this.currentRun = null;
+      });
+    }
+
+    return this.currentRun;
+  }
+
+  async performCleanup() {
+    logger.info('Running cleanup');
+    const startedAt = Date.now();
+    let result;
 
     try {
       // Initialize metadata store if not already done
@@ -64,32 +124,64 @@ class FileLifecycleService {
       // Clean up expired files
       const expiredCount = await this.cleanupExpiredFiles();
 
+      // Evict files if storage is still over the high watermark
+      const evictedCount = await this.evictUnderPressure();
+
       // Clean up orphaned metadata
       const orphanedCount = await this.cleanupOrphanedMetadata();
 
       // Clean up orphaned files (files without metadata)
       const orphanedFilesCount = await this.cleanupOrphanedFiles();
 
-      console.log('[Lifecycle] Cleanup completed:', {
+      // Clean up resumable uploads that were abandoned
+      const abandonedUploadsCount = await this.cleanupAbandonedUploads();
+
+      // Fix reference counts and remove content nothing references
+      const unusedBlobsCount = await this.cleanupUnusedBlobs();
+
+      // Retry antivirus scans that never finished or failed
+      const rescanCount = await this.retryUnfinishedScans();
+
+      // Drop old entries from the webhook delivery log
+      const webhookDeliveriesCount = await this.cleanupWebhookDeliveries();
+
+      // Delete the oldest versions of files over the version limit
+      const prunedVersionsCount = await this.pruneExcessVersions();
+
+      logger.info('Cleanup completed', {
         expiredFiles: expiredCount,
+        evictedFiles: evictedCount,
         orphanedMetadata: orphanedCount,
         orphanedFiles: orphanedFilesCount,
-        timestamp: new Date().toISOString()
+        abandonedUploads: abandonedUploadsCount,
+        unusedBlobs: unusedBlobsCount,
+        rescans: rescanCount,
+        webhookDeliveries: webhookDeliveriesCount,
+        prunedVersions: prunedVersionsCount
       });
 
-      return {
+      result = {
         success: true,
         expiredFiles: expiredCount,
+        evictedFiles: evictedCount,
         orphanedMetadata: orphanedCount,
-        orphanedFiles: orphanedFilesCount
+        orphanedFiles: orphanedFilesCount,
+        abandonedUploads: abandonedUploadsCount,
+        unusedBlobs: unusedBlobsCount,
+        rescans: rescanCount,
+        webhookDeliveries: webhookDeliveriesCount,
+        prunedVersions: prunedVersionsCount
       };
     } catch (error) {
-      console.error('[Lifecycle] Cleanup failed:', error);
-      return {
+      logger.error('Cleanup failed', { error });
+      result = {
         success: false,
         error: error.message
       };
     }
+
+    metricsService.recordCleanup(result, (Date.now() - startedAt) / 1000);
+    return result;
   }
 
   /**
@@ -100,75 +192,271 @@ class FileLifecycleService {
     let deletedCount = 0;
 
     for (const file of expiredFiles) {
-      try {
-        // Delete physical file
-        try {
-          await fs.unlink(file.path);
-          console.log(`[Lifecycle] Deleted expired file: ${file.filename}`);
-        } catch (error) {
-          if (error.code !== 'ENOENT') {
-            console.error(`[Lifecycle] Failed to delete file ${file.filename}:`, error.message);
-          }
-        }
+      // Pinned files are kept regardless of their expiry time
+      if (file.pinned) {
+        continue;
+      }
 
-        // Delete metadata
-        await metadataStore.deleteFile(file.id);
+      try {
+        // Delete metadata, and the stored object once no other file shares it
+        await fileService.deleteFile(file, { event: FILE_EVENTS.EXPIRED });
+        logger.info('Deleted expired file', { fileId: file.id });
         deletedCount++;
       } catch (error) {
-        console.error(`[Lifecycle] Error cleaning up file ${file.filename}:`, error.message);
+        logger.error('Error cleaning up expired file', { fileId: file.id, error });
       }
     }
 
     return deletedCount;
   }
 
+  /**
+   * Delete files under EVICTION_POLICY while storage is over the high
+   * watermark (see EvictionService)
+   */
+  async evictUnderPressure() {
+    try {
+      return await evictionService.relievePressure();
+    } catch (error) {
+      logger.error('Error evicting files', { error });
+      return 0;
+    }
+  }
+
   /**
    * Clean up metadata for files that no longer exist
    */
   async cleanupOrphanedMetadata() {
-    return await metadataStore.cleanOrphanedMetadata();
+    return await metadataStore.cleanOrphanedMetadata(storage);
   }
 
   /**
-   * Clean up files that exist on disk but have no metadata
+   * Clean up objects that exist in storage but have no metadata, once they
+   * are older than the grace period
    */
   async cleanupOrphanedFiles() {
     try {
-      // Get all files in upload directory
-      const files = await fs.readdir(config.uploadDir);
+      // Get all objects in storage
+      const keys = await storage.list();
+      const cutoff = Date.now() - ORPHANED_OBJECT_GRACE_MS;
       
-      // Get all file IDs from metadata
+      // Get all storage keys from metadata, including prior versions,
+      // thumbnails and blobs awaiting collection. Read after listing, so
+      // every listed object stored with its metadata is known.
       const allMetadata = await metadataStore.getAllFiles();
-      const knownFileIds = new Set(allMetadata.map(m => m.filename));
+      const allVersions = await metadataStore.getAllVersions();
+      const allBlobs = await blobStore.getAllBlobs();
+      const knownKeys = new Set([
+        ...allMetadata.map(m => m.storageKey),
+        ...allVersions.map(v => v.storageKey),
+        ...allMetadata.flatMap(m => thumbnailService.getStorageKeys(m)),
+        ...allBlobs.map(b => b.storageKey)
+      ]);
 
       let deletedCount = 0;
 
-      for (const filename of files) {
-        // Skip .gitkeep and hidden files
-        if (filename === '.gitkeep' || filename.startsWith('.')) {
-          continue;
-        }
-
-        // If file has no metadata, delete it
-        if (!knownFileIds.has(filename)) {
+      for (const key of keys) {
+        // If object has no metadata, delete it
+        if (!knownKeys.has(key)) {
           try {
-            const filePath = require('path').join(config.uploadDir, filename);
-            await fs.unlink(filePath);
-            console.log(`[Lifecycle] Deleted orphaned file: ${filename}`);
+            // Its metadata may not be written yet
+            const stats = await storage.stat(key);
+            if (!stats || stats.lastModified.getTime() > cutoff) {
+              continue;
+            }
+
+            await storage.delete(key);
+            logger.info('Deleted orphaned file', { storageKey: key });
             deletedCount++;
           } catch (error) {
-            console.error(`[Lifecycle] Failed to delete orphaned file ${filename}:`, error.message);
+            logger.error('Failed to delete orphaned file', { storageKey: key, error });
           }
         }
       }
 
       return deletedCount;
     } catch (error) {
-      console.error('[Lifecycle] Error cleaning orphaned files:', error.message);
+      logger.error('Error cleaning orphaned files', { error });
+      return 0;
+    }
+  }
+
+  /**
+   * Delete resumable upload sessions with no recent activity
+   */
+  async cleanupAbandonedUploads() {
+    try {
+      const reapedCount = await uploadSessionService.reapStaleSessions();
+      if (reapedCount > 0) {
+        logger.info(`Removed ${reapedCount} abandoned upload session(s)`, { count: reapedCount });
+      }
+      return reapedCount;
+    } catch (error) {
+      logger.error('Error cleaning abandoned uploads', { error });
       return 0;
     }
   }
 
+  /**
+   * Recount blob references and delete blobs that have had none for
+   * longer than the grace period
+   */
+  async cleanupUnusedBlobs() {
+    try {
+      const corrected = await blobStore.reconcileReferences();
+      if (corrected > 0) {
+        logger.info(`Corrected reference counts for ${corrected} blob(s)`, { count: corrected });
+      }
+
+      const removedCount = await fileService.collectUnusedBlobs(
+        new Date(Date.now() - UNUSED_BLOB_GRACE_MS)
+      );
+      if (removedCount > 0) {
+        logger.info(`Removed ${removedCount} unreferenced blob(s)`, { count: removedCount });
+      }
+      return removedCount;
+    } catch (error) {
+      logger.error('Error cleaning unused blobs', { error });
+      return 0;
+    }
+  }
+
+  /**
+   * Queue background scans for files left pending (e.g. by a restart)
+   * or whose scan failed
+   */
+  async retryUnfinishedScans() {
+    try {
+      const queuedCount = await scanService.rescanUnfinished();
+      if (queuedCount > 0) {
+        logger.info(`Queued ${queuedCount} file(s) for antivirus scanning`, { count: queuedCount });
+      }
+      return queuedCount;
+    } catch (error) {
+      logger.error('Error queueing antivirus scans', { error });
+      return 0;
+    }
+  }
+
+  /**
+   * Delete finished webhook deliveries past their retention period
+   */
+  async cleanupWebhookDeliveries() {
+    try {
+      const prunedCount = await webhookService.pruneDeliveries();
+      if (prunedCount > 0) {
+        logger.info(`Removed ${prunedCount} old webhook deliveries`, { count: prunedCount });
+      }
+      return prunedCount;
+    } catch (error) {
+      logger.error('Error pruning webhook deliveries', { error });
+      return 0;
+    }
+  }
+
+  /**
+   * Delete a file's oldest prior versions until it has at most
+   * MAX_FILE_VERSIONS versions, the current one included
+   * @returns {Promise<number>} Number of versions deleted
+   */
+  async enforceVersionLimit(fileId) {
+    const versions = await metadataStore.getVersions(fileId);
+    let deletedCount = 0;
+
+    // Newest first, so everything past the limit is older
+    for (const version of versions.slice(config.maxFileVersions - 1)) {
+      if (await fileService.deleteVersion(fileId, version.version)) {
+        logger.info('Deleted old file version', { fileId, version: version.version });
+        deletedCount++;
+      }
+    }
+
+    return deletedCount;
+  }
+
+  /**
+   * Enforce the version limit on every file (e.g. after it was lowered)
+   */
+  async pruneExcessVersions() {
+    try {
+      let prunedCount = 0;
+      for (const fileId of await metadataStore.getFilesOverVersionLimit(config.maxFileVersions - 1)) {
+        prunedCount += await this.enforceVersionLimit(fileId);
+      }
+      return prunedCount;
+    } catch (error) {
+      logger.error('Error pruning file versions', { error });
+      return 0;
+    }
+  }
+
+  /**
+   * Check every stored object against its SHA-256 and flag or quarantine
+   * the ones that no longer match (see IntegrityService). A call made while
+   * a scrub is in progress waits for that scrub instead of starting another.
+   */
+  runScrub() {
+    if (!this.currentScrub) {
+      this.currentScrub = this.performScrub().finally(() => {
+        this.currentScrub = null;
+      });
+    }
+
+    return this.currentScrub;
+  }
+
+  async performScrub() {
+    logger.info('Running integrity scrub', { action: config.checksums.scrubAction });
+    const counts = Object.fromEntries(Object.values(SCRUB_RESULTS).map(outcome => [outcome, 0]));
+    let errors = 0;
+    let result;
+
+    const tally = async (check, context) => {
+      try {
+        const outcome = await check();
+        if (outcome) {
+          counts[outcome]++;
+        }
+      } catch (error) {
+        logger.error('Error checking stored content', { ...context, error });
+        errors++;
+      }
+    };
+
+    try {
+      await metadataStore.initialize();
+
+      for (const blob of await blobStore.getAllBlobs()) {
+        if (this.scrubCancelled) break;
+        await tally(
+          () => fileService.withBlobLock(blob.hash, () => integrityService.verifyBlob(blob.hash)),
+          { blobHash: blob.hash }
+        );
+      }
+
+      // Content stored before deduplication is checked against the record
+      for (const file of await metadataStore.getAllFiles()) {
+        if (this.scrubCancelled) break;
+        if (!file.blobHash) {
+          await tally(() => integrityService.verifyFile(file), { fileId: file.id });
+        }
+      }
+
+      const cancelled = this.scrubCancelled;
+      logger[counts.corrupt > 0 ? 'warn' : 'info']('Scrub completed', { ...counts, errors, cancelled });
+      result = { success: true, ...counts, errors, cancelled };
+    } catch (error) {
+      logger.error('Scrub failed', { error });
+      result = {
+        success: false,
+        error: error.message
+      };
+    }
+
+    metricsService.recordScrub(result);
+    return result;
+  }
+
   /**
    * Get cleanup service status
    */
@@ -176,7 +464,11 @@ class FileLifecycleService {
     return {
       isRunning: this.isRunning,
       cleanupInterval: `${config.cleanupIntervalHours} hours`,
-      fileRetention: `${config.fileRetentionHours} hours`
+      fileRetention: `${config.fileRetentionHours} hours`,
+      uploadSessionTtl: `${config.uploadSessionTtlHours} hours`,
+      maxFileVersions: config.maxFileVersions,
+      eviction: evictionService.getStatus(),
+      scrubInterval: config.checksums.scrubIntervalHours > 0 ? `${config.checksums.scrubIntervalHours} hours` : null
     };
   }
 }
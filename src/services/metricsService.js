@@ -0,0 +1,251 @@
+const client = require('prom-client');
+const metadataStore = require('../models/FileMetadata');
+const eventBus = require('./eventBus');
+const { FILE_EVENTS } = eventBus;
+
+const PREFIX = 'file_service_';
+
+// Why an upload was refused (label of the rejections counter)
+const REJECTION_REASONS = Object.freeze({
+  SIZE: 'size',
+  MIME_MISMATCH: 'mime_mismatch',
+  MIME_NOT_ALLOWED: 'mime_not_allowed',
+  BLOCKED_EXTENSION: 'blocked_extension',
+  STORAGE_LIMIT: 'storage_limit',
+  QUOTA: 'quota',
+  CHECKSUM_MISMATCH: 'checksum_mismatch'
+});
+
+// Counts in FileLifecycleService.runCleanup results, by cleanup task
+const CLEANUP_TASKS = [
+  'expiredFiles',
+  'evictedFiles',
+  'orphanedMetadata',
+  'orphanedFiles',
+  'abandonedUploads',
+  'unusedBlobs',
+  'rescans',
+  'webhookDeliveries',
+  'prunedVersions'
+];
+
+// Counts in FileLifecycleService.runScrub results, by outcome
+const SCRUB_OUTCOMES = ['verified', 'corrupt', 'missing'];
+
+/**
+ * Prometheus metrics for the service, served by GET /metrics.
+ *
+ * File operations are counted from the event bus; rejections, rate limiting,
+ * request latency and cleanup runs are reported by the code that handles
+ * them. Storage gauges are read from the metadata store at scrape time.
+ */
+class MetricsService {
+  constructor() {
+    this.registry = new client.Registry();
+    client.collectDefaultMetrics({ register: this.registry });
+
+    const registers = [this.registry];
+
+    this.uploads = new client.Counter({
+      name: `${PREFIX}uploads_total`,
+      help: 'Files stored',
+      registers
+    });
+
+    this.uploadSize = new client.Histogram({
+      name: `${PREFIX}upload_size_bytes`,
+      help: 'Size of stored files',
+      // 1 KiB to 1 GiB
+      buckets: client.exponentialBuckets(1024, 4, 11),
+      registers
+    });
+
+    this.downloads = new client.Counter({
+      name: `${PREFIX}downloads_total`,
+      help: 'File contents served, by route (api, share_link, archive) and whether only a range was sent',
+      labelNames: ['via', 'partial'],
+      registers
+    });
+
+    this.deletes = new client.Counter({
+      name: `${PREFIX}deletes_total`,
+      help: 'Files removed, by reason (request, collection_deleted, batch_rolled_back, expired, evicted)',
+      labelNames: ['reason'],
+      registers
+    });
+
+    this.quarantined = new client.Counter({
+      name: `${PREFIX}quarantined_total`,
+      help: 'Files found infected by the antivirus scan',
+      registers
+    });
+
+    this.rejections = new client.Counter({
+      name: `${PREFIX}upload_rejections_total`,
+      help: 'Files refused at upload, by reason',
+      labelNames: ['reason'],
+      registers
+    });
+
+    this.rateLimited = new client.Counter({
+      name: `${PREFIX}rate_limited_requests_total`,
+      help: 'Requests refused by rate limiting, by kind (upload, download)',
+      labelNames: ['kind'],
+      registers
+    });
+
+    this.requestDuration = new client.Histogram({
+      name: `${PREFIX}http_request_duration_seconds`,
+      help: 'Time to respond to HTTP requests, by method, route and status code',
+      labelNames: ['method', 'route', 'status_code'],
+      buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+      registers
+    });
+
+    new client.Gauge({
+      name: `${PREFIX}storage_used_bytes`,
+      help: 'Bytes stored: physical counts shared (deduplicated) content once, logical is the sum of all file sizes',
+      labelNames: ['type'],
+      registers,
+      async collect() {
+        const { physical, logical } = await metadataStore.getTotalStorageUsed();
+        this.set({ type: 'physical' }, physical);
+        this.set({ type: 'logical' }, logical);
+      }
+    });
+
+    new client.Gauge({
+      name: `${PREFIX}files`,
+      help: 'Files currently stored',
+      registers,
+      async collect() {
+        const { count } = await metadataStore.getSummary(null);
+        this.set(count);
+      }
+    });
+
+    this.cleanupRuns = new client.Counter({
+      name: `${PREFIX}cleanup_runs_total`,
+      help: 'Lifecycle cleanup runs, by result (success, failure)',
+      labelNames: ['result'],
+      registers
+    });
+
+    this.cleanupItems = new client.Counter({
+      name: `${PREFIX}cleanup_items_total`,
+      help: 'Items handled by lifecycle cleanup runs, by task',
+      labelNames: ['task'],
+      registers
+    });
+
+    this.cleanupDuration = new client.Gauge({
+      name: `${PREFIX}cleanup_last_duration_seconds`,
+      help: 'Duration of the last lifecycle cleanup run',
+      registers
+    });
+
+    this.cleanupLastRun = new client.Gauge({
+      name: `${PREFIX}cleanup_last_run_timestamp_seconds`,
+      help: 'When the last lifecycle cleanup run finished (Unix time)',
+      registers
+    });
+
+    this.scrubbedObjects = new client.Counter({
+      name: `${PREFIX}scrub_objects_total`,
+      help: 'Stored objects checked against their checksum by scrubs, by result (verified, corrupt, missing)',
+      labelNames: ['result'],
+      registers
+    });
+
+    this.scrubLastRun = new client.Gauge({
+      name: `${PREFIX}scrub_last_run_timestamp_seconds`,
+      help: 'When the last integrity scrub finished (Unix time)',
+      registers
+    });
+
+    // Expose zero counts before the first occurrence
+    Object.values(REJECTION_REASONS).forEach(reason => this.rejections.inc({ reason }, 0));
+    CLEANUP_TASKS.forEach(task => this.cleanupItems.inc({ task }, 0));
+    SCRUB_OUTCOMES.forEach(outcome => this.scrubbedObjects.inc({ result: outcome }, 0));
+
+    eventBus.on(FILE_EVENTS.UPLOADED, ({ file }) => {
+      this.uploads.inc();
+      this.uploadSize.observe(file.size);
+    });
+    eventBus.on(FILE_EVENTS.DOWNLOADED, ({ details }) => {
+      this.downloads.inc({ via: details.via || 'api', partial: String(Boolean(details.partial)) });
+    });
+    eventBus.on(FILE_EVENTS.DELETED, ({ details }) => this.deletes.inc({ reason: details.reason || 'request' }));
+    eventBus.on(FILE_EVENTS.EXPIRED, () => this.deletes.inc({ reason: 'expired' }));
+    eventBus.on(FILE_EVENTS.QUARANTINED, () => this.quarantined.inc());
+  }
+
+  /**
+   * Count a file refused at upload
+   * @param {string} reason - One of REJECTION_REASONS
+   */
+  recordRejection(reason) {
+    this.rejections.inc({ reason });
+  }
+
+  recordRateLimited(kind) {
+    this.rateLimited.inc({ kind });
+  }
+
+  /**
+   * Record a finished request
+   * @param {{ method: string, route: string|null, statusCode: number }} request - route is
+   *   the matched route pattern (e.g. /api/download/:fileId), so that file IDs do not
+   *   become labels, or null when no route matched
+   * @param {number} seconds - Time to respond
+   */
+  observeRequest({ method, route, statusCode }, seconds) {
+    this.requestDuration.observe({ method, route: route || 'unmatched', status_code: statusCode }, seconds);
+  }
+
+  /**
+   * Record a lifecycle cleanup run
+   * @param {Object} result - The result of FileLifecycleService.runCleanup
+   * @param {number} seconds - How long the run took
+   */
+  recordCleanup(result, seconds) {
+    this.cleanupRuns.inc({ result: result.success ? 'success' : 'failure' });
+    if (result.success) {
+      for (const task of CLEANUP_TASKS) {
+        this.cleanupItems.inc({ task }, result[task] || 0);
+      }
+    }
+    this.cleanupDuration.set(seconds);
+    this.cleanupLastRun.set(Date.now() / 1000);
+  }
+
+  /**
+   * Record an integrity scrub
+   * @param {Object} result - The result of FileLifecycleService.runScrub
+   */
+  recordScrub(result) {
+    if (result.success) {
+      for (const outcome of SCRUB_OUTCOMES) {
+        this.scrubbedObjects.inc({ result: outcome }, result[outcome] || 0);
+      }
+    }
+    this.scrubLastRun.set(Date.now() / 1000);
+  }
+
+  get contentType() {
+    return this.registry.contentType;
+  }
+
+  /**
+   * All metrics in the Prometheus text format
+   */
+  async render() {
+    return this.registry.metrics();
+  }
+}
+
+// Singleton instance
+const metricsService = new MetricsService();
+
+module.exports = metricsService;
+module.exports.REJECTION_REASONS = REJECTION_REASONS;
@@ -0,0 +1,202 @@
+const metadataStore = require('../models/FileMetadata');
+const eventBus = require('./eventBus');
+const { FILE_EVENTS } = eventBus;
+const config = require('../config/config');
+
+const HOUR_MS = 60 * 60 * 1000;
+const QUOTA_NAMES = ['storageBytes', 'files', 'uploadsPerHour'];
+
+const formatMB = (bytes) => `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+
+/**
+ * Per-identity upload quotas: bytes stored, number of files and uploads
+ * per hour. The identity is the API key's ownerId, so keys sharing an
+ * owner share its quota. Limits come from the QUOTA_* settings unless the
+ * key overrides them; admin keys are exempt.
+ *
+ * Stored bytes and files are counted from metadata. Uploads per hour are
+ * counted in memory (a sliding one-hour window) and restart from zero when
+ * the service restarts.
+ *
+ * Quotas are checked early, before an upload is processed, and again when
+ * it is committed (commitUpload), one upload per owner at a time.
+ */
+class QuotaService {
+  constructor() {
+    // ownerId -> times (ms) of uploads within the last hour, oldest first
+    this.recentUploads = new Map();
+    // ownerId -> promise of the last queued commit of that owner
+    this.commitLocks = new Map();
+
+    eventBus.on(FILE_EVENTS.UPLOADED, ({ file }) => this.recordUpload(file.ownerId));
+  }
+
+  /**
+   * Whether quotas apply to a key at all
+   */
+  isExempt(apiKey) {
+    return !apiKey || apiKey.scopes.includes('admin');
+  }
+
+  /**
+   * Effective limits for a key, null meaning unlimited
+   * @returns {{ storageBytes: number|null, files: number|null, uploadsPerHour: number|null }}
+   */
+  getLimits(apiKey) {
+    const overrides = (apiKey && apiKey.quota) || {};
+
+    return Object.fromEntries(QUOTA_NAMES.map((name) => {
+      const limit = overrides[name] !== undefined ? overrides[name] : config.quota[name];
+      return [name, limit > 0 ? limit : null];
+    }));
+  }
+
+  /**
+   * Upload times of an owner within the hour before `now`
+   */
+  getRecentUploads(ownerId, now = Date.now()) {
+    const times = this.recentUploads.get(ownerId);
+    if (!times) {
+      return [];
+    }
+
+    while (times.length > 0 && times[0] <= now - HOUR_MS) {
+      times.shift();
+    }
+    if (times.length === 0) {
+      this.recentUploads.delete(ownerId);
+    }
+
+    return times;
+  }
+
+  recordUpload(ownerId) {
+    if (!ownerId) {
+      return;
+    }
+
+    const times = this.getRecentUploads(ownerId);
+    times.push(Date.now());
+    this.recentUploads.set(ownerId, times);
+  }
+
+  /**
+   * Current usage of an owner
+   * @returns {Promise<{ storageBytes: number, files: number, uploadsLastHour: number, uploadSlotFreesAt: string|null }>}
+   */
+  async getUsage(ownerId) {
+    const { count, size } = await metadataStore.getSummary(ownerId);
+    const uploads = this.getRecentUploads(ownerId);
+
+    return {
+      storageBytes: size,
+      files: count,
+      uploadsLastHour: uploads.length,
+      // When the oldest upload leaves the one-hour window
+      uploadSlotFreesAt: uploads.length > 0 ? new Date(uploads[0] + HOUR_MS).toISOString() : null
+    };
+  }
+
+  /**
+   * Check whether a key may upload more files. For requests with several
+   * files (batches) pass the totals of the files accepted so far.
+   * @param {Object} apiKey - The uploading key (its ownerId owns the files)
+   * @param {{ bytes: number, files: number, uploads?: number }} incoming -
+   *   uploads defaults to files; a new version of a file is an upload that
+   *   adds no file
+   * @returns {Promise<{ status: number, error: string, details: *, retryAfterSeconds?: number }|null>}
+   *   Why the upload is refused, or null if it is within quota
+   */
+  async checkUpload(apiKey, incoming) {
+    if (this.isExempt(apiKey)) {
+      return null;
+    }
+
+    const limits = this.getLimits(apiKey);
+    const usage = await this.getUsage(apiKey.ownerId);
+    const uploads = incoming.uploads !== undefined ? incoming.uploads : incoming.files;
+
+    if (limits.storageBytes !== null && usage.storageBytes + incoming.bytes > limits.storageBytes) {
+      return {
+        status: 403,
+        error: 'Storage quota exceeded',
+        details: {
+          currentUsage: formatMB(usage.storageBytes),
+          quota: formatMB(limits.storageBytes),
+          incomingSize: formatMB(incoming.bytes)
+        }
+      };
+    }
+
+    if (limits.files !== null && usage.files + incoming.files > limits.files) {
+      return {
+        status: 403,
+        error: 'File quota exceeded',
+        details: `At most ${limits.files} files can be stored; ${usage.files} are stored now`
+      };
+    }
+
+    if (limits.uploadsPerHour !== null && usage.uploadsLastHour + uploads > limits.uploadsPerHour) {
+      const retryAfterSeconds = usage.uploadSlotFreesAt
+        ? Math.max(Math.ceil((Date.parse(usage.uploadSlotFreesAt) - Date.now()) / 1000), 1)
+        : Math.ceil(HOUR_MS / 1000);
+
+      return {
+        status: 429,
+        error: 'Upload quota exceeded',
+        details: `At most ${limits.uploadsPerHour} uploads per hour are allowed, retry in ${retryAfterSeconds} second(s)`,
+        retryAfterSeconds
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Run fn while holding the commit lock of an owner
+   */
+  async withOwnerLock(ownerId, fn) {
+    const previous = this.commitLocks.get(ownerId) || Promise.resolve();
+    const current = previous.then(fn, fn);
+    const settled = current.catch(() => {});
+
+    this.commitLocks.set(ownerId, settled);
+    settled.then(() => {
+      if (this.commitLocks.get(ownerId) === settled) {
+        this.commitLocks.delete(ownerId);
+      }
+    });
+
+    return current;
+  }
+
+  /**
+   * Check a key's quotas again and commit an upload while holding its
+   * owner's lock, so that concurrent uploads that each passed the early
+   * check cannot exceed a quota together. The commit must store the upload
+   * (and announce it, which counts it per hour) before it resolves.
+   * @param {Object} apiKey - The uploading key
+   * @param {{ bytes: number, files: number, uploads?: number }} incoming - As for checkUpload
+   * @param {Function} commit - Stores the upload; only called within quota
+   * @returns {Promise<{ rejection: Object|null, result: * }>} The refusal
+   *   (see checkUpload), or the commit's result
+   */
+  async commitUpload(apiKey, incoming, commit) {
+    if (this.isExempt(apiKey)) {
+      return { rejection: null, result: await commit() };
+    }
+
+    return this.withOwnerLock(apiKey.ownerId, async () => {
+      const rejection = await this.checkUpload(apiKey, incoming);
+      if (rejection) {
+        return { rejection, result: null };
+      }
+      return { rejection: null, result: await commit() };
+    });
+  }
+}
+
+// Singleton instance
+const quotaService = new QuotaService();
+
+module.exports = quotaService;
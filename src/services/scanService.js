@@ -0,0 +1,262 @@
+const fs = require('fs').promises;
+const { createWriteStream } = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const metadataStore = require('../models/FileMetadata');
+const storage = require('../storage');
+const eventBus = require('./eventBus');
+const { FILE_EVENTS } = eventBus;
+const { scanStream } = require('../utils/clamd');
+const config = require('../config/config');
+const logger = require('../utils/logger').child({ component: 'scan' });
+
+const SCAN_STATUS = Object.freeze({
+  PENDING: 'pending',
+  CLEAN: 'clean',
+  INFECTED: 'infected',
+  ERROR: 'error'
+});
+
+/**
+ * Scans uploads with a ClamAV daemon and quarantines infected content.
+ * Records carry a scanStatus; only clean (or never scanned) files are served.
+ */
+class ScanService {
+  constructor() {
+    // Scans run one at a time so a burst of uploads doesn't swamp clamd
+    this.queue = Promise.resolve();
+    // Content keys (blob hash or file ID) queued or being scanned
+    this.queued = new Set();
+  }
+
+  get enabled() {
+    return config.scan.enabled;
+  }
+
+  /**
+   * Key identifying the stored content of a record
+   */
+  contentKey(record) {
+    return record.blobHash || record.id;
+  }
+
+  /**
+   * Scan status for a new upload: reuse the verdict for content that has
+   * already been scanned, otherwise pending. Undefined when scanning is off.
+   */
+  async initialStatus(blobHash) {
+    if (!this.enabled) {
+      return undefined;
+    }
+
+    const siblings = blobHash ? await metadataStore.getFilesByBlob(blobHash) : [];
+    const scanned = siblings.find(file =>
+      file.scanStatus === SCAN_STATUS.CLEAN || file.scanStatus === SCAN_STATUS.INFECTED
+    );
+
+    return scanned ? scanned.scanStatus : SCAN_STATUS.PENDING;
+  }
+
+  /**
+   * Scan a newly stored upload according to the configured mode.
+   * In sync mode the scanned record is returned; in background mode the
+   * pending record is returned straight away.
+   */
+  async handleUpload(record) {
+    if (record.scanStatus === SCAN_STATUS.INFECTED) {
+      // Content already known to be infected
+      eventBus.emitFileEvent(FILE_EVENTS.QUARANTINED, record, { signature: record.scanSignature || null });
+    }
+
+    if (record.scanStatus !== SCAN_STATUS.PENDING) {
+      return record;
+    }
+
+    if (config.scan.mode === 'sync') {
+      return this.scanFile(record);
+    }
+
+    this.enqueue(record);
+    return record;
+  }
+
+  /**
+   * Queue a record for a background scan (ignored if its content is already queued)
+   */
+  enqueue(record) {
+    const key = this.contentKey(record);
+    if (this.queued.has(key)) {
+      return;
+    }
+
+    this.queued.add(key);
+    this.queue = this.queue
+      .then(() => this.scanFile(record))
+      .catch((error) => {
+        logger.error('Background scan failed', { fileId: record.id, error });
+      })
+      .finally(() => this.queued.delete(key));
+  }
+
+  /**
+   * Scan a record's content, quarantine it if infected and record the
+   * result on every file sharing that content
+   * @returns {Promise<Object>} The updated record
+   */
+  async scanFile(record) {
+    let result;
+    try {
+      const stream = await storage.getStream(record.storageKey);
+      result = await scanStream(stream, {
+        socketPath: config.scan.clamdSocket,
+        host: config.scan.clamdHost,
+        port: config.scan.clamdPort,
+        timeoutMs: config.scan.timeoutMs
+      });
+    } catch (error) {
+      // A concurrent scan may already have quarantined this content
+      if (await this.initialStatus(record.blobHash) === SCAN_STATUS.INFECTED) {
+        return this.recordResult(record, { scanStatus: SCAN_STATUS.INFECTED });
+      }
+
+      logger.error('Could not scan file', { fileId: record.id, error });
+      return this.recordResult(record, {
+        scanStatus: SCAN_STATUS.ERROR,
+        scanError: error.message
+      });
+    }
+
+    if (!result.infected) {
+      return this.recordResult(record, { scanStatus: SCAN_STATUS.CLEAN });
+    }
+
+    logger.warn('File is infected, moving to quarantine', { fileId: record.id, signature: result.signature });
+
+    try {
+      await this.quarantine(record);
+    } catch (error) {
+      // Still marked infected below, so it is never served
+      logger.error('Failed to quarantine file', { fileId: record.id, error });
+    }
+
+    const updated = await this.recordResult(record, {
+      scanStatus: SCAN_STATUS.INFECTED,
+      scanSignature: result.signature
+    });
+
+    const affected = record.blobHash ? await metadataStore.getFilesByBlob(record.blobHash) : [updated];
+    for (const file of affected) {
+      eventBus.emitFileEvent(FILE_EVENTS.QUARANTINED, file, { signature: result.signature });
+    }
+
+    return updated;
+  }
+
+  /**
+   * Save a scan result, returning the updated record
+   */
+  async recordResult(record, result) {
+    const changes = { ...result, scannedAt: new Date().toISOString() };
+
+    if (!result.scanError) {
+      changes.scanError = undefined;
+    }
+
+    if (record.blobHash) {
+      await metadataStore.updateFilesByBlob(record.blobHash, changes);
+      return (await metadataStore.getFile(record.id)) || { ...record, ...changes };
+    }
+
+    return (await metadataStore.updateFile(record.id, changes)) || { ...record, ...changes };
+  }
+
+  /**
+   * Move a record's stored object into the quarantine directory. Encrypted
+   * content is copied as it is stored, so quarantine never holds plaintext,
+   * and its data key is kept under "quarantine/<name>".
+   */
+  async quarantine(record) {
+    await fs.mkdir(config.scan.quarantineDir, { recursive: true });
+
+    const name = path.basename(this.contentKey(record));
+    const destination = path.join(config.scan.quarantineDir, name);
+    const tempPath = `${destination}.${process.pid}.tmp`;
+    const encrypted = config.encryption.enabled;
+
+    try {
+      const source = encrypted
+        ? await storage.getRawStream(record.storageKey)
+        : await storage.getStream(record.storageKey);
+      await pipeline(source, createWriteStream(tempPath));
+      await fs.rename(tempPath, destination);
+    } catch (error) {
+      await fs.unlink(tempPath).catch(() => {});
+      throw error;
+    }
+
+    if (encrypted) {
+      await storage.keepKeysFor(record.storageKey, `quarantine/${name}`);
+    }
+    await storage.delete(record.storageKey);
+  }
+
+  /**
+   * Queue files whose scan never finished or failed (e.g. after a restart
+   * or while clamd was unavailable)
+   * @returns {Promise<number>} Number of files queued
+   */
+  async rescanUnfinished() {
+    if (!this.enabled) {
+      return 0;
+    }
+
+    const files = [
+      ...await metadataStore.getFilesByScanStatus(SCAN_STATUS.PENDING),
+      ...await metadataStore.getFilesByScanStatus(SCAN_STATUS.ERROR)
+    ];
+
+    for (const file of files) {
+      this.enqueue(file);
+    }
+
+    return files.length;
+  }
+
+  /**
+   * Why a file may not be downloaded, or null if it may be served.
+   * Files without a scanStatus predate scanning (or scanning is off).
+   * @returns {{ status: number, error: string, details: string }|null}
+   */
+  getDownloadRefusal(file) {
+    switch (file.scanStatus) {
+      case SCAN_STATUS.PENDING:
+        return {
+          status: 409,
+          error: 'File is being scanned',
+          details: 'The file has not been scanned for malware yet, try again shortly'
+        };
+      case SCAN_STATUS.INFECTED:
+        return {
+          status: 403,
+          error: 'File is quarantined',
+          details: file.scanSignature
+            ? `Malware was detected in this file (${file.scanSignature})`
+            : 'Malware was detected in this file'
+        };
+      case SCAN_STATUS.ERROR:
+        return {
+          status: 503,
+          error: 'File could not be scanned',
+          details: 'The malware scan failed and will be retried'
+        };
+      default:
+        return null;
+    }
+  }
+}
+
+// Singleton instance
+const scanService = new ScanService();
+
+module.exports = scanService;
+module.exports.SCAN_STATUS = SCAN_STATUS;
@@ -0,0 +1,87 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const shareLinkStore = require('../models/ShareLink');
+const config = require('../config/config');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Used when SHARE_LINK_SECRET is not configured; links then stop working on restart
+const ephemeralSecret = crypto.randomBytes(32);
+
+/**
+ * Issues and verifies HMAC-signed, expiring share links
+ */
+class ShareLinkService {
+  get secret() {
+    return config.shareLinkSecret || ephemeralSecret;
+  }
+
+  /**
+   * Sign a link ID together with its expiry (Unix seconds)
+   */
+  sign(linkId, expires) {
+    return crypto
+      .createHmac('sha256', this.secret)
+      .update(`${linkId}.${expires}`)
+      .digest('hex');
+  }
+
+  /**
+   * Check a signature in constant time
+   */
+  verifySignature(linkId, expires, signature) {
+    if (typeof signature !== 'string' || !/^[a-f0-9]{64}$/.test(signature)) {
+      return false;
+    }
+
+    const expected = Buffer.from(this.sign(linkId, expires), 'hex');
+    return crypto.timingSafeEqual(expected, Buffer.from(signature, 'hex'));
+  }
+
+  async hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(password, salt, 32);
+    return `${salt.toString('hex')}:${hash.toString('hex')}`;
+  }
+
+  async verifyPassword(password, passwordHash) {
+    if (typeof password !== 'string') {
+      return false;
+    }
+
+    const [salt, hash] = passwordHash.split(':');
+    const candidate = await scrypt(password, Buffer.from(salt, 'hex'), 32);
+    return crypto.timingSafeEqual(candidate, Buffer.from(hash, 'hex'));
+  }
+
+  /**
+   * Create a share link for a file
+   * @param {{ fileId: string, createdBy: string, expiresInHours: number,
+   *           maxDownloads?: number, password?: string }} options
+   */
+  async createLink({ fileId, createdBy, expiresInHours, maxDownloads, password }) {
+    const expiresAt = new Date(Date.now() + expiresInHours * 60 * 60 * 1000);
+
+    return shareLinkStore.createLink({
+      fileId,
+      createdBy,
+      expiresAt: expiresAt.toISOString(),
+      maxDownloads: maxDownloads || null,
+      passwordHash: password ? await this.hashPassword(password) : null
+    });
+  }
+
+  /**
+   * Build the public URL for a link
+   */
+  buildUrl(baseUrl, link) {
+    const expires = Math.floor(new Date(link.expiresAt).getTime() / 1000);
+    const signature = this.sign(link.id, expires);
+    return `${baseUrl}/api/share/${link.id}?expires=${expires}&signature=${signature}`;
+  }
+}
+
+// Singleton instance
+const shareLinkService = new ShareLinkService();
+
+module.exports = shareLinkService;
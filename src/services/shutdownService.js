@@ -0,0 +1,82 @@
+const logger = require('../utils/logger').child({ component: 'shutdown' });
+
+/**
+ * Tracks requests in progress so that a shutdown can let them finish.
+ * While draining, /api/health reports "draining" so load balancers stop
+ * sending traffic, and other new requests are refused.
+ */
+class ShutdownService {
+  constructor() {
+    this.draining = false;
+    this.activeRequests = new Set();
+    // Resolvers waiting for the last active request to finish
+    this.idleWaiters = [];
+  }
+
+  isDraining() {
+    return this.draining;
+  }
+
+  beginDraining() {
+    this.draining = true;
+  }
+
+  /**
+   * Count a request as in flight until its response finishes or the
+   * client goes away
+   */
+  trackRequest(req, res) {
+    this.activeRequests.add(res);
+
+    const done = () => {
+      this.activeRequests.delete(res);
+      if (this.activeRequests.size === 0) {
+        this.idleWaiters.splice(0).forEach(resolve => resolve());
+      }
+    };
+
+    res.on('finish', done);
+    res.on('close', done);
+  }
+
+  /**
+   * Wait for the requests in flight and the given tasks (e.g. a running
+   * cleanup) to finish, for at most timeoutMs
+   * @param {Promise[]} tasks
+   * @param {number} timeoutMs
+   * @returns {Promise<boolean>} False if the timeout was reached first
+   */
+  async drain(tasks, timeoutMs) {
+    const requestsDone = this.activeRequests.size === 0
+      ? Promise.resolve()
+      : new Promise(resolve => this.idleWaiters.push(resolve));
+
+    if (this.activeRequests.size > 0) {
+      logger.info(`Waiting for ${this.activeRequests.size} request(s) in flight`, { activeRequests: this.activeRequests.size });
+    }
+
+    let timer;
+    const timedOut = new Promise((resolve) => {
+      timer = setTimeout(() => resolve(false), timeoutMs);
+    });
+
+    const drained = await Promise.race([
+      Promise.all([requestsDone, ...tasks]).then(() => true),
+      timedOut
+    ]);
+    clearTimeout(timer);
+
+    if (!drained) {
+      logger.warn(`Shutdown timeout reached with ${this.activeRequests.size} request(s) in flight`, {
+        activeRequests: this.activeRequests.size
+      });
+    }
+
+    return drained;
+  }
+}
+
+// Singleton instance
+const shutdownService = new ShutdownService();
+
+module.exports = shutdownService;
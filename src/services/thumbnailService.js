@@ -0,0 +1,156 @@
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const sharp = require('sharp');
+const metadataStore = require('../models/FileMetadata');
+const storage = require('../storage');
+const scanService = require('./scanService');
+const config = require('../config/config');
+const logger = require('../utils/logger').child({ component: 'thumbnails' });
+
+const SUPPORTED_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+const THUMBNAIL_MIME_TYPE = 'image/webp';
+
+/**
+ * Generates and tracks image thumbnails. Thumbnails are stored as separate
+ * objects and listed on the parent record under `thumbnails`, keyed by size.
+ */
+class ThumbnailService {
+  constructor() {
+    // "<fileId>:<size>" -> in-flight generation, so concurrent requests share one
+    this.inFlight = new Map();
+  }
+
+  isSupported(file) {
+    return SUPPORTED_MIME_TYPES.includes(file.mimeType);
+  }
+
+  isValidSize(size) {
+    return config.thumbnailSizes.includes(size);
+  }
+
+  storageKey(file, size) {
+    return `thumb_${size}_${file.id}.webp`;
+  }
+
+  /**
+   * Get a thumbnail entry for a file, generating it if needed
+   * @returns {Promise<{ storageKey, size, width, height, bytes, sha256, createdAt }>}
+   */
+  async getThumbnail(file, size) {
+    const existing = file.thumbnails && file.thumbnails[size];
+    if (existing && (await storage.stat(existing.storageKey))) {
+      return existing;
+    }
+
+    const key = `${file.id}:${size}`;
+    if (!this.inFlight.has(key)) {
+      this.inFlight.set(key, this.generate(file, size).finally(() => this.inFlight.delete(key)));
+    }
+
+    return this.inFlight.get(key);
+  }
+
+  /**
+   * Render one thumbnail from the original and record it on the parent
+   */
+  async generate(file, size) {
+    // rotate() applies the EXIF orientation; sharp drops EXIF and other
+    // metadata from its output unless asked to keep it
+    const transformer = sharp()
+      .rotate()
+      .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+      .webp({ quality: 80 });
+
+    const [buffer] = await Promise.all([
+      transformer.toBuffer({ resolveWithObject: true }),
+      pipeline(await storage.getStream(file.storageKey), transformer)
+    ]);
+
+    const { data, info } = buffer;
+    const entry = {
+      storageKey: this.storageKey(file, size),
+      size,
+      width: info.width,
+      height: info.height,
+      bytes: data.length,
+      sha256: crypto.createHash('sha256').update(data).digest('hex'),
+      createdAt: new Date().toISOString()
+    };
+
+    await storage.put(entry.storageKey, Readable.from([data]), {
+      size: data.length,
+      contentType: THUMBNAIL_MIME_TYPE
+    });
+
+    const updated = await metadataStore.updateFile(file.id, (record) => ({
+      thumbnails: { ...record.thumbnails, [size]: entry }
+    }));
+
+    // The parent was deleted while we were rendering
+    if (!updated) {
+      await storage.delete(entry.storageKey);
+      const error = new Error('File not found');
+      error.code = 'ENOENT';
+      throw error;
+    }
+
+    return entry;
+  }
+
+  /**
+   * Generate every configured size after an upload (THUMBNAIL_MODE=upload).
+   * Runs in the background; files that may not be served yet (pending or
+   * failed scans) are left for lazy generation.
+   */
+  handleUpload(file) {
+    if (config.thumbnailMode !== 'upload' || !this.isSupported(file) || scanService.getDownloadRefusal(file)) {
+      return;
+    }
+
+    (async () => {
+      for (const size of config.thumbnailSizes) {
+        await this.getThumbnail(file, size);
+      }
+    })().catch((error) => {
+      logger.error('Failed to generate thumbnails', { fileId: file.id, error });
+    });
+  }
+
+  /**
+   * Delete a file's thumbnails from storage
+   */
+  async deleteThumbnails(file) {
+    for (const entry of Object.values(file.thumbnails || {})) {
+      await storage.delete(entry.storageKey);
+    }
+  }
+
+  /**
+   * Storage keys of a file's thumbnails
+   */
+  getStorageKeys(file) {
+    return Object.values(file.thumbnails || {}).map(entry => entry.storageKey);
+  }
+
+  /**
+   * Shape a thumbnail so it can be sent with downloadService.sendFile
+   */
+  toDownload(file, entry) {
+    const baseName = file.originalName.replace(/\.[^.]+$/, '');
+
+    return {
+      id: file.id,
+      storageKey: entry.storageKey,
+      originalName: `${baseName}-${entry.size}.webp`,
+      mimeType: THUMBNAIL_MIME_TYPE,
+      sha256: entry.sha256,
+      uploadedAt: entry.createdAt
+    };
+  }
+}
+
+// Singleton instance
+const thumbnailService = new ThumbnailService();
+
+module.exports = thumbnailService;
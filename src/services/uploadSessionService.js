@@ -0,0 +1,299 @@
+const fs = require('fs').promises;
+const { createWriteStream } = require('fs');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config/config');
+const { generateUniqueFilename, ensureStagingDir } = require('../config/multer');
+const { createHashingStream } = require('../utils/hash');
+const { findChecksumMismatches } = require('../utils/checksum');
+
+const SESSION_ID_PATTERN = /^[a-f0-9]{32}$/;
+
+/**
+ * Creates an error carrying an HTTP status for the route layer
+ */
+const sessionError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Manages resumable (tus-style) upload sessions.
+ * Each session is a JSON descriptor plus a .part file that grows as
+ * chunks are appended. The current offset is always the size of the
+ * .part file, so bytes received before a dropped connection are kept.
+ */
+class UploadSessionService {
+  constructor() {
+    this.activeSessions = new Set();
+  }
+
+  isValidSessionId(sessionId) {
+    return typeof sessionId === 'string' && SESSION_ID_PATTERN.test(sessionId);
+  }
+
+  isActive(sessionId) {
+    return this.activeSessions.has(sessionId);
+  }
+
+  descriptorPath(sessionId) {
+    return path.join(config.uploadSessionDir, `${sessionId}.json`);
+  }
+
+  partPath(sessionId) {
+    return path.join(config.uploadSessionDir, `${sessionId}.part`);
+  }
+
+  async ensureSessionDir() {
+    await fs.mkdir(config.uploadSessionDir, { recursive: true });
+  }
+
+  /**
+   * Create a new upload session for a file of known length
+   */
+  async createSession({
+    originalName,
+    mimeType,
+    size,
+    ownerId = null,
+    ttlHours = null,
+    collectionId = null,
+    annotations = {}
+  }) {
+    await this.ensureSessionDir();
+
+    const now = new Date();
+    const session = {
+      id: crypto.randomBytes(16).toString('hex'),
+      originalName,
+      mimeType,
+      size,
+      ownerId,
+      ttlHours,
+      collectionId,
+      annotations,
+      createdAt: now.toISOString(),
+      lastActivityAt: now.toISOString()
+    };
+
+    await fs.writeFile(this.partPath(session.id), Buffer.alloc(0));
+    await this.saveSession(session);
+
+    return { ...session, offset: 0, expiresAt: this.getExpiry(session) };
+  }
+
+  async saveSession(session) {
+    await fs.writeFile(
+      this.descriptorPath(session.id),
+      JSON.stringify(session, null, 2),
+      'utf8'
+    );
+  }
+
+  /**
+   * Load a session with its current offset, or null if it does not exist
+   */
+  async getSession(sessionId) {
+    let session;
+    try {
+      const data = await fs.readFile(this.descriptorPath(sessionId), 'utf8');
+      session = JSON.parse(data);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+
+    let offset = 0;
+    try {
+      const stats = await fs.stat(this.partPath(sessionId));
+      offset = stats.size;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+
+    return { ...session, offset, expiresAt: this.getExpiry(session) };
+  }
+
+  getExpiry(session) {
+    const lastActivity = new Date(session.lastActivityAt).getTime();
+    return new Date(lastActivity + config.uploadSessionTtlMs).toISOString();
+  }
+
+  /**
+   * Append a chunk from a readable stream at the given offset.
+   * Returns the updated session. Bytes beyond the declared length are refused.
+   * @param {{ sha256?: string, md5?: string }} expected - Checksums the client
+   *   sent for the chunk. A chunk that does not match them, or that was cut
+   *   off so it cannot be verified, is discarded.
+   */
+  async appendChunk(sessionId, offset, stream, expected = {}) {
+    if (this.isActive(sessionId)) {
+      throw sessionError(409, 'Another chunk is already being written to this upload');
+    }
+
+    this.activeSessions.add(sessionId);
+
+    try {
+      const session = await this.getSession(sessionId);
+      if (!session) {
+        throw sessionError(404, 'Upload session not found');
+      }
+
+      if (offset !== session.offset) {
+        const error = sessionError(409, 'Upload-Offset does not match the current offset');
+        error.currentOffset = session.offset;
+        throw error;
+      }
+
+      const remaining = session.size - session.offset;
+      let received = 0;
+
+      const limiter = new Transform({
+        transform(chunk, encoding, callback) {
+          if (received + chunk.length > remaining) {
+            return callback(sessionError(413, 'Chunk exceeds the declared upload length'));
+          }
+          received += chunk.length;
+          callback(null, chunk);
+        }
+      });
+
+      const verified = Object.keys(expected).length > 0;
+      const hasher = createHashingStream({ md5: Boolean(expected.md5) });
+
+      try {
+        await pipeline(
+          stream,
+          limiter,
+          hasher,
+          createWriteStream(this.partPath(sessionId), { flags: 'a' })
+        );
+
+        const mismatches = verified && findChecksumMismatches(expected, {
+          sha256: hasher.digest(),
+          md5: hasher.digest('md5')
+        });
+        if (mismatches) {
+          await fs.truncate(this.partPath(sessionId), session.offset);
+          const error = sessionError(400, 'Chunk checksum mismatch');
+          error.mismatches = mismatches;
+          throw error;
+        }
+      } catch (error) {
+        // A dropped connection keeps whatever was written so the client can
+        // resume, unless the chunk was to be verified
+        const interrupted = error.code === 'ERR_STREAM_PREMATURE_CLOSE' || error.code === 'ECONNRESET';
+        if (!interrupted) {
+          throw error;
+        }
+        if (verified) {
+          await fs.truncate(this.partPath(sessionId), session.offset);
+        }
+      } finally {
+        session.lastActivityAt = new Date().toISOString();
+        await this.saveSession(session);
+      }
+
+      return await this.getSession(sessionId);
+    } finally {
+      this.activeSessions.delete(sessionId);
+    }
+  }
+
+  /**
+   * Move a fully received upload into the staging directory.
+   * Returns a multer-compatible file object so the regular upload
+   * validation middleware can run against the assembled file.
+   */
+  async assemble(session) {
+    await ensureStagingDir();
+
+    const filename = generateUniqueFilename(session.originalName);
+    const destination = path.join(config.stagingDir, filename);
+
+    await fs.rename(this.partPath(session.id), destination);
+    await this.deleteSession(session.id);
+
+    return {
+      fieldname: 'file',
+      originalname: session.originalName,
+      mimetype: session.mimeType,
+      destination: config.stagingDir,
+      filename,
+      path: destination,
+      size: session.size
+    };
+  }
+
+  /**
+   * Remove a session descriptor and any partial data
+   */
+  async deleteSession(sessionId) {
+    let removed = false;
+
+    for (const file of [this.descriptorPath(sessionId), this.partPath(sessionId)]) {
+      try {
+        await fs.unlink(file);
+        removed = true;
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+    }
+
+    return removed;
+  }
+
+  /**
+   * Delete sessions that have seen no activity within the session TTL
+   */
+  async reapStaleSessions() {
+    let entries;
+    try {
+      entries = await fs.readdir(config.uploadSessionDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return 0;
+      }
+      throw error;
+    }
+
+    const sessionIds = new Set(
+      entries
+        .map(entry => path.basename(entry, path.extname(entry)))
+        .filter(id => this.isValidSessionId(id))
+    );
+
+    const now = Date.now();
+    let reapedCount = 0;
+
+    for (const sessionId of sessionIds) {
+      if (this.isActive(sessionId)) {
+        continue;
+      }
+
+      const session = await this.getSession(sessionId);
+
+      // A .part without a descriptor is always abandoned
+      if (!session || new Date(session.expiresAt).getTime() <= now) {
+        await this.deleteSession(sessionId);
+        reapedCount++;
+      }
+    }
+
+    return reapedCount;
+  }
+}
+
+// Singleton instance
+const uploadSessionService = new UploadSessionService();
+
+module.exports = uploadSessionService;
@@ -0,0 +1,308 @@
+const http = require('http');
+const https = require('https');
+const dns = require('dns');
+const net = require('net');
+const path = require('path');
+const fs = require('fs').promises;
+const { createWriteStream } = require('fs');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const config = require('../config/config');
+const { generateUniqueFilename, ensureStagingDir } = require('../config/multer');
+const { validateFileAttributes } = require('../middleware/security');
+const { createHashingStream } = require('../utils/hash');
+const { createAddressFilter } = require('../utils/addressFilter');
+const logger = require('../utils/logger').child({ component: 'url-upload' });
+
+const MAX_URL_LENGTH = 2048;
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+/**
+ * An error to send as { success: false, error, details } with the given status.
+ * reason (one of REJECTION_REASONS) is set when the upload was refused.
+ */
+const fetchError = (status, message, details, reason) => {
+  const error = new Error(message);
+  error.status = status;
+  error.details = details;
+  error.reason = reason;
+  return error;
+};
+
+/**
+ * Validate a URL to fetch, returning it parsed
+ */
+const parseFetchUrl = (url) => {
+  if (url === undefined || url === '') {
+    throw fetchError(400, 'url is required');
+  }
+
+  if (typeof url !== 'string' || url.length > MAX_URL_LENGTH) {
+    throw fetchError(400, `url must be a string of at most ${MAX_URL_LENGTH} characters`);
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw fetchError(400, 'url must be an absolute http or https URL');
+  }
+
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw fetchError(400, 'url must be an absolute http or https URL');
+  }
+
+  if (parsed.username || parsed.password) {
+    throw fetchError(400, 'url must not contain credentials');
+  }
+
+  return parsed;
+};
+
+/**
+ * A file name without directories or characters that do not belong in a
+ * header
+ */
+const cleanFilename = (name) => {
+  const cleaned = path.basename(name.replace(/\\/g, '/')).replace(/[\x00-\x1f\x7f"]/g, '_');
+  return cleaned && cleaned !== '.' && cleaned !== '..' ? cleaned : 'download';
+};
+
+/**
+ * Name for a fetched file: the Content-Disposition filename, else the last
+ * segment of the URL path
+ */
+const remoteFilename = (response, url) => {
+  const disposition = response.headers['content-disposition'] || '';
+  const encoded = /filename\*\s*=\s*UTF-8''([^;]+)/i.exec(disposition);
+  const plain = /filename\s*=\s*"((?:[^"\\]|\\.)*)"|filename\s*=\s*([^;]+)/i.exec(disposition);
+
+  try {
+    if (encoded) {
+      return decodeURIComponent(encoded[1].trim());
+    }
+    if (plain) {
+      // A quoted string may contain backslash-escaped characters
+      return plain[1] !== undefined ? plain[1].replace(/\\(.)/g, '$1') : plain[2].trim();
+    }
+    return decodeURIComponent(url.pathname.split('/').pop());
+  } catch {
+    // Malformed percent-encoding
+    return '';
+  }
+};
+
+/**
+ * Counts bytes passing through and fails once there are more than maxBytes,
+ * with the same error code Multer uses for oversized uploads
+ */
+const createSizeLimit = (maxBytes) => {
+  let size = 0;
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      size += chunk.length;
+      if (size > maxBytes) {
+        const error = new Error('File too large');
+        error.code = 'LIMIT_FILE_SIZE';
+        return callback(error);
+      }
+      callback(null, chunk);
+    }
+  });
+};
+
+/**
+ * Fetches remote files for POST /api/upload/url into the staging directory,
+ * where they go through the same checks as multipart uploads.
+ *
+ * The server must not become a proxy into the network it runs in (SSRF):
+ * every address a URL resolves to - for the first request and each
+ * redirect - must be public or in URL_UPLOAD_ALLOWED_NETWORKS. The check runs
+ * in the socket's DNS lookup, so the address checked is the one connected to.
+ */
+class UrlUploadService {
+  constructor() {
+    try {
+      this.addressFilter = createAddressFilter(config.urlUpload.allowedNetworks);
+    } catch (error) {
+      throw new Error(`URL_UPLOAD_ALLOWED_NETWORKS: ${error.message}`);
+    }
+    this.lookup = this.lookup.bind(this);
+  }
+
+  blockedAddressError(hostname) {
+    const details = net.isIP(hostname)
+      ? `${hostname} is a private or reserved address`
+      : `${hostname} resolves to a private or reserved address`;
+    return fetchError(400, 'URL not allowed', details);
+  }
+
+  /**
+   * dns.lookup for outgoing requests that refuses blocked addresses.
+   * Called with { all: true } when Node tries several addresses.
+   */
+  lookup(hostname, options, callback) {
+    dns.lookup(hostname, options, (error, address, family) => {
+      if (error) {
+        return callback(error);
+      }
+
+      const addresses = Array.isArray(address) ? address : [{ address, family }];
+      if (addresses.some(entry => !this.addressFilter.isAllowed(entry.address))) {
+        return callback(this.blockedAddressError(hostname));
+      }
+
+      callback(null, address, family);
+    });
+  }
+
+  /**
+   * Send a GET request and resolve with the response once its headers arrive
+   */
+  request(url, signal) {
+    // IP literals are connected to without a lookup
+    const hostname = url.hostname.replace(/^\[(.*)\]$/, '$1');
+    if (net.isIP(hostname) && !this.addressFilter.isAllowed(hostname)) {
+      return Promise.reject(this.blockedAddressError(hostname));
+    }
+
+    const client = url.protocol === 'https:' ? https : http;
+
+    return new Promise((resolve, reject) => {
+      const request = client.get(url, {
+        lookup: this.lookup,
+        signal,
+        headers: { 'User-Agent': 'file-upload-service', Accept: '*/*' }
+      }, resolve);
+      request.on('error', reject);
+    });
+  }
+
+  /**
+   * Request a URL, following redirects up to URL_UPLOAD_MAX_REDIRECTS
+   * @returns {Promise<{ response: IncomingMessage, url: URL }>} The final
+   *   successful response and its URL
+   */
+  async follow(url, signal) {
+    let current = url;
+
+    for (let redirects = 0; ; redirects++) {
+      const response = await this.request(current, signal);
+      const { statusCode } = response;
+
+      if (REDIRECT_STATUSES.includes(statusCode) && response.headers.location) {
+        response.destroy();
+
+        if (redirects >= config.urlUpload.maxRedirects) {
+          throw fetchError(502, 'Failed to fetch URL', `More than ${config.urlUpload.maxRedirects} redirects`);
+        }
+
+        let next;
+        try {
+          next = parseFetchUrl(new URL(response.headers.location, current).href);
+        } catch (error) {
+          throw fetchError(502, 'Failed to fetch URL', `Invalid redirect: ${error.message}`);
+        }
+        current = next;
+        continue;
+      }
+
+      if (statusCode < 200 || statusCode >= 300) {
+        response.destroy();
+        throw fetchError(502, 'Failed to fetch URL', `The remote server responded with status ${statusCode}`);
+      }
+
+      return { response, url: current };
+    }
+  }
+
+  /**
+   * Fetch a URL into the staging directory
+   * @param {string} url - http or https URL
+   * @param {{ filename?: string, md5?: boolean }} options - filename replaces
+   *   the name taken from the response; md5 also computes the MD5
+   * @returns {Promise<Object>} The staged file, shaped like a Multer file
+   *   (originalname, mimetype, path, size, sha256, md5)
+   * @throws {Error} With status (and details, reason) for failures to report,
+   *   or code LIMIT_FILE_SIZE if the file is too large
+   */
+  async fetchToStaging(url, { filename, md5 = false } = {}) {
+    const parsed = parseFetchUrl(url);
+    const signal = AbortSignal.timeout(config.urlUpload.timeoutMs);
+
+    try {
+      const { response, url: finalUrl } = await this.follow(parsed, signal);
+
+      const originalname = cleanFilename(filename || remoteFilename(response, finalUrl));
+      const mimetype = (response.headers['content-type'] || 'application/octet-stream')
+        .split(';')[0]
+        .trim()
+        .toLowerCase();
+
+      // Refuse before the body is read, like Multer's fileFilter
+      const rejection = validateFileAttributes(originalname, mimetype);
+      if (rejection) {
+        response.destroy();
+        throw fetchError(400, rejection.error, undefined, rejection.reason);
+      }
+
+      const declaredSize = Number(response.headers['content-length']);
+      if (declaredSize > config.maxFileSizeBytes) {
+        response.destroy();
+        const error = new Error('File too large');
+        error.code = 'LIMIT_FILE_SIZE';
+        throw error;
+      }
+
+      return await this.stage(response, { originalname, mimetype, md5 });
+    } catch (error) {
+      if (signal.aborted) {
+        throw fetchError(504, 'Failed to fetch URL', `No complete response within ${config.urlUpload.timeoutMs / 1000} seconds`);
+      }
+      if (error.status || error.code === 'LIMIT_FILE_SIZE') {
+        throw error;
+      }
+
+      logger.warn('Failed to fetch upload from URL', { host: parsed.host, error });
+      throw fetchError(502, 'Failed to fetch URL', error.code === 'ENOTFOUND'
+        ? `Could not resolve ${parsed.hostname}`
+        : error.message);
+    }
+  }
+
+  /**
+   * Write a response body to the staging directory, hashing it on the way
+   */
+  async stage(response, { originalname, mimetype, md5 }) {
+    await ensureStagingDir();
+
+    const stagedName = generateUniqueFilename(originalname);
+    const destination = path.join(config.stagingDir, stagedName);
+    const hasher = createHashingStream({ md5 });
+
+    try {
+      await pipeline(response, createSizeLimit(config.maxFileSizeBytes), hasher, createWriteStream(destination));
+    } catch (error) {
+      await fs.unlink(destination).catch(() => {});
+      throw error;
+    }
+
+    return {
+      fieldname: 'url',
+      originalname,
+      mimetype,
+      destination: config.stagingDir,
+      filename: stagedName,
+      path: destination,
+      size: hasher.size,
+      sha256: hasher.digest(),
+      md5: hasher.digest('md5')
+    };
+  }
+}
+
+// Singleton instance
+const urlUploadService = new UrlUploadService();
+
+module.exports = urlUploadService;
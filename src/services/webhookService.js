@@ -0,0 +1,279 @@
+const crypto = require('crypto');
+const webhookStore = require('../models/Webhook');
+const { DELIVERY_STATUS } = webhookStore;
+const eventBus = require('./eventBus');
+const { FILE_EVENTS } = eventBus;
+const { formatFile } = require('../utils/formatters');
+const config = require('../config/config');
+const logger = require('../utils/logger').child({ component: 'webhooks' });
+
+const MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000;
+// Deliveries attempted concurrently per round
+const DELIVERY_BATCH_SIZE = 10;
+const USER_AGENT = 'file-upload-service-webhooks/1.0';
+
+/**
+ * Delivers file events to webhook subscriptions.
+ *
+ * Events from the event bus are written to a delivery queue in the database
+ * (one row per subscription), so nothing is lost on restart. A worker sends
+ * due deliveries as signed POST requests and retries failures with
+ * exponential backoff until WEBHOOK_MAX_ATTEMPTS is reached.
+ */
+class WebhookService {
+  constructor() {
+    this.listening = false;
+    this.timer = null;
+    this.processing = null;
+    this.processAgain = false;
+    // Events still being written to the queue
+    this.pendingEvents = new Set();
+    this.listener = (event) => this.track(this.handleEvent(event));
+  }
+
+  /**
+   * Queue deliveries for file events. Enough for one-off scripts: the
+   * server's worker sends what they queue.
+   */
+  listen() {
+    if (this.listening) {
+      return;
+    }
+
+    for (const type of Object.values(FILE_EVENTS)) {
+      eventBus.on(type, this.listener);
+    }
+    this.listening = true;
+  }
+
+  /**
+   * Listen for events and start sending queued deliveries
+   */
+  start() {
+    this.listen();
+
+    if (this.timer) {
+      return;
+    }
+
+    // Picks up retries as they fall due, and anything queued before a restart
+    this.timer = setInterval(() => this.processDue(), config.webhooks.pollIntervalMs);
+    this.processDue();
+  }
+
+  /**
+   * Stop listening and sending. Deliveries in progress finish; queued ones
+   * stay in the database for the next start.
+   */
+  async stop() {
+    for (const type of Object.values(FILE_EVENTS)) {
+      eventBus.off(type, this.listener);
+    }
+    this.listening = false;
+
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+
+    await this.flush();
+    await this.processing;
+  }
+
+  track(promise) {
+    this.pendingEvents.add(promise);
+    promise.finally(() => this.pendingEvents.delete(promise));
+  }
+
+  /**
+   * Wait until every event received so far has been queued
+   */
+  async flush() {
+    await Promise.all([...this.pendingEvents]);
+  }
+
+  /**
+   * Queue a delivery of an event to every matching subscription
+   */
+  async handleEvent({ type, file, details, occurredAt }) {
+    try {
+      const webhooks = await webhookStore.getSubscribers(type, file.ownerId || null);
+      if (webhooks.length === 0) {
+        return;
+      }
+
+      const event = {
+        id: `evt_${crypto.randomBytes(12).toString('hex')}`,
+        type,
+        createdAt: occurredAt,
+        data: {
+          file: formatFile(file),
+          ...details
+        }
+      };
+
+      await webhookStore.enqueueDeliveries(webhooks, event);
+
+      if (this.timer) {
+        this.processDue();
+      }
+    } catch (error) {
+      logger.error('Failed to queue webhook deliveries', { event: type, fileId: file.id, error });
+    }
+  }
+
+  /**
+   * HMAC-SHA256 of "<timestamp>.<body>" with the subscription's secret
+   */
+  sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  /**
+   * Delay before the next attempt after the given number of failed attempts
+   */
+  getRetryDelayMs(attempts) {
+    return Math.min(config.webhooks.retryBaseSeconds * 1000 * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+  }
+
+  /**
+   * Send every due delivery. Calls while a run is in progress make it go
+   * round again rather than starting a second run.
+   */
+  processDue() {
+    if (this.processing) {
+      this.processAgain = true;
+      return this.processing;
+    }
+
+    this.processing = (async () => {
+      do {
+        this.processAgain = false;
+
+        let due;
+        while ((due = await webhookStore.getDueDeliveries(new Date(), DELIVERY_BATCH_SIZE)).length > 0) {
+          await Promise.all(due.map(delivery => this.attempt(delivery)));
+        }
+      } while (this.processAgain);
+    })()
+      .catch((error) => {
+        logger.error('Delivery run failed', { error });
+      })
+      .finally(() => {
+        this.processing = null;
+      });
+
+    return this.processing;
+  }
+
+  /**
+   * Make one delivery attempt and record the outcome
+   */
+  async attempt(delivery) {
+    const webhook = await webhookStore.getWebhook(delivery.webhookId);
+    if (!webhook) {
+      return;
+    }
+
+    const timestamp = Math.floor(Date.now() / 1000);
+    let responseStatus = null;
+    let error = null;
+
+    try {
+      const response = await fetch(webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': USER_AGENT,
+          'X-Webhook-Id': webhook.id,
+          'X-Webhook-Event': delivery.eventType,
+          'X-Webhook-Delivery': delivery.id,
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': `sha256=${this.sign(webhook.secret, timestamp, delivery.payload)}`
+        },
+        body: delivery.payload,
+        // A redirect is reported as a failure rather than followed
+        redirect: 'manual',
+        signal: AbortSignal.timeout(config.webhooks.timeoutMs)
+      });
+
+      responseStatus = response.status;
+      // The response body is not used
+      if (response.body) {
+        await response.body.cancel().catch(() => {});
+      }
+
+      if (!response.ok) {
+        error = `Endpoint responded with HTTP ${response.status}`;
+      }
+    } catch (requestError) {
+      error = requestError.name === 'TimeoutError'
+        ? `No response within ${config.webhooks.timeoutMs} ms`
+        : (requestError.cause && requestError.cause.message) || requestError.message;
+    }
+
+    const attempts = delivery.attempts + 1;
+
+    if (!error) {
+      await webhookStore.recordAttempt(delivery.id, {
+        status: DELIVERY_STATUS.SUCCEEDED,
+        nextAttemptAt: null,
+        responseStatus,
+        lastError: null
+      });
+      return;
+    }
+
+    if (attempts >= config.webhooks.maxAttempts) {
+      logger.warn('Giving up on webhook delivery', {
+        deliveryId: delivery.id,
+        webhookId: webhook.id,
+        url: webhook.url,
+        attempts,
+        lastError: error
+      });
+      await webhookStore.recordAttempt(delivery.id, {
+        status: DELIVERY_STATUS.FAILED,
+        nextAttemptAt: null,
+        responseStatus,
+        lastError: error
+      });
+      return;
+    }
+
+    await webhookStore.recordAttempt(delivery.id, {
+      status: DELIVERY_STATUS.PENDING,
+      nextAttemptAt: new Date(Date.now() + this.getRetryDelayMs(attempts)).toISOString(),
+      responseStatus,
+      lastError: error
+    });
+  }
+
+  /**
+   * Send a failed delivery again, with a fresh set of attempts
+   * @returns {Promise<boolean>} False if the delivery is not failed
+   */
+  async resend(deliveryId) {
+    const requeued = await webhookStore.requeueDelivery(deliveryId);
+
+    if (requeued && this.timer) {
+      this.processDue();
+    }
+
+    return requeued;
+  }
+
+  /**
+   * Remove finished deliveries older than WEBHOOK_DELIVERY_RETENTION_DAYS
+   * @returns {Promise<number>} Number of deliveries removed
+   */
+  async pruneDeliveries() {
+    const before = new Date(Date.now() - config.webhooks.deliveryRetentionDays * 24 * 60 * 60 * 1000);
+    return webhookStore.pruneDeliveries(before);
+  }
+}
+
+// Singleton instance
+const webhookService = new WebhookService();
+
+module.exports = webhookService;
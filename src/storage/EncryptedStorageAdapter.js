@@ -0,0 +1,133 @@
+const { Readable, pipeline } = require('stream');
+const StorageAdapter = require('./StorageAdapter');
+const dataKeyStore = require('../models/DataKey');
+const encryptionService = require('../services/encryptionService');
+const {
+  HEADER_LENGTH,
+  encryptedSize,
+  plaintextSize,
+  parseHeader,
+  createEncryptStream,
+  createDecryptStream,
+  encryptedRange
+} = require('../utils/encryption');
+
+/**
+ * Pipe a stream into a transform. An error on either side, or destroying the
+ * transform, destroys both; errors surface on the returned transform.
+ */
+const through = (source, transform) => pipeline(source, transform, () => {});
+
+/**
+ * Read a whole (small) stream into a buffer
+ */
+const readAll = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+/**
+ * Wraps another storage adapter and encrypts what it stores (see
+ * utils/encryption for the format). Sizes and byte ranges are those of the
+ * plaintext, so callers see no difference.
+ *
+ * Objects stored before encryption was enabled have no data key and are
+ * read as they are; they stay unencrypted.
+ */
+class EncryptedStorageAdapter extends StorageAdapter {
+  constructor(inner) {
+    super(inner.name);
+    this.inner = inner;
+  }
+
+  async initialize() {
+    await this.inner.initialize();
+  }
+
+  async put(key, stream, options = {}) {
+    const dataKey = await encryptionService.createDataKey(key);
+
+    try {
+      const result = await this.inner.put(key, through(stream, createEncryptStream(dataKey.key, dataKey.id)), {
+        ...options,
+        size: options.size !== undefined ? encryptedSize(options.size) : undefined
+      });
+
+      // Readers that opened the previous content already have its key
+      await dataKeyStore.deleteOtherKeys(key, dataKey.id);
+      return { key, size: plaintextSize(result.size) };
+    } catch (error) {
+      await dataKeyStore.deleteKey(dataKey.id).catch(() => {});
+      throw error;
+    }
+  }
+
+  // putFile is the base implementation, which streams the file through put()
+
+  async getStream(key, range = {}) {
+    if (!(await dataKeyStore.hasKey(key))) {
+      return this.inner.getStream(key, range);
+    }
+
+    const stats = await this.inner.stat(key);
+    if (!stats) {
+      const error = new Error(`Object not found: ${key}`);
+      error.code = 'ENOENT';
+      throw error;
+    }
+
+    const { dataKeyId, header } = parseHeader(
+      await readAll(await this.inner.getStream(key, { start: 0, end: HEADER_LENGTH - 1 }))
+    );
+    const dataKey = await encryptionService.getDataKey(dataKeyId);
+
+    const size = plaintextSize(stats.size);
+    const start = range.start || 0;
+    const end = Math.min(range.end !== undefined ? range.end : size - 1, size - 1);
+    if (start > end) {
+      return Readable.from([]);
+    }
+
+    const encrypted = await this.inner.getStream(key, encryptedRange(start, end));
+    return through(encrypted, createDecryptStream(dataKey, header, { size, start, end }));
+  }
+
+  /**
+   * Open an object as it is stored, without decrypting it
+   */
+  async getRawStream(key) {
+    return this.inner.getStream(key);
+  }
+
+  /**
+   * Keep an object's data key for a copy of its raw content (e.g. in
+   * quarantine), so the copy can still be decrypted once the object is
+   * deleted
+   */
+  async keepKeysFor(key, copyKey) {
+    await dataKeyStore.moveKeys(key, copyKey);
+  }
+
+  async delete(key) {
+    const deleted = await this.inner.delete(key);
+    await dataKeyStore.deleteKeysForObject(key);
+    return deleted;
+  }
+
+  async list() {
+    return this.inner.list();
+  }
+
+  async stat(key) {
+    const stats = await this.inner.stat(key);
+    if (!stats || !(await dataKeyStore.hasKey(key))) {
+      return stats;
+    }
+    return { ...stats, size: plaintextSize(stats.size) };
+  }
+}
+
+module.exports = EncryptedStorageAdapter;
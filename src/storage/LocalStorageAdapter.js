@@ -0,0 +1,108 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const StorageAdapter = require('./StorageAdapter');
+
+/**
+ * Stores objects as plain files in a local directory
+ */
+class LocalStorageAdapter extends StorageAdapter {
+  constructor({ rootDir }) {
+    super('local');
+    this.rootDir = rootDir;
+  }
+
+  async initialize() {
+    await fs.promises.mkdir(this.rootDir, { recursive: true });
+  }
+
+  /**
+   * Resolve a storage key to a path inside the root directory.
+   * Keys are flat names; anything that could escape the root is rejected.
+   */
+  resolve(key) {
+    if (!key || key !== path.basename(key) || key.startsWith('.')) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return path.join(this.rootDir, key);
+  }
+
+  async put(key, stream) {
+    const destination = this.resolve(key);
+
+    // Write to a hidden temporary file first so readers never see partial objects
+    const tempPath = path.join(this.rootDir, `.${key}.${crypto.randomBytes(4).toString('hex')}.tmp`);
+
+    try {
+      await pipeline(stream, fs.createWriteStream(tempPath));
+      await fs.promises.rename(tempPath, destination);
+    } catch (error) {
+      await fs.promises.unlink(tempPath).catch(() => {});
+      throw error;
+    }
+
+    const stats = await fs.promises.stat(destination);
+    return { key, size: stats.size };
+  }
+
+  async putFile(key, filePath, options = {}) {
+    const destination = this.resolve(key);
+
+    try {
+      await fs.promises.rename(filePath, destination);
+    } catch (error) {
+      // Staging directory on another device - fall back to copying
+      if (error.code !== 'EXDEV') {
+        throw error;
+      }
+      return super.putFile(key, filePath, options);
+    }
+
+    const stats = await fs.promises.stat(destination);
+    return { key, size: stats.size };
+  }
+
+  async getStream(key, range = {}) {
+    const filePath = this.resolve(key);
+
+    // Open eagerly so a missing file rejects here rather than on the stream
+    const handle = await fs.promises.open(filePath, 'r');
+    return handle.createReadStream(range);
+  }
+
+  async delete(key) {
+    try {
+      await fs.promises.unlink(this.resolve(key));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  async list() {
+    const entries = await fs.promises.readdir(this.rootDir, { withFileTypes: true });
+
+    // Skip .gitkeep, temporary writes and the staging/session directories
+    return entries
+      .filter(entry => entry.isFile() && !entry.name.startsWith('.'))
+      .map(entry => entry.name);
+  }
+
+  async stat(key) {
+    try {
+      const stats = await fs.promises.stat(this.resolve(key));
+      return { size: stats.size, lastModified: stats.mtime };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = LocalStorageAdapter;
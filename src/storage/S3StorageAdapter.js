@@ -0,0 +1,148 @@
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+  HeadObjectCommand,
+  HeadBucketCommand,
+  ListObjectsV2Command
+} = require('@aws-sdk/client-s3');
+const StorageAdapter = require('./StorageAdapter');
+
+/**
+ * Stores objects in an S3-compatible bucket (AWS S3, MinIO, ...)
+ */
+class S3StorageAdapter extends StorageAdapter {
+  constructor({ bucket, prefix = '', region, endpoint, forcePathStyle, accessKeyId, secretAccessKey }) {
+    super('s3');
+    this.bucket = bucket;
+    this.prefix = prefix;
+
+    this.client = new S3Client({
+      region,
+      endpoint: endpoint || undefined,
+      forcePathStyle,
+      // Only send checksums when an operation requires them; many
+      // S3-compatible servers do not support the newer checksum headers
+      requestChecksumCalculation: 'WHEN_REQUIRED',
+      responseChecksumValidation: 'WHEN_REQUIRED',
+      credentials: accessKeyId && secretAccessKey
+        ? { accessKeyId, secretAccessKey }
+        : undefined
+    });
+  }
+
+  objectKey(key) {
+    return `${this.prefix}${key}`;
+  }
+
+  async initialize() {
+    await this.client.send(new HeadBucketCommand({ Bucket: this.bucket }));
+  }
+
+  async put(key, stream, { size, contentType } = {}) {
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key),
+      Body: stream,
+      ContentLength: size,
+      ContentType: contentType
+    }));
+
+    return { key, size };
+  }
+
+  async getStream(key, { start, end } = {}) {
+    let range;
+    if (start !== undefined || end !== undefined) {
+      range = `bytes=${start || 0}-${end !== undefined ? end : ''}`;
+    }
+
+    try {
+      const response = await this.client.send(new GetObjectCommand({
+        Bucket: this.bucket,
+        Key: this.objectKey(key),
+        Range: range
+      }));
+      return response.Body;
+    } catch (error) {
+      throw this.translateError(error);
+    }
+  }
+
+  async delete(key) {
+    // S3 deletes are idempotent, so check existence to report missing objects
+    const existing = await this.stat(key);
+
+    await this.client.send(new DeleteObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key)
+    }));
+
+    return existing !== null;
+  }
+
+  async list() {
+    const keys = [];
+    let continuationToken;
+
+    do {
+      const response = await this.client.send(new ListObjectsV2Command({
+        Bucket: this.bucket,
+        Prefix: this.prefix || undefined,
+        ContinuationToken: continuationToken
+      }));
+
+      for (const object of response.Contents || []) {
+        const key = object.Key.slice(this.prefix.length);
+        // Ignore anything in a nested "directory" below the prefix
+        if (key && !key.includes('/')) {
+          keys.push(key);
+        }
+      }
+
+      continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+    } while (continuationToken);
+
+    return keys;
+  }
+
+  async stat(key) {
+    try {
+      const response = await this.client.send(new HeadObjectCommand({
+        Bucket: this.bucket,
+        Key: this.objectKey(key)
+      }));
+
+      return {
+        size: response.ContentLength,
+        lastModified: response.LastModified
+      };
+    } catch (error) {
+      if (this.isNotFound(error)) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  isNotFound(error) {
+    return error.name === 'NotFound' ||
+      error.name === 'NoSuchKey' ||
+      (error.$metadata && error.$metadata.httpStatusCode === 404);
+  }
+
+  /**
+   * Map S3 "not found" errors to ENOENT so callers can treat all backends alike
+   */
+  translateError(error) {
+    if (this.isNotFound(error)) {
+      const notFound = new Error(`Object not found: ${error.message}`);
+      notFound.code = 'ENOENT';
+      return notFound;
+    }
+    return error;
+  }
+}
+
+module.exports = S3StorageAdapter;
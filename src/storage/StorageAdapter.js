@@ -0,0 +1,80 @@
+const fs = require('fs');
+
+/**
+ * Base class for storage backends.
+ * Objects are addressed by a flat storage key (the generated filename).
+ * Implementations must provide put, getStream, delete, list and stat.
+ */
+class StorageAdapter {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Prepare the backend for use (create directories, check buckets, ...)
+   */
+  async initialize() {}
+
+  /**
+   * Store an object from a readable stream
+   * @param {string} key - Storage key
+   * @param {Readable} stream - Object content
+   * @param {{ size?: number, contentType?: string }} options
+   * @returns {Promise<{ key: string, size: number }>}
+   */
+  async put(key, stream, options = {}) {
+    throw new Error(`${this.name} storage does not implement put()`);
+  }
+
+  /**
+   * Move a local (staged) file into storage, removing the source file
+   * @param {string} key - Storage key
+   * @param {string} filePath - Path of the local file
+   * @param {{ contentType?: string }} options
+   */
+  async putFile(key, filePath, options = {}) {
+    const stats = await fs.promises.stat(filePath);
+    const result = await this.put(key, fs.createReadStream(filePath), {
+      ...options,
+      size: stats.size
+    });
+    await fs.promises.unlink(filePath);
+    return result;
+  }
+
+  /**
+   * Open a readable stream for an object, optionally limited to a byte range
+   * @param {string} key - Storage key
+   * @param {{ start?: number, end?: number }} range - Inclusive byte range
+   * @returns {Promise<Readable>}
+   */
+  async getStream(key, range = {}) {
+    throw new Error(`${this.name} storage does not implement getStream()`);
+  }
+
+  /**
+   * Delete an object
+   * @returns {Promise<boolean>} false if the object did not exist
+   */
+  async delete(key) {
+    throw new Error(`${this.name} storage does not implement delete()`);
+  }
+
+  /**
+   * List the keys of all stored objects
+   * @returns {Promise<string[]>}
+   */
+  async list() {
+    throw new Error(`${this.name} storage does not implement list()`);
+  }
+
+  /**
+   * Get object size and modification time
+   * @returns {Promise<{ size: number, lastModified: Date } | null>} null if missing
+   */
+  async stat(key) {
+    throw new Error(`${this.name} storage does not implement stat()`);
+  }
+}
+
+module.exports = StorageAdapter;
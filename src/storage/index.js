@@ -0,0 +1,37 @@
+const config = require('../config/config');
+const LocalStorageAdapter = require('./LocalStorageAdapter');
+
+/**
+ * Create the storage adapter selected by STORAGE_BACKEND
+ */
+const createStorageAdapter = () => {
+  switch (config.storageBackend) {
+    case 's3': {
+      // Loaded lazily so the AWS SDK is only required when S3 is in use
+      const S3StorageAdapter = require('./S3StorageAdapter');
+      return new S3StorageAdapter(config.s3);
+    }
+    case 'local':
+      return new LocalStorageAdapter({ rootDir: config.uploadDir });
+    default:
+      throw new Error(`Unknown storage backend: ${config.storageBackend}`);
+  }
+};
+
+/**
+ * The selected adapter, encrypting stored content when a master key is set
+ */
+const createStorage = () => {
+  const adapter = createStorageAdapter();
+  if (!config.encryption.enabled) {
+    return adapter;
+  }
+
+  const EncryptedStorageAdapter = require('./EncryptedStorageAdapter');
+  return new EncryptedStorageAdapter(adapter);
+};
+
+// Singleton instance
+const storage = createStorage();
+
+module.exports = storage;
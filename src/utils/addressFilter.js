@@ -0,0 +1,87 @@
+const net = require('net');
+
+// Addresses that are not publicly routable: "this" network, private
+// networks, loopback, link-local (including cloud metadata endpoints),
+// shared address space, documentation and benchmarking ranges, multicast
+// and reserved. IPv4-mapped IPv6 addresses are matched by the IPv4 rules;
+// IPv4-compatible (::/96) and 6to4 (2002::/16) addresses, which also embed
+// an IPv4 address, are blocked outright.
+const BLOCKED_RANGES = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.0.2.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['198.51.100.0', 24, 'ipv4'],
+  ['203.0.113.0', 24, 'ipv4'],
+  ['224.0.0.0', 4, 'ipv4'],
+  ['240.0.0.0', 4, 'ipv4'],
+  ['::', 96, 'ipv6'],
+  ['64:ff9b::', 96, 'ipv6'],
+  ['100::', 64, 'ipv6'],
+  ['2001:db8::', 32, 'ipv6'],
+  ['2002::', 16, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6']
+];
+
+const familyOf = (address) => (net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+/**
+ * Build a BlockList from addresses and CIDR ranges (e.g. "10.1.0.0/16",
+ * "127.0.0.1", "fd00::/8")
+ * @throws {Error} If an entry is not a valid address or range
+ */
+const parseNetworks = (entries) => {
+  const list = new net.BlockList();
+
+  for (const entry of entries) {
+    const [address, prefix] = entry.split('/');
+    const type = net.isIPv4(address) ? 'ipv4' : net.isIPv6(address) ? 'ipv6' : null;
+    const maxPrefix = type === 'ipv4' ? 32 : 128;
+
+    if (!type || (prefix !== undefined && !(/^\d+$/.test(prefix) && Number(prefix) <= maxPrefix))) {
+      throw new Error(`Invalid network "${entry}": use an IP address or a CIDR range`);
+    }
+
+    if (prefix === undefined) {
+      list.addAddress(address, type);
+    } else {
+      list.addSubnet(address, Number(prefix), type);
+    }
+  }
+
+  return list;
+};
+
+const blockedRanges = new net.BlockList();
+for (const [address, prefix, type] of BLOCKED_RANGES) {
+  blockedRanges.addSubnet(address, prefix, type);
+}
+
+/**
+ * Decides which IP addresses the server may connect to on a client's
+ * behalf: public addresses, and non-public ones only if they are in an
+ * allowed network
+ * @param {string[]} allowedNetworks - Addresses and CIDR ranges to allow
+ */
+const createAddressFilter = (allowedNetworks = []) => {
+  const allowed = parseNetworks(allowedNetworks);
+
+  return {
+    isAllowed(address) {
+      const family = familyOf(address);
+      return allowed.check(address, family) || !blockedRanges.check(address, family);
+    }
+  };
+};
+
+module.exports = {
+  createAddressFilter
+};
@@ -0,0 +1,187 @@
+const config = require('../config/config');
+
+const MAX_TAG_LENGTH = 50;
+const MAX_METADATA_KEY_LENGTH = 64;
+
+// Letters and digits, then also spaces and _ . : / -
+const TAG_PATTERN = /^[\p{L}\p{N}][\p{L}\p{N} _.:/-]*$/u;
+// Starting with a letter or digit also rules out keys like "__proto__"
+const METADATA_KEY_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_.-]*$/;
+// Control characters other than tab and newline
+const CONTROL_CHARACTERS = /[\x00-\x08\x0b-\x1f\x7f]/;
+
+/**
+ * Normalize tags given as an array or a comma-separated string (or, from
+ * multipart forms, repeated fields). Tags are trimmed, lower-cased and
+ * deduplicated.
+ * @returns {{ value?: string[], error?: string }}
+ */
+const parseTags = (input) => {
+  const list = typeof input === 'string' ? [input] : input;
+
+  if (!Array.isArray(list) || !list.every(tag => typeof tag === 'string')) {
+    return { error: 'tags must be an array of strings or a comma-separated string' };
+  }
+
+  const tags = [...new Set(
+    list
+      .flatMap(tag => tag.split(','))
+      .map(tag => tag.trim().toLowerCase())
+      .filter(Boolean)
+  )];
+
+  if (tags.length > config.maxTagsPerFile) {
+    return { error: `A file can have at most ${config.maxTagsPerFile} tags` };
+  }
+
+  const invalid = tags.find(tag => tag.length > MAX_TAG_LENGTH || !TAG_PATTERN.test(tag));
+  if (invalid !== undefined) {
+    return {
+      error: `Invalid tag "${invalid.slice(0, MAX_TAG_LENGTH)}": tags are up to ${MAX_TAG_LENGTH} letters, digits, spaces or _ . : / - characters`
+    };
+  }
+
+  return { value: tags };
+};
+
+/**
+ * Validate custom metadata: an object (or its JSON) of string values.
+ * With allowNull, a null value marks a key for removal.
+ * @returns {{ value?: Object, error?: string }}
+ */
+const parseMetadata = (input, { allowNull = false } = {}) => {
+  let metadata = input;
+
+  if (typeof input === 'string') {
+    try {
+      metadata = JSON.parse(input);
+    } catch {
+      return { error: 'metadata must be a JSON object' };
+    }
+  }
+
+  if (!metadata || typeof metadata !== 'object' || Array.isArray(metadata)) {
+    return { error: 'metadata must be an object of string values' };
+  }
+
+  const entries = Object.entries(metadata);
+
+  for (const [key, value] of entries) {
+    if (key.length > MAX_METADATA_KEY_LENGTH || !METADATA_KEY_PATTERN.test(key)) {
+      return {
+        error: `Invalid metadata key "${key.slice(0, MAX_METADATA_KEY_LENGTH)}": keys are up to ${MAX_METADATA_KEY_LENGTH} letters, digits or _ . - characters, starting with a letter or digit`
+      };
+    }
+
+    if (value === null && allowNull) {
+      continue;
+    }
+
+    if (typeof value !== 'string') {
+      return { error: `Metadata value for "${key}" must be a string` };
+    }
+
+    if (value.length > config.maxMetadataValueLength) {
+      return { error: `Metadata value for "${key}" exceeds ${config.maxMetadataValueLength} characters` };
+    }
+
+    if (CONTROL_CHARACTERS.test(value)) {
+      return { error: `Metadata value for "${key}" contains control characters` };
+    }
+  }
+
+  // fromEntries defines own properties, so no key can reach the prototype
+  return { value: Object.fromEntries(entries) };
+};
+
+/**
+ * Apply metadata changes (null removes a key) and check the key limit
+ * @returns {{ value?: Object, error?: string }}
+ */
+const mergeMetadata = (current, changes) => {
+  const merged = { ...current };
+
+  for (const [key, value] of Object.entries(changes)) {
+    if (value === null) {
+      delete merged[key];
+    } else {
+      merged[key] = value;
+    }
+  }
+
+  if (Object.keys(merged).length > config.maxMetadataKeys) {
+    return { error: `A file can have at most ${config.maxMetadataKeys} metadata keys` };
+  }
+
+  return { value: merged };
+};
+
+/**
+ * Validate a description (null clears it when allowNull is set)
+ * @returns {{ value?: string|null, error?: string }}
+ */
+const parseDescription = (input, { allowNull = false } = {}) => {
+  if (input === null && allowNull) {
+    return { value: null };
+  }
+
+  if (typeof input !== 'string') {
+    return { error: 'description must be a string' };
+  }
+
+  const description = input.trim();
+
+  if (description.length > config.maxDescriptionLength) {
+    return { error: `description must be at most ${config.maxDescriptionLength} characters` };
+  }
+
+  if (CONTROL_CHARACTERS.test(description)) {
+    return { error: 'description must not contain control characters' };
+  }
+
+  return { value: description || null };
+};
+
+/**
+ * Validate the description, tags and metadata fields of a request body.
+ * Absent fields are left out of the result; metadata is returned as
+ * changes to merge (see mergeMetadata), or null to clear it.
+ * @param {Object} body - Request body (multipart fields or JSON)
+ * @param {{ allowNull?: boolean }} options - Allow null to clear fields (updates)
+ * @returns {{ annotations?: { description?, tags?, metadata? }, error?: string }}
+ */
+const parseAnnotations = (body, { allowNull = false } = {}) => {
+  const annotations = {};
+  const { description, tags, metadata } = body || {};
+
+  if (description !== undefined) {
+    const result = parseDescription(description, { allowNull });
+    if (result.error) return { error: result.error };
+    annotations.description = result.value;
+  }
+
+  if (tags !== undefined) {
+    const result = tags === null && allowNull ? { value: [] } : parseTags(tags);
+    if (result.error) return { error: result.error };
+    annotations.tags = result.value;
+  }
+
+  if (metadata === null && allowNull) {
+    // Clears every key
+    annotations.metadata = null;
+  } else if (metadata !== undefined) {
+    const result = parseMetadata(metadata, { allowNull });
+    if (result.error) return { error: result.error };
+    annotations.metadata = result.value;
+  }
+
+  return { annotations };
+};
+
+module.exports = {
+  parseTags,
+  parseMetadata,
+  mergeMetadata,
+  parseDescription,
+  parseAnnotations
+};
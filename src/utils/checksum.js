@@ -0,0 +1,100 @@
+// Digest algorithms understood in Digest headers (RFC 3230), and the length
+// of their raw digests in bytes
+const DIGEST_ALGORITHMS = {
+  'sha-256': { name: 'sha256', bytes: 32 },
+  md5: { name: 'md5', bytes: 16 }
+};
+
+/**
+ * Decode a base64 digest, returning it as hex or null if it is not a valid
+ * digest of the given length
+ */
+const decodeDigest = (value, bytes) => {
+  if (!/^[A-Za-z0-9+/]+={0,2}$/.test(value)) {
+    return null;
+  }
+
+  const digest = Buffer.from(value, 'base64');
+  return digest.length === bytes ? digest.toString('hex') : null;
+};
+
+/**
+ * Read the checksums a client sent for a request body: Content-MD5
+ * (RFC 1864) and Digest (RFC 3230, sha-256 and md5; other algorithms are
+ * ignored). Values are base64, as the RFCs define them.
+ * @returns {{ expected: { sha256?: string, md5?: string }, error?: string }}
+ *   Expected digests as hex, or an error describing a malformed header
+ */
+const parseChecksumHeaders = (req) => {
+  const expected = {};
+
+  const contentMd5 = req.get('Content-MD5');
+  if (contentMd5 !== undefined) {
+    expected.md5 = decodeDigest(contentMd5.trim(), DIGEST_ALGORITHMS.md5.bytes);
+    if (!expected.md5) {
+      return { expected: {}, error: 'Content-MD5 must be the base64-encoded MD5 of the content' };
+    }
+  }
+
+  const digest = req.get('Digest');
+  if (digest !== undefined) {
+    for (const entry of digest.split(',').map(part => part.trim()).filter(Boolean)) {
+      const separator = entry.indexOf('=');
+      const token = entry.slice(0, separator).trim().toLowerCase();
+      const algorithm = DIGEST_ALGORITHMS[token];
+      if (separator <= 0 || !algorithm) {
+        continue;
+      }
+
+      const value = decodeDigest(entry.slice(separator + 1).trim(), algorithm.bytes);
+      if (!value || (expected[algorithm.name] && expected[algorithm.name] !== value)) {
+        return { expected: {}, error: `Invalid ${token} value in the Digest header` };
+      }
+      expected[algorithm.name] = value;
+    }
+  }
+
+  return { expected };
+};
+
+/**
+ * Whether the request carries an MD5 to verify, so it must be computed
+ */
+const wantsMd5 = (req) => Boolean(parseChecksumHeaders(req).expected.md5);
+
+/**
+ * Compare expected checksums with the computed ones
+ * @param {{ sha256?: string, md5?: string }} expected - Hex digests from the client
+ * @param {{ sha256: string, md5?: string }} actual - Hex digests of the received content
+ * @returns {Object|null} { algorithm: { expected, actual } } for each mismatch, or null
+ */
+const findChecksumMismatches = (expected, actual) => {
+  const mismatches = {};
+
+  for (const [algorithm, value] of Object.entries(expected)) {
+    if (value !== actual[algorithm]) {
+      mismatches[algorithm] = { expected: value, actual: actual[algorithm] || null };
+    }
+  }
+
+  return Object.keys(mismatches).length > 0 ? mismatches : null;
+};
+
+/**
+ * Digest response header value for stored content
+ * @param {{ sha256: string, md5?: string }} checksums - Hex digests
+ */
+const formatDigestHeader = ({ sha256, md5 }) => {
+  const parts = [`sha-256=${Buffer.from(sha256, 'hex').toString('base64')}`];
+  if (md5) {
+    parts.push(`md5=${Buffer.from(md5, 'hex').toString('base64')}`);
+  }
+  return parts.join(', ');
+};
+
+module.exports = {
+  parseChecksumHeaders,
+  wantsMd5,
+  findChecksumMismatches,
+  formatDigestHeader
+};
@@ -0,0 +1,108 @@
+const net = require('net');
+const { once } = require('events');
+
+// clamd accepts INSTREAM data in length-prefixed chunks
+const CHUNK_SIZE = 64 * 1024;
+
+/**
+ * Parse a clamd INSTREAM reply, e.g. "stream: OK" or
+ * "stream: Eicar-Test-Signature FOUND"
+ */
+const parseReply = (reply) => {
+  const text = reply.replace(/\0/g, '').trim();
+
+  if (text === 'stream: OK') {
+    return { infected: false, signature: null };
+  }
+
+  const found = /^stream: (.+) FOUND$/.exec(text);
+  if (found) {
+    return { infected: true, signature: found[1] };
+  }
+
+  throw new Error(`clamd error: ${text || 'empty reply'}`);
+};
+
+/**
+ * Scan a readable stream with a ClamAV daemon using the INSTREAM command
+ * @param {Readable} stream - Content to scan
+ * @param {{ socketPath?: string, host?: string, port?: number, timeoutMs?: number }} options
+ * @returns {Promise<{ infected: boolean, signature: string|null }>}
+ */
+const scanStream = (stream, { socketPath, host, port, timeoutMs }) => {
+  return new Promise((resolve, reject) => {
+    const socket = socketPath
+      ? net.createConnection(socketPath)
+      : net.createConnection(port, host);
+    let reply = '';
+    let settled = false;
+    // Stops waiting for the socket to drain once the scan is over
+    const aborter = new AbortController();
+
+    const finish = (error, result) => {
+      if (settled) return;
+      settled = true;
+      aborter.abort();
+      socket.destroy();
+      stream.destroy();
+      error ? reject(error) : resolve(result);
+    };
+
+    const send = async () => {
+      socket.write('zINSTREAM\0');
+
+      for await (const data of stream) {
+        for (let start = 0; start < data.length && !settled; start += CHUNK_SIZE) {
+          const chunk = data.subarray(start, start + CHUNK_SIZE);
+          const length = Buffer.alloc(4);
+          length.writeUInt32BE(chunk.length);
+
+          socket.write(length);
+          if (!socket.write(chunk)) {
+            await once(socket, 'drain', { signal: aborter.signal });
+          }
+        }
+
+        if (settled) return;
+      }
+
+      // A zero-length chunk ends the stream
+      socket.write(Buffer.alloc(4));
+    };
+
+    socket.setTimeout(timeoutMs, () => finish(new Error('clamd did not respond in time')));
+    socket.setEncoding('utf8');
+    socket.on('data', (data) => { reply += data; });
+    socket.on('end', () => {
+      try {
+        finish(null, parseReply(reply));
+      } catch (error) {
+        finish(error);
+      }
+    });
+    socket.on('error', (error) => {
+      // clamd may reply (e.g. size limit exceeded) and close before we finish sending
+      if (reply) {
+        try {
+          return finish(null, parseReply(reply));
+        } catch (replyError) {
+          return finish(replyError);
+        }
+      }
+      finish(new Error(`clamd connection failed: ${error.message}`));
+    });
+    // Closed without a reply (after 'end' or 'error' this does nothing)
+    socket.on('close', () => finish(new Error('clamd closed the connection')));
+    socket.on('connect', () => {
+      send().catch((error) => {
+        if (!reply) {
+          finish(error);
+        }
+      });
+    });
+  });
+};
+
+module.exports = {
+  scanStream
+};
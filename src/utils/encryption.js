@@ -0,0 +1,228 @@
+const crypto = require('crypto');
+const { Transform } = require('stream');
+
+// Encrypted object layout (format 1):
+//   header:   magic "FUE1" | data key ID (16 bytes) | nonce prefix (8 bytes)
+//   segments: AES-256-GCM ciphertext of up to SEGMENT_SIZE plaintext bytes,
+//             each followed by its 16-byte authentication tag
+// Every segment is sealed separately, so a byte range is decrypted by reading
+// only the segments it covers.
+const MAGIC = Buffer.from('FUE1');
+const KEY_ID_LENGTH = 16;
+const NONCE_PREFIX_LENGTH = 8;
+const HEADER_LENGTH = MAGIC.length + KEY_ID_LENGTH + NONCE_PREFIX_LENGTH;
+const SEGMENT_SIZE = 64 * 1024;
+const TAG_LENGTH = 16;
+const ENCRYPTED_SEGMENT_SIZE = SEGMENT_SIZE + TAG_LENGTH;
+
+// Error code for content that fails authentication (altered or truncated)
+const CONTENT_AUTHENTICATION_FAILED = 'ERR_CONTENT_AUTHENTICATION_FAILED';
+
+/**
+ * Number of segments holding plaintextSize bytes. Empty content still has
+ * one (empty) final segment.
+ */
+const segmentCount = (plaintextSize) => Math.max(1, Math.ceil(plaintextSize / SEGMENT_SIZE));
+
+/**
+ * Size of the encrypted object for content of the given size
+ */
+const encryptedSize = (plaintextSize) => HEADER_LENGTH + plaintextSize + segmentCount(plaintextSize) * TAG_LENGTH;
+
+/**
+ * Size of the content held by an encrypted object of the given size
+ */
+const plaintextSize = (size) => {
+  const body = size - HEADER_LENGTH;
+  if (body < TAG_LENGTH) {
+    const error = new Error('Encrypted object is truncated');
+    error.code = CONTENT_AUTHENTICATION_FAILED;
+    throw error;
+  }
+  return body - Math.ceil(body / ENCRYPTED_SEGMENT_SIZE) * TAG_LENGTH;
+};
+
+const createHeader = (dataKeyId) => Buffer.concat([
+  MAGIC,
+  Buffer.from(dataKeyId, 'hex'),
+  crypto.randomBytes(NONCE_PREFIX_LENGTH)
+]);
+
+/**
+ * Read the header of an encrypted object
+ * @returns {{ dataKeyId: string, header: Buffer }}
+ */
+const parseHeader = (header) => {
+  if (header.length !== HEADER_LENGTH || !header.subarray(0, MAGIC.length).equals(MAGIC)) {
+    const error = new Error('Stored object is not in a supported encrypted format');
+    error.code = CONTENT_AUTHENTICATION_FAILED;
+    throw error;
+  }
+
+  return {
+    dataKeyId: header.subarray(MAGIC.length, MAGIC.length + KEY_ID_LENGTH).toString('hex'),
+    header
+  };
+};
+
+/**
+ * Nonce and additional data of one segment. The nonce is the header's prefix
+ * and the segment index; the additional data binds the header, the index and
+ * whether it is the final segment, so segments cannot be reordered, moved
+ * between objects or dropped from the end.
+ */
+const segmentParameters = (header, index, final) => {
+  const nonce = Buffer.alloc(12);
+  header.copy(nonce, 0, MAGIC.length + KEY_ID_LENGTH, HEADER_LENGTH);
+  nonce.writeUInt32BE(index, NONCE_PREFIX_LENGTH);
+
+  const aad = Buffer.alloc(HEADER_LENGTH + 5);
+  header.copy(aad, 0);
+  aad.writeUInt32BE(index, HEADER_LENGTH);
+  aad.writeUInt8(final ? 1 : 0, HEADER_LENGTH + 4);
+
+  return { nonce, aad };
+};
+
+const sealSegment = (key, header, index, final, plaintext) => {
+  const { nonce, aad } = segmentParameters(header, index, final);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, nonce);
+  cipher.setAAD(aad);
+  return Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+};
+
+const openSegment = (key, header, index, final, segment) => {
+  const { nonce, aad } = segmentParameters(header, index, final);
+  const ciphertext = segment.subarray(0, segment.length - TAG_LENGTH);
+
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, nonce);
+    decipher.setAAD(aad);
+    decipher.setAuthTag(segment.subarray(segment.length - TAG_LENGTH));
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+  } catch (cause) {
+    const error = new Error(`Encrypted segment ${index} failed authentication`);
+    error.code = CONTENT_AUTHENTICATION_FAILED;
+    error.cause = cause;
+    throw error;
+  }
+};
+
+/**
+ * Transform stream encrypting content with a data key: writes the header,
+ * then one sealed segment per SEGMENT_SIZE bytes
+ * @param {Buffer} key - 32-byte data key
+ * @param {string} dataKeyId - Hex ID of the data key, recorded in the header
+ */
+const createEncryptStream = (key, dataKeyId) => {
+  const header = createHeader(dataKeyId);
+  let buffered = Buffer.alloc(0);
+  let index = 0;
+
+  return new Transform({
+    construct(callback) {
+      this.push(header);
+      callback();
+    },
+
+    transform(chunk, encoding, callback) {
+      buffered = Buffer.concat([buffered, chunk]);
+
+      // Keep the last segment back: only the end of the input shows it is final
+      while (buffered.length > SEGMENT_SIZE) {
+        this.push(sealSegment(key, header, index++, false, buffered.subarray(0, SEGMENT_SIZE)));
+        buffered = buffered.subarray(SEGMENT_SIZE);
+      }
+      callback();
+    },
+
+    flush(callback) {
+      this.push(sealSegment(key, header, index, true, buffered));
+      callback();
+    }
+  });
+};
+
+/**
+ * Transform stream decrypting the segments of an encrypted object, from the
+ * segment holding plaintext byte `start` on, and emitting plaintext bytes
+ * start..end (inclusive). Content that fails authentication errors the
+ * stream; nothing of a damaged segment is emitted.
+ * @param {Buffer} key - 32-byte data key
+ * @param {Buffer} header - The object's header
+ * @param {{ size: number, start: number, end: number }} range - Plaintext size and range
+ */
+const createDecryptStream = (key, header, { size, start, end }) => {
+  const lastIndex = segmentCount(size) - 1;
+  let index = Math.floor(start / SEGMENT_SIZE);
+  let skip = start - index * SEGMENT_SIZE;
+  let remaining = end - start + 1;
+  let buffered = Buffer.alloc(0);
+
+  const emit = (stream, segment) => {
+    let plaintext = openSegment(key, header, index, index === lastIndex, segment);
+    index++;
+
+    plaintext = plaintext.subarray(skip, skip + remaining);
+    skip = 0;
+    remaining -= plaintext.length;
+    if (plaintext.length > 0) {
+      stream.push(plaintext);
+    }
+  };
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      buffered = Buffer.concat([buffered, chunk]);
+
+      try {
+        while (remaining > 0 && buffered.length >= ENCRYPTED_SEGMENT_SIZE) {
+          emit(this, buffered.subarray(0, ENCRYPTED_SEGMENT_SIZE));
+          buffered = buffered.subarray(ENCRYPTED_SEGMENT_SIZE);
+        }
+        callback();
+      } catch (error) {
+        callback(error);
+      }
+    },
+
+    flush(callback) {
+      try {
+        // The final segment may be shorter than the others
+        if (remaining > 0 && buffered.length > 0) {
+          emit(this, buffered);
+        }
+        if (remaining > 0) {
+          const error = new Error('Encrypted object ended early');
+          error.code = CONTENT_AUTHENTICATION_FAILED;
+          throw error;
+        }
+        callback();
+      } catch (error) {
+        callback(error);
+      }
+    }
+  });
+};
+
+/**
+ * Byte range of an encrypted object holding the segments that cover a
+ * plaintext range
+ * @returns {{ start: number, end: number }} Inclusive range of the object
+ */
+const encryptedRange = (start, end) => ({
+  start: HEADER_LENGTH + Math.floor(start / SEGMENT_SIZE) * ENCRYPTED_SEGMENT_SIZE,
+  end: HEADER_LENGTH + (Math.floor(end / SEGMENT_SIZE) + 1) * ENCRYPTED_SEGMENT_SIZE - 1
+});
+
+module.exports = {
+  HEADER_LENGTH,
+  SEGMENT_SIZE,
+  CONTENT_AUTHENTICATION_FAILED,
+  encryptedSize,
+  plaintextSize,
+  parseHeader,
+  createEncryptStream,
+  createDecryptStream,
+  encryptedRange
+};
@@ -0,0 +1,33 @@
+/**
+ * Shape a metadata record for API responses
+ */
+const formatFile = (file) => ({
+  fileId: file.id,
+  originalName: file.originalName,
+  filename: file.filename,
+  size: file.size,
+  sizeFormatted: `${(file.size / 1024).toFixed(2)} KB`,
+  mimeType: file.mimeType,
+  // Hex checksums; md5 only when CHECKSUM_MD5 was on at upload
+  sha256: file.sha256 || null,
+  md5: file.md5 || null,
+  // Increases with each PUT /api/files/:fileId
+  version: file.version || 1,
+  uploadedAt: file.uploadedAt,
+  expiresAt: file.expiresAt,
+  pinned: Boolean(file.pinned),
+  collectionId: file.collectionId || null,
+  description: file.description || null,
+  tags: file.tags || [],
+  metadata: file.metadata || {},
+  // null when the file was stored without antivirus scanning
+  scanStatus: file.scanStatus || null,
+  // "corrupt" or "quarantined" when the stored content failed a scrub
+  integrityStatus: file.integrityStatus || null,
+  // Sizes with a generated thumbnail
+  thumbnails: Object.keys(file.thumbnails || {}).map(Number)
+});
+
+module.exports = {
+  formatFile
+};
@@ -0,0 +1,58 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+
+/**
+ * Compute the digest (SHA-256 unless another algorithm is given) of a
+ * readable stream
+ */
+const hashStream = async (stream, algorithm = 'sha256') => {
+  const hash = crypto.createHash(algorithm);
+  await pipeline(stream, hash);
+  return hash.digest('hex');
+};
+
+/**
+ * Compute the digest (SHA-256 unless another algorithm is given) of a local file
+ */
+const hashFile = (filePath, algorithm) => hashStream(fs.createReadStream(filePath), algorithm);
+
+/**
+ * Pass-through stream that hashes and counts the bytes flowing through it.
+ * Read digest() (SHA-256, or digest('md5') when created with { md5: true })
+ * and size once the stream has finished.
+ */
+const createHashingStream = ({ md5 = false } = {}) => {
+  const hashes = { sha256: crypto.createHash('sha256') };
+  if (md5) {
+    hashes.md5 = crypto.createHash('md5');
+  }
+
+  const stream = new Transform({
+    transform(chunk, encoding, callback) {
+      for (const hash of Object.values(hashes)) {
+        hash.update(chunk);
+      }
+      stream.size += chunk.length;
+      callback(null, chunk);
+    }
+  });
+
+  const digests = {};
+  stream.size = 0;
+  stream.digest = (algorithm = 'sha256') => {
+    if (!(algorithm in digests)) {
+      digests[algorithm] = hashes[algorithm] ? hashes[algorithm].digest('hex') : undefined;
+    }
+    return digests[algorithm];
+  };
+
+  return stream;
+};
+
+module.exports = {
+  hashStream,
+  hashFile,
+  createHashingStream
+};
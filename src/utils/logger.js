@@ -0,0 +1,89 @@
+const config = require('../config/config');
+const { getContext } = require('./requestContext');
+
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+
+/**
+ * Make a logged value JSON-friendly (errors lose their fields otherwise)
+ */
+const serialize = (value) => {
+  if (value instanceof Error) {
+    return {
+      message: value.message,
+      ...(value.code && { code: value.code }),
+      ...(config.logging.level === 'debug' && { stack: value.stack })
+    };
+  }
+
+  return value;
+};
+
+const formatPretty = ({ time, level, component, msg, ...fields }) => {
+  const extra = Object.entries(fields)
+    .map(([key, value]) => `${key}=${typeof value === 'object' ? JSON.stringify(value) : value}`)
+    .join(' ');
+
+  return `${time} ${level.toUpperCase().padEnd(5)} ${component ? `[${component}] ` : ''}${msg}${extra ? ` ${extra}` : ''}`;
+};
+
+/**
+ * Structured logger with levels. Every entry carries the time, level and
+ * message plus the logger's bound fields (e.g. its component) and the
+ * current request ID, if any. Errors and warnings go to stderr.
+ */
+class Logger {
+  constructor(fields = {}) {
+    this.fields = fields;
+  }
+
+  /**
+   * A logger that adds fields to every entry
+   */
+  child(fields) {
+    return new Logger({ ...this.fields, ...fields });
+  }
+
+  log(level, msg, fields = {}) {
+    if (LEVELS[level] > LEVELS[config.logging.level]) {
+      return;
+    }
+
+    const context = getContext();
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      ...this.fields,
+      msg,
+      ...(context && { requestId: context.requestId })
+    };
+    for (const [key, value] of Object.entries(fields)) {
+      if (value !== undefined) {
+        entry[key] = serialize(value);
+      }
+    }
+
+    const line = config.logging.format === 'pretty' ? formatPretty(entry) : JSON.stringify(entry);
+    (LEVELS[level] <= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+  }
+
+  error(msg, fields) {
+    this.log('error', msg, fields);
+  }
+
+  warn(msg, fields) {
+    this.log('warn', msg, fields);
+  }
+
+  info(msg, fields) {
+    this.log('info', msg, fields);
+  }
+
+  debug(msg, fields) {
+    this.log('debug', msg, fields);
+  }
+}
+
+// Singleton instance
+const logger = new Logger();
+
+module.exports = logger;
@@ -0,0 +1,21 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function with a request context ({ requestId, ip, req }) that code it
+ * calls - including promises and timers it starts - can read with
+ * getContext(), without passing the request around.
+ */
+const runWithContext = (context, fn) => storage.run(context, fn);
+
+/**
+ * The context of the request being handled, or undefined outside requests
+ * (startup, the cleanup timer, background deliveries)
+ */
+const getContext = () => storage.getStore();
+
+module.exports = {
+  runWithContext,
+  getContext
+};
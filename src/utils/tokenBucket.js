@@ -0,0 +1,71 @@
+// Once this many buckets exist, full (idle) ones are dropped
+const SWEEP_THRESHOLD = 10000;
+
+/**
+ * In-memory token buckets, one per key (e.g. an API key or client IP).
+ * Each bucket holds up to `perMinute` tokens and refills continuously at
+ * `perMinute` tokens per minute, so short bursts are allowed while the
+ * average rate stays within the limit.
+ */
+class TokenBucketLimiter {
+  constructor(perMinute) {
+    this.capacity = perMinute;
+    this.refillPerMs = perMinute / 60000;
+    this.buckets = new Map();
+  }
+
+  /**
+   * Current state of a key's bucket, without taking a token
+   * @returns {{ limit: number, remaining: number, retryAfterSeconds: number, resetSeconds: number }}
+   *   retryAfterSeconds is 0 when a token is available; resetSeconds is the
+   *   time until the bucket is full again
+   */
+  peek(key, now = Date.now()) {
+    const tokens = this.tokensAt(key, now);
+
+    return {
+      limit: this.capacity,
+      remaining: Math.floor(tokens),
+      retryAfterSeconds: tokens >= 1 ? 0 : Math.ceil((1 - tokens) / this.refillPerMs / 1000),
+      resetSeconds: Math.ceil((this.capacity - tokens) / this.refillPerMs / 1000)
+    };
+  }
+
+  /**
+   * Take a token from a key's bucket. Callers check peek() first.
+   */
+  take(key, now = Date.now()) {
+    const tokens = this.tokensAt(key, now);
+    this.buckets.set(key, { tokens: Math.max(tokens - 1, 0), updatedAt: now });
+
+    if (this.buckets.size > SWEEP_THRESHOLD) {
+      this.sweep(now);
+    }
+
+    return this.peek(key, now);
+  }
+
+  tokensAt(key, now) {
+    const bucket = this.buckets.get(key);
+    if (!bucket) {
+      return this.capacity;
+    }
+
+    return Math.min(this.capacity, bucket.tokens + (now - bucket.updatedAt) * this.refillPerMs);
+  }
+
+  /**
+   * Forget buckets that have refilled completely (same as a new bucket)
+   */
+  sweep(now = Date.now()) {
+    for (const key of this.buckets.keys()) {
+      if (this.tokensAt(key, now) >= this.capacity) {
+        this.buckets.delete(key);
+      }
+    }
+  }
+}
+
+module.exports = {
+  TokenBucketLimiter
+};
@@ -0,0 +1,139 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-test-'));
+process.env.UPLOAD_DIR = tempDir;
+process.env.DATABASE_PATH = path.join(tempDir, 'files.db');
+process.env.LOG_LEVEL = 'error';
+
+const { closeDatabase } = require('../src/models/database');
+const apiKeyStore = require('../src/models/ApiKey');
+const storage = require('../src/storage');
+const fileRoutes = require('../src/routes/fileRoutes');
+const { errorHandler, notFoundHandler } = require('../src/middleware/errorHandler');
+
+describe('authentication and file ownership', () => {
+  let server;
+  let baseUrl;
+  const keys = {};
+  let fileId;
+
+  const request = (method, route, key, { body, form } = {}) => fetch(`${baseUrl}/api${route}`, {
+    method,
+    headers: {
+      ...(key && { 'X-API-Key': key }),
+      ...(body && { 'Content-Type': 'application/json' })
+    },
+    body: form || (body && JSON.stringify(body))
+  });
+
+  const uploadForm = (name = 'owned.txt') => {
+    const form = new FormData();
+    form.append('file', new Blob(['owned content'], { type: 'text/plain' }), name);
+    return form;
+  };
+
+  before(async () => {
+    await storage.initialize();
+
+    const create = async (name, scopes, ownerId) => (await apiKeyStore.createKey({ name, scopes, ownerId })).key;
+    keys.owner = await create('owner', ['upload', 'read', 'delete'], 'alice');
+    keys.teammate = await create('teammate', ['read'], 'alice');
+    keys.other = await create('other', ['upload', 'read', 'delete'], 'bob');
+    keys.readOnly = await create('read-only', ['read'], 'alice');
+    keys.admin = await create('admin', ['admin']);
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api', fileRoutes);
+    app.use(notFoundHandler);
+    app.use(errorHandler);
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    const response = await request('POST', '/upload', keys.owner, { form: uploadForm() });
+    assert.equal(response.status, 201);
+    fileId = (await response.json()).data.fileId;
+  });
+
+  after(() => {
+    server.close();
+    closeDatabase();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('lets the owner and keys sharing its ownerId see the file', async () => {
+    assert.equal((await request('GET', `/files/${fileId}`, keys.owner)).status, 200);
+    assert.equal((await request('GET', `/files/${fileId}`, keys.teammate)).status, 200);
+    assert.equal((await request('GET', `/download/${fileId}`, keys.teammate)).status, 200);
+  });
+
+  it('hides the file from other owners with 404', async () => {
+    const attempts = [
+      ['GET', `/files/${fileId}`],
+      ['GET', `/download/${fileId}`],
+      ['PATCH', `/files/${fileId}`, { body: { pinned: true } }],
+      ['DELETE', `/files/${fileId}`]
+    ];
+
+    for (const [method, route, options] of attempts) {
+      const response = await request(method, route, keys.other, options);
+      assert.equal(response.status, 404, `${method} ${route}`);
+    }
+
+    const listed = async (key) => (await (await request('GET', '/files', key)).json()).data.files
+      .some(file => file.fileId === fileId);
+    assert.equal(await listed(keys.other), false);
+    assert.equal(await listed(keys.owner), true);
+
+    // Still there, and unchanged
+    const record = await (await request('GET', `/files/${fileId}`, keys.owner)).json();
+    assert.equal(record.data.pinned, false);
+  });
+
+  it('gives admins access to every file', async () => {
+    assert.equal((await request('GET', `/files/${fileId}`, keys.admin)).status, 200);
+    assert.equal((await request('GET', `/download/${fileId}`, keys.admin)).status, 200);
+  });
+
+  it('refuses operations outside the key\'s scopes with 403', async () => {
+    const upload = await request('POST', '/upload', keys.readOnly, { form: uploadForm('other.txt') });
+    assert.equal(upload.status, 403);
+    assert.equal((await upload.json()).details, 'This operation requires the "upload" scope');
+
+    assert.equal((await request('PATCH', `/files/${fileId}`, keys.readOnly, { body: { pinned: true } })).status, 403);
+    assert.equal((await request('DELETE', `/files/${fileId}`, keys.readOnly)).status, 403);
+  });
+
+  it('refuses requests without a valid key with 401', async () => {
+    const missing = await request('GET', `/files/${fileId}`);
+    assert.equal(missing.status, 401);
+    assert.equal(missing.headers.get('www-authenticate'), 'Bearer');
+
+    assert.equal((await request('GET', `/files/${fileId}`, 'fz_not-a-key')).status, 401);
+
+    const bearer = await fetch(`${baseUrl}/api/files/${fileId}`, { headers: { Authorization: `Bearer ${keys.owner}` } });
+    assert.equal(bearer.status, 200);
+  });
+
+  it('refuses a revoked key with 401', async () => {
+    const { key, record } = await apiKeyStore.createKey({ name: 'revoked', scopes: ['read'], ownerId: 'alice' });
+    assert.equal((await request('GET', `/files/${fileId}`, key)).status, 200);
+
+    await apiKeyStore.revokeKey(record.id);
+
+    const response = await request('GET', `/files/${fileId}`, key);
+    assert.equal(response.status, 401);
+    assert.equal((await response.json()).error, 'Invalid or revoked API key');
+  });
+
+  it('lets the owner delete the file', async () => {
+    assert.equal((await request('DELETE', `/files/${fileId}`, keys.owner)).status, 200);
+    assert.equal((await request('GET', `/files/${fileId}`, keys.owner)).status, 404);
+  });
+});
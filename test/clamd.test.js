@@ -0,0 +1,134 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const { Readable } = require('stream');
+const { scanStream } = require('../src/utils/clamd');
+
+const EICAR = 'X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*';
+
+/**
+ * A clamd stand-in that reads an INSTREAM command and answers once the
+ * zero-length chunk arrives; content containing EICAR is reported infected
+ */
+const createFakeClamd = (handleConnection) => net.createServer(handleConnection || ((socket) => {
+  let buffer = Buffer.alloc(0);
+  let command = null;
+  const chunks = [];
+
+  socket.on('data', (data) => {
+    buffer = Buffer.concat([buffer, data]);
+
+    if (command === null) {
+      const end = buffer.indexOf(0);
+      if (end === -1) return;
+      command = buffer.subarray(0, end).toString();
+      buffer = buffer.subarray(end + 1);
+    }
+
+    while (buffer.length >= 4) {
+      const length = buffer.readUInt32BE(0);
+      if (length === 0) {
+        const content = Buffer.concat(chunks).toString('latin1');
+        socket.end(content.includes('EICAR') ? 'stream: Eicar-Test-Signature FOUND\0' : 'stream: OK\0');
+        return;
+      }
+      if (buffer.length < 4 + length) return;
+
+      chunks.push(buffer.subarray(4, 4 + length));
+      buffer = buffer.subarray(4 + length);
+    }
+  });
+}));
+
+const listen = (server) => new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+
+/**
+ * A stream of `count` chunks of `size` bytes
+ */
+const createSource = (count, size = 1024 * 1024) => {
+  let sent = 0;
+  return new Readable({
+    read() {
+      this.push(sent++ < count ? Buffer.alloc(size, 'a') : null);
+    }
+  });
+};
+
+describe('clamd scanStream', () => {
+  const clamd = createFakeClamd();
+  let port;
+
+  before(async () => {
+    port = await listen(clamd);
+  });
+
+  after(() => clamd.close());
+
+  it('reports clean content', async () => {
+    const result = await scanStream(Readable.from([Buffer.from('just some text')]), {
+      host: '127.0.0.1', port, timeoutMs: 5000
+    });
+
+    assert.deepEqual(result, { infected: false, signature: null });
+  });
+
+  it('sends content larger than one chunk', async () => {
+    const result = await scanStream(createSource(3), { host: '127.0.0.1', port, timeoutMs: 5000 });
+
+    assert.deepEqual(result, { infected: false, signature: null });
+  });
+
+  it('reports infected content with its signature', async () => {
+    const result = await scanStream(Readable.from([Buffer.from(EICAR)]), {
+      host: '127.0.0.1', port, timeoutMs: 5000
+    });
+
+    assert.deepEqual(result, { infected: true, signature: 'Eicar-Test-Signature' });
+  });
+
+  it('fails when clamd does not answer in time', async () => {
+    // Reads everything but never replies
+    const silent = createFakeClamd((socket) => socket.resume());
+    const silentPort = await listen(silent);
+
+    try {
+      await assert.rejects(
+        scanStream(Readable.from([Buffer.from('content')]), { host: '127.0.0.1', port: silentPort, timeoutMs: 200 }),
+        /clamd did not respond in time/
+      );
+    } finally {
+      silent.close();
+    }
+  });
+
+  it('stops sending when clamd closes the connection while it is not reading', async () => {
+    // Never reads, so writes back up, then hangs up without a reply
+    const stalled = createFakeClamd((socket) => {
+      socket.pause();
+      setTimeout(() => socket.destroy(), 200);
+    });
+    const stalledPort = await listen(stalled);
+    const source = createSource(64);
+
+    try {
+      await assert.rejects(
+        scanStream(source, { host: '127.0.0.1', port: stalledPort, timeoutMs: 5000 }),
+        /clamd/
+      );
+      assert.equal(source.destroyed, true);
+    } finally {
+      stalled.close();
+    }
+  });
+
+  it('fails when clamd cannot be reached', async () => {
+    const closed = createFakeClamd();
+    const closedPort = await listen(closed);
+    await new Promise(resolve => closed.close(resolve));
+
+    await assert.rejects(
+      scanStream(Readable.from([Buffer.from('content')]), { host: '127.0.0.1', port: closedPort, timeoutMs: 5000 }),
+      /clamd connection failed/
+    );
+  });
+});
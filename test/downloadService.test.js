@@ -0,0 +1,203 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'download-test-'));
+process.env.UPLOAD_DIR = tempDir;
+process.env.DATABASE_PATH = path.join(tempDir, 'files.db');
+process.env.LOG_LEVEL = 'error';
+
+const config = require('../src/config/config');
+const { generateUniqueFilename, ensureStagingDir } = require('../src/config/multer');
+const { closeDatabase } = require('../src/models/database');
+const storage = require('../src/storage');
+const fileService = require('../src/services/fileService');
+const { sendFile, parseRange } = require('../src/services/downloadService');
+
+const CONTENT = Buffer.from('abcdefghijklmnopqrstuvwxyz'.repeat(40));
+const SIZE = CONTENT.length;
+
+describe('parseRange', () => {
+  it('returns null without a header or for a malformed one', () => {
+    assert.equal(parseRange(undefined, SIZE), null);
+    assert.equal(parseRange('items=0-1', SIZE), null);
+    assert.equal(parseRange('bytes=a-b', SIZE), null);
+    assert.equal(parseRange('bytes=-', SIZE), null);
+    assert.equal(parseRange('bytes=20-10', SIZE), null);
+  });
+
+  it('parses single, open-ended and suffix ranges', () => {
+    assert.deepEqual(parseRange('bytes=10-19', SIZE), [{ start: 10, end: 19 }]);
+    assert.deepEqual(parseRange('bytes=1000-', SIZE), [{ start: 1000, end: SIZE - 1 }]);
+    assert.deepEqual(parseRange('bytes=-5', SIZE), [{ start: SIZE - 5, end: SIZE - 1 }]);
+    assert.deepEqual(parseRange('bytes=0-99999', SIZE), [{ start: 0, end: SIZE - 1 }]);
+  });
+
+  it('sorts ranges and merges overlapping or adjacent ones', () => {
+    assert.deepEqual(parseRange('bytes=50-59,0-9', SIZE), [{ start: 0, end: 9 }, { start: 50, end: 59 }]);
+    assert.deepEqual(parseRange('bytes=0-9,5-14,15-20', SIZE), [{ start: 0, end: 20 }]);
+  });
+
+  it('returns no ranges when none is satisfiable', () => {
+    assert.deepEqual(parseRange(`bytes=${SIZE}-`, SIZE), []);
+    assert.deepEqual(parseRange('bytes=-0', SIZE), []);
+  });
+
+  it('serves the whole file for too many ranges', () => {
+    const ranges = Array.from({ length: 33 }, (_, i) => `${i * 10}-${i * 10 + 1}`).join(',');
+    assert.equal(parseRange(`bytes=${ranges}`, SIZE), null);
+  });
+});
+
+describe('sendFile', () => {
+  let server;
+  let url;
+  let file;
+
+  const get = async (headers = {}, method = 'GET') => {
+    const response = await fetch(url, { method, headers });
+    return { response, body: Buffer.from(await response.arrayBuffer()) };
+  };
+
+  before(async () => {
+    await storage.initialize();
+    await ensureStagingDir();
+
+    const filename = generateUniqueFilename('letters.txt');
+    const filePath = path.join(config.stagingDir, filename);
+    fs.writeFileSync(filePath, CONTENT);
+    file = await fileService.storeUpload({
+      originalname: 'letters.txt', mimetype: 'text/plain', filename, path: filePath, size: SIZE
+    });
+
+    const app = express();
+    app.all('/file', async (req, res, next) => {
+      try {
+        await sendFile(req, res, file);
+      } catch (error) {
+        next(error);
+      }
+    });
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    url = `http://127.0.0.1:${server.address().port}/file`;
+  });
+
+  after(() => {
+    server.close();
+    closeDatabase();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('sends the whole file with validators and checksums', async () => {
+    const { response, body } = await get();
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(body, CONTENT);
+    assert.equal(response.headers.get('accept-ranges'), 'bytes');
+    assert.equal(response.headers.get('etag'), `"${file.sha256}"`);
+    assert.match(response.headers.get('digest'), /^sha-256=/);
+    assert.equal(response.headers.get('content-length'), String(SIZE));
+  });
+
+  it('sends a single range with 206', async () => {
+    const { response, body } = await get({ Range: 'bytes=10-19' });
+
+    assert.equal(response.status, 206);
+    assert.equal(response.headers.get('content-range'), `bytes 10-19/${SIZE}`);
+    assert.deepEqual(body, CONTENT.subarray(10, 20));
+  });
+
+  it('sends a suffix range', async () => {
+    const { response, body } = await get({ Range: 'bytes=-5' });
+
+    assert.equal(response.status, 206);
+    assert.equal(response.headers.get('content-range'), `bytes ${SIZE - 5}-${SIZE - 1}/${SIZE}`);
+    assert.deepEqual(body, CONTENT.subarray(SIZE - 5));
+  });
+
+  it('sends several ranges as multipart/byteranges', async () => {
+    const { response, body } = await get({ Range: 'bytes=0-4,100-104' });
+
+    assert.equal(response.status, 206);
+    const boundary = /^multipart\/byteranges; boundary=(\w+)$/.exec(response.headers.get('content-type'))[1];
+    assert.equal(response.headers.get('content-length'), String(body.length));
+
+    const parts = body.toString().split(`--${boundary}`).slice(1, -1);
+    assert.equal(parts.length, 2);
+    assert.match(parts[0], new RegExp(`Content-Range: bytes 0-4/${SIZE}\\r\\n\\r\\nabcde\\r\\n$`));
+    assert.match(parts[1], new RegExp(`Content-Range: bytes 100-104/${SIZE}\\r\\n\\r\\nwxyza\\r\\n$`));
+    assert.ok(body.toString().endsWith(`--${boundary}--\r\n`));
+  });
+
+  it('answers an unsatisfiable range with 416', async () => {
+    const { response, body } = await get({ Range: `bytes=${SIZE}-${SIZE + 10}` });
+
+    assert.equal(response.status, 416);
+    assert.equal(response.headers.get('content-range'), `bytes */${SIZE}`);
+    assert.equal(JSON.parse(body).error, 'Requested range not satisfiable');
+  });
+
+  it('sends the whole file for a malformed range', async () => {
+    const { response, body } = await get({ Range: 'bytes=oops' });
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(body, CONTENT);
+  });
+
+  it('answers 304 when If-None-Match matches, also as a weak tag', async () => {
+    const etag = `"${file.sha256}"`;
+
+    assert.equal((await get({ 'If-None-Match': etag })).response.status, 304);
+    assert.equal((await get({ 'If-None-Match': `"other", W/${etag}` })).response.status, 304);
+    assert.equal((await get({ 'If-None-Match': '"other"' })).response.status, 200);
+  });
+
+  it('answers 304 when not modified since the given date', async () => {
+    const later = new Date(Date.now() + 60 * 1000).toUTCString();
+    const earlier = new Date(new Date(file.uploadedAt).getTime() - 60 * 1000).toUTCString();
+
+    assert.equal((await get({ 'If-Modified-Since': later })).response.status, 304);
+    assert.equal((await get({ 'If-Modified-Since': earlier })).response.status, 200);
+  });
+
+  it('lets If-None-Match take precedence over If-Modified-Since', async () => {
+    const later = new Date(Date.now() + 60 * 1000).toUTCString();
+
+    const { response } = await get({ 'If-None-Match': '"other"', 'If-Modified-Since': later });
+    assert.equal(response.status, 200);
+  });
+
+  it('answers 412 when If-Match or If-Unmodified-Since fails', async () => {
+    const earlier = new Date(new Date(file.uploadedAt).getTime() - 60 * 1000).toUTCString();
+
+    assert.equal((await get({ 'If-Match': '"other"' })).response.status, 412);
+    // If-Match uses the strong comparison
+    assert.equal((await get({ 'If-Match': `W/"${file.sha256}"` })).response.status, 412);
+    assert.equal((await get({ 'If-Unmodified-Since': earlier })).response.status, 412);
+    assert.equal((await get({ 'If-Match': `"${file.sha256}"` })).response.status, 200);
+  });
+
+  it('honours Range only while If-Range matches', async () => {
+    const etag = `"${file.sha256}"`;
+    const lastModified = (await get({}, 'HEAD')).response.headers.get('last-modified');
+
+    assert.equal((await get({ Range: 'bytes=0-9', 'If-Range': etag })).response.status, 206);
+    assert.equal((await get({ Range: 'bytes=0-9', 'If-Range': lastModified })).response.status, 206);
+
+    const stale = await get({ Range: 'bytes=0-9', 'If-Range': '"other"' });
+    assert.equal(stale.response.status, 200);
+    assert.deepEqual(stale.body, CONTENT);
+  });
+
+  it('sends headers only for HEAD', async () => {
+    const { response, body } = await get({ Range: 'bytes=0-9' }, 'HEAD');
+
+    assert.equal(response.status, 206);
+    assert.equal(response.headers.get('content-length'), '10');
+    assert.equal(body.length, 0);
+  });
+});
@@ -0,0 +1,134 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { buffer } = require('stream/consumers');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'encryption-test-'));
+process.env.UPLOAD_DIR = path.join(tempDir, 'uploads');
+process.env.DATABASE_PATH = path.join(tempDir, 'files.db');
+process.env.QUARANTINE_DIR = path.join(tempDir, 'quarantine');
+process.env.ENCRYPTION_KEY = crypto.randomBytes(32).toString('base64');
+process.env.LOG_LEVEL = 'error';
+
+const config = require('../src/config/config');
+const { generateUniqueFilename, ensureStagingDir } = require('../src/config/multer');
+const storage = require('../src/storage');
+const fileService = require('../src/services/fileService');
+const scanService = require('../src/services/scanService');
+const dataKeyStore = require('../src/models/DataKey');
+const { closeDatabase } = require('../src/models/database');
+const { SEGMENT_SIZE, CONTENT_AUTHENTICATION_FAILED } = require('../src/utils/encryption');
+
+const store = async (key, content) => {
+  await storage.put(key, Readable.from([content]), { size: content.length });
+};
+
+const read = async (key, range) => buffer(await storage.getStream(key, range));
+
+describe('encryption at rest', () => {
+  // Three full segments and part of a fourth
+  const content = crypto.randomBytes(3 * SEGMENT_SIZE + 100);
+
+  before(async () => {
+    await storage.initialize();
+    await store('object', content);
+  });
+
+  after(() => {
+    closeDatabase();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('stores ciphertext and reads back the plaintext', async () => {
+    const stored = fs.readFileSync(path.join(process.env.UPLOAD_DIR, 'object'));
+
+    assert.equal(stored.indexOf(content.subarray(0, 64)), -1);
+    assert.deepEqual(await read('object'), content);
+    assert.equal((await storage.stat('object')).size, content.length);
+  });
+
+  it('round-trips empty content and content of exactly one segment', async () => {
+    for (const size of [0, 1, SEGMENT_SIZE, SEGMENT_SIZE + 1]) {
+      const sample = crypto.randomBytes(size);
+      await store(`size-${size}`, sample);
+
+      assert.deepEqual(await read(`size-${size}`), sample, `size ${size}`);
+      assert.equal((await storage.stat(`size-${size}`)).size, size, `size ${size}`);
+    }
+  });
+
+  it('reads byte ranges within and across segment boundaries', async () => {
+    const ranges = [
+      [0, 0],
+      [10, 20],
+      [SEGMENT_SIZE - 1, SEGMENT_SIZE],
+      [SEGMENT_SIZE - 10, 2 * SEGMENT_SIZE + 10],
+      [SEGMENT_SIZE, 2 * SEGMENT_SIZE - 1],
+      [2 * SEGMENT_SIZE, 2 * SEGMENT_SIZE],
+      [3 * SEGMENT_SIZE - 1, content.length - 1],
+      [content.length - 1, content.length - 1]
+    ];
+
+    for (const [start, end] of ranges) {
+      assert.deepEqual(await read('object', { start, end }), content.subarray(start, end + 1), `bytes ${start}-${end}`);
+    }
+  });
+
+  it('reads open-ended ranges and clamps ranges past the end', async () => {
+    const start = 2 * SEGMENT_SIZE + 5;
+
+    assert.deepEqual(await read('object', { start }), content.subarray(start));
+    assert.deepEqual(await read('object', { start, end: content.length + 1000 }), content.subarray(start));
+  });
+
+  it('refuses content that was altered', async () => {
+    await store('altered', content);
+    const file = path.join(process.env.UPLOAD_DIR, 'altered');
+    const stored = fs.readFileSync(file);
+    stored[stored.length - 200] ^= 1;
+    fs.writeFileSync(file, stored);
+
+    await assert.rejects(read('altered'), { code: CONTENT_AUTHENTICATION_FAILED });
+    // Segments before the altered one are still readable
+    assert.deepEqual(await read('altered', { start: 0, end: SEGMENT_SIZE - 1 }), content.subarray(0, SEGMENT_SIZE));
+  });
+
+  it('quarantines encrypted content as it is stored, keeping its data key', async () => {
+    await store('infected', content);
+    const stored = fs.readFileSync(path.join(process.env.UPLOAD_DIR, 'infected'));
+
+    await scanService.quarantine({ id: 'file-1', blobHash: 'infected', storageKey: 'infected' });
+
+    assert.deepEqual(fs.readFileSync(path.join(process.env.QUARANTINE_DIR, 'infected')), stored);
+    assert.equal(await storage.stat('infected'), null);
+    assert.equal(await dataKeyStore.hasKey('infected'), false);
+    assert.equal(await dataKeyStore.hasKey('quarantine/infected'), true);
+  });
+
+  it('stores uploads under a keyed hash, so stored content cannot be confirmed from a listing', async () => {
+    await ensureStagingDir();
+    const filename = generateUniqueFilename('known.txt');
+    const filePath = path.join(config.stagingDir, filename);
+    fs.writeFileSync(filePath, content);
+
+    const record = await fileService.storeUpload({
+      originalname: 'known.txt', mimetype: 'text/plain', filename, path: filePath, size: content.length
+    });
+    const hash = crypto.createHash('sha256').update(content).digest('hex');
+
+    assert.equal(record.blobHash, hash);
+    assert.match(record.storageKey, /^[0-9a-f]{64}$/);
+    assert.notEqual(record.storageKey, hash);
+    const listed = await storage.list();
+    assert.equal(listed.includes(hash), false);
+    assert.equal(listed.includes(record.storageKey), true);
+    assert.deepEqual(await read(record.storageKey), content);
+
+    await fileService.deleteFile(record);
+    assert.equal(await storage.stat(record.storageKey), null);
+  });
+});
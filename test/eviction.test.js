@@ -0,0 +1,216 @@
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eviction-test-'));
+process.env.UPLOAD_DIR = tempDir;
+process.env.DATABASE_PATH = path.join(tempDir, 'files.db');
+// 1 MB limit; eviction starts above 90% and stops at 80%
+process.env.MAX_STORAGE_MB = '1';
+process.env.EVICTION_POLICY = 'soonest-expiring';
+process.env.EVICTION_HIGH_WATERMARK_PERCENT = '90';
+process.env.EVICTION_LOW_WATERMARK_PERCENT = '80';
+process.env.LOG_LEVEL = 'error';
+
+const config = require('../src/config/config');
+const { generateUniqueFilename, ensureStagingDir } = require('../src/config/multer');
+const metadataStore = require('../src/models/FileMetadata');
+const { closeDatabase } = require('../src/models/database');
+const storage = require('../src/storage');
+const fileService = require('../src/services/fileService');
+const evictionService = require('../src/services/evictionService');
+const { EVICTION_POLICIES } = evictionService;
+const { checkStorageLimit } = require('../src/middleware/security');
+
+const KB = 1024;
+const FILE_SIZE = 200 * KB;
+
+/**
+ * Write a file to the staging directory, shaped like a Multer file
+ */
+const stage = async (name, content) => {
+  await ensureStagingDir();
+  const filename = generateUniqueFilename(name);
+  const filePath = path.join(config.stagingDir, filename);
+  fs.writeFileSync(filePath, content);
+
+  return { originalname: name, mimetype: 'text/plain', filename, path: filePath, size: content.length };
+};
+
+/**
+ * Store a file of FILE_SIZE bytes; files with the same fill share content
+ */
+const upload = async (name, { ttlHours, fill = name } = {}) => {
+  return fileService.storeUpload(await stage(name, Buffer.alloc(FILE_SIZE, fill)), { ttlHours });
+};
+
+const remainingNames = async () => (await metadataStore.getAllFiles()).map(file => file.originalName).sort();
+
+const physicalUsage = async () => (await metadataStore.getTotalStorageUsed()).physical;
+
+/**
+ * Run checkStorageLimit for a staged file, resolving with the status it
+ * sent (or 'next' if it let the request through)
+ */
+const runStorageLimit = (file) => new Promise((resolve, reject) => {
+  const res = {
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json() {
+      resolve(this.statusCode);
+    }
+  };
+
+  checkStorageLimit()({ file }, res, (error) => (error ? reject(error) : resolve('next')));
+});
+
+describe('evictionService', () => {
+  before(async () => {
+    await storage.initialize();
+  });
+
+  beforeEach(async () => {
+    evictionService.policy = EVICTION_POLICIES.SOONEST_EXPIRING;
+    for (const file of await metadataStore.getAllFiles()) {
+      await fileService.deleteFile(file);
+    }
+  });
+
+  after(() => {
+    closeDatabase();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('evicts nothing while an upload stays under the high watermark', async () => {
+    await upload('a', { ttlHours: 1 });
+    await upload('b', { ttlHours: 2 });
+    await upload('c', { ttlHours: 3 });
+
+    const usage = await evictionService.makeRoom(FILE_SIZE);
+
+    assert.equal(usage, 3 * FILE_SIZE);
+    assert.deepEqual(await remainingNames(), ['a', 'b', 'c']);
+  });
+
+  it('evicts the files expiring soonest until below the low watermark', async () => {
+    await upload('a', { ttlHours: 4 });
+    await upload('b', { ttlHours: 1 });
+    await upload('c', { ttlHours: 3 });
+    await upload('d', { ttlHours: 2 });
+
+    // 4 files + 1 incoming is over 90%; after evicting one it is below 80%
+    const usage = await evictionService.makeRoom(FILE_SIZE);
+
+    assert.equal(usage, 3 * FILE_SIZE);
+    assert.deepEqual(await remainingNames(), ['a', 'c', 'd']);
+  });
+
+  it('evicts the least recently downloaded files with the lru policy', async () => {
+    evictionService.policy = EVICTION_POLICIES.LRU;
+    const hoursAgo = (hours) => new Date(Date.now() - hours * 60 * 60 * 1000);
+
+    const files = {};
+    for (const name of ['a', 'b', 'c', 'd']) {
+      files[name] = await upload(name, { ttlHours: 1 });
+    }
+    await metadataStore.recordAccess(files.a.id, hoursAgo(3));
+    await metadataStore.recordAccess(files.b.id, hoursAgo(1));
+    await metadataStore.recordAccess(files.c.id, hoursAgo(4));
+    await metadataStore.recordAccess(files.d.id, hoursAgo(2));
+
+    await evictionService.makeRoom(FILE_SIZE);
+
+    assert.deepEqual(await remainingNames(), ['a', 'b', 'd']);
+  });
+
+  it('never evicts pinned files', async () => {
+    const soonest = await upload('a', { ttlHours: 1 });
+    await upload('b', { ttlHours: 2 });
+    await upload('c', { ttlHours: 3 });
+    await upload('d', { ttlHours: 4 });
+    await metadataStore.updateFile(soonest.id, { pinned: true });
+
+    await evictionService.makeRoom(FILE_SIZE);
+
+    assert.deepEqual(await remainingNames(), ['a', 'c', 'd']);
+  });
+
+  it('keeps evicting when a file shares its content, which frees nothing', async () => {
+    await upload('a1', { ttlHours: 1, fill: 'a' });
+    await upload('a2', { ttlHours: 2, fill: 'a' });
+    await upload('b', { ttlHours: 3 });
+    await upload('c', { ttlHours: 4 });
+    await upload('d', { ttlHours: 5 });
+    assert.equal(await physicalUsage(), 4 * FILE_SIZE);
+
+    const usage = await evictionService.makeRoom(FILE_SIZE);
+
+    assert.equal(usage, 3 * FILE_SIZE);
+    assert.deepEqual(await remainingNames(), ['b', 'c', 'd']);
+  });
+
+  it('evicts nothing for an upload that cannot fit even with every unpinned file gone', async () => {
+    for (const name of ['a', 'b', 'c']) {
+      const file = await upload(name, { ttlHours: 1 });
+      await metadataStore.updateFile(file.id, { pinned: true });
+    }
+    await upload('d', { ttlHours: 1 });
+
+    // 3 pinned files + 500 KB is over the limit whatever is evicted
+    const usage = await evictionService.makeRoom(500 * KB);
+
+    assert.equal(usage, 4 * FILE_SIZE);
+    assert.deepEqual(await remainingNames(), ['a', 'b', 'c', 'd']);
+  });
+
+  it('relieves pressure from the cleanup run', async () => {
+    for (const [index, name] of ['a', 'b', 'c', 'd', 'e'].entries()) {
+      await upload(name, { ttlHours: index + 1 });
+    }
+
+    assert.equal(await evictionService.relievePressure(), 1);
+    assert.deepEqual(await remainingNames(), ['b', 'c', 'd', 'e']);
+    assert.equal(await evictionService.relievePressure(), 0);
+  });
+
+  describe('checkStorageLimit', () => {
+    it('evicts to make room and lets the upload through', async () => {
+      for (const [index, name] of ['a', 'b', 'c', 'd'].entries()) {
+        await upload(name, { ttlHours: index + 1 });
+      }
+      const file = await stage('incoming', Buffer.alloc(FILE_SIZE, 'x'));
+
+      assert.equal(await runStorageLimit(file), 'next');
+      assert.deepEqual(await remainingNames(), ['b', 'c', 'd']);
+      assert.equal(fs.existsSync(file.path), true);
+    });
+
+    it('refuses with 507 and evicts nothing when the upload cannot fit', async () => {
+      for (const name of ['a', 'b', 'c']) {
+        const record = await upload(name, { ttlHours: 1 });
+        await metadataStore.updateFile(record.id, { pinned: true });
+      }
+      await upload('d', { ttlHours: 1 });
+      const file = await stage('incoming', Buffer.alloc(500 * KB, 'x'));
+
+      assert.equal(await runStorageLimit(file), 507);
+      assert.deepEqual(await remainingNames(), ['a', 'b', 'c', 'd']);
+      assert.equal(fs.existsSync(file.path), false);
+    });
+
+    it('counts content that is already stored as taking no room', async () => {
+      for (const [index, name] of ['a', 'b', 'c', 'd'].entries()) {
+        await upload(name, { ttlHours: index + 1 });
+      }
+      const existing = (await metadataStore.getAllFiles()).find(record => record.originalName === 'a');
+      const file = { ...await stage('copy', Buffer.alloc(FILE_SIZE, 'a')), sha256: existing.sha256 };
+
+      assert.equal(await runStorageLimit(file), 'next');
+      assert.deepEqual(await remainingNames(), ['a', 'b', 'c', 'd']);
+    });
+  });
+});
@@ -0,0 +1,112 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { text } = require('stream/consumers');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'file-service-test-'));
+process.env.UPLOAD_DIR = path.join(tempDir, 'uploads');
+process.env.DATABASE_PATH = path.join(tempDir, 'metadata', 'files.db');
+process.env.LOG_LEVEL = 'error';
+
+const config = require('../src/config/config');
+const { generateUniqueFilename, ensureStagingDir } = require('../src/config/multer');
+const { closeDatabase } = require('../src/models/database');
+const metadataStore = require('../src/models/FileMetadata');
+const blobStore = require('../src/models/Blob');
+const storage = require('../src/storage');
+const fileService = require('../src/services/fileService');
+
+/**
+ * Stage a file and store it as an upload
+ */
+const upload = async (name, content) => {
+  await ensureStagingDir();
+  const filename = generateUniqueFilename(name);
+  const filePath = path.join(config.stagingDir, filename);
+  fs.writeFileSync(filePath, content);
+
+  return fileService.storeUpload({
+    originalname: name, mimetype: 'text/plain', filename, path: filePath, size: Buffer.byteLength(content)
+  });
+};
+
+const storedObjects = async () => storage.list();
+
+describe('deduplicated storage', () => {
+  before(async () => {
+    await storage.initialize();
+  });
+
+  after(() => {
+    closeDatabase();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('stores identical uploads once and keeps the content until the last file is deleted', async () => {
+    const first = await upload('first.txt', 'shared content');
+    const second = await upload('second.txt', 'shared content');
+
+    assert.notEqual(first.id, second.id);
+    assert.equal(first.blobHash, second.blobHash);
+    assert.equal(first.storageKey, second.storageKey);
+    assert.equal((await blobStore.getBlob(first.blobHash)).refCount, 2);
+    assert.deepEqual(await storedObjects(), [first.storageKey]);
+    assert.equal((await metadataStore.getTotalStorageUsed()).physical, 'shared content'.length);
+
+    await fileService.deleteFile(first);
+
+    assert.equal((await blobStore.getBlob(second.blobHash)).refCount, 1);
+    assert.equal(await fileService.exists(second), true);
+    assert.equal(await text(await storage.getStream(second.storageKey)), 'shared content');
+
+    await fileService.deleteFile(second);
+
+    assert.equal(await blobStore.getBlob(second.blobHash), undefined);
+    assert.deepEqual(await storedObjects(), []);
+  });
+
+  it('keeps different content apart', async () => {
+    const one = await upload('one.txt', 'content one');
+    const two = await upload('two.txt', 'content two');
+
+    assert.notEqual(one.blobHash, two.blobHash);
+    assert.deepEqual((await storedObjects()).sort(), [one.storageKey, two.storageKey].sort());
+
+    await fileService.deleteFile(one);
+
+    assert.deepEqual(await storedObjects(), [two.storageKey]);
+    await fileService.deleteFile(two);
+  });
+
+  it('counts concurrent identical uploads and deletes correctly', async () => {
+    const files = await Promise.all(
+      Array.from({ length: 5 }, (_, i) => upload(`copy-${i}.txt`, 'uploaded concurrently'))
+    );
+    const [{ blobHash, storageKey }] = files;
+
+    assert.equal((await blobStore.getBlob(blobHash)).refCount, 5);
+    assert.deepEqual(await storedObjects(), [storageKey]);
+
+    await Promise.all(files.slice(1).map(file => fileService.deleteFile(file)));
+
+    assert.equal((await blobStore.getBlob(blobHash)).refCount, 1);
+    assert.equal(await text(await storage.getStream(storageKey)), 'uploaded concurrently');
+
+    await fileService.deleteFile(files[0]);
+    assert.equal(await blobStore.getBlob(blobHash), undefined);
+    assert.deepEqual(await storedObjects(), []);
+  });
+
+  it('reuses content again after it was deleted', async () => {
+    const before = await upload('again.txt', 'comes back');
+    await fileService.deleteFile(before);
+
+    const after = await upload('again.txt', 'comes back');
+
+    assert.equal((await blobStore.getBlob(after.blobHash)).refCount, 1);
+    assert.equal(await text(await storage.getStream(after.storageKey)), 'comes back');
+    await fileService.deleteFile(after);
+  });
+});
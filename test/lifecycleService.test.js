@@ -0,0 +1,65 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lifecycle-test-'));
+process.env.UPLOAD_DIR = path.join(tempDir, 'uploads');
+process.env.DATABASE_PATH = path.join(tempDir, 'metadata', 'files.db');
+process.env.LOG_LEVEL = 'error';
+
+const config = require('../src/config/config');
+const { generateUniqueFilename, ensureStagingDir } = require('../src/config/multer');
+const { closeDatabase } = require('../src/models/database');
+const storage = require('../src/storage');
+const fileService = require('../src/services/fileService');
+const lifecycleService = require('../src/services/lifecycleService');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Set an object's modification time to the given number of hours ago
+ */
+const age = (key, hours) => {
+  const time = new Date(Date.now() - hours * HOUR_MS);
+  fs.utimesSync(path.join(process.env.UPLOAD_DIR, key), time, time);
+};
+
+describe('orphaned object cleanup', () => {
+  before(async () => {
+    await storage.initialize();
+  });
+
+  after(() => {
+    closeDatabase();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('keeps recent objects without metadata, as their metadata may not be written yet', async () => {
+    await storage.put('in-flight', Readable.from([Buffer.from('being uploaded')]));
+
+    assert.equal(await lifecycleService.cleanupOrphanedFiles(), 0);
+    assert.notEqual(await storage.stat('in-flight'), null);
+
+    age('in-flight', 2);
+
+    assert.equal(await lifecycleService.cleanupOrphanedFiles(), 1);
+    assert.equal(await storage.stat('in-flight'), null);
+  });
+
+  it('never deletes objects that metadata refers to', async () => {
+    await ensureStagingDir();
+    const filename = generateUniqueFilename('kept.txt');
+    const filePath = path.join(config.stagingDir, filename);
+    fs.writeFileSync(filePath, 'kept content');
+    const record = await fileService.storeUpload({
+      originalname: 'kept.txt', mimetype: 'text/plain', filename, path: filePath, size: 12
+    });
+    age(record.storageKey, 2);
+
+    assert.equal(await lifecycleService.cleanupOrphanedFiles(), 0);
+    assert.equal(await fileService.exists(record), true);
+  });
+});
@@ -0,0 +1,93 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'quota-test-'));
+process.env.UPLOAD_DIR = tempDir;
+process.env.DATABASE_PATH = path.join(tempDir, 'files.db');
+process.env.LOG_LEVEL = 'error';
+
+const config = require('../src/config/config');
+const { closeDatabase } = require('../src/models/database');
+const apiKeyStore = require('../src/models/ApiKey');
+const storage = require('../src/storage');
+const fileRoutes = require('../src/routes/fileRoutes');
+const { errorHandler, notFoundHandler } = require('../src/middleware/errorHandler');
+
+const CONCURRENT_UPLOADS = 6;
+
+describe('upload quotas', () => {
+  let server;
+  let baseUrl;
+
+  /**
+   * Send uploads of distinct content from one key at the same time,
+   * resolving with their statuses
+   */
+  const uploadConcurrently = async (key, size) => {
+    const responses = await Promise.all(Array.from({ length: CONCURRENT_UPLOADS }, (_, i) => {
+      const form = new FormData();
+      form.append('file', new Blob([Buffer.alloc(size, String(i))], { type: 'text/plain' }), `file-${i}.txt`);
+      return fetch(`${baseUrl}/api/upload`, { method: 'POST', headers: { 'X-API-Key': key }, body: form });
+    }));
+
+    return Promise.all(responses.map(async (response) => {
+      await response.arrayBuffer();
+      return response.status;
+    }));
+  };
+
+  const stagedFiles = () => fs.readdirSync(config.stagingDir);
+
+  before(async () => {
+    await storage.initialize();
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api', fileRoutes);
+    app.use(notFoundHandler);
+    app.use(errorHandler);
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+    closeDatabase();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('lets no more concurrent uploads through than the file quota', async () => {
+    const { key } = await apiKeyStore.createKey({ name: 'files', scopes: ['upload'], quota: { files: 2 } });
+
+    const statuses = await uploadConcurrently(key, 100);
+
+    assert.equal(statuses.filter(status => status === 201).length, 2);
+    assert.equal(statuses.filter(status => status === 403).length, CONCURRENT_UPLOADS - 2);
+    assert.deepEqual(stagedFiles(), []);
+  });
+
+  it('lets no more concurrent uploads through than the storage quota', async () => {
+    const { key } = await apiKeyStore.createKey({ name: 'bytes', scopes: ['upload'], quota: { storageBytes: 2500 } });
+
+    const statuses = await uploadConcurrently(key, 1000);
+
+    assert.equal(statuses.filter(status => status === 201).length, 2);
+    assert.equal(statuses.filter(status => status === 403).length, CONCURRENT_UPLOADS - 2);
+    assert.deepEqual(stagedFiles(), []);
+  });
+
+  it('lets no more concurrent uploads through than the hourly quota', async () => {
+    const { key } = await apiKeyStore.createKey({ name: 'hourly', scopes: ['upload'], quota: { uploadsPerHour: 3 } });
+
+    const statuses = await uploadConcurrently(key, 100);
+
+    assert.equal(statuses.filter(status => status === 201).length, 3);
+    assert.equal(statuses.filter(status => status === 429).length, CONCURRENT_UPLOADS - 3);
+    assert.deepEqual(stagedFiles(), []);
+  });
+});
@@ -0,0 +1,170 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { Readable } = require('stream');
+const { text } = require('stream/consumers');
+const S3StorageAdapter = require('../src/storage/S3StorageAdapter');
+
+const BUCKET = 'uploads';
+
+/**
+ * Just enough of the S3 REST API (path-style) for the adapter: objects are
+ * kept in memory, and listings return at most pageSize keys per page
+ */
+const createS3Stub = ({ pageSize = 2 } = {}) => {
+  const objects = new Map();
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const [, bucket, ...rest] = url.pathname.split('/');
+    const key = decodeURIComponent(rest.join('/'));
+
+    if (bucket !== BUCKET) {
+      res.writeHead(404).end();
+      return;
+    }
+
+    if (!key) {
+      if (req.method === 'HEAD') {
+        res.writeHead(200).end();
+        return;
+      }
+
+      // ListObjectsV2
+      const prefix = url.searchParams.get('prefix') || '';
+      const keys = [...objects.keys()].filter(name => name.startsWith(prefix)).sort();
+      const offset = Number(url.searchParams.get('continuation-token') || 0);
+      const page = keys.slice(offset, offset + pageSize);
+      const truncated = offset + pageSize < keys.length;
+
+      res.writeHead(200, { 'Content-Type': 'application/xml' });
+      res.end(`<?xml version="1.0" encoding="UTF-8"?>
+<ListBucketResult xmlns="http://s3.amazonaws.com/doc/2006-03-01/">
+  <Name>${BUCKET}</Name>
+  <Prefix>${prefix}</Prefix>
+  <KeyCount>${page.length}</KeyCount>
+  <IsTruncated>${truncated}</IsTruncated>
+  ${truncated ? `<NextContinuationToken>${offset + pageSize}</NextContinuationToken>` : ''}
+  ${page.map(name => `<Contents><Key>${name}</Key><Size>${objects.get(name).length}</Size></Contents>`).join('')}
+</ListBucketResult>`);
+      return;
+    }
+
+    const object = objects.get(key);
+
+    switch (req.method) {
+      case 'PUT': {
+        const chunks = [];
+        for await (const chunk of req) {
+          chunks.push(chunk);
+        }
+        objects.set(key, Buffer.concat(chunks));
+        res.writeHead(200, { ETag: '"stub"' }).end();
+        return;
+      }
+      case 'DELETE':
+        objects.delete(key);
+        res.writeHead(204).end();
+        return;
+      case 'HEAD':
+      case 'GET': {
+        if (!object) {
+          res.writeHead(404, { 'Content-Type': 'application/xml' });
+          res.end(req.method === 'GET'
+            ? '<?xml version="1.0" encoding="UTF-8"?><Error><Code>NoSuchKey</Code><Message>Not found</Message></Error>'
+            : undefined);
+          return;
+        }
+
+        const headers = { 'Last-Modified': new Date().toUTCString() };
+        const range = /^bytes=(\d+)-(\d*)$/.exec(req.headers.range || '');
+        if (range) {
+          const start = Number(range[1]);
+          const end = range[2] ? Math.min(Number(range[2]), object.length - 1) : object.length - 1;
+          const body = object.subarray(start, end + 1);
+          res.writeHead(206, {
+            ...headers,
+            'Content-Length': body.length,
+            'Content-Range': `bytes ${start}-${end}/${object.length}`
+          });
+          res.end(req.method === 'GET' ? body : undefined);
+          return;
+        }
+
+        res.writeHead(200, { ...headers, 'Content-Length': object.length });
+        res.end(req.method === 'GET' ? object : undefined);
+        return;
+      }
+      default:
+        res.writeHead(405).end();
+    }
+  });
+
+  return { server, objects };
+};
+
+describe('S3StorageAdapter', () => {
+  const { server, objects } = createS3Stub();
+  let adapter;
+
+  const createAdapter = (options = {}) => new S3StorageAdapter({
+    bucket: BUCKET,
+    region: 'us-east-1',
+    endpoint: `http://127.0.0.1:${server.address().port}`,
+    forcePathStyle: true,
+    accessKeyId: 'test',
+    secretAccessKey: 'test',
+    ...options
+  });
+
+  before(async () => {
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    adapter = createAdapter({ prefix: 'files/' });
+    await adapter.initialize();
+  });
+
+  after(() => {
+    adapter.client.destroy();
+    server.close();
+  });
+
+  it('stores objects under the prefix and reads them back', async () => {
+    const content = Buffer.from('hello from the adapter');
+
+    const result = await adapter.put('abc', Readable.from([content]), { size: content.length });
+
+    assert.deepEqual(result, { key: 'abc', size: content.length });
+    assert.deepEqual(objects.get('files/abc'), content);
+    assert.equal(await text(await adapter.getStream('abc')), 'hello from the adapter');
+  });
+
+  it('reads byte ranges', async () => {
+    await adapter.put('range', Readable.from([Buffer.from('0123456789')]), { size: 10 });
+
+    assert.equal(await text(await adapter.getStream('range', { start: 2, end: 5 })), '2345');
+    assert.equal(await text(await adapter.getStream('range', { start: 7 })), '789');
+  });
+
+  it('reports missing objects like the local backend', async () => {
+    assert.equal(await adapter.stat('missing'), null);
+    await assert.rejects(adapter.getStream('missing'), { code: 'ENOENT' });
+    assert.equal(await adapter.delete('missing'), false);
+  });
+
+  it('returns size for stat and deletes objects', async () => {
+    await adapter.put('gone', Readable.from([Buffer.from('12345')]), { size: 5 });
+
+    assert.equal((await adapter.stat('gone')).size, 5);
+    assert.equal(await adapter.delete('gone'), true);
+    assert.equal(objects.has('files/gone'), false);
+  });
+
+  it('lists keys below the prefix across pages, skipping nested ones', async () => {
+    objects.clear();
+    for (const key of ['files/a', 'files/b', 'files/c', 'files/nested/d', 'other/e']) {
+      objects.set(key, Buffer.from(key));
+    }
+
+    assert.deepEqual((await adapter.list()).sort(), ['a', 'b', 'c']);
+  });
+});
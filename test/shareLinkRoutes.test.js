@@ -0,0 +1,124 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'share-link-test-'));
+process.env.UPLOAD_DIR = tempDir;
+process.env.DATABASE_PATH = path.join(tempDir, 'files.db');
+process.env.SHARE_LINK_SECRET = 'test-secret';
+process.env.LOG_LEVEL = 'error';
+
+const config = require('../src/config/config');
+const { generateUniqueFilename, ensureStagingDir } = require('../src/config/multer');
+const { closeDatabase } = require('../src/models/database');
+const shareLinkStore = require('../src/models/ShareLink');
+const storage = require('../src/storage');
+const fileService = require('../src/services/fileService');
+const shareLinkService = require('../src/services/shareLinkService');
+const shareLinkRoutes = require('../src/routes/shareLinkRoutes');
+const { errorHandler } = require('../src/middleware/errorHandler');
+
+const CONTENT = Buffer.from('0123456789'.repeat(1000));
+
+describe('share link downloads', () => {
+  let server;
+  let baseUrl;
+  let file;
+
+  const createLink = async (maxDownloads = null) => {
+    const link = await shareLinkService.createLink({ fileId: file.id, createdBy: 'test', expiresInHours: 1, maxDownloads });
+    return { link, url: shareLinkService.buildUrl(baseUrl, link) };
+  };
+
+  const downloadCount = async (link) => (await shareLinkStore.getLink(link.id)).downloadCount;
+
+  before(async () => {
+    await storage.initialize();
+    await ensureStagingDir();
+
+    const filename = generateUniqueFilename('shared.txt');
+    const filePath = path.join(config.stagingDir, filename);
+    fs.writeFileSync(filePath, CONTENT);
+    file = await fileService.storeUpload({
+      originalname: 'shared.txt', mimetype: 'text/plain', filename, path: filePath, size: CONTENT.length
+    });
+
+    const app = express();
+    app.use('/api', shareLinkRoutes);
+    app.use(errorHandler);
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+    closeDatabase();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('counts each download and refuses once the limit is reached', async () => {
+    const { link, url } = await createLink(2);
+
+    for (let i = 0; i < 2; i++) {
+      const response = await fetch(url);
+      assert.equal(response.status, 200);
+      assert.deepEqual(Buffer.from(await response.arrayBuffer()), CONTENT);
+    }
+
+    assert.equal((await fetch(url)).status, 410);
+    assert.equal(await downloadCount(link), 2);
+  });
+
+  it('sends limited links whole, so ranges cannot get around the limit', async () => {
+    const { link, url } = await createLink(1);
+
+    const response = await fetch(url, { headers: { Range: 'bytes=0-' } });
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('accept-ranges'), 'none');
+    assert.deepEqual(Buffer.from(await response.arrayBuffer()), CONTENT);
+
+    assert.equal((await fetch(url, { headers: { Range: 'bytes=0-' } })).status, 410);
+    assert.equal((await fetch(url, { headers: { Range: 'bytes=100-199' } })).status, 410);
+    assert.equal(await downloadCount(link), 1);
+  });
+
+  it('lets no more concurrent downloads through than the limit', async () => {
+    const { link, url } = await createLink(3);
+
+    const responses = await Promise.all(Array.from({ length: 10 }, () => fetch(url)));
+    const statuses = await Promise.all(responses.map(async (response) => {
+      await response.arrayBuffer();
+      return response.status;
+    }));
+
+    assert.equal(statuses.filter(status => status === 200).length, 3);
+    assert.equal(statuses.filter(status => status === 410).length, 7);
+    assert.equal(await downloadCount(link), 3);
+  });
+
+  it('gives the download back when no content is sent', async () => {
+    const { link, url } = await createLink(1);
+    const etag = (await fetch(url, { method: 'HEAD' })).headers.get('etag');
+
+    assert.equal((await fetch(url, { headers: { 'If-None-Match': etag } })).status, 304);
+    assert.equal((await fetch(url, { headers: { 'If-Match': '"other"' } })).status, 412);
+    assert.equal(await downloadCount(link), 0);
+
+    assert.equal((await fetch(url)).status, 200);
+    assert.equal(await downloadCount(link), 1);
+  });
+
+  it('serves ranges on links without a limit', async () => {
+    const { link, url } = await createLink();
+
+    const response = await fetch(url, { headers: { Range: 'bytes=100-199' } });
+
+    assert.equal(response.status, 206);
+    assert.deepEqual(Buffer.from(await response.arrayBuffer()), CONTENT.subarray(100, 200));
+    assert.equal(await downloadCount(link), 1);
+  });
+});
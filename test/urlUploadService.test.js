@@ -0,0 +1,164 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const dns = require('dns');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'url-upload-test-'));
+process.env.UPLOAD_DIR = tempDir;
+process.env.DATABASE_PATH = path.join(tempDir, 'files.db');
+process.env.MAX_FILE_SIZE_MB = '1';
+process.env.LOG_LEVEL = 'error';
+// The test server runs on loopback, which is otherwise refused
+process.env.URL_UPLOAD_ALLOWED_NETWORKS = '127.0.0.1';
+
+const config = require('../src/config/config');
+const urlUploadService = require('../src/services/urlUploadService');
+
+const MB = 1024 * 1024;
+
+/**
+ * Replace dns.lookup with fixed answers per host name. Each answer is an
+ * address, or a function returning one (to answer differently each time).
+ */
+const fakeDns = (answers) => {
+  const { lookup } = dns;
+
+  dns.lookup = (hostname, options, callback) => {
+    if (!(hostname in answers)) {
+      return lookup(hostname, options, callback);
+    }
+
+    const answer = answers[hostname];
+    const address = typeof answer === 'function' ? answer() : answer;
+    const family = address.includes(':') ? 6 : 4;
+    process.nextTick(() => (options.all
+      ? callback(null, [{ address, family }])
+      : callback(null, address, family)));
+  };
+
+  return () => { dns.lookup = lookup; };
+};
+
+describe('urlUploadService', () => {
+  let server;
+  let base;
+  let restoreDns = () => {};
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      const url = new URL(req.url, base);
+
+      switch (url.pathname) {
+        case '/hello.txt':
+          res.writeHead(200, { 'Content-Type': 'text/plain' });
+          res.end('hello');
+          return;
+        case '/redirect':
+          res.writeHead(302, { Location: url.searchParams.get('to') });
+          res.end();
+          return;
+        case '/declared-too-large.txt':
+          res.writeHead(200, { 'Content-Type': 'text/plain', 'Content-Length': 2 * MB });
+          res.end();
+          return;
+        case '/chunked-too-large.txt':
+          // No Content-Length, so the size is only known while reading
+          res.writeHead(200, { 'Content-Type': 'text/plain' });
+          res.write(Buffer.alloc(MB, 'a'));
+          res.end(Buffer.alloc(MB, 'a'));
+          return;
+        default:
+          res.writeHead(404).end();
+      }
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(() => {
+    restoreDns();
+    restoreDns = () => {};
+  });
+
+  after(() => {
+    server.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('fetches a file into the staging directory', async () => {
+    const file = await urlUploadService.fetchToStaging(`${base}/hello.txt`);
+
+    assert.equal(file.originalname, 'hello.txt');
+    assert.equal(file.mimetype, 'text/plain');
+    assert.equal(file.size, 5);
+    assert.equal(path.dirname(file.path), path.resolve(config.stagingDir));
+    assert.equal(fs.readFileSync(file.path, 'utf8'), 'hello');
+  });
+
+  it('refuses private addresses given directly', async () => {
+    await assert.rejects(
+      urlUploadService.fetchToStaging('http://10.0.0.1/secret.txt'),
+      { status: 400, message: 'URL not allowed', details: '10.0.0.1 is a private or reserved address' }
+    );
+  });
+
+  it('refuses IPv6 addresses that embed a loopback IPv4 address', async () => {
+    for (const url of ['http://[::127.0.0.1]/', 'http://[2002:7f00:1::]/', 'http://[::ffff:127.0.0.2]/']) {
+      await assert.rejects(urlUploadService.fetchToStaging(url), { status: 400, message: 'URL not allowed' }, url);
+    }
+  });
+
+  it('refuses redirects to private addresses', async () => {
+    const to = encodeURIComponent('http://169.254.169.254/latest/meta-data/');
+
+    await assert.rejects(
+      urlUploadService.fetchToStaging(`${base}/redirect?to=${to}`),
+      { status: 400, message: 'URL not allowed', details: '169.254.169.254 is a private or reserved address' }
+    );
+  });
+
+  it('refuses redirects to host names resolving to private addresses', async () => {
+    restoreDns = fakeDns({ 'internal.example.com': '10.1.2.3' });
+    const to = encodeURIComponent('http://internal.example.com/secret.txt');
+
+    await assert.rejects(
+      urlUploadService.fetchToStaging(`${base}/redirect?to=${to}`),
+      { status: 400, details: 'internal.example.com resolves to a private or reserved address' }
+    );
+  });
+
+  it('checks the address connected to, so DNS rebinding is refused', async () => {
+    // Allowed for the first request, private once the redirect is followed
+    const answers = ['127.0.0.1', '10.0.0.7'];
+    restoreDns = fakeDns({ 'rebind.example.com': () => answers.shift() });
+    const port = server.address().port;
+    const to = encodeURIComponent(`http://rebind.example.com:${port}/hello.txt`);
+
+    await assert.rejects(
+      urlUploadService.fetchToStaging(`http://rebind.example.com:${port}/redirect?to=${to}`),
+      { status: 400, details: 'rebind.example.com resolves to a private or reserved address' }
+    );
+    assert.equal(answers.length, 0);
+  });
+
+  it('refuses files declared larger than MAX_FILE_SIZE_MB before reading them', async () => {
+    await assert.rejects(
+      urlUploadService.fetchToStaging(`${base}/declared-too-large.txt`),
+      { code: 'LIMIT_FILE_SIZE' }
+    );
+  });
+
+  it('stops reading files without a length at MAX_FILE_SIZE_MB and removes them', async () => {
+    await assert.rejects(
+      urlUploadService.fetchToStaging(`${base}/chunked-too-large.txt`),
+      { code: 'LIMIT_FILE_SIZE' }
+    );
+
+    const staged = fs.readdirSync(config.stagingDir).filter(name => name.includes('chunked-too-large'));
+    assert.deepEqual(staged, []);
+  });
+});